@@ -0,0 +1,420 @@
+const Application = require('../models/Application');
+const Form = require('../models/Form');
+const { BUILT_IN_FIELD_KEYS } = require('../utils/formFields');
+const { evaluateEligibility } = require('../utils/eligibility');
+const { toDocuments, mergeDocuments } = require('../utils/documentSlots');
+const { DEFAULT_RESOLVED_WORKFLOW, getStage, getWithdrawalStage } = require('../utils/workflow');
+const {
+  uploadMiddleware,
+  deleteUploadedFiles,
+  buildApplicationData,
+  sendDocument
+} = require('./applicationController');
+const { renderAcknowledgement } = require('../utils/acknowledgement');
+
+// Application fields the applicant may never change through the portal
+// (documents are merged separately so unchanged slots keep their files)
+const PROTECTED_FIELDS = ['email', 'formId', 'submissionTime', 'status', 'documents'];
+
+// Shape an application for the applicant (no internal review data)
+const toApplicantView = (application, form) => {
+  const data = application.toJSON();
+  const workflow = form ? form.getWorkflow() : DEFAULT_RESOLVED_WORKFLOW;
+  const stage = getStage(workflow, data.status);
+
+  return {
+    applicationId: data.applicationId,
+    form: form ? {
+      formId: form.formId,
+      title: form.title
+    } : null,
+    status: data.status,
+    statusLabel: stage ? stage.label : data.status,
+    statusColor: application.getStatusColor(workflow),
+    submissionTime: data.submissionTime,
+    name: data.name,
+    email: data.email,
+    address: data.address,
+    phone: data.phone,
+    category: data.category,
+    dob: data.dob,
+    gender: data.gender,
+    professionalExam: data.professionalExam,
+    professionalExamValidity: data.professionalExamValidity,
+    otherExamName: data.otherExamName,
+    educationalQualifications: data.educationalQualifications,
+    experience: data.experience,
+    publicationDetails: data.publicationDetails,
+    publications: data.publications || [],
+    documents: application.getDocumentsInfo(),
+    declarationAgreed: data.declarationAgreed,
+    applicationDate: data.applicationDate,
+    applicationPlace: data.applicationPlace,
+    nameDeclaration: data.nameDeclaration,
+    responses: data.responses || {},
+    interview: data.interview && data.interview.isScheduled ? {
+      scheduledDate: data.interview.scheduledDate,
+      scheduledTime: data.interview.scheduledTime,
+      location: data.interview.location,
+      type: data.interview.type
+    } : null,
+    eligibility: data.eligibility && data.eligibility.status !== 'not_evaluated' ? {
+      status: data.eligibility.status,
+      reasons: data.eligibility.reasons
+    } : null,
+    timeline: application.getStatusTimeline(),
+    canEdit: application.canBeEdited(workflow),
+    canWithdraw: application.canBeWithdrawn(workflow)
+  };
+};
+
+// Find one of the signed-in applicant's applications
+const findOwnApplication = (req) => {
+  return Application.findOne({
+    applicationId: req.params.applicationId,
+    email: req.applicant.email
+  });
+};
+
+const applicationNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Application not found',
+  code: 'APPLICATION_NOT_FOUND'
+});
+
+// @desc    List the applicant's applications across all forms
+// @route   GET /api/applicant/applications
+// @access  Applicant (OTP session)
+const getMyApplications = async (req, res) => {
+  try {
+    const applications = await Application.findAllByEmail(req.applicant.email);
+
+    const formIds = [...new Set(applications.filter(app => app.formId).map(app => String(app.formId)))];
+    const forms = await Form.find({ _id: { $in: formIds } }).select('formId title workflow');
+    const formsById = new Map(forms.map(form => [String(form._id), form]));
+
+    res.status(200).json({
+      success: true,
+      email: req.applicant.email,
+      applications: applications.map(application => {
+        const form = formsById.get(String(application.formId));
+        const workflow = form ? form.getWorkflow() : DEFAULT_RESOLVED_WORKFLOW;
+        return {
+          applicationId: application.applicationId,
+          form: form ? { formId: form.formId, title: form.title } : null,
+          status: application.status,
+          statusColor: application.getStatusColor(workflow),
+          submissionTime: application.submissionTime,
+          lastUpdated: application.updatedAt,
+          canEdit: application.canBeEdited(workflow),
+          canWithdraw: application.canBeWithdrawn(workflow)
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('[APPLICANT] Get applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Get one of the applicant's applications with its status timeline
+// @route   GET /api/applicant/applications/:applicationId
+// @access  Applicant (OTP session)
+const getMyApplication = async (req, res) => {
+  try {
+    const application = await findOwnApplication(req);
+    if (!application) {
+      return applicationNotFound(res);
+    }
+
+    const form = application.formId ? await Form.findById(application.formId) : null;
+
+    res.status(200).json({
+      success: true,
+      application: toApplicantView(application, form),
+      fields: form ? form.getFormFields() : null
+    });
+
+  } catch (error) {
+    console.error('[APPLICANT] Get application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Edit an application while it can still be edited
+// @route   PUT /api/applicant/applications/:applicationId
+// @access  Applicant (OTP session)
+const updateMyApplication = async (req, res) => {
+  uploadMiddleware(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      console.error('[APPLICANT] Upload error:', uploadErr);
+      return res.status(400).json({
+        success: false,
+        message: uploadErr.message || 'File upload failed',
+        code: 'FILE_UPLOAD_ERROR'
+      });
+    }
+
+    try {
+      // Kept documents are written back whole, so their extracted text is loaded too
+      const application = await findOwnApplication(req).select('+documents.text');
+      if (!application) {
+        await deleteUploadedFiles(req.files);
+        return applicationNotFound(res);
+      }
+
+      const form = await Form.findById(application.formId);
+      if (!form) {
+        await deleteUploadedFiles(req.files);
+        return res.status(404).json({
+          success: false,
+          message: 'Form not found',
+          code: 'FORM_NOT_FOUND'
+        });
+      }
+
+      if (!application.canBeEdited(form.getWorkflow())) {
+        await deleteUploadedFiles(req.files);
+        return res.status(403).json({
+          success: false,
+          message: 'This application can no longer be edited',
+          code: 'APPLICATION_LOCKED'
+        });
+      }
+
+      let bodyResponses = req.body.responses;
+      try {
+        bodyResponses = typeof bodyResponses === 'string' ? JSON.parse(bodyResponses) : bodyResponses;
+      } catch (parseError) {
+        await deleteUploadedFiles(req.files);
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid responses data format',
+          code: 'INVALID_DATA_FORMAT'
+        });
+      }
+
+      // Start from the stored answers so partial edits validate as a whole
+      const current = application.toObject({ flattenMaps: true });
+      const merged = {};
+      [...BUILT_IN_FIELD_KEYS, 'otherExamName', 'publications'].forEach(key => {
+        if (current[key] !== undefined) merged[key] = current[key];
+      });
+      Object.assign(merged, req.body, {
+        email: application.email,
+        responses: {
+          ...(current.responses || {}),
+          ...(bodyResponses || {})
+        }
+      });
+
+      // New uploads replace the stored files of their slot
+      const { documents, replaced } = mergeDocuments(current.documents, toDocuments(req.files));
+      const built = buildApplicationData(form, merged, documents);
+
+      if (!built.applicationData) {
+        await deleteUploadedFiles(req.files);
+        return res.status(400).json({
+          success: false,
+          message: built.message,
+          ...(built.errors && { errors: built.errors }),
+          code: built.code
+        });
+      }
+
+      // Uploads into unknown slots are dropped; stored files of slots the
+      // form no longer has are kept for the record
+      await deleteUploadedFiles(built.discarded.filter(doc => !doc.documentId));
+
+      Object.keys(built.applicationData)
+        .filter(key => !PROTECTED_FIELDS.includes(key))
+        .forEach(key => {
+          application.set(key, built.applicationData[key]);
+        });
+      application.optionalFields = built.applicationData.optionalFields;
+      application.documents = [
+        ...built.applicationData.documents,
+        ...built.discarded.filter(doc => doc.documentId)
+      ];
+
+      // Age is measured against the original submission date
+      application.eligibility = evaluateEligibility(form.eligibility, application);
+
+      application.interactions.push({
+        type: 'applicant_updated',
+        details: 'Application updated by applicant'
+      });
+
+      await application.save();
+
+      // Remove replaced files only once the new ones are saved
+      await deleteUploadedFiles(replaced);
+
+      console.log(`[APPLICANT] Application updated: ${application.applicationId}`);
+
+      const refreshedForm = await Form.findById(application.formId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Application updated successfully',
+        application: toApplicantView(application, refreshedForm)
+      });
+
+    } catch (error) {
+      console.error('[APPLICANT] Update application error:', error);
+
+      await deleteUploadedFiles(req.files);
+
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  });
+};
+
+// @desc    Download one of the applicant's uploaded documents
+// @route   GET /api/applicant/applications/:applicationId/documents/:documentId
+// @access  Applicant (OTP session)
+const downloadMyDocument = async (req, res) => {
+  try {
+    const application = await findOwnApplication(req);
+    if (!application) {
+      return applicationNotFound(res);
+    }
+
+    const doc = application.getDocument(req.params.documentId);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+        code: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+
+    await sendDocument(res, doc);
+
+  } catch (error) {
+    console.error('[APPLICANT] Download document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Download the acknowledgement receipt of an application
+// @route   GET /api/applicant/applications/:applicationId/acknowledgement
+// @access  Applicant (OTP session)
+const downloadMyAcknowledgement = async (req, res) => {
+  try {
+    const application = await findOwnApplication(req);
+    if (!application) {
+      return applicationNotFound(res);
+    }
+
+    const form = application.formId ? await Form.findById(application.formId) : null;
+    const receipt = await renderAcknowledgement(application, form);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Acknowledgement-${application.applicationId}.pdf"`);
+    res.send(receipt);
+
+  } catch (error) {
+    console.error('[APPLICANT] Download acknowledgement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Withdraw an application
+// @route   POST /api/applicant/applications/:applicationId/withdraw
+// @access  Applicant (OTP session)
+const withdrawMyApplication = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 1000)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be text of at most 1000 characters',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const application = await findOwnApplication(req);
+    if (!application) {
+      return applicationNotFound(res);
+    }
+
+    const workflow = await application.getWorkflow();
+    const withdrawalStage = getWithdrawalStage(workflow, application.status);
+
+    if (!withdrawalStage) {
+      return res.status(403).json({
+        success: false,
+        message: `An application with status '${application.status}' cannot be withdrawn`,
+        code: 'WITHDRAW_NOT_ALLOWED'
+      });
+    }
+
+    await application.updateStatus(withdrawalStage, null, (reason && reason.trim()) || 'Withdrawn by applicant', {
+      actor: 'applicant',
+      workflow
+    });
+
+    console.log(`[APPLICANT] Application withdrawn: ${application.applicationId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Application withdrawn successfully',
+      applicationId: application.applicationId,
+      status: application.status
+    });
+
+  } catch (error) {
+    console.error('[APPLICANT] Withdraw application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  getMyApplications,
+  getMyApplication,
+  updateMyApplication,
+  downloadMyDocument,
+  downloadMyAcknowledgement,
+  withdrawMyApplication
+};
@@ -4,6 +4,8 @@
 
 const Application = require('../models/Application');
 const User = require('../models/User');
+const Form = require('../models/Form');
+const ApplicationDraft = require('../models/ApplicationDraft');
 const { validationResult } = require('express-validator');
 const nodemailer = require('nodemailer');
 const multer = require('multer');
@@ -11,7 +13,35 @@ const path = require('path');
 const fs = require('fs').promises;
 
 // CRITICAL: Import the SAME otpStorage from otpController
-const { otpStorage } = require('./otpController');
+const { otpStorage, isEmailVerified, clearEmailVerification } = require('./otpController');
+const { validateFormAnswers } = require('../utils/formFields');
+const { evaluateEligibility } = require('../utils/eligibility');
+const { checkTimeline } = require('../utils/experienceTimeline');
+const { normalizeQualifications } = require('../utils/grading');
+const {
+  PUBLICATION_TYPES,
+  readSubmittedPublications,
+  parseCitations,
+  validatePublications,
+  countPublicationsByType
+} = require('../utils/publications');
+const {
+  DOCUMENT_TYPES,
+  SUPPORTED_MIME_TYPES,
+  MAX_DOCUMENT_SIZE_MB,
+  toDocuments,
+  checkDocuments
+} = require('../utils/documentSlots');
+const { DOCUMENT_TEXT_STATUSES, FAILED_STATUSES, scheduleTextExtraction } = require('../utils/documentText');
+const { getStage, getAllowedTransitions, checkTransition } = require('../utils/workflow');
+const { resolveSortField } = require('../utils/applicationFilters');
+const { buildFilterWithView } = require('../utils/savedViews');
+const {
+  getReceiptCode,
+  isValidReceiptCode,
+  maskName,
+  renderAcknowledgement
+} = require('../utils/acknowledgement');
 
 // Email configuration
 const transporter = nodemailer.createTransport({
@@ -42,33 +72,45 @@ const storage = multer.diskStorage({
     // Generate unique filename with timestamp and random string
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
     const extension = path.extname(file.originalname);
-    cb(null, 'publication-' + uniqueSuffix + extension);
+    cb(null, 'document-' + uniqueSuffix + extension);
   }
 });
 
-// File filter for PDF only
+// Accept every type a document slot may allow; per-slot rules are checked
+// against the form once the upload finishes
 const fileFilter = (req, file, cb) => {
-  if (file.mimetype === 'application/pdf') {
+  if (SUPPORTED_MIME_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Only PDF files are allowed'), false);
+    cb(new Error(`Only ${Object.values(DOCUMENT_TYPES).join(', ')} files are allowed`), false);
   }
 };
 
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
+    fileSize: MAX_DOCUMENT_SIZE_MB * 1024 * 1024,
+    files: 30
   },
   fileFilter: fileFilter
 });
 
-// Upload middleware
-const uploadMiddleware = upload.single('publicationDocument');
+// Upload middleware; each document slot is its own multipart field
+const uploadMiddleware = upload.any();
 
-// Send confirmation email
-const sendConfirmationEmail = async (applicationData) => {
+// Send confirmation email with the acknowledgement receipt attached
+const sendConfirmationEmail = async (applicationData, formOwner = null, form = null) => {
   try {
+    const organization = (formOwner && formOwner.organization) || (form && form.title) || 'Application Portal';
+
+    // The mail still goes out if the receipt cannot be rendered
+    let receipt = null;
+    try {
+      receipt = await renderAcknowledgement(applicationData, form);
+    } catch (receiptError) {
+      console.error(`[APP] Acknowledgement PDF failed for ${applicationData.applicationId}:`, receiptError);
+    }
+
     const mailOptions = {
       from: process.env.SMTP_USER || 'noreply@iitp.ac.in',
       to: applicationData.email,
@@ -76,30 +118,37 @@ const sendConfirmationEmail = async (applicationData) => {
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <div style="background-color: #f8f9fa; padding: 20px; text-align: center;">
-            <h2 style="color: #333;">IIT Patna</h2>
+            <h2 style="color: #333;">${organization}</h2>
             <p style="color: #666;">Application Confirmation</p>
           </div>
           <div style="padding: 20px; background-color: white;">
             <p>Dear ${applicationData.name},</p>
-            <p>Thank you for submitting your application to IIT Patna</p>
+            <p>Thank you for submitting ${form ? `your application for <strong>${form.title}</strong>` : 'your application'}.</p>
             <div style="background-color: #e9ecef; padding: 15px; margin: 20px 0; border-left: 4px solid #007bff;">
               <strong>Application Details:</strong><br>
               Application ID: ${applicationData.applicationId}<br>
               Name: ${applicationData.name}<br>
-              Category: ${applicationData.category}<br>
+              ${applicationData.category ? `Category: ${applicationData.category}<br>` : ''}
               Submission Date: ${new Date(applicationData.submissionTime).toLocaleDateString()}<br>
-              ${applicationData.publicationDocument?.filename ? 'Publication Document: Uploaded<br>' : ''}
+              ${applicationData.documents?.length ? `Documents Uploaded: ${applicationData.documents.length}<br>` : ''}
               ${applicationData.publicationDetails ? 'Publications Provided: Yes<br>' : ''}
+              Verification Code: ${getReceiptCode(applicationData)}
             </div>
+            ${receipt ? '<p>Your acknowledgement receipt is attached. Keep it as proof of submission; it can be verified online using the QR code printed on it.</p>' : ''}
             <p>Your application is currently under review. We will contact you if any additional information is required.</p>
             <p style="margin-top: 30px;">Best regards,<br>
-            <strong>PI</strong><br>
+            <strong>${formOwner ? formOwner.getFullName() : 'PI'}</strong><br>
           </div>
           <div style="background-color: #f8f9fa; padding: 15px; text-align: center; font-size: 12px; color: #666;">
             This is an automated email. Please do not reply to this email.
           </div>
         </div>
       `,
+      attachments: receipt ? [{
+        filename: `Acknowledgement-${applicationData.applicationId}.pdf`,
+        content: receipt,
+        contentType: 'application/pdf'
+      }] : []
     };
 
     // Send confirmation email (Always send, regardless of environment)
@@ -129,6 +178,13 @@ const deleteUploadedFile = async (filePath) => {
   }
 };
 
+// Delete a list of uploaded files or stored documents
+const deleteUploadedFiles = async (files) => {
+  for (const file of files || []) {
+    await deleteUploadedFile(file.path);
+  }
+};
+
 // @desc    Download template document
 // @route   GET /api/download-template
 // @access  Public
@@ -461,8 +517,196 @@ const downloadTemplate = async (req, res) => {
 // };
 
 
+// Parse, validate and map a submission body and its documents onto
+// Application fields, check the experience timeline and evaluate
+// eligibility. Returns { errors, message, code } when the answers are not
+// acceptable, otherwise { applicationData, discarded } where discarded are
+// documents uploaded into slots the form does not have. Imports pass
+// documentsRequired: false since spreadsheet rows carry no files.
+const buildApplicationData = (form, body, documents = [], { documentsRequired = true } = {}) => {
+  const {
+    email,
+    name,
+    address,
+    phone,
+    category,
+    dob,
+    gender,
+    professionalExam,
+    professionalExamValidity,
+    educationalQualifications,
+    experience,
+    publicationDetails,
+    publications,
+    publicationCitations,
+    declarationAgreed,
+    applicationDate,
+    applicationPlace,
+    nameDeclaration,
+    otherExamName,
+    responses
+  } = body;
+
+  // Parse JSON strings if they come as strings
+  let parsedEducation, parsedExperience, parsedResponses;
+  try {
+    parsedEducation = typeof educationalQualifications === 'string'
+      ? JSON.parse(educationalQualifications)
+      : educationalQualifications;
+    parsedExperience = typeof experience === 'string'
+      ? JSON.parse(experience)
+      : experience;
+    parsedResponses = typeof responses === 'string'
+      ? JSON.parse(responses)
+      : responses;
+  } catch (parseError) {
+    return {
+      message: 'Invalid education, experience or responses data format',
+      code: 'INVALID_DATA_FORMAT'
+    };
+  }
+
+  // Structured publications plus any pasted BibTeX/RIS
+  const submittedPublications = readSubmittedPublications({ publications, publicationCitations });
+
+  // CGPA and division grades become normalized percentages
+  const grades = normalizeQualifications(parsedEducation, form.getGrading());
+  parsedEducation = grades.qualifications;
+
+  // Validate answers against the form's field definitions. A structured
+  // publication list answers the publication details field too.
+  const fieldCheck = validateFormAnswers(form.getFormFields(), {
+    ...body,
+    ...(submittedPublications.publications.length > 0 && !publicationDetails && {
+      publicationDetails: `${submittedPublications.publications.length} publication(s)`
+    }),
+    educationalQualifications: parsedEducation,
+    experience: parsedExperience,
+    responses: parsedResponses
+  });
+
+  const slots = documentsRequired
+    ? form.getDocumentSlots()
+    : form.getDocumentSlots().map(slot => ({ ...slot, required: false }));
+  const documentCheck = checkDocuments(slots, documents);
+  const errors = [...grades.errors, ...submittedPublications.errors, ...fieldCheck.errors, ...documentCheck.errors];
+
+  if (errors.length > 0) {
+    return {
+      errors,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR'
+    };
+  }
+
+  const applicationData = {
+    formId: form._id,
+    name,
+    address,
+    phone,
+    email: email.toLowerCase().trim(),
+    category,
+    dob: dob ? new Date(dob) : undefined,
+    gender,
+    professionalExam: professionalExam || '',
+    professionalExamValidity: professionalExamValidity ? new Date(professionalExamValidity) : null,
+    educationalQualifications: parsedEducation || [],
+    experience: parsedExperience || [],
+    publicationDetails: publicationDetails || '',
+    publications: submittedPublications.publications,
+    otherExamName: otherExamName || '',
+    declarationAgreed: declarationAgreed === true || declarationAgreed === 'true' || undefined,
+    applicationDate: applicationDate ? new Date(applicationDate) : undefined,
+    applicationPlace,
+    nameDeclaration,
+    submissionTime: new Date(),
+    status: form.getWorkflow().initialStage,
+    responses: fieldCheck.responses,
+    optionalFields: fieldCheck.optionalFields,
+    documents: documentCheck.documents
+  };
+
+  // Drop answers for built-in fields the form has switched off
+  fieldCheck.disabledFields.forEach(key => {
+    delete applicationData[key];
+  });
+  if (fieldCheck.disabledFields.includes('publicationDetails')) {
+    delete applicationData.publications;
+  }
+
+  // Impossible experience or qualification dates block the submission;
+  // unusual ones are kept for reviewers
+  const timeline = checkTimeline(applicationData);
+  if (timeline.errors.length > 0) {
+    return {
+      errors: timeline.errors,
+      message: 'Experience and qualification dates are inconsistent',
+      code: 'INVALID_TIMELINE'
+    };
+  }
+  applicationData.timelineWarnings = timeline.warnings;
+
+  // Check the answers against the form's eligibility rules
+  applicationData.eligibility = evaluateEligibility(form.eligibility, applicationData);
+
+  if (applicationData.eligibility.status === 'ineligible' && form.eligibility.enforcement === 'reject') {
+    return {
+      errors: applicationData.eligibility.reasons.map(reason => ({
+        field: reason.rule,
+        message: reason.message
+      })),
+      message: 'You do not meet the eligibility criteria for this position',
+      code: 'NOT_ELIGIBLE'
+    };
+  }
+
+  return { applicationData, discarded: documentCheck.discarded };
+};
+
+// Reserve a submission slot on the form, save the application, refresh
+// statistics and send the confirmation mail. Resolves to null when the form
+// reached its cap before the slot could be taken.
+const saveSubmission = async (form, formOwner, applicationData) => {
+  // Another applicant may have filled the last slot
+  const reservedForm = await Form.reserveSubmission(form._id);
+  if (!reservedForm) {
+    return null;
+  }
+
+  const application = new Application({
+    ...applicationData,
+    userId: formOwner._id // Link to form owner (MULTI-USER SUPPORT)
+  });
+
+  try {
+    await application.save();
+  } catch (error) {
+    try {
+      await Form.releaseSubmission(form._id);
+    } catch (releaseError) {
+      console.error('[APP] Submission slot release error:', releaseError);
+    }
+    throw error;
+  }
+
+  // Update user and form statistics
+  await formOwner.updateStats();
+  await form.updateStats();
+
+  // Send confirmation email
+  try {
+    await sendConfirmationEmail(application, formOwner, form);
+  } catch (emailError) {
+    console.error('[APP] Confirmation email failed:', emailError);
+  }
+
+  console.log(`[APP] Application submitted: ${application.applicationId} to ${form.formId} (${formOwner.username})`);
+
+  return application;
+};
+
 // @desc    Submit new application
-// @route   POST /api/applications/form/:userId
+// @route   POST /api/applications/form/:formId
 // @access  Public
 const submitApplication = async (req, res) => {
   uploadMiddleware(req, res, async (uploadErr) => {
@@ -476,32 +720,23 @@ const submitApplication = async (req, res) => {
     }
 
     try {
-      const formOwner = req.formOwner; // Set by validateFormAccess middleware
-      const {
-        email,
-        name,
-        address,
-        phone,
-        category,
-        dob,
-        gender,
-        professionalExam,
-        professionalExamValidity,
-        educationalQualifications,
-        experience,
-        publicationDetails,
-        declarationAgreed,
-        applicationDate,
-        applicationPlace,
-        nameDeclaration,
-        otherExamName
-      } = req.body;
+      const { form, formOwner } = req; // Set by validateFormAccess middleware
 
-      // Verify OTP
-      const normalizedEmail = email.toLowerCase().trim();
-      const storedOTPData = otpStorage.get(normalizedEmail);
+      // Reject submissions outside the form's window or over its cap
+      const availability = form.getAvailability();
+      if (availability.status !== 'open') {
+        await deleteUploadedFiles(req.files);
+        return res.status(403).json({
+          success: false,
+          message: availability.message,
+          code: availability.code,
+          availability
+        });
+      }
 
-      if (!storedOTPData || !storedOTPData.verified) {
+      // Verify OTP
+      if (!req.body.email || !isEmailVerified(req.body.email)) {
+        await deleteUploadedFiles(req.files);
         return res.status(400).json({
           success: false,
           message: 'Email verification required. Please verify your email first.',
@@ -509,77 +744,36 @@ const submitApplication = async (req, res) => {
         });
       }
 
-      // Parse JSON strings if they come as strings
-      let parsedEducation, parsedExperience;
-      try {
-        parsedEducation = typeof educationalQualifications === 'string'
-          ? JSON.parse(educationalQualifications)
-          : educationalQualifications;
-        parsedExperience = typeof experience === 'string'
-          ? JSON.parse(experience)
-          : experience;
-      } catch (parseError) {
+      const built = buildApplicationData(form, req.body, toDocuments(req.files));
+
+      if (!built.applicationData) {
+        await deleteUploadedFiles(req.files);
         return res.status(400).json({
           success: false,
-          message: 'Invalid education or experience data format',
-          code: 'INVALID_DATA_FORMAT'
+          message: built.message,
+          ...(built.errors && { errors: built.errors }),
+          code: built.code
         });
       }
 
-      // Create application with userId (MULTI-USER SUPPORT)
-      const applicationData = {
-        userId: formOwner._id, // Link to form owner
-        name,
-        address,
-        phone,
-        email: normalizedEmail,
-        category,
-        dob: new Date(dob),
-        gender,
-        professionalExam: professionalExam || '',
-        professionalExamValidity: professionalExamValidity ? new Date(professionalExamValidity) : null,
-        educationalQualifications: parsedEducation || [],
-        experience: parsedExperience || [],
-        publicationDetails: publicationDetails || '',
-        otherExamName: otherExamName || '',
-        declarationAgreed: declarationAgreed === true || declarationAgreed === 'true',
-        applicationDate: new Date(applicationDate),
-        applicationPlace,
-        nameDeclaration,
-        submissionTime: new Date(),
-        ipAddress: req.ip || req.connection.remoteAddress,
-        status: 'submitted'
-      };
-
-      // Handle file upload
-      if (req.file) {
-        applicationData.publicationDocument = {
-          filename: req.file.filename,
-          originalName: req.file.originalname,
-          size: req.file.size,
-          mimeType: req.file.mimetype,
-          uploadDate: new Date(),
-          path: req.file.path
-        };
-      }
-
-      const application = new Application(applicationData);
-      await application.save();
-
-      // Update user statistics
-      await formOwner.updateStats();
+      await deleteUploadedFiles(built.discarded);
 
-      // Clear OTP after successful submission
-      otpStorage.delete(normalizedEmail);
+      const application = await saveSubmission(form, formOwner, {
+        ...built.applicationData,
+        ipAddress: req.ip || req.connection.remoteAddress
+      });
 
-      // Send confirmation email
-      try {
-        await sendConfirmationEmail(application, formOwner);
-      } catch (emailError) {
-        console.error('[APP] Confirmation email failed:', emailError);
+      if (!application) {
+        await deleteUploadedFiles(req.files);
+        return res.status(403).json({
+          success: false,
+          message: 'This form has reached its maximum number of applications',
+          code: 'FORM_CAPACITY_REACHED'
+        });
       }
 
-      console.log(`[APP] Application submitted: ${application.applicationId} to ${formOwner.username}`);
+      // Clear OTP verification after successful submission
+      clearEmailVerification(application.email);
 
       res.status(201).json({
         success: true,
@@ -591,14 +785,8 @@ const submitApplication = async (req, res) => {
     } catch (error) {
       console.error('[APP] Submit application error:', error);
 
-      // Clean up uploaded file on error
-      if (req.file && req.file.path) {
-        try {
-          await fs.unlink(req.file.path);
-        } catch (cleanupError) {
-          console.error('[APP] File cleanup error:', cleanupError);
-        }
-      }
+      // Clean up uploaded files on error
+      await deleteUploadedFiles(req.files);
 
       if (error.name === 'ValidationError') {
         const errors = Object.values(error.errors).map(err => ({
@@ -642,16 +830,12 @@ const getApplicationById = async (req, res) => {
       });
     }
 
-    // Return limited data for security
+    // Anonymous lookup: only confirm the application exists and its status.
+    // Applicants see full details through the OTP-authenticated portal.
     const responseData = {
       applicationId: application.applicationId,
-      name: application.name,
-      email: application.email,
-      category: application.category,
       status: application.status,
-      submissionTime: application.submissionTime,
-      hasPublicationDocument: application.hasPublicationDocument(),
-      publicationDocumentInfo: application.getPublicationDocumentInfo()
+      submissionTime: application.submissionTime
     };
 
     res.status(200).json({
@@ -668,47 +852,134 @@ const getApplicationById = async (req, res) => {
   }
 };
 
-// @desc    Download publication document
-// @route   GET /api/applications/:applicationId/publication-document
-// @access  Private (Add authentication middleware)
-const downloadPublicationDocument = async (req, res) => {
+// Send a stored document as an attachment
+const sendDocument = async (res, doc) => {
   try {
-    const { applicationId } = req.params;
+    await fs.access(doc.path);
+  } catch (fileError) {
+    return res.status(404).json({
+      success: false,
+      message: 'Document file not found on server',
+      code: 'DOCUMENT_FILE_MISSING'
+    });
+  }
 
-    const application = await Application.findByApplicationId(applicationId);
+  res.setHeader('Content-Type', doc.mimeType || 'application/octet-stream');
+  res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(doc.originalName || doc.filename)}"`);
 
-    if (!application) {
+  res.sendFile(path.resolve(doc.path));
+};
+
+// @desc    List an application's documents
+// @route   GET /api/applications/:applicationId/documents
+// @access  Private
+const getApplicationDocuments = async (req, res) => {
+  try {
+    const application = req.application; // Set by checkApplicationOwnership middleware
+    const form = application.formId ? await Form.findById(application.formId) : null;
+
+    res.status(200).json({
+      success: true,
+      applicationId: application.applicationId,
+      documents: application.getDocumentsInfo(),
+      slots: form ? form.getDocumentSlots() : []
+    });
+
+  } catch (error) {
+    console.error('[APP] Error listing documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Download one document of an application
+// @route   GET /api/applications/:applicationId/documents/:documentId
+// @access  Private
+const downloadDocument = async (req, res) => {
+  try {
+    const doc = req.application.getDocument(req.params.documentId);
+
+    if (!doc) {
       return res.status(404).json({
         success: false,
-        message: 'Application not found'
+        message: 'Document not found',
+        code: 'DOCUMENT_NOT_FOUND'
       });
     }
 
-    if (!application.hasPublicationDocument()) {
+    await sendDocument(res, doc);
+
+  } catch (error) {
+    console.error('[APP] Error downloading document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// @desc    Verify an acknowledgement receipt by its code
+// @route   GET /api/applications/verify/:applicationId?code=
+// @access  Public
+const verifyAcknowledgement = async (req, res) => {
+  try {
+    const application = await Application.findOne({ applicationId: req.params.applicationId })
+      .select('applicationId formId name email submissionTime documents');
+
+    // Unknown applications and wrong codes look the same
+    if (!application || !isValidReceiptCode(application, req.query.code)) {
       return res.status(404).json({
         success: false,
-        message: 'No publication document found for this application'
+        verified: false,
+        message: 'This receipt does not match our records',
+        code: 'RECEIPT_NOT_VERIFIED'
       });
     }
 
-    const filePath = application.publicationDocument.path;
+    const form = application.formId ? await Form.findById(application.formId).select('formId title') : null;
 
-    // Check if file exists
-    try {
-      await fs.access(filePath);
-    } catch (fileError) {
+    res.status(200).json({
+      success: true,
+      verified: true,
+      message: 'This receipt matches our records',
+      receipt: {
+        applicationId: application.applicationId,
+        applicant: maskName(application.name),
+        form: form ? { formId: form.formId, title: form.title } : null,
+        submissionTime: application.submissionTime,
+        documents: application.documents.map(doc => ({ slot: doc.slot, name: doc.originalName || doc.filename }))
+      }
+    });
+
+  } catch (error) {
+    console.error('[APP] Verify acknowledgement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Download publication document
+// @route   GET /api/applications/:applicationId/publication-document
+// @access  Private
+const downloadPublicationDocument = async (req, res) => {
+  try {
+    const application = req.application; // Set by checkApplicationOwnership middleware
+    const doc = application.documents.find(d => d.slot === 'publicationDocument');
+
+    if (!doc) {
       return res.status(404).json({
         success: false,
-        message: 'Publication document file not found on server'
+        message: 'No publication document found for this application'
       });
     }
 
-    // Set appropriate headers for PDF download
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${application.publicationDocument.originalName}"`);
-
-    // Stream the file
-    res.sendFile(path.resolve(filePath));
+    await sendDocument(res, doc);
 
   } catch (error) {
     console.error('[APP] Error downloading publication document:', error);
@@ -725,41 +996,34 @@ const downloadPublicationDocument = async (req, res) => {
 // @desc    Get all applications for authenticated user
 // @route   GET /api/applications/user/list
 // @access  Private
+//
+// viewId (or viewId=default with formId) applies a saved view; explicit
+// query parameters override the view's filters and sort.
 const getAllApplications = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const status = req.query.status;
-    const priority = req.query.priority;
-    const search = req.query.search;
-    const sortBy = req.query.sortBy || 'submissionTime';
-    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
     const skip = (page - 1) * limit;
 
     // Build filter for user's applications only
-    const filter = { userId: req.user.id };
-
-    if (status && status !== 'all') {
-      filter.status = status;
-    }
-
-    if (priority && priority !== 'all') {
-      filter.priority = priority;
+    const { filter, params, view, error } = await buildFilterWithView(req.user.id, req.query);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.errors && { errors: error.errors }),
+        code: error.code
+      });
     }
 
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { applicationId: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const sortBy = params.sortBy || 'submissionTime';
+    const sortOrder = params.sortOrder === 'asc' ? 1 : -1;
 
     const applications = await Application.find(filter)
-      .sort({ [sortBy]: sortOrder })
+      .sort({ [resolveSortField(sortBy)]: sortOrder })
       .skip(skip)
       .limit(limit)
-      .select('-__v -publicationDocument.path');
+      .select('-__v -documents.path');
 
     const total = await Application.countDocuments(filter);
 
@@ -775,12 +1039,14 @@ const getAllApplications = async (req, res) => {
         hasPrev: page > 1
       },
       filters: {
-        status,
-        priority,
-        search,
+        formId: params.formId,
+        status: params.status,
+        priority: params.priority,
+        search: params.search,
         sortBy,
-        sortOrder: req.query.sortOrder || 'desc'
-      }
+        sortOrder: params.sortOrder || 'desc'
+      },
+      view: view ? { viewId: view.viewId, name: view.name, columns: view.columns } : null
     });
 
   } catch (error) {
@@ -803,9 +1069,21 @@ const updateApplicationStatus = async (req, res) => {
   try {
     const { status, remarks } = req.body;
     const application = req.application; // Set by checkApplicationOwnership middleware
+    const workflow = await application.getWorkflow();
+
+    // The form's workflow decides which moves are allowed
+    const problem = checkTransition(workflow, application.status, status, { remarks });
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem.message,
+        code: problem.code,
+        allowedTransitions: getAllowedTransitions(workflow, application.status)
+      });
+    }
 
     // Use the new status update method with history tracking
-    await application.updateStatus(status, req.user.id, remarks);
+    await application.updateStatus(status, req.user.id, remarks, { workflow });
 
     console.log(`[APP] Status updated: ${application.applicationId} -> ${status} by ${req.user.username}`);
 
@@ -817,7 +1095,8 @@ const updateApplicationStatus = async (req, res) => {
         status: application.status,
         currentRemarks: application.currentRemarks,
         statusHistory: application.statusHistory
-      }
+      },
+      allowedTransitions: getAllowedTransitions(workflow, application.status)
     });
 
   } catch (error) {
@@ -830,6 +1109,34 @@ const updateApplicationStatus = async (req, res) => {
   }
 };
 
+// @desc    Get the workflow stages and allowed next actions for an application
+// @route   GET /api/applications/:applicationId/workflow
+// @access  Private
+const getApplicationWorkflow = async (req, res) => {
+  try {
+    const application = req.application; // Set by checkApplicationOwnership middleware
+    const workflow = await application.getWorkflow();
+
+    res.status(200).json({
+      success: true,
+      applicationId: application.applicationId,
+      status: application.status,
+      stage: getStage(workflow, application.status),
+      stages: workflow.stages,
+      allowedTransitions: getAllowedTransitions(workflow, application.status),
+      statusHistory: application.statusHistory
+    });
+
+  } catch (error) {
+    console.error('[APP] Get application workflow error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
 // @desc    Get application statistics (Admin)
 // @route   GET /api/applications/stats
 // @access  Private (Add authentication middleware)
@@ -838,9 +1145,23 @@ const updateApplicationStatus = async (req, res) => {
 // @access  Private
 const getApplicationStats = async (req, res) => {
   try {
-    // Get stats only for current user's applications
+    // Get stats only for current user's applications, optionally for one form
+    const match = { userId: req.user.id };
+
+    if (req.query.formId) {
+      const form = await Form.findOwnedForm(req.query.formId, req.user.id);
+      if (!form) {
+        return res.status(404).json({
+          success: false,
+          message: 'Form not found',
+          code: 'FORM_NOT_FOUND'
+        });
+      }
+      match.formId = form._id;
+    }
+
     const stats = await Application.aggregate([
-      { $match: { userId: req.user.id } },
+      { $match: match },
       {
         $group: {
           _id: '$status',
@@ -849,11 +1170,11 @@ const getApplicationStats = async (req, res) => {
       }
     ]);
 
-    const totalApplications = await Application.countDocuments({ userId: req.user.id });
+    const totalApplications = await Application.countDocuments(match);
 
     // Get priority distribution
     const priorityStats = await Application.aggregate([
-      { $match: { userId: req.user.id } },
+      { $match: match },
       {
         $group: {
           _id: '$priority',
@@ -863,17 +1184,18 @@ const getApplicationStats = async (req, res) => {
     ]);
 
     // Get recent applications
-    const recentApplications = await Application.find({ userId: req.user.id })
+    const recentApplications = await Application.find(match)
       .sort({ submissionTime: -1 })
       .limit(5)
       .select('applicationId name email status submissionTime');
 
     // Get applications with publications
     const publicationsCount = await Application.countDocuments({
-      userId: req.user.id,
+      ...match,
       $or: [
-        { 'publicationDocument.filename': { $exists: true, $ne: null } },
-        { publicationDetails: { $exists: true, $ne: '', $ne: null } }
+        { 'documents.slot': 'publicationDocument' },
+        { publicationDetails: { $exists: true, $ne: '', $ne: null } },
+        { 'publications.0': { $exists: true } }
       ]
     });
 
@@ -914,15 +1236,8 @@ const deleteApplication = async (req, res) => {
       });
     }
 
-    // Delete associated publication document file if exists
-    if (application.hasPublicationDocument()) {
-      try {
-        await deleteUploadedFile(application.publicationDocument.path);
-      } catch (fileError) {
-        console.error('[APP] Error deleting publication document:', fileError);
-        // Continue with application deletion even if file deletion fails
-      }
-    }
+    // Delete the uploaded document files (failures are logged, not fatal)
+    await deleteUploadedFiles(application.documents);
 
     // Delete the application from database
     await Application.findOneAndDelete({ applicationId });
@@ -941,37 +1256,73 @@ const deleteApplication = async (req, res) => {
   }
 };
 
-// @desc    Get applications with publications (Admin)
-// @route   GET /api/applications/with-publications
-// @access  Private (Add authentication middleware)
+// @desc    Get applications with publications, with counts by publication type
+// @route   GET /api/applications/user/with-publications
+// @access  Private
+//
+// Query: page, limit, type (only applications with a publication of this
+// type), sortBy (e.g. journalPublications, publicationCount) and sortOrder.
 const getApplicationsWithPublications = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
     const skip = (page - 1) * limit;
+    const { type } = req.query;
 
-    const applications = await Application.find({
-      userId: req.user.id, // ADD THIS LINE - only user's applications
-      $or: [
-        { 'publicationDocument.filename': { $exists: true, $ne: null } },
-        { publicationDetails: { $exists: true, $ne: '', $ne: null } }
-      ]
-    })
-      .sort({ submissionTime: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('-__v -publicationDocument.path');
+    if (type !== undefined && !PUBLICATION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${PUBLICATION_TYPES.join(', ')}`,
+        code: 'INVALID_PUBLICATION_TYPE'
+      });
+    }
 
-    const total = await Application.countDocuments({
+    const filter = {
+      userId: req.user.id,
       $or: [
-        { 'publicationDocument.filename': { $exists: true, $ne: null } },
-        { publicationDetails: { $exists: true, $ne: '', $ne: null } }
-      ]
+        { 'documents.slot': 'publicationDocument' },
+        { publicationDetails: { $exists: true, $ne: '', $ne: null } },
+        { 'publications.0': { $exists: true } }
+      ],
+      ...(type && { 'publications.type': type })
+    };
+    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+
+    const [applications, total, byType] = await Promise.all([
+      Application.find(filter)
+        .sort({ [resolveSortField(req.query.sortBy)]: sortOrder })
+        .skip(skip)
+        .limit(limit)
+        .select('-__v -documents.path'),
+      Application.countDocuments(filter),
+      Application.aggregate([
+        { $match: filter },
+        { $unwind: '$publications' },
+        { $group: { _id: '$publications.type', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const summary = countPublicationsByType([]).byType;
+    byType.forEach(({ _id, count }) => {
+      summary[PUBLICATION_TYPES.includes(_id) ? _id : 'other'] += count;
     });
 
     res.status(200).json({
       success: true,
-      applications,
+      applications: applications.map(application => {
+        const counts = countPublicationsByType(application.publications);
+        return {
+          ...application.toJSON(),
+          publicationCounts: {
+            total: application.publications.length,
+            byType: counts.byType,
+            indexed: counts.indexed
+          }
+        };
+      }),
+      summary: {
+        byType: summary
+      },
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -989,6 +1340,207 @@ const getApplicationsWithPublications = async (req, res) => {
   }
 };
 
+// @desc    Parse pasted BibTeX or RIS citations into publication entries
+// @route   POST /api/applications/form/:formId/publications/parse
+// @access  Public
+//
+// Lets the form show the parsed entries for review before submission; the
+// same text can also be submitted directly as `publicationCitations`.
+const parsePublicationCitations = (req, res) => {
+  const parsed = parseCitations(req.body.citations);
+
+  if (parsed.publications.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No publications could be read from the citations',
+      errors: parsed.errors,
+      code: 'INVALID_CITATIONS'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    format: parsed.format,
+    publications: parsed.publications,
+    errors: [...parsed.errors, ...validatePublications(parsed.publications)]
+  });
+};
+
+// Match of the user's applications with documents, optionally for one form.
+// Resolves to the match or null when the form is not theirs.
+const buildDocumentMatch = async (userId, formId) => {
+  const match = { userId, 'documents.0': { $exists: true } };
+  if (formId) {
+    const form = await Form.findOwnedForm(formId, userId);
+    if (!form) return null;
+    match.formId = form._id;
+  }
+  return match;
+};
+
+// @desc    Text extraction of uploaded documents: counts by status and the
+//          documents whose extraction failed
+// @route   GET /api/applications/user/document-text
+// @access  Private
+//
+// Query: formId, status (no_text or failed; both by default), page, limit.
+// no_text documents are PDFs without a text layer (scanned pages) and are
+// not searchable; failed ones could not be read and can be retried.
+const getDocumentTextReport = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { status } = req.query;
+
+    if (status !== undefined && !FAILED_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${FAILED_STATUSES.join(', ')}`,
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    const match = await buildDocumentMatch(req.user.id, req.query.formId);
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found',
+        code: 'FORM_NOT_FOUND'
+      });
+    }
+
+    const statuses = status ? [status] : FAILED_STATUSES;
+    // The stored text is left out before unwinding
+    const documentsOnly = {
+      $project: {
+        applicationId: 1,
+        name: 1,
+        'documents.documentId': 1,
+        'documents.slot': 1,
+        'documents.originalName': 1,
+        'documents.textExtraction': 1
+      }
+    };
+
+    const [counts, failures] = await Promise.all([
+      Application.aggregate([
+        { $match: match },
+        documentsOnly,
+        { $unwind: '$documents' },
+        { $group: { _id: '$documents.textExtraction.status', count: { $sum: 1 } } }
+      ]),
+      Application.aggregate([
+        { $match: { ...match, 'documents.textExtraction.status': { $in: statuses } } },
+        documentsOnly,
+        { $unwind: '$documents' },
+        { $match: { 'documents.textExtraction.status': { $in: statuses } } },
+        { $sort: { 'documents.textExtraction.extractedAt': -1, _id: 1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        {
+          $project: {
+            _id: 0,
+            applicationId: 1,
+            name: 1,
+            documentId: '$documents.documentId',
+            slot: '$documents.slot',
+            originalName: '$documents.originalName',
+            status: '$documents.textExtraction.status',
+            error: '$documents.textExtraction.error',
+            pageCount: '$documents.textExtraction.pageCount',
+            extractedAt: '$documents.textExtraction.extractedAt'
+          }
+        }
+      ])
+    ]);
+
+    // Documents uploaded before extraction existed wait for the migration
+    const summary = Object.fromEntries(DOCUMENT_TEXT_STATUSES.map(key => [key, 0]));
+    counts.forEach(({ _id, count }) => {
+      summary[DOCUMENT_TEXT_STATUSES.includes(_id) ? _id : 'pending'] += count;
+    });
+    const total = statuses.reduce((sum, key) => sum + summary[key], 0);
+
+    res.status(200).json({
+      success: true,
+      summary,
+      failures,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('[APP] Document text report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Queue failed document text extractions again
+// @route   POST /api/applications/user/document-text/retry
+// @access  Private
+//
+// Body: { formId, documentIds } - both optional; by default every failed
+// document of the user's applications is retried. Scanned PDFs (no_text)
+// are not retried, since they have no text to find.
+const retryDocumentTextExtraction = async (req, res) => {
+  try {
+    const { formId, documentIds } = req.body;
+
+    if (documentIds !== undefined && (!Array.isArray(documentIds) || documentIds.length === 0 || documentIds.some(id => typeof id !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'documentIds must be a non-empty list of document IDs',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const match = await buildDocumentMatch(req.user.id, formId);
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found',
+        code: 'FORM_NOT_FOUND'
+      });
+    }
+
+    const ids = documentIds ? { $in: documentIds } : undefined;
+    const result = await Application.updateMany(
+      {
+        ...match,
+        documents: { $elemMatch: { 'textExtraction.status': 'failed', ...(ids && { documentId: ids }) } }
+      },
+      { $set: { 'documents.$[doc].textExtraction': { status: 'pending' } } },
+      { arrayFilters: [{ 'doc.textExtraction.status': 'failed', ...(ids && { 'doc.documentId': ids }) }] }
+    );
+
+    if (result.modifiedCount > 0) {
+      scheduleTextExtraction();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Text extraction queued again for ${result.modifiedCount} application(s)`,
+      applicationsQueued: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('[APP] Retry document text extraction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
 // @desc    Clean up orphaned files (Admin utility)
 // @route   POST /api/applications/cleanup-files
 // @access  Private (Add authentication middleware)
@@ -1001,10 +1553,20 @@ const cleanupOrphanedFiles = async (req, res) => {
 
     // Get all filenames from database
     const applications = await Application.find({
-      'publicationDocument.filename': { $exists: true, $ne: null }
-    }).select('publicationDocument.filename');
-
-    const dbFilenames = new Set(applications.map(app => app.publicationDocument.filename));
+      'documents.0': { $exists: true }
+    }).select('documents.filename');
+
+    // Files attached to unfinished drafts are not orphaned; those of
+    // expired drafts are, even before the draft record is removed
+    const drafts = await ApplicationDraft.find({
+      'documents.0': { $exists: true },
+      expiresAt: { $gt: new Date() }
+    }).select('documents.filename');
+
+    const dbFilenames = new Set([
+      ...applications.flatMap(app => app.documents.map(doc => doc.filename)),
+      ...drafts.flatMap(draft => draft.documents.map(doc => doc.filename))
+    ]);
 
     // Find orphaned files
     const orphanedFiles = files.filter(file => !dbFilenames.has(file));
@@ -1041,14 +1603,27 @@ const cleanupOrphanedFiles = async (req, res) => {
 
 
 module.exports = {
+  uploadMiddleware,
+  deleteUploadedFile,
+  deleteUploadedFiles,
+  buildApplicationData,
+  saveSubmission,
+  sendDocument,
   submitApplication,
   getApplicationById,
+  getApplicationDocuments,
+  downloadDocument,
   downloadPublicationDocument,
+  verifyAcknowledgement,
   downloadTemplate,
   getAllApplications,
   updateApplicationStatus,
+  getApplicationWorkflow,
   getApplicationStats,
   getApplicationsWithPublications,
+  parsePublicationCitations,
+  getDocumentTextReport,
+  retryDocumentTextExtraction,
   deleteApplication,
   cleanupOrphanedFiles
 };
\ No newline at end of file
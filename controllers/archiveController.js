@@ -0,0 +1,241 @@
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment');
+const Application = require('../models/Application');
+const { buildApplicationFilter } = require('../utils/applicationFilters');
+const { toCsvRow } = require('../utils/csv');
+
+// Most applications a single ZIP may contain
+const MAX_ARCHIVE_ITEMS = 1000;
+
+const INDEX_FORMATS = ['csv', 'html', 'both'];
+
+const SLOT_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/;
+
+// Validate the archive request body; returns a list of { field, message }
+const validateArchiveRequest = (body) => {
+  const errors = [];
+  const { applicationIds, filter, slots, index } = body;
+
+  if ((applicationIds === undefined) === (filter === undefined)) {
+    errors.push({ field: 'applicationIds', message: 'Provide either applicationIds or a filter' });
+  } else if (applicationIds !== undefined) {
+    if (!Array.isArray(applicationIds) || applicationIds.length === 0 || !applicationIds.every(id => typeof id === 'string')) {
+      errors.push({ field: 'applicationIds', message: 'applicationIds must be a non-empty array of application IDs' });
+    } else if (applicationIds.length > MAX_ARCHIVE_ITEMS) {
+      errors.push({ field: 'applicationIds', message: `At most ${MAX_ARCHIVE_ITEMS} applications can be downloaded at once` });
+    }
+  } else if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    errors.push({ field: 'filter', message: 'Filter must be an object' });
+  }
+
+  if (slots !== undefined && (!Array.isArray(slots) || !slots.every(slot => typeof slot === 'string' && SLOT_PATTERN.test(slot)))) {
+    errors.push({ field: 'slots', message: 'Slots must be a list of document slot keys' });
+  }
+
+  if (index !== undefined && !INDEX_FORMATS.includes(index)) {
+    errors.push({ field: 'index', message: `Index must be one of: ${INDEX_FORMATS.join(', ')}` });
+  }
+
+  return errors;
+};
+
+// Keep file names portable: letters, digits, dots, dashes and underscores
+const toSafeName = (value, maxLength = 60) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\w.-]+/g, '_')
+  .replace(/_+/g, '_')
+  .replace(/^_|_$/g, '')
+  .slice(0, maxLength);
+
+// <applicationId>_<name>_<slot>[_<n>].<ext>
+const getArchiveFileName = (application, doc, number) => {
+  const extension = path.extname(doc.originalName || doc.filename || '').toLowerCase() || '.pdf';
+  const parts = [application.applicationId, toSafeName(application.name), doc.slot].filter(Boolean);
+  return `${parts.join('_')}${number > 1 ? `_${number}` : ''}${extension}`;
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const INDEX_COLUMNS = ['applicationId', 'name', 'email', 'status', 'slot', 'file', 'size', 'result'];
+
+const toIndexCsv = (rows) => [
+  toCsvRow(INDEX_COLUMNS),
+  ...rows.map(row => toCsvRow(INDEX_COLUMNS.map(column => row[column])))
+].join('');
+
+const toIndexHtml = (rows, generatedAt) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Candidate documents</title>
+<style>
+body { font-family: sans-serif; font-size: 14px; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+tr.missing td { background: #fdecea; }
+</style>
+</head>
+<body>
+<h1>Candidate documents</h1>
+<p>Generated ${escapeHtml(generatedAt)}</p>
+<table>
+<tr>${INDEX_COLUMNS.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>
+${rows.map(row => `<tr${row.result === 'included' ? '' : ' class="missing"'}>${INDEX_COLUMNS.map(column => {
+  if (column === 'file' && row.result === 'included') {
+    return `<td><a href="${escapeHtml(encodeURI(row.file))}">${escapeHtml(row.file)}</a></td>`;
+  }
+  return `<td>${escapeHtml(row[column])}</td>`;
+}).join('')}</tr>`).join('\n')}
+</table>
+</body>
+</html>
+`;
+
+// @desc    Download the documents of many applications as one ZIP
+// @route   POST /api/applications/documents/archive
+// @access  Private
+//
+// Body: { applicationIds } or { filter } (the list filters), optional
+// slots to include and index: csv | html | both (default). Files that are
+// missing on disk are listed in the index instead of failing the download.
+const downloadDocumentsArchive = async (req, res) => {
+  let cursor = null;
+
+  try {
+    const errors = validateArchiveRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { applicationIds, filter, slots } = req.body;
+    const indexFormat = req.body.index || 'both';
+    const indexRows = [];
+    let query;
+
+    if (applicationIds) {
+      const uniqueIds = [...new Set(applicationIds)];
+      query = { userId: req.user.id, applicationId: { $in: uniqueIds } };
+
+      // Unknown IDs and applications of other users look the same
+      const found = new Set((await Application.find(query).select('applicationId').lean()).map(app => app.applicationId));
+      uniqueIds.filter(id => !found.has(id)).forEach(id => {
+        indexRows.push({ applicationId: id, result: 'application not found' });
+      });
+    } else {
+      const built = await buildApplicationFilter(req.user.id, filter);
+      if (built.error) {
+        return res.status(built.error.status).json({
+          success: false,
+          message: built.error.message,
+          code: built.error.code
+        });
+      }
+
+      const matched = await Application.countDocuments(built.filter);
+      if (matched > MAX_ARCHIVE_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          message: `The filter matches ${matched} applications; at most ${MAX_ARCHIVE_ITEMS} can be downloaded at once`,
+          code: 'TOO_MANY_APPLICATIONS'
+        });
+      }
+      query = built.filter;
+    }
+
+    // Loaded on demand: only archive downloads need it
+    const archiver = require('archiver');
+    const archive = archiver('zip', { zlib: { level: 6 } });
+
+    archive.on('warning', (warning) => {
+      console.warn('[APP] Archive warning:', warning.message);
+    });
+    archive.on('error', (archiveError) => {
+      console.error('[APP] Archive error:', archiveError);
+      res.destroy(archiveError);
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="documents-${moment().format('YYYYMMDD-HHmmss')}.zip"`);
+    archive.pipe(res);
+
+    cursor = Application.find(query)
+      .sort({ applicationId: 1 })
+      .select('applicationId name email status documents')
+      .lean()
+      .cursor();
+
+    let included = 0;
+
+    for (let application = await cursor.next(); application && !res.destroyed; application = await cursor.next()) {
+      const base = {
+        applicationId: application.applicationId,
+        name: application.name,
+        email: application.email,
+        status: application.status
+      };
+      const documents = (application.documents || []).filter(doc => !slots || slots.includes(doc.slot));
+
+      if (documents.length === 0) {
+        indexRows.push({ ...base, result: 'no documents' });
+        continue;
+      }
+
+      const perSlot = {};
+      for (const doc of documents) {
+        perSlot[doc.slot] = (perSlot[doc.slot] || 0) + 1;
+        const fileName = getArchiveFileName(application, doc, perSlot[doc.slot]);
+
+        try {
+          const stats = await fs.stat(doc.path);
+          archive.file(path.resolve(doc.path), { name: fileName, date: doc.uploadDate || stats.mtime });
+          indexRows.push({ ...base, slot: doc.slot, file: fileName, size: stats.size, result: 'included' });
+          included++;
+        } catch (fileError) {
+          indexRows.push({ ...base, slot: doc.slot, file: fileName, result: 'file missing on server' });
+        }
+      }
+    }
+
+    const generatedAt = new Date().toISOString();
+    if (indexFormat !== 'html') {
+      archive.append(toIndexCsv(indexRows), { name: 'index.csv' });
+    }
+    if (indexFormat !== 'csv') {
+      archive.append(toIndexHtml(indexRows, generatedAt), { name: 'index.html' });
+    }
+
+    await archive.finalize();
+
+    console.log(`[APP] Documents archive: ${included} files, ${indexRows.length - included} index notes for ${req.user.username}`);
+
+  } catch (error) {
+    console.error('[APP] Documents archive error:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  } finally {
+    if (cursor) {
+      await cursor.close().catch(() => {});
+    }
+  }
+};
+
+module.exports = {
+  downloadDocumentsArchive
+};
@@ -0,0 +1,258 @@
+const Application = require('../models/Application');
+const User = require('../models/User');
+const Form = require('../models/Form');
+const { deleteUploadedFiles } = require('./applicationController');
+const { PRIORITIES, buildApplicationFilter } = require('../utils/applicationFilters');
+const { DEFAULT_RESOLVED_WORKFLOW } = require('../utils/workflow');
+
+const BULK_ACTIONS = ['update_status', 'set_priority', 'update_tags', 'delete'];
+
+// Most applications a single bulk request may touch
+const MAX_BULK_ITEMS = 1000;
+
+const isTagList = (value) => Array.isArray(value) && value.every(tag =>
+  typeof tag === 'string' && tag.trim().length > 0 && tag.length <= 50
+);
+
+// Validate the bulk request body; returns a list of { field, message }
+const validateBulkRequest = (body) => {
+  const errors = [];
+  const { action, applicationIds, filter } = body;
+
+  if (!BULK_ACTIONS.includes(action)) {
+    errors.push({ field: 'action', message: `Action must be one of: ${BULK_ACTIONS.join(', ')}` });
+  }
+
+  if ((applicationIds === undefined) === (filter === undefined)) {
+    errors.push({ field: 'applicationIds', message: 'Provide either applicationIds or a filter' });
+  } else if (applicationIds !== undefined) {
+    if (!Array.isArray(applicationIds) || applicationIds.length === 0 || !applicationIds.every(id => typeof id === 'string')) {
+      errors.push({ field: 'applicationIds', message: 'applicationIds must be a non-empty array of application IDs' });
+    } else if (applicationIds.length > MAX_BULK_ITEMS) {
+      errors.push({ field: 'applicationIds', message: `At most ${MAX_BULK_ITEMS} applications can be processed at once` });
+    }
+  } else if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    errors.push({ field: 'filter', message: 'Filter must be an object' });
+  }
+
+  switch (action) {
+    case 'update_status':
+      if (!body.status || typeof body.status !== 'string') {
+        errors.push({ field: 'status', message: 'Status is required' });
+      }
+      if (body.remarks !== undefined && (typeof body.remarks !== 'string' || body.remarks.length > 1000)) {
+        errors.push({ field: 'remarks', message: 'Remarks cannot exceed 1000 characters' });
+      }
+      break;
+    case 'set_priority':
+      if (!PRIORITIES.includes(body.priority)) {
+        errors.push({ field: 'priority', message: `Priority must be one of: ${PRIORITIES.join(', ')}` });
+      }
+      break;
+    case 'update_tags': {
+      const addTags = body.addTags || [];
+      const removeTags = body.removeTags || [];
+      if (!isTagList(addTags) || !isTagList(removeTags)) {
+        errors.push({ field: 'addTags', message: 'Tags must be non-empty strings with max 50 characters' });
+      } else if (addTags.length === 0 && removeTags.length === 0) {
+        errors.push({ field: 'addTags', message: 'Provide addTags and/or removeTags' });
+      }
+      break;
+    }
+    case 'delete':
+      // Deleting by filter is easy to get wrong, so it must be confirmed
+      if (body.confirm !== true) {
+        errors.push({ field: 'confirm', message: 'Set confirm to true to delete applications' });
+      }
+      break;
+  }
+
+  return errors;
+};
+
+// Apply the requested action to one application. Resolves to the per-item
+// result; failures are thrown with an optional `code`.
+const applyBulkAction = async (application, body, { userId, getWorkflow }) => {
+  const result = { applicationId: application.applicationId, success: true };
+
+  switch (body.action) {
+    case 'update_status': {
+      if (application.status === body.status) {
+        return { ...result, skipped: true, message: `Already in '${body.status}'` };
+      }
+      const remarks = body.remarks || '';
+      await application.updateStatus(body.status, userId, remarks, {
+        workflow: await getWorkflow(application),
+        updateStats: false
+      });
+      return { ...result, status: application.status };
+    }
+
+    case 'set_priority':
+      application.priority = body.priority;
+      application.interactions.push({
+        type: 'note_added',
+        details: `Priority changed to ${body.priority} (bulk update)`,
+        performedBy: userId
+      });
+      await application.save();
+      return { ...result, priority: application.priority };
+
+    case 'update_tags': {
+      const removeTags = (body.removeTags || []).map(tag => tag.trim());
+      const addTags = (body.addTags || []).map(tag => tag.trim());
+      const tags = application.tags.filter(tag => !removeTags.includes(tag));
+      addTags.forEach(tag => {
+        if (!tags.includes(tag)) tags.push(tag);
+      });
+
+      application.tags = tags;
+      application.interactions.push({
+        type: 'note_added',
+        details: `Tags updated (bulk update): ${tags.join(', ')}`,
+        performedBy: userId
+      });
+      await application.save();
+      return { ...result, tags: application.tags };
+    }
+
+    case 'delete':
+      await deleteUploadedFiles(application.documents);
+      await Application.deleteOne({ _id: application._id });
+      return { ...result, deleted: true };
+
+    default:
+      throw new Error(`Unsupported action: ${body.action}`);
+  }
+};
+
+// @desc    Apply one action to many applications
+// @route   POST /api/applications/bulk
+// @access  Private
+const bulkUpdateApplications = async (req, res) => {
+  try {
+    const errors = validateBulkRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { action, applicationIds, filter } = req.body;
+    const results = [];
+    let applications;
+
+    if (applicationIds) {
+      const uniqueIds = [...new Set(applicationIds)];
+      applications = await Application.find({
+        userId: req.user.id,
+        applicationId: { $in: uniqueIds }
+      });
+
+      // Unknown IDs and applications of other users look the same
+      const found = new Set(applications.map(app => app.applicationId));
+      uniqueIds.filter(id => !found.has(id)).forEach(id => {
+        results.push({
+          applicationId: id,
+          success: false,
+          message: 'Application not found',
+          code: 'APPLICATION_NOT_FOUND'
+        });
+      });
+    } else {
+      const built = await buildApplicationFilter(req.user.id, filter);
+      if (built.error) {
+        return res.status(built.error.status).json({
+          success: false,
+          message: built.error.message,
+          code: built.error.code
+        });
+      }
+
+      const matched = await Application.countDocuments(built.filter);
+      if (matched > MAX_BULK_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          message: `The filter matches ${matched} applications; at most ${MAX_BULK_ITEMS} can be processed at once`,
+          code: 'TOO_MANY_APPLICATIONS'
+        });
+      }
+
+      applications = await Application.find(built.filter);
+    }
+
+    // Each form's workflow is loaded once
+    const workflows = new Map();
+    const getWorkflow = async (application) => {
+      const key = String(application.formId);
+      if (!workflows.has(key)) {
+        const form = application.formId ? await Form.findById(application.formId).select('workflow') : null;
+        workflows.set(key, form ? form.getWorkflow() : DEFAULT_RESOLVED_WORKFLOW);
+      }
+      return workflows.get(key);
+    };
+
+    const touchedForms = new Set();
+
+    for (const application of applications) {
+      try {
+        const result = await applyBulkAction(application, req.body, { userId: req.user.id, getWorkflow });
+        results.push(result);
+        if (!result.skipped && application.formId) {
+          touchedForms.add(String(application.formId));
+        }
+      } catch (error) {
+        results.push({
+          applicationId: application.applicationId,
+          success: false,
+          message: error.message,
+          code: error.code || 'BULK_ITEM_FAILED'
+        });
+      }
+    }
+
+    // Statistics are recomputed once instead of per application
+    if (touchedForms.size > 0) {
+      const user = await User.findById(req.user.id);
+      if (user) {
+        await user.updateStats();
+      }
+
+      const forms = await Form.find({ _id: { $in: [...touchedForms] } });
+      for (const form of forms) {
+        await form.updateStats();
+      }
+    }
+
+    const summary = {
+      requested: results.length,
+      succeeded: results.filter(r => r.success && !r.skipped).length,
+      skipped: results.filter(r => r.skipped).length,
+      failed: results.filter(r => !r.success).length
+    };
+
+    console.log(`[APP] Bulk ${action}: ${summary.succeeded}/${summary.requested} succeeded by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Bulk ${action} processed: ${summary.succeeded} succeeded, ${summary.skipped} skipped, ${summary.failed} failed`,
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('[APP] Bulk operation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  bulkUpdateApplications
+};
@@ -0,0 +1,380 @@
+const ApplicationDraft = require('../models/ApplicationDraft');
+const {
+  uploadMiddleware,
+  deleteUploadedFiles,
+  buildApplicationData,
+  saveSubmission
+} = require('./applicationController');
+const { isEmailVerified, clearEmailVerification } = require('./otpController');
+const { toDocuments, mergeDocuments } = require('../utils/documentSlots');
+
+// Body keys that control the draft itself rather than carry answers
+const DRAFT_CONTROL_KEYS = ['resumeToken', 'email'];
+
+// The resume token may be sent as a header, in the body or as a query parameter
+const getResumeToken = (req) => {
+  return req.get('X-Resume-Token') || (req.body && req.body.resumeToken) || req.query.token || null;
+};
+
+// Merge newly posted answers into the stored draft data
+const mergeDraftData = (draft, body) => {
+  const data = { ...(draft.data || {}) };
+
+  Object.keys(body || {}).forEach(key => {
+    if (!DRAFT_CONTROL_KEYS.includes(key)) {
+      data[key] = body[key];
+    }
+  });
+
+  data.email = draft.email;
+  draft.data = data;
+  draft.markModified('data');
+};
+
+// Attach newly uploaded documents; a slot that receives new files has its
+// previous files replaced. Uploads into slots the form lacks are dropped.
+const attachDraftFiles = async (draft, form, files) => {
+  if (!files || files.length === 0) return;
+
+  const slotKeys = form.getDocumentSlots().map(slot => slot.key);
+  const uploaded = toDocuments(files);
+
+  await deleteUploadedFiles(uploaded.filter(doc => !slotKeys.includes(doc.slot)));
+
+  const { documents, replaced } = mergeDocuments(
+    draft.toObject().documents,
+    uploaded.filter(doc => slotKeys.includes(doc.slot))
+  );
+
+  await deleteUploadedFiles(replaced);
+  draft.documents = documents;
+};
+
+const draftNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Draft not found or expired',
+  code: 'DRAFT_NOT_FOUND'
+});
+
+const missingResumeToken = (res) => res.status(400).json({
+  success: false,
+  message: 'Resume token is required',
+  code: 'MISSING_RESUME_TOKEN'
+});
+
+// @desc    Save (create or update) an application draft
+// @route   POST /api/applications/form/:formId/draft
+// @access  Public (OTP-verified email or resume token)
+const saveDraft = async (req, res) => {
+  uploadMiddleware(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      console.error('[DRAFT] Upload error:', uploadErr);
+      return res.status(400).json({
+        success: false,
+        message: uploadErr.message || 'File upload failed',
+        code: 'FILE_UPLOAD_ERROR'
+      });
+    }
+
+    try {
+      const { form } = req; // Set by validateFormAccess middleware
+
+      const availability = form.getAvailability();
+      if (availability.status === 'closed') {
+        await deleteUploadedFiles(req.files);
+        return res.status(403).json({
+          success: false,
+          message: availability.message,
+          code: availability.code,
+          availability
+        });
+      }
+
+      const token = getResumeToken(req);
+      let draft;
+      let resumeToken = null;
+
+      if (token) {
+        draft = await ApplicationDraft.findByResumeToken(token, form._id);
+        if (!draft) {
+          await deleteUploadedFiles(req.files);
+          return draftNotFound(res);
+        }
+      } else {
+        // Starting (or recovering) a draft requires an OTP-verified email
+        const { email } = req.body;
+        if (!email || !isEmailVerified(email)) {
+          await deleteUploadedFiles(req.files);
+          return res.status(400).json({
+            success: false,
+            message: 'Email verification required. Please verify your email first.',
+            code: 'EMAIL_NOT_VERIFIED'
+          });
+        }
+
+        const normalizedEmail = email.toLowerCase().trim();
+        const issued = ApplicationDraft.generateResumeToken();
+        resumeToken = issued.token;
+
+        // A re-verified applicant gets their existing draft back with a new token
+        draft = await ApplicationDraft.findOne({
+          formId: form._id,
+          email: normalizedEmail,
+          expiresAt: { $gt: new Date() }
+        });
+
+        if (!draft) {
+          draft = new ApplicationDraft({
+            formId: form._id,
+            userId: form.userId,
+            email: normalizedEmail
+          });
+        }
+
+        draft.resumeTokenHash = issued.hash;
+      }
+
+      mergeDraftData(draft, req.body);
+      await attachDraftFiles(draft, form, req.files);
+      draft.touch();
+
+      const isNew = draft.isNew;
+      await draft.save();
+
+      console.log(`[DRAFT] Draft ${isNew ? 'created' : 'saved'}: ${draft.draftId} on ${form.formId}`);
+
+      res.status(isNew ? 201 : 200).json({
+        success: true,
+        message: 'Draft saved successfully',
+        draftId: draft.draftId,
+        ...(resumeToken && { resumeToken }),
+        lastSavedAt: draft.lastSavedAt,
+        expiresAt: draft.expiresAt
+      });
+
+    } catch (error) {
+      console.error('[DRAFT] Save draft error:', error);
+
+      await deleteUploadedFiles(req.files);
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  });
+};
+
+// @desc    Load an application draft
+// @route   GET /api/applications/form/:formId/draft
+// @access  Public (resume token)
+const getDraft = async (req, res) => {
+  try {
+    const token = getResumeToken(req);
+    if (!token) {
+      return missingResumeToken(res);
+    }
+
+    const draft = await ApplicationDraft.findByResumeToken(token, req.form._id);
+    if (!draft) {
+      return draftNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      draft: {
+        draftId: draft.draftId,
+        email: draft.email,
+        data: draft.data,
+        documents: draft.toJSON().documents,
+        lastSavedAt: draft.lastSavedAt,
+        expiresAt: draft.expiresAt
+      },
+      availability: req.form.getAvailability()
+    });
+
+  } catch (error) {
+    console.error('[DRAFT] Get draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Submit a draft as a final application
+// @route   POST /api/applications/form/:formId/draft/submit
+// @access  Public (resume token)
+const submitDraft = async (req, res) => {
+  uploadMiddleware(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      console.error('[DRAFT] Upload error:', uploadErr);
+      return res.status(400).json({
+        success: false,
+        message: uploadErr.message || 'File upload failed',
+        code: 'FILE_UPLOAD_ERROR'
+      });
+    }
+
+    try {
+      const { form, formOwner } = req;
+
+      const token = getResumeToken(req);
+      if (!token) {
+        await deleteUploadedFiles(req.files);
+        return missingResumeToken(res);
+      }
+
+      const draft = await ApplicationDraft.findByResumeToken(token, form._id);
+      if (!draft) {
+        await deleteUploadedFiles(req.files);
+        return draftNotFound(res);
+      }
+
+      // Keep any last-minute changes in the draft even if submission fails
+      mergeDraftData(draft, req.body);
+      await attachDraftFiles(draft, form, req.files);
+      draft.touch();
+      await draft.save();
+
+      const availability = form.getAvailability();
+      if (availability.status !== 'open') {
+        return res.status(403).json({
+          success: false,
+          message: availability.message,
+          code: availability.code,
+          availability
+        });
+      }
+
+      const built = buildApplicationData(form, draft.data, draft.toObject().documents);
+
+      if (!built.applicationData) {
+        return res.status(400).json({
+          success: false,
+          message: built.message,
+          ...(built.errors && { errors: built.errors }),
+          code: built.code
+        });
+      }
+
+      const application = await saveSubmission(form, formOwner, {
+        ...built.applicationData,
+        ipAddress: req.ip || req.connection.remoteAddress
+      });
+
+      if (!application) {
+        return res.status(403).json({
+          success: false,
+          message: 'This form has reached its maximum number of applications',
+          code: 'FORM_CAPACITY_REACHED'
+        });
+      }
+
+      await deleteUploadedFiles(built.discarded);
+
+      await ApplicationDraft.deleteOne({ _id: draft._id });
+      clearEmailVerification(draft.email);
+
+      console.log(`[DRAFT] Draft submitted: ${draft.draftId} -> ${application.applicationId}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Application submitted successfully',
+        applicationId: application.applicationId,
+        submissionTime: application.submissionTime
+      });
+
+    } catch (error) {
+      console.error('[DRAFT] Submit draft error:', error);
+
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  });
+};
+
+// @desc    Discard an application draft
+// @route   DELETE /api/applications/form/:formId/draft
+// @access  Public (resume token)
+const deleteDraft = async (req, res) => {
+  try {
+    const token = getResumeToken(req);
+    if (!token) {
+      return missingResumeToken(res);
+    }
+
+    const draft = await ApplicationDraft.findByResumeToken(token, req.form._id);
+    if (!draft) {
+      return draftNotFound(res);
+    }
+
+    await deleteUploadedFiles(draft.documents);
+
+    await ApplicationDraft.deleteOne({ _id: draft._id });
+
+    console.log(`[DRAFT] Draft discarded: ${draft.draftId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('[DRAFT] Delete draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// Delete expired drafts and their uploaded files. Expired drafts can no
+// longer be resumed; the server runs this periodically so their files do
+// not outlive them. Resolves to the number of drafts removed.
+const sweepExpiredDrafts = async () => {
+  const now = new Date();
+  const drafts = await ApplicationDraft.findExpired(now);
+  let removed = 0;
+
+  for (const draft of drafts) {
+    const result = await ApplicationDraft.deleteOne({ _id: draft._id, expiresAt: { $lte: now } });
+    if (result.deletedCount > 0) {
+      await deleteUploadedFiles(draft.documents);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`[DRAFT] Removed ${removed} expired draft(s) and their files`);
+  }
+  return removed;
+};
+
+module.exports = {
+  sweepExpiredDrafts,
+  saveDraft,
+  getDraft,
+  submitDraft,
+  deleteDraft
+};
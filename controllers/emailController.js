@@ -1,7 +1,13 @@
 const EmailTemplate = require('../models/EmailTemplate');
 const Application = require('../models/Application');
 const User = require('../models/User');
+const Form = require('../models/Form');
 const nodemailer = require('nodemailer');
+const { buildFilterWithView } = require('../utils/savedViews');
+
+// Most recipients a saved view may select for one bulk send (the same
+// limit as for explicit application IDs)
+const MAX_VIEW_RECIPIENTS = 100;
 
 // Email transporter configuration
 const createTransporter = () => {
@@ -24,7 +30,7 @@ const createTransporter = () => {
 // @access  Private
 const createTemplate = async (req, res) => {
   try {
-    const { name, subject, body, variables, category, isDraft } = req.body;
+    const { name, subject, body, variables, category, isDraft, formId } = req.body;
 
     // Validate required fields
     if (!name || !subject || !body) {
@@ -50,8 +56,22 @@ const createTemplate = async (req, res) => {
       });
     }
 
+    // Optionally attach the template to one of the user's forms
+    let form = null;
+    if (formId) {
+      form = await Form.findOwnedForm(formId, req.user.id);
+      if (!form) {
+        return res.status(404).json({
+          success: false,
+          message: 'Form not found',
+          code: 'FORM_NOT_FOUND'
+        });
+      }
+    }
+
     const template = new EmailTemplate({
       userId: req.user.id,
+      formId: form ? form._id : null,
       name: name.trim(),
       subject: subject.trim(),
       body: body.trim(),
@@ -100,7 +120,7 @@ const createTemplate = async (req, res) => {
 // @access  Private
 const getTemplates = async (req, res) => {
   try {
-    const { category, includeDrafts, page = 1, limit = 20 } = req.query;
+    const { category, includeDrafts, formId, page = 1, limit = 20 } = req.query;
     
     const options = {
       category: category !== 'all' ? category : undefined,
@@ -119,6 +139,19 @@ const getTemplates = async (req, res) => {
       query.isDraft = false;
     }
 
+    // Templates for a specific form, plus the user's shared templates
+    if (formId) {
+      const form = await Form.findOwnedForm(formId, req.user.id);
+      if (!form) {
+        return res.status(404).json({
+          success: false,
+          message: 'Form not found',
+          code: 'FORM_NOT_FOUND'
+        });
+      }
+      query.formId = { $in: [form._id, null] };
+    }
+
     const templates = await EmailTemplate.find(query)
       .sort({ updatedAt: -1 })
       .skip(skip)
@@ -380,15 +413,18 @@ const duplicateTemplate = async (req, res) => {
 // @desc    Send bulk emails
 // @route   POST /api/email/send-bulk
 // @access  Private
+//
+// Recipients are either `applicationIds` or the applications matching a
+// saved view (`viewId`).
 const sendBulkEmails = async (req, res) => {
   try {
-    const { templateId, applicationIds, customVariables = {}, sendOptions = {} } = req.body;
+    const { templateId, applicationIds, viewId, formId, customVariables = {}, sendOptions = {} } = req.body;
 
     // Validate required fields
-    if (!templateId || !applicationIds || !Array.isArray(applicationIds) || applicationIds.length === 0) {
+    if (!templateId || (!viewId && (!Array.isArray(applicationIds) || applicationIds.length === 0))) {
       return res.status(400).json({
         success: false,
-        message: 'Template ID and application IDs are required',
+        message: 'Template ID and application IDs or a saved view are required',
         code: 'MISSING_REQUIRED_FIELDS'
       });
     }
@@ -409,10 +445,45 @@ const sendBulkEmails = async (req, res) => {
     }
 
     // Get applications
-    const applications = await Application.find({
+    let applicationFilter = {
       applicationId: { $in: applicationIds },
       userId: req.user.id
-    });
+    };
+
+    if (viewId) {
+      const built = await buildFilterWithView(req.user.id, { viewId, ...(formId && { formId }) });
+      if (built.error) {
+        return res.status(built.error.status).json({
+          success: false,
+          message: built.error.message,
+          ...(built.error.errors && { errors: built.error.errors }),
+          code: built.error.code
+        });
+      }
+
+      const matched = await Application.countDocuments(built.filter);
+      if (matched > MAX_VIEW_RECIPIENTS) {
+        return res.status(400).json({
+          success: false,
+          message: `The view matches ${matched} applications; at most ${MAX_VIEW_RECIPIENTS} can be emailed at once`,
+          code: 'TOO_MANY_RECIPIENTS'
+        });
+      }
+      applicationFilter = built.filter;
+    } else if (formId) {
+      // Optionally restrict recipients to a single form
+      const form = await Form.findOwnedForm(formId, req.user.id);
+      if (!form) {
+        return res.status(404).json({
+          success: false,
+          message: 'Form not found',
+          code: 'FORM_NOT_FOUND'
+        });
+      }
+      applicationFilter.formId = form._id;
+    }
+
+    const applications = await Application.find(applicationFilter);
 
     if (applications.length === 0) {
       return res.status(400).json({
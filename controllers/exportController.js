@@ -0,0 +1,168 @@
+const moment = require('moment');
+const Application = require('../models/Application');
+const Form = require('../models/Form');
+const { resolveSortField } = require('../utils/applicationFilters');
+const { buildFilterWithView } = require('../utils/savedViews');
+const { validateExportOptions, buildExportColumns, toExportRow } = require('../utils/applicationExport');
+const { toCsvRow } = require('../utils/csv');
+
+// Fields never needed by an export
+const EXCLUDED_FIELDS = '-__v -documents -reviews -interactions -emailsSent -assignedReviewers -ipAddress -metadata';
+
+// Largest number of qualifications and experience entries among the
+// exported applications, so the flattened columns are known up front
+const getRepeatedColumnCounts = async (filter) => {
+  const [counts] = await Application.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        maxQualifications: { $max: { $size: { $ifNull: ['$educationalQualifications', []] } } },
+        maxExperience: { $max: { $size: { $ifNull: ['$experience', []] } } }
+      }
+    }
+  ]);
+
+  return counts || { total: 0, maxQualifications: 0, maxExperience: 0 };
+};
+
+// Write to the response, waiting for it to drain when its buffer is full
+const writeChunk = (res, chunk) => {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      res.removeListener('drain', done);
+      res.removeListener('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+};
+
+// @desc    Export the user's applications as CSV or XLSX
+// @route   GET /api/applications/user/export
+// @access  Private
+//
+// Accepts the list filters of /api/applications/user/list plus:
+//   format          - csv (default) | xlsx
+//   columns         - comma-separated base columns and groups
+//                     (qualifications, experience, responses, scores, tags, remarks)
+//   dateFormat      - iso (default) | ist
+//   includeScores / includeTags / includeRemarks - add those groups
+//   viewId          - apply a saved view (filters, sort and columns)
+const exportApplications = async (req, res) => {
+  let cursor = null;
+
+  try {
+    const { filter, form, params, error } = await buildFilterWithView(req.user.id, req.query);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.errors && { errors: error.errors }),
+        code: error.code
+      });
+    }
+
+    const { errors, options } = validateExportOptions(params);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Custom field answers are only exported for a single form, whose
+    // field definitions name the columns
+    const customFields = form
+      ? form.getFormFields().filter(field => !field.builtIn && field.isActive !== false)
+      : [];
+
+    const forms = await Form.find({ userId: req.user.id }).select('formId title').lean();
+    const formsById = new Map(forms.map(f => [String(f._id), f]));
+    const context = {
+      dateFormat: options.dateFormat,
+      getForm: (app) => formsById.get(String(app.formId)) || {}
+    };
+
+    const counts = await getRepeatedColumnCounts(filter);
+    const columns = buildExportColumns(options, {
+      customFields,
+      maxQualifications: counts.maxQualifications,
+      maxExperience: counts.maxExperience
+    });
+
+    const sortOrder = params.sortOrder === 'asc' ? 1 : -1;
+    cursor = Application.find(filter)
+      .sort({ [resolveSortField(params.sortBy)]: sortOrder })
+      .select(options.columns.has('remarks') ? EXCLUDED_FIELDS : `${EXCLUDED_FIELDS} -statusHistory`)
+      .lean()
+      .cursor();
+
+    const fileName = `${form ? form.formId : 'applications'}-${moment().format('YYYYMMDD-HHmmss')}.${options.format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    let exported = 0;
+
+    if (options.format === 'xlsx') {
+      // Loaded on demand: only XLSX exports need it
+      const ExcelJS = require('exceljs');
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const sheet = workbook.addWorksheet('Applications');
+      sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: Math.min(Math.max(column.header.length + 2, 12), 40)
+      }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+
+      for (let app = await cursor.next(); app && !res.destroyed; app = await cursor.next()) {
+        sheet.addRow(toExportRow(app, columns, context)).commit();
+        exported++;
+      }
+
+      sheet.commit();
+      await workbook.commit();
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+
+      await writeChunk(res, toCsvRow(columns.map(column => column.header)));
+
+      for (let app = await cursor.next(); app && !res.destroyed; app = await cursor.next()) {
+        await writeChunk(res, toCsvRow(toExportRow(app, columns, context)));
+        exported++;
+      }
+
+      res.end();
+    }
+
+    console.log(`[APP] Exported ${exported} of ${counts.total} applications as ${options.format} for ${req.user.username}`);
+
+  } catch (error) {
+    console.error('[APP] Export applications error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  } finally {
+    if (cursor) {
+      await cursor.close().catch(() => {});
+    }
+  }
+};
+
+module.exports = {
+  exportApplications
+};
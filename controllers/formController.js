@@ -0,0 +1,700 @@
+const Form = require('../models/Form');
+const Application = require('../models/Application');
+const ApplicationDraft = require('../models/ApplicationDraft');
+const { DEFAULT_TIMEZONE, parseScheduleDate } = require('../utils/formSchedule');
+const { evaluateEligibility } = require('../utils/eligibility');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Configure multer for advertisement uploads
+const storage = multer.diskStorage({
+  destination: async function (req, file, cb) {
+    const uploadDir = path.join(__dirname, '..', 'uploads', 'advertisements');
+    try {
+      await fs.access(uploadDir);
+    } catch (error) {
+      await fs.mkdir(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const extension = path.extname(file.originalname);
+    cb(null, 'ad-' + uniqueSuffix + extension);
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'];
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only JPEG, PNG, GIF images and PDF files are allowed'), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: fileFilter
+});
+
+// Apply the editable configuration fields from a request body to a form
+const applyFormConfig = (form, body) => {
+  const { title, description, customHeadings, fields, isActive, acceptingApplications } = body;
+
+  if (title !== undefined) form.title = title;
+  if (description !== undefined) form.description = description;
+  if (customHeadings !== undefined) form.customHeadings = customHeadings;
+  if (fields !== undefined) form.fields = fields;
+  if (body.documentSlots !== undefined) form.documentSlots = body.documentSlots || [];
+
+  // null restores the default workflow
+  if (body.workflow !== undefined) {
+    const workflow = body.workflow || {};
+    form.workflow = {
+      initialStage: workflow.initialStage || null,
+      stages: workflow.stages || [],
+      transitions: workflow.transitions || []
+    };
+  }
+
+  // null restores the default rubric
+  if (body.rubric !== undefined) {
+    const rubric = body.rubric || {};
+    form.rubric = {
+      scale: rubric.scale || { min: 0, max: 10 },
+      criteria: rubric.criteria || [],
+      disagreementThreshold: rubric.disagreementThreshold !== undefined ? rubric.disagreementThreshold : null
+    };
+  }
+
+  // null restores the default conversions
+  if (body.grading !== undefined) {
+    const grading = body.grading || {};
+    form.grading = {
+      conversions: grading.conversions || {},
+      divisionPercentages: grading.divisionPercentages || {}
+    };
+  }
+
+  // Switching blind review on or off is audited; revealing identities goes
+  // through the unblind endpoint instead
+  if (body.blindReview !== undefined) {
+    const blind = body.blindReview || { enabled: false };
+    const wasEnabled = Boolean(form.blindReview && form.blindReview.enabled);
+    const enabled = blind.enabled !== undefined ? blind.enabled : wasEnabled;
+
+    if (blind.hiddenFields !== undefined) form.blindReview.hiddenFields = blind.hiddenFields;
+    if (blind.hiddenSlots !== undefined) form.blindReview.hiddenSlots = blind.hiddenSlots;
+
+    if (enabled !== wasEnabled) {
+      form.blindReview.enabled = enabled;
+      if (enabled) {
+        form.blindReview.unblinded = false;
+        form.blindReview.unblindedAt = null;
+        form.blindReview.unblindedBy = null;
+      }
+      form.logBlindReviewAction(enabled ? 'enabled' : 'disabled', form.userId);
+    }
+  }
+  if (isActive !== undefined) form.isActive = isActive;
+  if (acceptingApplications !== undefined) form.acceptingApplications = acceptingApplications;
+
+  // Schedule dates without an offset are wall-clock times in the form's timezone
+  if (body.schedule !== undefined) {
+    const schedule = body.schedule || {};
+    const current = form.schedule || {};
+    const timezone = schedule.timezone || current.timezone || DEFAULT_TIMEZONE;
+
+    form.schedule = {
+      timezone,
+      opensAt: schedule.opensAt !== undefined
+        ? parseScheduleDate(schedule.opensAt, timezone)
+        : current.opensAt,
+      closesAt: schedule.closesAt !== undefined
+        ? parseScheduleDate(schedule.closesAt, timezone, { endOfDay: true })
+        : current.closesAt
+    };
+  }
+
+  if (body.eligibility !== undefined) {
+    const rules = body.eligibility || { enabled: false };
+    const timezone = (form.schedule && form.schedule.timezone) || DEFAULT_TIMEZONE;
+    const age = rules.age || {};
+    const exam = rules.professionalExam || {};
+    const experience = rules.experience || {};
+
+    form.eligibility = {
+      enabled: rules.enabled !== undefined ? Boolean(rules.enabled) : true,
+      enforcement: rules.enforcement || 'flag',
+      age: {
+        min: age.min !== undefined ? age.min : null,
+        max: age.max !== undefined ? age.max : null,
+        cutoffDate: parseScheduleDate(age.cutoffDate, timezone, { endOfDay: true }) || null
+      },
+      ageRelaxation: rules.ageRelaxation || [],
+      minimumPercentages: rules.minimumPercentages || [],
+      requiredQualifications: rules.requiredQualifications || [],
+      professionalExam: {
+        required: Boolean(exam.required),
+        name: exam.name || '',
+        validOn: parseScheduleDate(exam.validOn, timezone, { endOfDay: true }) || null
+      },
+      experience: {
+        relevantKeywords: (experience.relevantKeywords || []).map(keyword => keyword.trim())
+      },
+      updatedAt: new Date()
+    };
+  }
+
+  if (body.maxSubmissions !== undefined) {
+    form.maxSubmissions = body.maxSubmissions === null || body.maxSubmissions === ''
+      ? null
+      : Number(body.maxSubmissions);
+  }
+};
+
+// Applications may not be left in a stage a new workflow drops. Responds
+// with 409 and resolves to false when the change must be refused.
+const ensureWorkflowStagesKept = async (form, body, res) => {
+  if (body.workflow === undefined || form.isNew) return true;
+
+  const stageKeys = form.getWorkflow().stages.map(stage => stage.key);
+  const statusesInUse = await Application.distinct('status', { formId: form._id });
+  const missing = statusesInUse.filter(status => !stageKeys.includes(status));
+
+  if (missing.length === 0) return true;
+
+  res.status(409).json({
+    success: false,
+    message: `Applications are still in stages the new workflow removes: ${missing.join(', ')}`,
+    code: 'WORKFLOW_STAGE_IN_USE',
+    stagesInUse: missing
+  });
+  return false;
+};
+
+// Existing reviews must stay valid under a new rubric: no scores for
+// criteria it drops or outside its scale. Responds with 409 and resolves to
+// false when the change must be refused.
+const ensureRubricScoresKept = async (form, body, res) => {
+  if (body.rubric === undefined || form.isNew) return true;
+
+  const rubric = form.getRubric();
+  const criteriaInUse = await Application.distinct('reviews.scores.criterion', { formId: form._id });
+  const missing = criteriaInUse.filter(key => !rubric.criteria.some(criterion => criterion.key === key));
+
+  if (missing.length > 0) {
+    res.status(409).json({
+      success: false,
+      message: `Applications have been scored on criteria the new rubric removes: ${missing.join(', ')}`,
+      code: 'RUBRIC_CRITERION_IN_USE',
+      criteriaInUse: missing
+    });
+    return false;
+  }
+
+  const outOfScale = await Application.countDocuments({
+    formId: form._id,
+    reviews: {
+      $elemMatch: {
+        scores: {
+          $elemMatch: {
+            $or: [{ score: { $lt: rubric.scale.min } }, { score: { $gt: rubric.scale.max } }]
+          }
+        }
+      }
+    }
+  });
+
+  if (outOfScale > 0) {
+    res.status(409).json({
+      success: false,
+      message: `${outOfScale} applications have scores outside the new scale of ${rubric.scale.min}-${rubric.scale.max}`,
+      code: 'RUBRIC_SCALE_IN_USE'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// @desc    Create a new form (position)
+// @route   POST /api/forms
+// @access  Private
+const createForm = async (req, res) => {
+  try {
+    if (!req.body.title || typeof req.body.title !== 'string' || !req.body.title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Form title is required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const form = new Form({ userId: req.user.id });
+    applyFormConfig(form, req.body);
+
+    await form.save();
+
+    console.log(`[FORM] Form created: ${form.formId} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Form created successfully',
+      form,
+      fields: form.getFormFields(),
+      documentSlots: form.getDocumentSlots(),
+      workflow: form.getWorkflow(),
+      rubric: form.getRubric(),
+      grading: form.getGrading(),
+      formLink: form.getFormLink(),
+      availability: form.getAvailability()
+    });
+
+  } catch (error) {
+    console.error('[FORM] Create form error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Get the authenticated user's forms
+// @route   GET /api/forms
+// @access  Private
+const getForms = async (req, res) => {
+  try {
+    // Make sure legacy single-form accounts have their default form
+    await Form.getOrCreateDefault(req.user.id);
+
+    const query = { userId: req.user.id };
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const forms = await Form.find(query).sort({ isDefault: -1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      forms: forms.map(form => ({
+        ...form.toJSON(),
+        formLink: form.getFormLink(),
+        availability: form.getAvailability()
+      }))
+    });
+
+  } catch (error) {
+    console.error('[FORM] Get forms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Get a single form
+// @route   GET /api/forms/:formId
+// @access  Private
+const getForm = async (req, res) => {
+  try {
+    const form = req.form; // Set by checkFormOwnership middleware
+
+    res.status(200).json({
+      success: true,
+      form,
+      fields: form.getFormFields(),
+      documentSlots: form.getDocumentSlots(),
+      workflow: form.getWorkflow(),
+      rubric: form.getRubric(),
+      grading: form.getGrading(),
+      formLink: form.getFormLink(),
+      availability: form.getAvailability()
+    });
+
+  } catch (error) {
+    console.error('[FORM] Get form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Update form configuration
+// @route   PUT /api/forms/:formId
+// @access  Private
+const updateForm = async (req, res) => {
+  try {
+    const form = req.form;
+
+    applyFormConfig(form, req.body);
+    if (!(await ensureWorkflowStagesKept(form, req.body, res))) return;
+    if (!(await ensureRubricScoresKept(form, req.body, res))) return;
+    await form.save();
+
+    // New weights or threshold change existing totals and summaries
+    if (req.body.rubric !== undefined) {
+      await Application.recomputeScoresForForm(form._id, form.getRubric());
+    }
+
+    // New conversions change the normalized percentages of recorded grades
+    if (req.body.grading !== undefined) {
+      await Application.renormalizeGradesForForm(form);
+    }
+
+    // A new cut-off date or keyword list changes age on cut-off and relevant
+    // experience; new percentages change the highest qualification percentage
+    if (req.body.eligibility !== undefined || req.body.grading !== undefined) {
+      await Application.recomputeAttributesForForm(form);
+    }
+
+    console.log(`[FORM] Form updated: ${form.formId} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Form updated successfully',
+      form,
+      fields: form.getFormFields(),
+      documentSlots: form.getDocumentSlots(),
+      workflow: form.getWorkflow(),
+      rubric: form.getRubric(),
+      grading: form.getGrading(),
+      formLink: form.getFormLink(),
+      availability: form.getAvailability()
+    });
+
+  } catch (error) {
+    console.error('[FORM] Update form error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Archive a form (applications are kept)
+// @route   DELETE /api/forms/:formId
+// @access  Private
+const deleteForm = async (req, res) => {
+  try {
+    const form = req.form;
+
+    if (form.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default form cannot be deleted',
+        code: 'DEFAULT_FORM'
+      });
+    }
+
+    // Soft delete so existing applications keep their form reference
+    form.isActive = false;
+    form.acceptingApplications = false;
+    await form.save();
+
+    console.log(`[FORM] Form archived: ${form.formId} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Form deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('[FORM] Delete form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Get statistics for a single form
+// @route   GET /api/forms/:formId/stats
+// @access  Private
+const getFormStats = async (req, res) => {
+  try {
+    const form = req.form;
+
+    await form.updateStats();
+
+    const statusDistribution = await Application.getStatsByForm(form._id);
+
+    const recentApplications = await Application.find({ formId: form._id })
+      .sort({ submissionTime: -1 })
+      .limit(5)
+      .select('applicationId name email status submissionTime');
+
+    const unfinishedDrafts = await ApplicationDraft.countActive(form.userId, form._id);
+
+    res.status(200).json({
+      success: true,
+      formId: form.formId,
+      stats: {
+        ...form.stats.toObject(),
+        unfinishedDrafts
+      },
+      statusDistribution,
+      recentApplications
+    });
+
+  } catch (error) {
+    console.error('[FORM] Get form stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Re-evaluate eligibility of every application on a form
+// @route   POST /api/forms/:formId/eligibility/re-evaluate
+// @access  Private
+const reevaluateEligibility = async (req, res) => {
+  try {
+    const form = req.form;
+    const now = new Date();
+    const summary = { eligible: 0, ineligible: 0, not_evaluated: 0, changed: 0 };
+
+    const cursor = Application.find({ formId: form._id })
+      .select('applicationId category dob educationalQualifications professionalExam professionalExamValidity submissionTime eligibility.status')
+      .cursor();
+
+    let operations = [];
+    for (let application = await cursor.next(); application; application = await cursor.next()) {
+      const verdict = evaluateEligibility(form.eligibility, application, { now });
+
+      summary[verdict.status]++;
+      if (!application.eligibility || application.eligibility.status !== verdict.status) {
+        summary.changed++;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: application._id },
+          update: { $set: { eligibility: verdict } }
+        }
+      });
+
+      if (operations.length === 500) {
+        await Application.bulkWrite(operations);
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await Application.bulkWrite(operations);
+    }
+
+    // Refresh the computed attributes with the same rules (current jobs keep growing)
+    await Application.recomputeAttributesForForm(form);
+
+    const total = summary.eligible + summary.ineligible + summary.not_evaluated;
+
+    console.log(`[FORM] Eligibility re-evaluated: ${form.formId} (${total} applications, ${summary.changed} changed) by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Eligibility re-evaluated for ${total} applications`,
+      summary: {
+        total,
+        ...summary
+      }
+    });
+
+  } catch (error) {
+    console.error('[FORM] Re-evaluate eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Upload advertisement file for a form
+// @route   POST /api/forms/:formId/advertisement
+// @access  Private
+const uploadAdvertisement = async (req, res) => {
+  const uploadMiddleware = upload.single('advertisement');
+
+  uploadMiddleware(req, res, async (err) => {
+    if (err) {
+      console.error('[FORM] Advertisement upload error:', err);
+      return res.status(400).json({
+        success: false,
+        message: err.message || 'File upload failed',
+        code: 'UPLOAD_ERROR'
+      });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded',
+          code: 'NO_FILE'
+        });
+      }
+
+      const form = req.form;
+
+      // Delete old advertisement file if exists
+      if (form.advertisement && form.advertisement.path) {
+        try {
+          await fs.unlink(form.advertisement.path);
+        } catch (deleteError) {
+          console.error('[FORM] Error deleting old advertisement:', deleteError);
+        }
+      }
+
+      form.advertisement = {
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        size: req.file.size,
+        mimeType: req.file.mimetype,
+        uploadDate: new Date(),
+        path: req.file.path
+      };
+
+      await form.save();
+
+      console.log(`[FORM] Advertisement uploaded: ${form.formId} - ${req.file.originalname}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Advertisement uploaded successfully',
+        advertisement: {
+          filename: req.file.filename,
+          originalName: req.file.originalname,
+          size: req.file.size,
+          mimeType: req.file.mimetype,
+          uploadDate: form.advertisement.uploadDate
+        }
+      });
+
+    } catch (error) {
+      console.error('[FORM] Advertisement processing error:', error);
+
+      // Clean up uploaded file on error
+      if (req.file && req.file.path) {
+        try {
+          await fs.unlink(req.file.path);
+        } catch (cleanupError) {
+          console.error('[FORM] Error cleaning up file:', cleanupError);
+        }
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  });
+};
+
+// @desc    Delete advertisement file for a form
+// @route   DELETE /api/forms/:formId/advertisement
+// @access  Private
+const deleteAdvertisement = async (req, res) => {
+  try {
+    const form = req.form;
+
+    if (!form.advertisement || !form.advertisement.path) {
+      return res.status(404).json({
+        success: false,
+        message: 'No advertisement file found',
+        code: 'NO_ADVERTISEMENT'
+      });
+    }
+
+    try {
+      await fs.unlink(form.advertisement.path);
+    } catch (deleteError) {
+      console.error('[FORM] Error deleting advertisement file:', deleteError);
+    }
+
+    form.advertisement = {
+      filename: null,
+      originalName: null,
+      size: null,
+      mimeType: null,
+      uploadDate: null,
+      path: null
+    };
+
+    await form.save();
+
+    console.log(`[FORM] Advertisement deleted: ${form.formId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Advertisement deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('[FORM] Delete advertisement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  applyFormConfig,
+  ensureWorkflowStagesKept,
+  ensureRubricScoresKept,
+  createForm,
+  getForms,
+  getForm,
+  updateForm,
+  deleteForm,
+  getFormStats,
+  reevaluateEligibility,
+  uploadAdvertisement,
+  deleteAdvertisement
+};
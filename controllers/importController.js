@@ -0,0 +1,476 @@
+const multer = require('multer');
+const path = require('path');
+const { Readable } = require('stream');
+const Application = require('../models/Application');
+const ImportBatch = require('../models/ImportBatch');
+const User = require('../models/User');
+const { buildApplicationData, deleteUploadedFiles } = require('./applicationController');
+const {
+  IMPORT_FILE_TYPES,
+  MAX_IMPORT_ROWS,
+  toCellValue,
+  isImportTarget,
+  resolveColumnMapping,
+  rowToSubmission
+} = require('../utils/applicationImport');
+
+// Spreadsheets are parsed in memory and never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (IMPORT_FILE_TYPES[path.extname(file.originalname).toLowerCase()]) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv and .xlsx files can be imported'), false);
+    }
+  }
+});
+
+// Row problems kept on the batch record
+const MAX_STORED_FAILURES = 500;
+
+const isTrue = (value) => value === true || value === 'true';
+
+// mapping/defaults arrive as JSON strings in multipart bodies
+const parseJsonOption = (value, field, errors) => {
+  if (value === undefined || value === '') return {};
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('not an object');
+    return parsed;
+  } catch (parseError) {
+    errors.push({ field, message: `${field} must be a JSON object` });
+    return {};
+  }
+};
+
+// Read the first worksheet. Resolves to { headers, rows: [{ row, values }] }
+// where row is the spreadsheet row number and values are indexed by column.
+const readSpreadsheet = async (file) => {
+  // Loaded on demand: only imports and XLSX exports need it
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  const type = IMPORT_FILE_TYPES[path.extname(file.originalname).toLowerCase()];
+
+  let sheet;
+  if (type === 'xlsx') {
+    await workbook.xlsx.load(file.buffer);
+    sheet = workbook.worksheets[0];
+  } else {
+    // Keep CSV cells as text so phone numbers and IDs are not turned into numbers
+    sheet = await workbook.csv.read(Readable.from([file.buffer]), { map: value => value });
+  }
+
+  if (!sheet || sheet.rowCount === 0) {
+    return { type, headers: [], rows: [] };
+  }
+
+  // ExcelJS row values are 1-based
+  const headers = (sheet.getRow(1).values || []).slice(1).map(toCellValue);
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, number) => {
+    if (number === 1) return;
+    const values = (row.values || []).slice(1);
+    if (values.some(value => {
+      const cell = toCellValue(value);
+      return cell !== null && String(cell).trim() !== '';
+    })) {
+      rows.push({ row: number, values });
+    }
+  });
+
+  return { type, headers, rows };
+};
+
+// Validate one row with the public submission rules and the schema.
+// Resolves to { application } or { errors }.
+const prepareRow = async (values, { columns, form, defaults, userId, batchId }) => {
+  const { body, record, errors } = rowToSubmission(values, columns, form, defaults);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const built = buildApplicationData(form, body, [], { documentsRequired: false });
+  if (!built.applicationData) {
+    return { errors: built.errors || [{ field: 'row', message: built.message }] };
+  }
+
+  const application = new Application({
+    ...built.applicationData,
+    ...record,
+    userId,
+    metadata: {
+      source: 'import',
+      importBatchId: batchId
+    }
+  });
+
+  try {
+    await application.validate();
+  } catch (validationError) {
+    if (validationError.name !== 'ValidationError') throw validationError;
+    return {
+      errors: Object.values(validationError.errors).map(err => ({ field: err.path, message: err.message }))
+    };
+  }
+
+  return { application };
+};
+
+// @desc    Import applications from a CSV/XLSX file (dry run by default)
+// @route   POST /api/forms/:formId/imports
+// @access  Private
+//
+// Multipart fields:
+//   file             - .csv or .xlsx, first row holds the headers
+//   mapping          - JSON { "<header>": "<target>" | null } overriding the
+//                      automatic column matching
+//   defaults         - JSON { "<target>": value } for empty cells, e.g.
+//                      { "declarationAgreed": true }
+//   dryRun           - false to commit the valid rows (default true)
+//   allowDuplicates  - true to import emails that already applied to the form
+//
+// Rows are validated with the public submission rules (documents are not
+// required); OTP verification, the submission cap and confirmation mails
+// do not apply to imports.
+const importApplications = async (req, res) => {
+  upload.single('file')(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      console.error('[FORM] Import upload error:', uploadErr);
+      return res.status(400).json({
+        success: false,
+        message: uploadErr.message || 'File upload failed',
+        code: 'UPLOAD_ERROR'
+      });
+    }
+
+    try {
+      const form = req.form;
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded',
+          code: 'NO_FILE'
+        });
+      }
+
+      const optionErrors = [];
+      const explicitMapping = parseJsonOption(req.body.mapping, 'mapping', optionErrors);
+      const defaults = parseJsonOption(req.body.defaults, 'defaults', optionErrors);
+      if (optionErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: optionErrors,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const dryRun = req.body.dryRun === undefined || !(req.body.dryRun === false || req.body.dryRun === 'false');
+      const allowDuplicates = isTrue(req.body.allowDuplicates);
+
+      let sheet;
+      try {
+        sheet = await readSpreadsheet(req.file);
+      } catch (parseError) {
+        console.error('[FORM] Import parse error:', parseError);
+        return res.status(400).json({
+          success: false,
+          message: 'The file could not be read as a spreadsheet',
+          code: 'INVALID_SPREADSHEET'
+        });
+      }
+
+      if (sheet.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'The file has no data rows',
+          code: 'EMPTY_SPREADSHEET'
+        });
+      }
+      if (sheet.rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          success: false,
+          message: `The file has ${sheet.rows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once`,
+          code: 'TOO_MANY_ROWS'
+        });
+      }
+
+      const { columns, unmapped, errors: mappingErrors } = resolveColumnMapping(sheet.headers, form, explicitMapping);
+      Object.keys(defaults)
+        .filter(target => !isImportTarget(target, form))
+        .forEach(target => mappingErrors.push({ field: `defaults.${target}`, message: `Unknown import target '${target}'` }));
+
+      if (mappingErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'The columns could not be mapped',
+          errors: mappingErrors,
+          mapping: columns.map(({ header, target }) => ({ header, target })),
+          unmappedColumns: unmapped,
+          code: 'INVALID_MAPPING'
+        });
+      }
+
+      const batch = new ImportBatch({
+        formId: form._id,
+        userId: form.userId,
+        fileName: req.file.originalname,
+        fileType: sheet.type,
+        mapping: columns.map(({ header, target }) => ({ header, target })),
+        importedBy: req.user.id
+      });
+
+      const existingEmails = allowDuplicates
+        ? new Set()
+        : new Set(await Application.distinct('email', { formId: form._id }));
+      const seenEmails = new Map();
+
+      const results = [];
+      const valid = [];
+
+      for (const { row, values } of sheet.rows) {
+        const prepared = await prepareRow(values, {
+          columns,
+          form,
+          defaults,
+          userId: form.userId,
+          batchId: batch.batchId
+        });
+
+        if (prepared.errors) {
+          results.push({ row, valid: false, errors: prepared.errors });
+          continue;
+        }
+
+        const email = prepared.application.email;
+        if (!allowDuplicates && existingEmails.has(email)) {
+          results.push({ row, valid: false, errors: [{ field: 'email', message: `${email} has already applied to this form` }] });
+          continue;
+        }
+        if (!allowDuplicates && seenEmails.has(email)) {
+          results.push({ row, valid: false, errors: [{ field: 'email', message: `${email} is repeated (first on row ${seenEmails.get(email)})` }] });
+          continue;
+        }
+        seenEmails.set(email, row);
+
+        valid.push({ row, application: prepared.application });
+        results.push({ row, valid: true, name: prepared.application.name, email });
+      }
+
+      const report = {
+        fileName: req.file.originalname,
+        rows: sheet.rows.length,
+        valid: valid.length,
+        invalid: sheet.rows.length - valid.length,
+        mapping: batch.mapping,
+        unmappedColumns: unmapped,
+        results
+      };
+
+      if (dryRun) {
+        return res.status(200).json({
+          success: true,
+          dryRun: true,
+          message: `${valid.length} of ${sheet.rows.length} rows can be imported`,
+          report
+        });
+      }
+
+      if (valid.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid rows to import',
+          report,
+          code: 'NO_VALID_ROWS'
+        });
+      }
+
+      // Rows are saved one at a time so each gets its own application ID
+      for (const item of valid) {
+        const result = results.find(r => r.row === item.row);
+        try {
+          item.application.interactions.push({
+            type: 'note_added',
+            details: `Imported from ${req.file.originalname} (batch ${batch.batchId})`,
+            performedBy: req.user.id
+          });
+          await item.application.save();
+          result.applicationId = item.application.applicationId;
+          batch.counts.imported++;
+        } catch (saveError) {
+          console.error(`[FORM] Import row ${item.row} failed:`, saveError);
+          result.valid = false;
+          result.errors = [{ field: 'row', message: saveError.message }];
+        }
+      }
+
+      const failures = results.filter(r => !r.valid);
+      batch.counts.rows = sheet.rows.length;
+      batch.counts.failed = failures.length;
+      batch.failures = failures
+        .flatMap(({ row, errors }) => errors.map(({ field, message }) => ({ row, field, message })))
+        .slice(0, MAX_STORED_FAILURES);
+      await batch.save();
+
+      const owner = await User.findById(form.userId);
+      if (owner) {
+        await owner.updateStats();
+      }
+      await form.updateStats();
+
+      console.log(`[FORM] Imported ${batch.counts.imported}/${sheet.rows.length} rows into ${form.formId} (${batch.batchId}) by ${req.user.username}`);
+
+      res.status(201).json({
+        success: true,
+        dryRun: false,
+        message: `${batch.counts.imported} of ${sheet.rows.length} rows imported`,
+        batchId: batch.batchId,
+        report: { ...report, valid: batch.counts.imported, invalid: failures.length }
+      });
+
+    } catch (error) {
+      console.error('[FORM] Import applications error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  });
+};
+
+// @desc    List the import batches of a form
+// @route   GET /api/forms/:formId/imports
+// @access  Private
+const getImportBatches = async (req, res) => {
+  try {
+    const batches = await ImportBatch.find({ formId: req.form._id })
+      .sort({ createdAt: -1 })
+      .select('-failures -__v');
+
+    res.status(200).json({
+      success: true,
+      formId: req.form.formId,
+      batches
+    });
+
+  } catch (error) {
+    console.error('[FORM] Get import batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Get one import batch with its failed rows
+// @route   GET /api/forms/:formId/imports/:batchId
+// @access  Private
+const getImportBatch = async (req, res) => {
+  try {
+    const batch = await ImportBatch.findOne({ formId: req.form._id, batchId: req.params.batchId });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import batch not found',
+        code: 'IMPORT_BATCH_NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      batch
+    });
+
+  } catch (error) {
+    console.error('[FORM] Get import batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Roll back an import: delete every application it created
+// @route   DELETE /api/forms/:formId/imports/:batchId
+// @access  Private
+const rollbackImportBatch = async (req, res) => {
+  try {
+    const form = req.form;
+    const batch = await ImportBatch.findOne({ formId: form._id, batchId: req.params.batchId });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import batch not found',
+        code: 'IMPORT_BATCH_NOT_FOUND'
+      });
+    }
+
+    if (batch.status === 'rolled_back') {
+      return res.status(409).json({
+        success: false,
+        message: 'This import has already been rolled back',
+        code: 'IMPORT_ALREADY_ROLLED_BACK'
+      });
+    }
+
+    const filter = {
+      formId: form._id,
+      'metadata.source': 'import',
+      'metadata.importBatchId': batch.batchId
+    };
+
+    // Imported rows start without files, but documents may have been
+    // uploaded to them since; their paths are read before the records go
+    const applications = await Application.find(filter).select('documents.path').lean();
+    const result = await Application.deleteMany(filter);
+
+    for (const application of applications) {
+      await deleteUploadedFiles(application.documents);
+    }
+
+    batch.status = 'rolled_back';
+    batch.rolledBackAt = new Date();
+    batch.rolledBackBy = req.user.id;
+    batch.counts.rolledBack = result.deletedCount;
+    await batch.save();
+
+    const owner = await User.findById(form.userId);
+    if (owner) {
+      await owner.updateStats();
+    }
+    await form.updateStats();
+
+    console.log(`[FORM] Import ${batch.batchId} rolled back: ${result.deletedCount} applications removed by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Import rolled back: ${result.deletedCount} applications removed`,
+      batch
+    });
+
+  } catch (error) {
+    console.error('[FORM] Rollback import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  importApplications,
+  getImportBatches,
+  getImportBatch,
+  rollbackImportBatch
+};
@@ -0,0 +1,300 @@
+const Application = require('../models/Application');
+const Form = require('../models/Form');
+const MeritList = require('../models/MeritList');
+const { CATEGORIES } = require('../utils/eligibility');
+const { getStageCategory } = require('../utils/workflow');
+const { compileFormula } = require('../utils/formula');
+const {
+  DEFAULT_TIE_BREAKERS,
+  getFormulaVariables,
+  validateMeritListConfig,
+  buildCandidate,
+  rankCandidates,
+  allocateSeats
+} = require('../utils/meritList');
+
+const ENTRY_FIELDS = ['applicationRef', 'applicationId', 'name', 'category', 'score', 'meritRank', 'categoryRank', 'seatCategory', 'migrated', 'position'];
+
+const toEntry = (candidate) => Object.fromEntries(
+  ENTRY_FIELDS.filter(key => candidate[key] !== undefined).map(key => [key, candidate[key]])
+);
+
+// Applications in a rejected or withdrawn stage are left out unless the
+// request names the statuses to consider
+const getCandidateStatuses = (form, statuses) => {
+  if (statuses && statuses.length > 0) {
+    return statuses;
+  }
+  const workflow = form.getWorkflow();
+  return workflow.stages
+    .map(stage => stage.key)
+    .filter(key => !['rejected', 'withdrawn'].includes(getStageCategory(workflow, key)));
+};
+
+// @desc    Generate a new frozen merit list version for a form
+// @route   POST /api/forms/:formId/merit-lists
+// @access  Private
+const generateMeritList = async (req, res) => {
+  try {
+    const form = req.form;
+    const rubric = form.getRubric();
+
+    const errors = validateMeritListConfig(req.body, rubric);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const ranking = {
+      source: req.body.ranking.source,
+      formula: req.body.ranking.source === 'formula' ? req.body.ranking.formula.trim() : null
+    };
+    const formula = ranking.formula ? compileFormula(ranking.formula, getFormulaVariables(rubric)) : null;
+    const tieBreakers = req.body.tieBreakers || DEFAULT_TIE_BREAKERS;
+    const migrateToOpen = req.body.migrateToOpen !== undefined ? req.body.migrateToOpen : true;
+    const waitlistSize = req.body.waitlistSize || 0;
+    const minimumScore = req.body.minimumScore !== undefined ? req.body.minimumScore : null;
+    const statuses = getCandidateStatuses(form, req.body.statuses);
+
+    const cursor = Application.find({
+      formId: form._id,
+      status: { $in: statuses },
+      'eligibility.status': { $ne: 'ineligible' }
+    })
+      .select('applicationId name category dob educationalQualifications experience submissionTime scoreSummary')
+      .lean()
+      .cursor();
+
+    const now = new Date();
+    const candidates = [];
+    let considered = 0;
+    let unscored = 0;
+
+    for (let application = await cursor.next(); application; application = await cursor.next()) {
+      considered++;
+      const candidate = buildCandidate(application, { ranking, formula, rules: form.eligibility, now });
+      if (!candidate) {
+        unscored++;
+      } else if (minimumScore === null || candidate.score >= minimumScore) {
+        candidates.push(candidate);
+      }
+    }
+
+    const ranked = rankCandidates(candidates, tieBreakers);
+    const allocation = allocateSeats(ranked, { seats: req.body.seats, migrateToOpen, waitlistSize });
+
+    const latest = await MeritList.findOne({ formId: form._id }).sort({ version: -1 }).select('version');
+    const version = latest ? latest.version + 1 : 1;
+
+    const meritList = new MeritList({
+      formId: form._id,
+      userId: form.userId,
+      version,
+      title: req.body.title || `Merit list v${version}`,
+      config: {
+        seats: CATEGORIES
+          .filter(category => req.body.seats[category] !== undefined)
+          .map(category => ({ category, posts: req.body.seats[category] })),
+        ranking,
+        tieBreakers,
+        migrateToOpen,
+        waitlistSize,
+        minimumScore,
+        statuses
+      },
+      selected: allocation.selected.map(toEntry),
+      waitlist: allocation.waitlist.map(toEntry),
+      seats: allocation.seats,
+      counts: {
+        considered,
+        ranked: ranked.length,
+        unscored
+      },
+      generatedBy: req.user.id
+    });
+
+    await meritList.save();
+
+    console.log(`[FORM] Merit list v${version} generated for ${form.formId}: ${meritList.selected.length} selected of ${ranked.length} ranked`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Merit list generated successfully',
+      meritList
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another merit list was generated at the same time, please try again',
+        code: 'MERIT_LIST_CONFLICT'
+      });
+    }
+
+    console.error('[FORM] Generate merit list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    List the merit list versions of a form (without entries)
+// @route   GET /api/forms/:formId/merit-lists
+// @access  Private
+const getMeritLists = async (req, res) => {
+  try {
+    const meritLists = await MeritList.find({ formId: req.form._id })
+      .sort({ version: -1 })
+      .select('-selected -waitlist -__v');
+
+    res.status(200).json({
+      success: true,
+      formId: req.form.formId,
+      meritLists
+    });
+
+  } catch (error) {
+    console.error('[FORM] Get merit lists error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+const findVersion = (form, version) => {
+  const number = parseInt(version, 10);
+  return Number.isInteger(number) ? MeritList.findOne({ formId: form._id, version: number }) : null;
+};
+
+// @desc    Get one merit list version with its entries
+// @route   GET /api/forms/:formId/merit-lists/:version
+// @access  Private
+const getMeritList = async (req, res) => {
+  try {
+    const meritList = await findVersion(req.form, req.params.version);
+
+    if (!meritList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merit list not found',
+        code: 'MERIT_LIST_NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      meritList,
+      checksumValid: meritList.computeChecksum() === meritList.checksum
+    });
+
+  } catch (error) {
+    console.error('[FORM] Get merit list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Publish a merit list version, superseding the published one
+// @route   POST /api/forms/:formId/merit-lists/:version/publish
+// @access  Private
+const publishMeritList = async (req, res) => {
+  try {
+    const meritList = await findVersion(req.form, req.params.version);
+
+    if (!meritList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merit list not found',
+        code: 'MERIT_LIST_NOT_FOUND'
+      });
+    }
+
+    if (meritList.status !== 'frozen') {
+      return res.status(409).json({
+        success: false,
+        message: `Merit list is already ${meritList.status}`,
+        code: 'MERIT_LIST_NOT_FROZEN'
+      });
+    }
+
+    await MeritList.updateMany(
+      { formId: req.form._id, status: 'published' },
+      { $set: { status: 'superseded' } }
+    );
+
+    meritList.status = 'published';
+    meritList.publishedAt = new Date();
+    meritList.publishedBy = req.user.id;
+    await meritList.save();
+
+    console.log(`[FORM] Merit list v${meritList.version} published for ${req.form.formId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Merit list published successfully',
+      meritList
+    });
+
+  } catch (error) {
+    console.error('[FORM] Publish merit list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Get the published merit list of a form
+// @route   GET /api/applications/form/:formId/merit-list
+// @access  Public
+const getPublishedMeritList = async (req, res) => {
+  try {
+    // Lists are usually published after a form closes, so inactive forms count
+    const form = await Form.findOne({ formId: req.params.formId }).select('_id formId title');
+    const meritList = form && await MeritList.findOne({ formId: form._id, status: 'published' });
+
+    if (!meritList) {
+      return res.status(404).json({
+        success: false,
+        message: 'No merit list has been published for this form',
+        code: 'MERIT_LIST_NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      formId: form.formId,
+      formTitle: form.title,
+      meritList: meritList.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('[APP] Get published merit list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  generateMeritList,
+  getMeritLists,
+  getMeritList,
+  publishMeritList,
+  getPublishedMeritList
+};
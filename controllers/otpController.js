@@ -1,5 +1,6 @@
 // controllers/otpController.js
 const nodemailer = require('nodemailer');
+const jwt = require('jsonwebtoken');
 
 // SHARED OTP storage - CRITICAL: This must be exported and imported by applicationController
 const otpStorage = new Map();
@@ -15,6 +16,27 @@ const transporter = nodemailer.createTransport({
   },
 });
 
+// Check whether an email address has been verified via OTP (and not yet expired)
+const isEmailVerified = (email) => {
+  if (!email || typeof email !== 'string') return false;
+  return otpStorage.get(`${email.toLowerCase().trim()}_verified`) === true;
+};
+
+// Drop the verification once it has been used
+const clearEmailVerification = (email) => {
+  if (!email || typeof email !== 'string') return;
+  otpStorage.delete(`${email.toLowerCase().trim()}_verified`);
+};
+
+// Generate an applicant session token for the self-service portal
+const generateApplicantToken = (email) => {
+  return jwt.sign(
+    { applicantEmail: email, type: 'applicant' },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: process.env.APPLICANT_TOKEN_EXPIRY || '2h' }
+  );
+};
+
 // Generate 6-digit OTP
 const generateOTP = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
@@ -186,7 +208,9 @@ const verifyOTP = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Email verified successfully'
+      message: 'Email verified successfully',
+      // Session for the applicant portal (/api/applicant)
+      applicantToken: generateApplicantToken(normalizedEmail)
     });
 
   } catch (error) {
@@ -239,5 +263,7 @@ module.exports = {
   sendOTP,
   verifyOTP,
   checkVerification,
+  isEmailVerified,
+  clearEmailVerification,
   otpStorage // Export the storage so applicationController can import it
 };
\ No newline at end of file
@@ -0,0 +1,193 @@
+const Application = require('../models/Application');
+const Form = require('../models/Form');
+const User = require('../models/User');
+const { buildApplicationFilter } = require('../utils/applicationFilters');
+const { createApplicationPdf, renderApplication } = require('../utils/applicationPdf');
+
+// Most applications merged into one PDF
+const MAX_PDF_BATCH = 200;
+
+// Loads forms and status-history user names once per request
+const createLookups = () => {
+  const forms = new Map();
+  const users = new Map();
+
+  return {
+    getForm: async (application) => {
+      const key = String(application.formId);
+      if (!forms.has(key)) {
+        forms.set(key, application.formId ? await Form.findById(application.formId) : null);
+      }
+      return forms.get(key);
+    },
+    getChangedBy: async (application) => {
+      const ids = [...new Set((application.statusHistory || [])
+        .map(entry => entry.changedBy && String(entry.changedBy))
+        .filter(id => id && !users.has(id)))];
+
+      if (ids.length > 0) {
+        const found = await User.find({ _id: { $in: ids } }).select('firstName lastName username');
+        found.forEach(user => users.set(String(user._id), user.getFullName()));
+      }
+      return users;
+    }
+  };
+};
+
+const renderWithLookups = async (doc, application, lookups) => {
+  const form = await lookups.getForm(application);
+  const changedBy = await lookups.getChangedBy(application);
+  renderApplication(doc, application, form, { changedBy });
+};
+
+// @desc    Download a printable PDF copy of an application
+// @route   GET /api/applications/:applicationId/pdf
+// @access  Private
+const downloadApplicationPdf = async (req, res) => {
+  try {
+    const application = req.application; // Set by checkApplicationOwnership middleware
+    const doc = createApplicationPdf({ title: `Application ${application.applicationId}` });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${application.applicationId}.pdf"`);
+    doc.pipe(res);
+
+    await renderWithLookups(doc, application, createLookups());
+    doc.end();
+
+  } catch (error) {
+    console.error('[APP] Application PDF error:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Download many applications merged into one PDF
+// @route   POST /api/applications/pdf/batch
+// @access  Private
+//
+// Body: { applicationIds } (printed in the given order) or { filter }
+// (the list filters, printed in submission order)
+const downloadApplicationsPdf = async (req, res) => {
+  try {
+    const { applicationIds, filter } = req.body;
+
+    if ((applicationIds === undefined) === (filter === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'applicationIds', message: 'Provide either applicationIds or a filter' }],
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    let applications;
+
+    if (applicationIds !== undefined) {
+      if (!Array.isArray(applicationIds) || applicationIds.length === 0 || !applicationIds.every(id => typeof id === 'string')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: [{ field: 'applicationIds', message: 'applicationIds must be a non-empty array of application IDs' }],
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const uniqueIds = [...new Set(applicationIds)];
+      if (uniqueIds.length > MAX_PDF_BATCH) {
+        return res.status(400).json({
+          success: false,
+          message: `At most ${MAX_PDF_BATCH} applications can be printed at once`,
+          code: 'TOO_MANY_APPLICATIONS'
+        });
+      }
+
+      const found = await Application.find({ userId: req.user.id, applicationId: { $in: uniqueIds } });
+      const byId = new Map(found.map(app => [app.applicationId, app]));
+      const missing = uniqueIds.filter(id => !byId.has(id));
+
+      // Unknown IDs and applications of other users look the same
+      if (missing.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: `Application(s) not found: ${missing.join(', ')}`,
+          code: 'APPLICATION_NOT_FOUND'
+        });
+      }
+      applications = uniqueIds.map(id => byId.get(id));
+    } else {
+      if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: [{ field: 'filter', message: 'Filter must be an object' }],
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const built = await buildApplicationFilter(req.user.id, filter);
+      if (built.error) {
+        return res.status(built.error.status).json({
+          success: false,
+          message: built.error.message,
+          code: built.error.code
+        });
+      }
+
+      const matched = await Application.countDocuments(built.filter);
+      if (matched === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'No applications match the filter',
+          code: 'APPLICATION_NOT_FOUND'
+        });
+      }
+      if (matched > MAX_PDF_BATCH) {
+        return res.status(400).json({
+          success: false,
+          message: `The filter matches ${matched} applications; at most ${MAX_PDF_BATCH} can be printed at once`,
+          code: 'TOO_MANY_APPLICATIONS'
+        });
+      }
+
+      applications = await Application.find(built.filter).sort({ submissionTime: 1 });
+    }
+
+    const doc = createApplicationPdf({ title: `Applications (${applications.length})` });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="applications-${Date.now()}.pdf"`);
+    doc.pipe(res);
+
+    const lookups = createLookups();
+    for (const application of applications) {
+      if (res.destroyed) break;
+      await renderWithLookups(doc, application, lookups);
+    }
+    doc.end();
+
+    console.log(`[APP] Printed ${applications.length} applications to PDF for ${req.user.username}`);
+
+  } catch (error) {
+    console.error('[APP] Batch PDF error:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  downloadApplicationPdf,
+  downloadApplicationsPdf
+};
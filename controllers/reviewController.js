@@ -0,0 +1,145 @@
+const { validateReviewScores } = require('../utils/rubric');
+const { getBlindCode } = require('../utils/blindReview');
+
+const reviewerName = (user) => {
+  const fullName = [user.firstName, user.lastName].filter(Boolean).join(' ').trim();
+  return fullName || user.username || '';
+};
+
+// Scores come either as { scores: { criterion: value } } or, for the legacy
+// rating endpoint, as top-level criterion keys
+const getSubmittedScores = (body, rubric) => {
+  if (body.scores !== undefined) {
+    return body.scores;
+  }
+
+  const scores = {};
+  rubric.criteria.forEach(criterion => {
+    if (body[criterion.key] !== undefined) {
+      scores[criterion.key] = body[criterion.key];
+    }
+  });
+  return scores;
+};
+
+// @desc    Get all reviews of an application with the aggregate score
+// @route   GET /api/applications/:applicationId/reviews
+// @access  Private
+const getApplicationReviews = async (req, res) => {
+  try {
+    const application = req.application; // Set by checkApplicationOwnership middleware
+    const rubric = await application.getRubric();
+
+    res.status(200).json({
+      success: true,
+      applicationId: application.applicationId,
+      blindCode: getBlindCode(application),
+      rubric,
+      scoreSummary: application.scoreSummary,
+      reviews: application.reviews,
+      myReview: application.getReview(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('[APP] Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Add or update the current user's review of an application
+// @route   PUT /api/applications/:applicationId/review
+// @access  Private
+const submitReview = async (req, res) => {
+  try {
+    const application = req.application;
+    const rubric = await application.getRubric();
+
+    const { errors, scores } = validateReviewScores(rubric, getSubmittedScores(req.body, rubric));
+
+    // `notes` is accepted for the legacy rating endpoint
+    const comments = req.body.comments !== undefined ? req.body.comments : req.body.notes;
+    if (comments !== undefined && (typeof comments !== 'string' || comments.length > 2000)) {
+      errors.push({ field: 'comments', message: 'Comments must be a string with max 2000 characters' });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const review = application.upsertReview(rubric, {
+      id: req.user.id,
+      name: reviewerName(req.user)
+    }, {
+      scores,
+      comments: comments || ''
+    });
+
+    await application.save();
+
+    console.log(`[APP] Review saved for ${application.applicationId} by ${req.user.username}: ${review.total}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review saved successfully',
+      review,
+      scoreSummary: application.scoreSummary
+    });
+
+  } catch (error) {
+    console.error('[APP] Submit review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Remove the current user's review of an application
+// @route   DELETE /api/applications/:applicationId/review
+// @access  Private
+const deleteReview = async (req, res) => {
+  try {
+    const application = req.application;
+    const rubric = await application.getRubric();
+
+    if (!application.removeReview(rubric, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not reviewed this application',
+        code: 'REVIEW_NOT_FOUND'
+      });
+    }
+
+    await application.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Review removed successfully',
+      scoreSummary: application.scoreSummary
+    });
+
+  } catch (error) {
+    console.error('[APP] Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  getApplicationReviews,
+  submitReview,
+  deleteReview
+};
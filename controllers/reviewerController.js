@@ -0,0 +1,854 @@
+const Application = require('../models/Application');
+const User = require('../models/User');
+const Form = require('../models/Form');
+const { buildApplicationFilter } = require('../utils/applicationFilters');
+const { sendDocument } = require('./applicationController');
+const { toCsvRow } = require('../utils/csv');
+const { loadSavedView, mergeViewParams, buildSearchFilter, getBlindReviewFilterErrors } = require('../utils/savedViews');
+const {
+  getBlindCode,
+  isBlindReviewActive,
+  getHiddenFields,
+  getHiddenSlots,
+  getBlindFileName,
+  redactApplication
+} = require('../utils/blindReview');
+const {
+  MAX_ASSIGNMENT_ITEMS,
+  validateAssignmentRequest,
+  planAssignments
+} = require('../utils/reviewAssignment');
+
+// Public view of a reviewer account
+const toReviewerInfo = (user) => ({
+  userId: user.userId,
+  username: user.username,
+  name: user.getFullName(),
+  email: user.email
+});
+
+// Applications assigned to a reviewer that still wait for their review
+const countOpenAssignments = (formId, reviewerId) => Application.countDocuments({
+  formId,
+  'assignedReviewers.reviewerId': reviewerId,
+  'reviews.reviewerId': { $ne: reviewerId }
+});
+
+// @desc    List a form's reviewers with their assignment load
+// @route   GET /api/forms/:formId/reviewers
+// @access  Private
+const getFormReviewers = async (req, res) => {
+  try {
+    const form = req.form; // Set by checkFormOwnership middleware
+    const entries = form.reviewers.filter(reviewer => reviewer.isActive);
+    const users = await User.find({ _id: { $in: entries.map(entry => entry.userId) } });
+
+    const reviewers = [];
+    for (const entry of entries) {
+      const user = users.find(u => String(u._id) === String(entry.userId));
+      if (!user) continue;
+
+      const [assigned, pending] = await Promise.all([
+        Application.countDocuments({ formId: form._id, 'assignedReviewers.reviewerId': user._id }),
+        countOpenAssignments(form._id, user._id)
+      ]);
+
+      reviewers.push({
+        ...toReviewerInfo(user),
+        addedAt: entry.addedAt,
+        assigned,
+        pending,
+        completed: assigned - pending
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      formId: form.formId,
+      reviewers
+    });
+
+  } catch (error) {
+    console.error('[FORM] Get reviewers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Invite a registered user to review a form's applications
+// @route   POST /api/forms/:formId/reviewers
+// @access  Private
+const addFormReviewer = async (req, res) => {
+  try {
+    const form = req.form;
+    const { email, username } = req.body;
+
+    if ((!email || typeof email !== 'string') && (!username || typeof username !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reviewer email or username is required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const user = email ? await User.findByEmail(email.trim()) : await User.findByUsername(username.trim());
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active account found. The reviewer must register before being invited',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (String(user._id) === String(form.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The form owner cannot be added as a reviewer',
+        code: 'REVIEWER_IS_OWNER'
+      });
+    }
+
+    const existing = form.reviewers.find(reviewer => String(reviewer.userId) === String(user._id));
+    if (existing && existing.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'This user is already a reviewer of the form',
+        code: 'REVIEWER_EXISTS'
+      });
+    }
+
+    if (existing) {
+      existing.isActive = true;
+      existing.addedBy = req.user.id;
+      existing.addedAt = new Date();
+    } else {
+      form.reviewers.push({ userId: user._id, addedBy: req.user.id });
+    }
+    await form.save();
+
+    console.log(`[FORM] Reviewer ${user.username} added to ${form.formId} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reviewer added successfully',
+      reviewer: toReviewerInfo(user)
+    });
+
+  } catch (error) {
+    console.error('[FORM] Add reviewer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Remove a reviewer from a form; their open assignments are withdrawn
+// @route   DELETE /api/forms/:formId/reviewers/:reviewerId
+// @access  Private
+const removeFormReviewer = async (req, res) => {
+  try {
+    const form = req.form;
+    const user = await User.findOne({ userId: req.params.reviewerId });
+    const entry = user && form.reviewers.find(reviewer =>
+      reviewer.isActive && String(reviewer.userId) === String(user._id)
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reviewer not found on this form',
+        code: 'REVIEWER_NOT_FOUND'
+      });
+    }
+
+    entry.isActive = false;
+    await form.save();
+
+    // Scores already given stay on the applications
+    const result = await Application.updateMany(
+      { formId: form._id, 'assignedReviewers.reviewerId': user._id },
+      {
+        $pull: { assignedReviewers: { reviewerId: user._id } },
+        $push: {
+          interactions: {
+            type: 'reviewer_unassigned',
+            details: `Unassigned from reviewer ${user.getFullName()} (removed from form)`,
+            performedBy: req.user.id,
+            timestamp: new Date()
+          }
+        }
+      }
+    );
+
+    console.log(`[FORM] Reviewer ${user.username} removed from ${form.formId} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reviewer removed successfully',
+      unassigned: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('[FORM] Remove reviewer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Assign applications to reviewers manually, by round-robin or by load
+// @route   POST /api/forms/:formId/assignments
+// @access  Private
+const assignApplications = async (req, res) => {
+  try {
+    const errors = validateAssignmentRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const form = req.form;
+    const { strategy, applicationIds, filter, reviewerIds } = req.body;
+    const perApplication = req.body.reviewersPerApplication || 1;
+
+    // Candidate reviewers: the given ones, or every active reviewer
+    const activeIds = form.getActiveReviewerIds();
+    let users = await User.find({ _id: { $in: activeIds }, isActive: true });
+
+    if (reviewerIds) {
+      const unknown = reviewerIds.filter(id => !users.some(user => user.userId === id));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Not reviewers of this form: ${unknown.join(', ')}`,
+          code: 'REVIEWER_NOT_FOUND'
+        });
+      }
+      users = users.filter(user => reviewerIds.includes(user.userId));
+    }
+
+    if (users.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The form has no reviewers to assign',
+        code: 'NO_REVIEWERS'
+      });
+    }
+
+    // Keep the order reviewers were added in so round-robin turns are stable
+    users.sort((a, b) => activeIds.indexOf(String(a._id)) - activeIds.indexOf(String(b._id)));
+
+    let query;
+    if (applicationIds) {
+      query = { formId: form._id, applicationId: { $in: [...new Set(applicationIds)] } };
+    } else if (filter) {
+      const built = await buildApplicationFilter(req.user.id, { ...filter, formId: form.formId });
+      if (built.error) {
+        return res.status(built.error.status).json({
+          success: false,
+          message: built.error.message,
+          code: built.error.code
+        });
+      }
+      query = built.filter;
+    } else {
+      // Applications still short of reviewers
+      query = { formId: form._id, [`assignedReviewers.${perApplication - 1}`]: { $exists: false } };
+    }
+
+    const matched = await Application.countDocuments(query);
+    if (matched > MAX_ASSIGNMENT_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `${matched} applications match; at most ${MAX_ASSIGNMENT_ITEMS} can be assigned at once`,
+        code: 'TOO_MANY_APPLICATIONS'
+      });
+    }
+
+    const applications = await Application.find(query).sort({ submissionTime: 1 });
+
+    const loads = {};
+    if (strategy === 'load_balanced') {
+      for (const user of users) {
+        loads[String(user._id)] = await countOpenAssignments(form._id, user._id);
+      }
+    }
+
+    const { plan, cursor } = planAssignments({
+      strategy,
+      applications: applications.map(application => ({
+        id: application.applicationId,
+        assigned: application.assignedReviewers.map(assignment => String(assignment.reviewerId))
+      })),
+      reviewers: users.map(user => String(user._id)),
+      perApplication,
+      loads,
+      cursor: form.assignmentCursor
+    });
+
+    const results = [];
+    let assignments = 0;
+
+    for (const application of applications) {
+      const { reviewerIds: chosen } = plan.find(item => item.id === application.applicationId);
+      const assigned = [];
+
+      chosen.forEach(id => {
+        const user = users.find(u => String(u._id) === id);
+        if (application.assignReviewer({ id: user._id, name: user.getFullName() }, req.user.id, strategy)) {
+          assigned.push(user.userId);
+        }
+      });
+
+      if (assigned.length > 0) {
+        await application.save();
+        assignments += assigned.length;
+      }
+      results.push({ applicationId: application.applicationId, assigned });
+    }
+
+    if (strategy === 'round_robin') {
+      form.assignmentCursor = cursor;
+      await form.save();
+    }
+
+    console.log(`[FORM] ${assignments} ${strategy} assignments on ${form.formId} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: `${assignments} assignments made across ${results.filter(r => r.assigned.length > 0).length} applications`,
+      summary: {
+        applications: results.length,
+        assignments,
+        unchanged: results.filter(r => r.assigned.length === 0).length
+      },
+      results
+    });
+
+  } catch (error) {
+    console.error('[FORM] Assign applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Unassign a reviewer from one application
+// @route   DELETE /api/applications/:applicationId/reviewers/:reviewerId
+// @access  Private
+const unassignApplication = async (req, res) => {
+  try {
+    const application = req.application; // Set by checkApplicationOwnership middleware
+    const user = await User.findOne({ userId: req.params.reviewerId });
+
+    if (!user || !application.unassignReviewer({ id: user._id, name: user.getFullName() }, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reviewer is not assigned to this application',
+        code: 'ASSIGNMENT_NOT_FOUND'
+      });
+    }
+
+    await application.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Reviewer unassigned successfully'
+    });
+
+  } catch (error) {
+    console.error('[APP] Unassign reviewer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    List the forms the current user reviews
+// @route   GET /api/reviewer/forms
+// @access  Reviewer
+const getReviewerForms = async (req, res) => {
+  try {
+    const forms = await Form.find({
+      reviewers: { $elemMatch: { userId: req.user.id, isActive: true } }
+    }).sort({ createdAt: -1 });
+
+    const result = [];
+    for (const form of forms) {
+      const [assigned, pending] = await Promise.all([
+        Application.countDocuments({ formId: form._id, 'assignedReviewers.reviewerId': req.user.id }),
+        countOpenAssignments(form._id, req.user.id)
+      ]);
+
+      result.push({
+        formId: form.formId,
+        title: form.title,
+        rubric: form.getRubric(),
+        assigned,
+        pending
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      forms: result
+    });
+
+  } catch (error) {
+    console.error('[REVIEWER] Get forms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    List the applications assigned to the current user
+// @route   GET /api/reviewer/applications
+// @access  Reviewer
+//
+// viewId applies a saved view of the form (the reviewer's own or a shared
+// one) within the reviewer's assignments.
+const getReviewQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    let viewFilter = {};
+    let view = null;
+    let formId = req.query.formId;
+
+    if (req.query.viewId) {
+      const loaded = await loadSavedView(req.query.viewId, req.user.id, { formId: formId || null });
+      if (loaded.error) {
+        return res.status(loaded.error.status).json({
+          success: false,
+          message: loaded.error.message,
+          code: loaded.error.code
+        });
+      }
+
+      const blindErrors = isBlindReviewActive(loaded.form) ? getBlindReviewFilterErrors(loaded.view.filters) : [];
+      if (blindErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Views that search by name, text or identity fields cannot be used while blind review is on',
+          errors: blindErrors,
+          code: 'VIEW_NOT_ALLOWED_IN_BLIND_REVIEW'
+        });
+      }
+
+      const built = await buildSearchFilter(loaded.form.userId, mergeViewParams(loaded.view, loaded.form));
+      if (built.error) {
+        return res.status(built.error.status).json({
+          success: false,
+          message: built.error.message,
+          ...(built.error.errors && { errors: built.error.errors }),
+          code: built.error.code
+        });
+      }
+
+      viewFilter = built.filter;
+      view = loaded.view;
+      formId = loaded.form.formId;
+    }
+
+    const formQuery = { reviewers: { $elemMatch: { userId: req.user.id, isActive: true } } };
+    if (formId) formQuery.formId = formId;
+    const forms = await Form.find(formQuery).select('formId title blindReview');
+
+    if (formId && forms.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found',
+        code: 'FORM_NOT_FOUND'
+      });
+    }
+
+    // The reviewer's own assignments always apply, whatever the view says
+    const filter = {
+      ...viewFilter,
+      formId: { $in: forms.map(form => form._id) },
+      'assignedReviewers.reviewerId': req.user.id
+    };
+    if (req.query.reviewed === 'true') {
+      filter['reviews.reviewerId'] = req.user.id;
+    } else if (req.query.reviewed === 'false') {
+      filter['reviews.reviewerId'] = { $ne: req.user.id };
+    }
+
+    const [applications, total] = await Promise.all([
+      Application.find(filter)
+        .sort({ submissionTime: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('applicationId formId name status submissionTime assignedReviewers reviews'),
+      Application.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      applications: applications.map(application => {
+        const form = forms.find(f => String(f._id) === String(application.formId));
+        const review = application.getReview(req.user.id);
+        const assignment = application.assignedReviewers.find(a => String(a.reviewerId) === String(req.user.id));
+        return {
+          applicationId: application.applicationId,
+          form: { formId: form.formId, title: form.title },
+          blindCode: getBlindCode(application),
+          ...(!isBlindReviewActive(form) && { name: application.name }),
+          status: application.status,
+          submissionTime: application.submissionTime,
+          assignedAt: assignment.assignedAt,
+          reviewed: Boolean(review),
+          myTotal: review ? review.total : null
+        };
+      }),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      },
+      view: view ? { viewId: view.viewId, name: view.name } : null
+    });
+
+  } catch (error) {
+    console.error('[REVIEWER] Get queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Get an assigned application with the form's rubric
+// @route   GET /api/reviewer/applications/:applicationId
+// @access  Reviewer
+const getAssignedApplication = async (req, res) => {
+  try {
+    const { application, form } = req; // Set by checkReviewerAssignment middleware
+    const blind = isBlindReviewActive(form);
+    const data = application.toReviewerJSON(req.user.id);
+    const hiddenFields = blind ? getHiddenFields(form) : new Set();
+    const hiddenSlots = blind ? getHiddenSlots(form) : new Set();
+
+    res.status(200).json({
+      success: true,
+      blindReview: blind,
+      application: blind
+        ? redactApplication(data, form, getBlindCode(application))
+        : { ...data, blindCode: getBlindCode(application) },
+      form: {
+        formId: form.formId,
+        title: form.title,
+        fields: form.getFormFields().filter(field => !hiddenFields.has(field.key)),
+        documentSlots: form.getDocumentSlots().filter(slot => !hiddenSlots.has(slot.key))
+      },
+      rubric: form.getRubric()
+    });
+
+  } catch (error) {
+    console.error('[REVIEWER] Get application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Download a document of an assigned application; identifying
+//          slots are withheld and file names replaced under blind review
+// @route   GET /api/reviewer/applications/:applicationId/documents/:documentId
+// @access  Reviewer
+const downloadAssignedDocument = async (req, res) => {
+  try {
+    const { application, form } = req;
+    const doc = application.getDocument(req.params.documentId);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+        code: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+
+    if (!isBlindReviewActive(form)) {
+      return sendDocument(res, doc);
+    }
+
+    if (getHiddenSlots(form).has(doc.slot)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This document is hidden during blind review',
+        code: 'DOCUMENT_HIDDEN'
+      });
+    }
+
+    const index = application.documents.filter(d => d.slot === doc.slot).indexOf(doc);
+    await sendDocument(res, {
+      ...doc.toObject(),
+      originalName: `${getBlindCode(application)}-${getBlindFileName(doc, index)}`
+    });
+
+  } catch (error) {
+    console.error('[REVIEWER] Download document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+const toBlindReviewState = (form) => ({
+  enabled: form.blindReview.enabled,
+  active: isBlindReviewActive(form),
+  hiddenFields: [...getHiddenFields(form)],
+  hiddenSlots: [...getHiddenSlots(form)],
+  unblinded: form.blindReview.unblinded,
+  unblindedAt: form.blindReview.unblindedAt,
+  auditLog: form.blindReview.auditLog
+});
+
+// @desc    Get a form's blind review state and audit log
+// @route   GET /api/forms/:formId/blind-review
+// @access  Private
+const getBlindReview = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      formId: req.form.formId,
+      blindReview: toBlindReviewState(req.form)
+    });
+
+  } catch (error) {
+    console.error('[FORM] Get blind review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Reveal applicant identities to reviewers (remarks required)
+// @route   POST /api/forms/:formId/blind-review/unblind
+// @access  Private
+const unblindReview = async (req, res) => {
+  try {
+    const form = req.form;
+    const { remarks } = req.body;
+
+    if (!isBlindReviewActive(form)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Blind review is not in effect for this form',
+        code: 'BLIND_REVIEW_INACTIVE'
+      });
+    }
+
+    if (!remarks || typeof remarks !== 'string' || !remarks.trim() || remarks.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remarks explaining the decision to unblind are required (max 500 characters)',
+        code: 'REMARKS_REQUIRED'
+      });
+    }
+
+    form.blindReview.unblinded = true;
+    form.blindReview.unblindedAt = new Date();
+    form.blindReview.unblindedBy = req.user.id;
+    form.logBlindReviewAction('unblinded', req.user.id, remarks.trim());
+    await form.save();
+
+    console.log(`[FORM] Blind review unblinded: ${form.formId} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Applicant identities are now visible to reviewers',
+      blindReview: toBlindReviewState(form)
+    });
+
+  } catch (error) {
+    console.error('[FORM] Unblind review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Hide applicant identities from reviewers again
+// @route   POST /api/forms/:formId/blind-review/reblind
+// @access  Private
+const reblindReview = async (req, res) => {
+  try {
+    const form = req.form;
+    const { remarks = '' } = req.body;
+
+    if (!form.blindReview.enabled || !form.blindReview.unblinded) {
+      return res.status(409).json({
+        success: false,
+        message: 'Blind review is not unblinded for this form',
+        code: 'BLIND_REVIEW_NOT_UNBLINDED'
+      });
+    }
+
+    if (typeof remarks !== 'string' || remarks.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remarks cannot exceed 500 characters',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    form.blindReview.unblinded = false;
+    form.blindReview.unblindedAt = null;
+    form.blindReview.unblindedBy = null;
+    form.logBlindReviewAction('reblinded', req.user.id, remarks.trim());
+    await form.save();
+
+    console.log(`[FORM] Blind review re-blinded: ${form.formId} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Applicant identities are hidden from reviewers again',
+      blindReview: toBlindReviewState(form)
+    });
+
+  } catch (error) {
+    console.error('[FORM] Reblind review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Export every reviewer score of a form as CSV, one row per review.
+//          Rows are keyed by blind code; names are only included once the
+//          form is not (or no longer) under blind review.
+// @route   GET /api/forms/:formId/scores/export
+// @access  Private
+const exportScores = async (req, res) => {
+  try {
+    const form = req.form;
+    const rubric = form.getRubric();
+    const blind = isBlindReviewActive(form);
+
+    const reviewers = new Map();
+    const reviewerName = async (review) => {
+      const key = String(review.reviewerId);
+      if (!reviewers.has(key)) {
+        const user = await User.findById(review.reviewerId).select('firstName lastName username');
+        reviewers.set(key, user ? user.getFullName() : review.reviewerName);
+      }
+      return reviewers.get(key);
+    };
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${form.formId}-scores.csv"`);
+
+    res.write(toCsvRow([
+      'blindCode',
+      'applicationId',
+      ...(blind ? [] : ['name']),
+      'status',
+      'reviewer',
+      ...rubric.criteria.map(criterion => criterion.key),
+      'reviewTotal',
+      'comments',
+      'reviewedAt',
+      'scoreMean',
+      'scoreMedian',
+      'scoreSpread',
+      'disagreement'
+    ]));
+
+    const cursor = Application.find({ formId: form._id, 'reviews.0': { $exists: true } })
+      .sort({ submissionTime: 1 })
+      .select('applicationId name status reviews scoreSummary')
+      .cursor();
+
+    for (let application = await cursor.next(); application; application = await cursor.next()) {
+      const summary = application.scoreSummary || {};
+
+      for (const review of application.reviews) {
+        res.write(toCsvRow([
+          getBlindCode(application),
+          application.applicationId,
+          ...(blind ? [] : [application.name]),
+          application.status,
+          await reviewerName(review),
+          ...rubric.criteria.map(criterion => {
+            const entry = review.scores.find(score => score.criterion === criterion.key);
+            return entry ? entry.score : '';
+          }),
+          review.total,
+          review.comments,
+          review.updatedAt,
+          summary.mean,
+          summary.median,
+          summary.spread,
+          summary.disagreement ? 'yes' : 'no'
+        ]));
+      }
+    }
+
+    console.log(`[FORM] Scores exported: ${form.formId} by ${req.user.username}`);
+    res.end();
+
+  } catch (error) {
+    console.error('[FORM] Export scores error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  getFormReviewers,
+  addFormReviewer,
+  removeFormReviewer,
+  assignApplications,
+  unassignApplication,
+  getReviewerForms,
+  getReviewQueue,
+  getAssignedApplication,
+  downloadAssignedDocument,
+  getBlindReview,
+  unblindReview,
+  reblindReview,
+  exportScores
+};
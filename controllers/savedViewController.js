@@ -0,0 +1,328 @@
+const SavedView = require('../models/SavedView');
+const { validateSavedView, MAX_VIEWS_PER_FORM } = require('../utils/savedViews');
+const { isBlindReviewActive } = require('../utils/blindReview');
+
+// Views of the form the current user can see: their own and shared ones
+const visibleViewsQuery = (form, userId) => ({
+  formId: form._id,
+  $or: [{ createdBy: userId }, { shared: true }]
+});
+
+// Reviewers of a blind form may not save views that filter by identity
+const isBlindReviewer = (req) => req.formRole === 'reviewer' && isBlindReviewActive(req.form);
+
+// Only one default view per user and form
+const clearDefault = (form, userId) => SavedView.updateMany(
+  { formId: form._id, defaultFor: userId },
+  { $pull: { defaultFor: userId } }
+);
+
+const findVisibleView = (req) => SavedView.findOne({
+  ...visibleViewsQuery(req.form, req.user.id),
+  viewId: req.params.viewId
+});
+
+// @desc    List the saved views of a form visible to the current user
+// @route   GET /api/forms/:formId/views
+// @access  Private (form owner or reviewer)
+const getSavedViews = async (req, res) => {
+  try {
+    const views = await SavedView.find(visibleViewsQuery(req.form, req.user.id)).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      formId: req.form.formId,
+      views: views.map(view => view.toPublicJSON(req.user.id))
+    });
+
+  } catch (error) {
+    console.error('[FORM] Get saved views error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Save a named view (filters, sort, columns) for a form
+// @route   POST /api/forms/:formId/views
+// @access  Private (form owner or reviewer)
+const createSavedView = async (req, res) => {
+  try {
+    const form = req.form;
+    const errors = validateSavedView(req.body, { blindReview: isBlindReviewer(req) });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const existing = await SavedView.countDocuments({ formId: form._id, createdBy: req.user.id });
+    if (existing >= MAX_VIEWS_PER_FORM) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${MAX_VIEWS_PER_FORM} views per form`,
+        code: 'TOO_MANY_VIEWS'
+      });
+    }
+
+    const { name, description, filters, sort, columns, shared, isDefault } = req.body;
+
+    if (isDefault) {
+      await clearDefault(form, req.user.id);
+    }
+
+    const view = await SavedView.create({
+      formId: form._id,
+      userId: form.userId,
+      createdBy: req.user.id,
+      name: name.trim(),
+      description: description || '',
+      filters: filters || {},
+      sort: sort || {},
+      columns: columns || [],
+      shared: Boolean(shared),
+      defaultFor: isDefault ? [req.user.id] : []
+    });
+
+    console.log(`[FORM] Saved view created: ${view.viewId} (${view.name}) on ${form.formId} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'View saved successfully',
+      view: view.toPublicJSON(req.user.id)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a view with this name on this form',
+        code: 'VIEW_NAME_TAKEN'
+      });
+    }
+    console.error('[FORM] Create saved view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Get a saved view
+// @route   GET /api/forms/:formId/views/:viewId
+// @access  Private (form owner or reviewer)
+const getSavedView = async (req, res) => {
+  try {
+    const view = await findVisibleView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found',
+        code: 'VIEW_NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      view: view.toPublicJSON(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('[FORM] Get saved view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Update a saved view (its creator only)
+// @route   PUT /api/forms/:formId/views/:viewId
+// @access  Private (form owner or reviewer)
+const updateSavedView = async (req, res) => {
+  try {
+    const view = await findVisibleView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found',
+        code: 'VIEW_NOT_FOUND'
+      });
+    }
+
+    if (String(view.createdBy) !== String(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the creator of a view can change it',
+        code: 'VIEW_ACCESS_DENIED'
+      });
+    }
+
+    const errors = validateSavedView(req.body, { partial: true, blindReview: isBlindReviewer(req) });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { name, description, filters, sort, columns, shared, isDefault } = req.body;
+    if (name !== undefined) view.name = name.trim();
+    if (description !== undefined) view.description = description;
+    if (filters !== undefined) {
+      view.filters = filters;
+      view.markModified('filters');
+    }
+    if (sort !== undefined) {
+      if (sort.sortBy !== undefined) view.sort.sortBy = sort.sortBy;
+      if (sort.sortOrder !== undefined) view.sort.sortOrder = sort.sortOrder;
+    }
+    if (columns !== undefined) view.columns = columns;
+    if (shared !== undefined) {
+      view.shared = shared;
+      // Other users lose access to an unshared view, including as their default
+      if (!shared) {
+        view.defaultFor = view.defaultFor.filter(id => String(id) === String(req.user.id));
+      }
+    }
+    if (isDefault !== undefined) {
+      if (isDefault) await clearDefault(req.form, req.user.id);
+      view.defaultFor = view.defaultFor.filter(id => String(id) !== String(req.user.id));
+      if (isDefault) view.defaultFor.push(req.user.id);
+    }
+
+    await view.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'View updated successfully',
+      view: view.toPublicJSON(req.user.id)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a view with this name on this form',
+        code: 'VIEW_NAME_TAKEN'
+      });
+    }
+    console.error('[FORM] Update saved view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Mark or unmark a visible view as the current user's default
+// @route   PUT /api/forms/:formId/views/:viewId/default
+// @access  Private (form owner or reviewer)
+const setDefaultView = async (req, res) => {
+  try {
+    const { isDefault = true } = req.body;
+    if (typeof isDefault !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isDefault must be true or false',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const view = await findVisibleView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found',
+        code: 'VIEW_NOT_FOUND'
+      });
+    }
+
+    if (isDefault) {
+      await clearDefault(req.form, req.user.id);
+      await SavedView.updateOne({ _id: view._id }, { $addToSet: { defaultFor: req.user.id } });
+    } else {
+      await SavedView.updateOne({ _id: view._id }, { $pull: { defaultFor: req.user.id } });
+    }
+
+    const updated = await SavedView.findById(view._id);
+
+    res.status(200).json({
+      success: true,
+      message: isDefault ? 'Default view set' : 'Default view cleared',
+      view: updated.toPublicJSON(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('[FORM] Set default view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// @desc    Delete a saved view (its creator or the form owner)
+// @route   DELETE /api/forms/:formId/views/:viewId
+// @access  Private (form owner or reviewer)
+const deleteSavedView = async (req, res) => {
+  try {
+    const view = await findVisibleView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found',
+        code: 'VIEW_NOT_FOUND'
+      });
+    }
+
+    if (String(view.createdBy) !== String(req.user.id) && req.formRole !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the creator of a view or the form owner can delete it',
+        code: 'VIEW_ACCESS_DENIED'
+      });
+    }
+
+    await SavedView.deleteOne({ _id: view._id });
+
+    console.log(`[FORM] Saved view deleted: ${view.viewId} on ${req.form.formId} by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'View deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('[FORM] Delete saved view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  getSavedViews,
+  createSavedView,
+  getSavedView,
+  updateSavedView,
+  setDefaultView,
+  deleteSavedView
+};
@@ -0,0 +1,103 @@
+const Application = require('../models/Application');
+const { resolveSortField } = require('../utils/applicationFilters');
+const { buildFilterWithView } = require('../utils/savedViews');
+const { buildHighlights } = require('../utils/documentText');
+
+const MAX_PAGE_SIZE = 100;
+
+// @desc    Search applications with full-text and combinable field conditions
+// @route   POST /api/applications/user/search
+// @access  Private
+//
+// Body: { text, where, sortBy, sortOrder, page, limit } plus the list
+// filters (formId, status, priority, eligibility, tags, ..., viewId). See
+// utils/applicationSearch.js for the condition syntax. sortBy=relevance
+// (the default when `text` is given) orders by text match score.
+// With `text` or documentText conditions each application lists the
+// uploaded documents whose extracted text matched, with highlighted snippets.
+const searchApplications = async (req, res) => {
+  try {
+    const { filter, search, params, view, error } = await buildFilterWithView(req.user.id, req.body);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.errors && { errors: error.errors }),
+        code: error.code
+      });
+    }
+
+    const text = filter.$text ? filter.$text.$search : null;
+    const sortBy = params.sortBy || (text ? 'relevance' : 'submissionTime');
+    if (sortBy === 'relevance' && !text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sorting by relevance needs search text',
+        code: 'INVALID_SORT'
+      });
+    }
+    const sortOrder = params.sortOrder === 'asc' ? 1 : -1;
+    const sort = sortBy === 'relevance'
+      ? { textScore: { $meta: 'textScore' }, submissionTime: -1 }
+      : { [resolveSortField(sortBy)]: sortOrder };
+
+    const page = Math.max(parseInt(req.body.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.body.limit) || 10, 1), MAX_PAGE_SIZE);
+
+    const [applications, total] = await Promise.all([
+      Application.find(filter)
+        .select({
+          __v: 0,
+          'documents.path': 0,
+          ...(text && { textScore: { $meta: 'textScore' } })
+        })
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Application.countDocuments(filter)
+    ]);
+
+    if (text || search.phrases.length > 0) {
+      const texts = await Application.find({ _id: { $in: applications.map(app => app._id) } })
+        .select('+documents.text documents.documentId documents.slot documents.originalName')
+        .lean();
+      const documentsById = new Map(texts.map(app => [String(app._id), app.documents || []]));
+      applications.forEach(app => {
+        app.highlights = buildHighlights(documentsById.get(String(app._id)), search);
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      applications,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      },
+      query: {
+        text,
+        where: params.where || null,
+        sortBy,
+        sortOrder: params.sortOrder || 'desc'
+      },
+      view: view ? { viewId: view.viewId, name: view.name } : null
+    });
+
+  } catch (error) {
+    console.error('[APP] Search applications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  searchApplications
+};
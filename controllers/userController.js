@@ -1,10 +1,18 @@
 const User = require('../models/User');
 const Application = require('../models/Application');
+const Form = require('../models/Form');
+const ApplicationDraft = require('../models/ApplicationDraft');
+const { resolveSortField } = require('../utils/applicationFilters');
+const { buildFilterWithView, getSavedViewCounts } = require('../utils/savedViews');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
+const {
+  applyFormConfig,
+  ensureWorkflowStagesKept,
+  ensureRubricScoresKept,
+  uploadAdvertisement: uploadFormAdvertisement,
+  deleteAdvertisement: deleteFormAdvertisement
+} = require('./formController');
 
 // Generate JWT Token
 const generateToken = (userId) => {
@@ -13,41 +21,6 @@ const generateToken = (userId) => {
   });
 };
 
-// Configure multer for advertisement uploads
-const storage = multer.diskStorage({
-  destination: async function (req, file, cb) {
-    const uploadDir = path.join(__dirname, '..', 'uploads', 'advertisements');
-    try {
-      await fs.access(uploadDir);
-    } catch (error) {
-      await fs.mkdir(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    cb(null, 'ad-' + uniqueSuffix + extension);
-  }
-});
-
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'];
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only JPEG, PNG, GIF images and PDF files are allowed'), false);
-  }
-};
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: fileFilter
-});
-
 // @desc    User registration
 // @route   POST /api/users/register
 // @access  Public
@@ -92,6 +65,9 @@ const registerUser = async (req, res) => {
 
     await user.save();
 
+    // Every account starts with one default form
+    const defaultForm = await Form.getOrCreateDefault(user._id);
+
     // Generate token
     const token = generateToken(user._id);
 
@@ -109,8 +85,8 @@ const registerUser = async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         organization: user.organization,
-        formLink: user.getFormLink(),
-        formConfig: user.formConfig
+        formLink: defaultForm.getFormLink(),
+        formConfig: defaultForm
       }
     });
 
@@ -183,6 +159,8 @@ const loginUser = async (req, res) => {
     await user.updateStats();
     await user.save();
 
+    const defaultForm = await Form.getOrCreateDefault(user._id);
+
     // Generate token
     const token = generateToken(user._id);
 
@@ -200,8 +178,8 @@ const loginUser = async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         organization: user.organization,
-        formLink: user.getFormLink(),
-        formConfig: user.formConfig,
+        formLink: defaultForm.getFormLink(),
+        formConfig: defaultForm,
         stats: user.stats,
         lastLogin: user.lastLogin
       }
@@ -235,6 +213,9 @@ const getUserProfile = async (req, res) => {
     // Update stats
     await user.updateStats();
 
+    const defaultForm = await Form.getOrCreateDefault(user._id);
+    const formCount = await Form.countDocuments({ userId: user._id, isActive: true });
+
     res.status(200).json({
       success: true,
       user: {
@@ -245,8 +226,9 @@ const getUserProfile = async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         organization: user.organization,
-        formLink: user.getFormLink(),
-        formConfig: user.formConfig,
+        formLink: defaultForm.getFormLink(),
+        formConfig: defaultForm,
+        formCount,
         stats: user.stats,
         isEmailVerified: user.isEmailVerified,
         lastLogin: user.lastLogin,
@@ -288,6 +270,8 @@ const updateUserProfile = async (req, res) => {
 
     await user.save();
 
+    const defaultForm = await Form.getOrCreateDefault(user._id);
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -299,8 +283,8 @@ const updateUserProfile = async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         organization: user.organization,
-        formLink: user.getFormLink(),
-        formConfig: user.formConfig
+        formLink: defaultForm.getFormLink(),
+        formConfig: defaultForm
       }
     });
 
@@ -314,39 +298,49 @@ const updateUserProfile = async (req, res) => {
   }
 };
 
-// @desc    Update form configuration
+// Load the authenticated user's default form onto req.form so the
+// legacy single-form endpoints can reuse the form handlers
+const loadDefaultForm = async (req, res) => {
+  const form = await Form.getOrCreateDefault(req.user.id);
+
+  if (!form) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found',
+      code: 'USER_NOT_FOUND'
+    });
+    return null;
+  }
+
+  req.form = form;
+  return form;
+};
+
+// @desc    Update form configuration (default form)
 // @route   PUT /api/users/form-config
 // @access  Private
 const updateFormConfig = async (req, res) => {
   try {
-    const { title, description, customHeadings, isActive, acceptingApplications } = req.body;
-    
-    const user = await User.findById(req.user.id);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-        code: 'USER_NOT_FOUND'
-      });
-    }
+    const form = await loadDefaultForm(req, res);
+    if (!form) return;
 
-    // Update form configuration
-    if (title !== undefined) user.formConfig.title = title;
-    if (description !== undefined) user.formConfig.description = description;
-    if (customHeadings !== undefined) user.formConfig.customHeadings = customHeadings;
-    if (isActive !== undefined) user.formConfig.isActive = isActive;
-    if (acceptingApplications !== undefined) user.formConfig.acceptingApplications = acceptingApplications;
+    applyFormConfig(form, req.body);
+    if (!(await ensureWorkflowStagesKept(form, req.body, res))) return;
+    if (!(await ensureRubricScoresKept(form, req.body, res))) return;
+    await form.save();
 
-    await user.save();
+    if (req.body.rubric !== undefined) {
+      await Application.recomputeScoresForForm(form._id, form.getRubric());
+    }
 
-    console.log(`[USER] Form config updated: ${user.username}`);
+    console.log(`[USER] Form config updated: ${req.user.username}`);
 
     res.status(200).json({
       success: true,
       message: 'Form configuration updated successfully',
-      formConfig: user.formConfig,
-      formLink: user.getFormLink()
+      formConfig: form,
+      fields: form.getFormFields(),
+      formLink: form.getFormLink()
     });
 
   } catch (error) {
@@ -359,154 +353,42 @@ const updateFormConfig = async (req, res) => {
   }
 };
 
-// @desc    Upload advertisement file
+// @desc    Upload advertisement file (default form)
 // @route   POST /api/users/upload-advertisement
 // @access  Private
 const uploadAdvertisement = async (req, res) => {
-  const uploadMiddleware = upload.single('advertisement');
-  
-  uploadMiddleware(req, res, async (err) => {
-    if (err) {
-      console.error('[USER] Advertisement upload error:', err);
-      return res.status(400).json({
-        success: false,
-        message: err.message || 'File upload failed',
-        code: 'UPLOAD_ERROR'
-      });
-    }
-
-    try {
-      if (!req.file) {
-        return res.status(400).json({
-          success: false,
-          message: 'No file uploaded',
-          code: 'NO_FILE'
-        });
-      }
-
-      const user = await User.findById(req.user.id);
-      
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found',
-          code: 'USER_NOT_FOUND'
-        });
-      }
-
-      // Delete old advertisement file if exists
-      if (user.formConfig.advertisement && user.formConfig.advertisement.path) {
-        try {
-          await fs.unlink(user.formConfig.advertisement.path);
-        } catch (deleteError) {
-          console.error('[USER] Error deleting old advertisement:', deleteError);
-        }
-      }
-
-      // Update user with new advertisement info
-      user.formConfig.advertisement = {
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        size: req.file.size,
-        mimeType: req.file.mimetype,
-        uploadDate: new Date(),
-        path: req.file.path
-      };
-
-      await user.save();
-
-      console.log(`[USER] Advertisement uploaded: ${user.username} - ${req.file.originalname}`);
-
-      res.status(200).json({
-        success: true,
-        message: 'Advertisement uploaded successfully',
-        advertisement: {
-          filename: req.file.filename,
-          originalName: req.file.originalname,
-          size: req.file.size,
-          mimeType: req.file.mimetype,
-          uploadDate: user.formConfig.advertisement.uploadDate
-        }
-      });
-
-    } catch (error) {
-      console.error('[USER] Advertisement processing error:', error);
-      
-      // Clean up uploaded file on error
-      if (req.file && req.file.path) {
-        try {
-          await fs.unlink(req.file.path);
-        } catch (cleanupError) {
-          console.error('[USER] Error cleaning up file:', cleanupError);
-        }
-      }
+  try {
+    const form = await loadDefaultForm(req, res);
+    if (!form) return;
+  } catch (error) {
+    console.error('[USER] Advertisement upload error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
 
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        code: 'INTERNAL_ERROR'
-      });
-    }
-  });
+  return uploadFormAdvertisement(req, res);
 };
 
-// @desc    Delete advertisement file
+// @desc    Delete advertisement file (default form)
 // @route   DELETE /api/users/advertisement
 // @access  Private
 const deleteAdvertisement = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-        code: 'USER_NOT_FOUND'
-      });
-    }
-
-    if (!user.formConfig.advertisement || !user.formConfig.advertisement.path) {
-      return res.status(404).json({
-        success: false,
-        message: 'No advertisement file found',
-        code: 'NO_ADVERTISEMENT'
-      });
-    }
-
-    // Delete file from filesystem
-    try {
-      await fs.unlink(user.formConfig.advertisement.path);
-    } catch (deleteError) {
-      console.error('[USER] Error deleting advertisement file:', deleteError);
-    }
-
-    // Clear advertisement from database
-    user.formConfig.advertisement = {
-      filename: null,
-      originalName: null,
-      size: null,
-      mimeType: null,
-      uploadDate: null,
-      path: null
-    };
-
-    await user.save();
-
-    console.log(`[USER] Advertisement deleted: ${user.username}`);
-
-    res.status(200).json({
-      success: true,
-      message: 'Advertisement deleted successfully'
-    });
-
+    const form = await loadDefaultForm(req, res);
+    if (!form) return;
   } catch (error) {
     console.error('[USER] Delete advertisement error:', error);
-    res.status(500).json({
+    return res.status(500).json({
       success: false,
       message: 'Internal server error',
       code: 'INTERNAL_ERROR'
     });
   }
+
+  return deleteFormAdvertisement(req, res);
 };
 
 // @desc    Get user's applications with filtering and pagination
@@ -516,50 +398,46 @@ const getUserApplications = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const status = req.query.status;
-    const priority = req.query.priority;
-    const search = req.query.search;
-    const sortBy = req.query.sortBy || 'submissionTime';
-    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
     const skip = (page - 1) * limit;
 
-    // Build filter
-    const filter = { userId: req.user.id };
-    
-    if (status && status !== 'all') {
-      filter.status = status;
-    }
-    
-    if (priority && priority !== 'all') {
-      filter.priority = priority;
-    }
-    
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { applicationId: { $regex: search, $options: 'i' } }
-      ];
+    // Build filter (optionally scoped to a single form or a saved view)
+    const { filter, params, view, error } = await buildFilterWithView(req.user.id, req.query);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.errors && { errors: error.errors }),
+        code: error.code
+      });
     }
 
+    const sortBy = params.sortBy || 'submissionTime';
+    const sortOrder = params.sortOrder === 'asc' ? 1 : -1;
+
     // Get applications
     const applications = await Application.find(filter)
-      .sort({ [sortBy]: sortOrder })
+      .sort({ [resolveSortField(sortBy)]: sortOrder })
       .skip(skip)
       .limit(limit)
-      .select('-__v -publicationDocument.path');
+      .select('-__v -documents.path');
 
     const total = await Application.countDocuments(filter);
 
+    // Counts share the user/form scope but not the list filters
+    const countsMatch = { userId: req.user.id };
+    if (filter.formId) {
+      countsMatch.formId = filter.formId;
+    }
+
     // Get status counts for dashboard
     const statusCounts = await Application.aggregate([
-      { $match: { userId: req.user.id } },
+      { $match: countsMatch },
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
 
     // Get priority counts
     const priorityCounts = await Application.aggregate([
-      { $match: { userId: req.user.id } },
+      { $match: countsMatch },
       { $group: { _id: '$priority', count: { $sum: 1 } } }
     ]);
 
@@ -575,12 +453,14 @@ const getUserApplications = async (req, res) => {
         hasPrev: page > 1
       },
       filters: {
-        status,
-        priority,
-        search,
+        formId: params.formId,
+        status: params.status,
+        priority: params.priority,
+        search: params.search,
         sortBy,
-        sortOrder: req.query.sortOrder || 'desc'
+        sortOrder: params.sortOrder || 'desc'
       },
+      view: view ? { viewId: view.viewId, name: view.name, columns: view.columns } : null,
       counts: {
         status: statusCounts,
         priority: priorityCounts,
@@ -639,17 +519,48 @@ const getDashboardStats = async (req, res) => {
       { $sort: { _id: 1 } }
     ]);
 
+    // Unfinished applicant drafts, overall and per form
+    const draftCounts = await ApplicationDraft.aggregate([
+      { $match: { userId: user._id, expiresAt: { $gt: new Date() } } },
+      { $group: { _id: '$formId', count: { $sum: 1 } } }
+    ]);
+    const draftsByForm = new Map(draftCounts.map(entry => [String(entry._id), entry.count]));
+    const unfinishedDrafts = draftCounts.reduce((total, entry) => total + entry.count, 0);
+
+    // Per-form summary
+    const defaultForm = await Form.getOrCreateDefault(user._id);
+    const forms = await Form.find({ userId: user._id, isActive: true })
+      .sort({ isDefault: -1, createdAt: -1 })
+      .select('formId title isDefault isActive acceptingApplications schedule maxSubmissions submissionCount closedAt stats');
+
+    // Live counts of the saved views the user can see
+    const savedViews = await getSavedViewCounts(user._id);
+
     res.status(200).json({
       success: true,
-      stats: user.stats,
+      stats: {
+        ...user.stats.toObject(),
+        unfinishedDrafts
+      },
       recentApplications,
       weeklyTrend: weeklyApplications,
       formConfig: {
-        isActive: user.formConfig.isActive,
-        acceptingApplications: user.formConfig.acceptingApplications,
-        title: user.formConfig.title,
-        formLink: user.getFormLink()
-      }
+        isActive: defaultForm.isActive,
+        acceptingApplications: defaultForm.acceptingApplications,
+        title: defaultForm.title,
+        formLink: defaultForm.getFormLink()
+      },
+      forms: forms.map(form => ({
+        formId: form.formId,
+        title: form.title,
+        isDefault: form.isDefault,
+        acceptingApplications: form.acceptingApplications,
+        availability: form.getAvailability(),
+        stats: form.stats,
+        unfinishedDrafts: draftsByForm.get(String(form._id)) || 0,
+        formLink: form.getFormLink()
+      })),
+      savedViews
     });
 
   } catch (error) {
@@ -56,7 +56,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Resume-Token'],
   exposedHeaders: ['X-Total-Count', 'X-Page-Count']
 };
 
@@ -186,8 +186,23 @@ const connectDB = async () => {
   }
 };
 
-// Connect to database
-connectDB();
+// Hours between sweeps of expired drafts and their uploaded files
+const DRAFT_SWEEP_INTERVAL_HOURS = 6;
+
+const sweepExpiredDrafts = () => {
+  require('./controllers/draftController').sweepExpiredDrafts().catch(error => {
+    console.error('[DRAFT] Expired draft sweep error:', error);
+  });
+};
+
+// Connect to database, then pick up documents still waiting for text
+// extraction (uploads received before a restart) and start sweeping
+// expired drafts
+connectDB().then(() => {
+  require('./utils/documentText').scheduleTextExtraction();
+  sweepExpiredDrafts();
+  setInterval(sweepExpiredDrafts, DRAFT_SWEEP_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+});
 
 // API Routes - Multi-user System
 
@@ -207,6 +222,7 @@ app.get('/api/health', (req, res) => {
     },
     features: [
       'Multi-user form management',
+      'Multiple forms per user',
       'Email template system',
       'Application status tracking',
       'File upload support',
@@ -218,12 +234,21 @@ app.get('/api/health', (req, res) => {
 // User management routes (authentication, profile, form config)
 app.use('/api/users', require('./routes/users'));
 
+// Form management routes (multiple forms/positions per user)
+app.use('/api/forms', require('./routes/forms'));
+
 // Email management routes (templates, bulk sending)
 app.use('/api/email', require('./routes/email'));
 
 // Application management routes (submissions, status updates)
 app.use('/api/applications', require('./routes/applications'));
 
+// Applicant self-service portal (OTP session from /api/verify-otp)
+app.use('/api/applicant', require('./routes/applicant'));
+
+// Reviewer queue for users invited to review a form
+app.use('/api/reviewer', require('./routes/reviewer'));
+
 // Legacy admin routes (keep existing admin functionality)
 app.use('/api/auth', require('./routes/auth'));
 
@@ -250,12 +275,76 @@ app.get('/', (req, res) => {
         applications: 'GET /api/users/applications',
         dashboard: 'GET /api/users/dashboard-stats'
       },
+      forms: {
+        list: 'GET /api/forms',
+        create: 'POST /api/forms',
+        get: 'GET /api/forms/:formId',
+        update: 'PUT /api/forms/:formId',
+        delete: 'DELETE /api/forms/:formId',
+        stats: 'GET /api/forms/:formId/stats',
+        reevaluateEligibility: 'POST /api/forms/:formId/eligibility/re-evaluate',
+        reviewers: 'GET/POST /api/forms/:formId/reviewers',
+        removeReviewer: 'DELETE /api/forms/:formId/reviewers/:reviewerId',
+        assignApplications: 'POST /api/forms/:formId/assignments',
+        blindReview: 'GET /api/forms/:formId/blind-review',
+        unblind: 'POST /api/forms/:formId/blind-review/unblind',
+        reblind: 'POST /api/forms/:formId/blind-review/reblind',
+        exportScores: 'GET /api/forms/:formId/scores/export',
+        meritLists: 'GET/POST /api/forms/:formId/merit-lists',
+        getMeritList: 'GET /api/forms/:formId/merit-lists/:version',
+        publishMeritList: 'POST /api/forms/:formId/merit-lists/:version/publish',
+        savedViews: 'GET/POST /api/forms/:formId/views',
+        savedView: 'GET/PUT/DELETE /api/forms/:formId/views/:viewId',
+        defaultView: 'PUT /api/forms/:formId/views/:viewId/default',
+        imports: 'GET/POST /api/forms/:formId/imports',
+        importBatch: 'GET/DELETE /api/forms/:formId/imports/:batchId',
+        advertisement: 'POST /api/forms/:formId/advertisement'
+      },
       applications: {
-        submitForm: 'POST /api/applications/form/:userId',
-        getFormConfig: 'GET /api/applications/form/:userId/config',
+        submitForm: 'POST /api/applications/form/:formId',
+        getFormConfig: 'GET /api/applications/form/:formId/config',
+        parsePublications: 'POST /api/applications/form/:formId/publications/parse',
+        meritList: 'GET /api/applications/form/:formId/merit-list',
+        verifyReceipt: 'GET /api/applications/verify/:applicationId?code=',
+        saveDraft: 'POST /api/applications/form/:formId/draft',
+        getDraft: 'GET /api/applications/form/:formId/draft',
+        submitDraft: 'POST /api/applications/form/:formId/draft/submit',
         getApplication: 'GET /api/applications/:applicationId',
         updateStatus: 'PUT /api/applications/:applicationId/status',
-        userApplications: 'GET /api/applications/user/list'
+        workflow: 'GET /api/applications/:applicationId/workflow',
+        reviews: 'GET /api/applications/:applicationId/reviews',
+        submitReview: 'PUT /api/applications/:applicationId/review',
+        deleteReview: 'DELETE /api/applications/:applicationId/review',
+        unassignReviewer: 'DELETE /api/applications/:applicationId/reviewers/:reviewerId',
+        bulk: 'POST /api/applications/bulk',
+        documents: 'GET /api/applications/:applicationId/documents',
+        downloadDocument: 'GET /api/applications/:applicationId/documents/:documentId',
+        documentsArchive: 'POST /api/applications/documents/archive',
+        applicationPdf: 'GET /api/applications/:applicationId/pdf',
+        batchPdf: 'POST /api/applications/pdf/batch',
+        userApplications: 'GET /api/applications/user/list',
+        searchApplications: 'POST /api/applications/user/search',
+        withPublications: 'GET /api/applications/user/with-publications?type=journal&sortBy=journalPublications',
+        documentText: 'GET /api/applications/user/document-text?formId=...&status=no_text|failed',
+        retryDocumentText: 'POST /api/applications/user/document-text/retry',
+        exportApplications: 'GET /api/applications/user/export?format=csv|xlsx&columns=...'
+      },
+      applicant: {
+        session: 'POST /api/verify-otp (returns applicantToken)',
+        applications: 'GET /api/applicant/applications',
+        getApplication: 'GET /api/applicant/applications/:applicationId',
+        updateApplication: 'PUT /api/applicant/applications/:applicationId',
+        downloadDocument: 'GET /api/applicant/applications/:applicationId/documents/:documentId',
+        acknowledgement: 'GET /api/applicant/applications/:applicationId/acknowledgement',
+        withdraw: 'POST /api/applicant/applications/:applicationId/withdraw'
+      },
+      reviewer: {
+        forms: 'GET /api/reviewer/forms',
+        queue: 'GET /api/reviewer/applications',
+        getApplication: 'GET /api/reviewer/applications/:applicationId',
+        downloadDocument: 'GET /api/reviewer/applications/:applicationId/documents/:documentId',
+        submitReview: 'PUT /api/reviewer/applications/:applicationId/review',
+        deleteReview: 'DELETE /api/reviewer/applications/:applicationId/review'
       },
       email: {
         templates: 'GET /api/email/templates',
@@ -266,10 +355,27 @@ app.get('/', (req, res) => {
     },
     features: {
       multiUser: 'Each user can create their own forms',
+      multipleForms: 'Each user can run several forms (positions) with separate links',
       customization: 'Form titles, descriptions, and advertisements',
       emailSystem: 'Template-based bulk email sending',
-      statusTracking: 'Application status management with remarks',
-      fileUploads: 'Publication documents and advertisements',
+      statusTracking: 'Per-form workflows with allowed transitions, required remarks and terminal stages',
+      reviewers: 'Invite reviewers per form and assign applications manually, round-robin or by load',
+      blindReview: 'Per-form blind review with pseudonymous codes and an audited unblind decision',
+      scoring: 'Per-reviewer rubric scores with mean, median, spread and disagreement flags (sortBy=score)',
+      savedViews: 'Named, shareable list views (filters, sort, columns) usable by list, export, bulk email and reviewer queues via viewId',
+      advancedSearch: 'Full-text search over qualifications, experience, publications and uploaded documents with range filters and all/any/not conditions',
+      documentText: 'Text extracted from uploaded PDFs in the background, searchable with highlighted snippets; scanned or unreadable PDFs reported per document',
+      grading: 'Qualifications recorded as percentage, CGPA (10 or 4 point) or division, normalized by per-form conversion formulas',
+      publications: 'Structured publication lists (type, venue, DOI, SCI/Scopus indexing) entered or parsed from pasted BibTeX/RIS, with counts by type',
+      timelineChecks: 'Experience and qualification dates checked at submission: impossible ones are rejected, overlaps, gaps and parallel jobs flagged for reviewers',
+      computedAttributes: 'Stored age on cut-off date, total and relevant experience, highest qualification and publication count for filtering, sorting and export',
+      exports: 'Streaming CSV/XLSX exports with column selection and flattened qualifications',
+      imports: 'CSV/XLSX import of offline and legacy applications with a dry-run report and batch rollback',
+      documentArchives: 'ZIP downloads of candidate documents with a CSV/HTML index',
+      acknowledgements: 'Acknowledgement receipt PDFs with a QR verification code, mailed on submission',
+      printableCopies: 'Printable PDF copies of applications, singly or merged for committees',
+      meritLists: 'Versioned category-wise merit lists with reservation quotas, tie-breaks and waitlists',
+      fileUploads: 'Per-form document slots (CV, certificates, photo, NOC) and advertisements',
       authentication: 'JWT-based user authentication'
     }
   });
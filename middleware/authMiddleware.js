@@ -94,6 +94,66 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Applicant authentication middleware
+ * Validates the applicant session token issued by verifyOTP and
+ * attaches the verified email to the request
+ */
+const applicantAuth = (req, res, next) => {
+  try {
+    const authHeader = req.header('Authorization');
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Please verify your email to continue',
+        code: 'NO_TOKEN'
+      });
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+
+    // Owner/admin tokens must not open the applicant portal
+    if (decoded.type !== 'applicant' || !decoded.applicantEmail) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid applicant session',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    req.applicant = {
+      email: decoded.applicantEmail
+    };
+
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired. Please verify your email again',
+        code: 'TOKEN_EXPIRED'
+      });
+    }
+
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    console.error('[AUTH] Applicant token verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication error',
+      code: 'AUTH_ERROR'
+    });
+  }
+};
+
 /**
  * Optional authentication middleware
  * Attaches user info if token is present but doesn't require it
@@ -280,19 +340,37 @@ const checkResourceOwnership = (resourceField = 'userId') => {
 
 const validateFormAccess = async (req, res, next) => {
   try {
-    const { userId } = req.params;
+    const { formId } = req.params;
     
-    if (!userId) {
+    if (!formId) {
       return res.status(400).json({
         success: false,
-        message: 'User ID is required',
-        code: 'MISSING_USER_ID'
+        message: 'Form ID is required',
+        code: 'MISSING_FORM_ID'
+      });
+    }
+
+    const Form = require('../models/Form');
+    let form = await Form.findOne({ formId });
+
+    // Legacy links (/form/:userId) resolve to the owner's default form
+    if (!form) {
+      const legacyOwner = await User.findOne({ userId: formId, isActive: true });
+      if (legacyOwner) {
+        form = await Form.getOrCreateDefault(legacyOwner._id);
+      }
+    }
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found or inactive',
+        code: 'FORM_NOT_FOUND'
       });
     }
 
     // Find the form owner
-    const User = require('../models/User');
-    const formOwner = await User.findOne({ userId: userId, isActive: true });
+    const formOwner = await User.findOne({ _id: form.userId, isActive: true });
     
     if (!formOwner) {
       return res.status(404).json({
@@ -303,7 +381,7 @@ const validateFormAccess = async (req, res, next) => {
     }
 
     // Check if form is accepting applications
-    if (!formOwner.formConfig || !formOwner.formConfig.isActive) {
+    if (!form.isActive) {
       return res.status(403).json({
         success: false,
         message: 'Form is not currently accepting applications',
@@ -311,7 +389,8 @@ const validateFormAccess = async (req, res, next) => {
       });
     }
 
-    // Attach form owner to request for use in route handlers
+    // Attach form and owner to request for use in route handlers
+    req.form = form;
     req.formOwner = formOwner;
     next();
     
@@ -405,6 +484,152 @@ const checkApplicationOwnership = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to check that an application is assigned to the current user
+ * as a reviewer of its form
+ */
+const checkReviewerAssignment = async (req, res, next) => {
+  try {
+    const { applicationId } = req.params;
+
+    if (!applicationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Application ID is required',
+        code: 'MISSING_APPLICATION_ID'
+      });
+    }
+
+    const Application = require('../models/Application');
+    const Form = require('../models/Form');
+    const application = await Application.findOne({ applicationId });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+        code: 'APPLICATION_NOT_FOUND'
+      });
+    }
+
+    // Access ends when the owner removes the reviewer from the form
+    const form = application.formId ? await Form.findById(application.formId) : null;
+    if (!form || !form.isReviewer(req.user.id) || !application.isAssignedTo(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This application is not assigned to you',
+        code: 'REVIEW_ACCESS_DENIED'
+      });
+    }
+
+    req.application = application;
+    req.form = form;
+    next();
+  } catch (error) {
+    console.error('[AUTH] Reviewer assignment check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authorization error',
+      code: 'REVIEW_AUTHZ_ERROR'
+    });
+  }
+};
+
+/**
+ * Middleware to check form ownership
+ */
+const checkFormOwnership = async (req, res, next) => {
+  try {
+    const { formId } = req.params;
+
+    if (!formId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Form ID is required',
+        code: 'MISSING_FORM_ID'
+      });
+    }
+
+    const Form = require('../models/Form');
+    const form = await Form.findOne({ formId });
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found',
+        code: 'FORM_NOT_FOUND'
+      });
+    }
+
+    if (form.userId.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own forms',
+        code: 'FORM_ACCESS_DENIED'
+      });
+    }
+
+    req.form = form;
+    next();
+  } catch (error) {
+    console.error('[AUTH] Form ownership check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Form authorization error',
+      code: 'FORM_AUTHZ_ERROR'
+    });
+  }
+};
+
+/**
+ * Middleware to check that the current user owns the form or is one of its
+ * active reviewers. Sets req.form and req.formRole ('owner' or 'reviewer').
+ */
+const checkFormMembership = async (req, res, next) => {
+  try {
+    const { formId } = req.params;
+
+    if (!formId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Form ID is required',
+        code: 'MISSING_FORM_ID'
+      });
+    }
+
+    const Form = require('../models/Form');
+    const form = await Form.findOne({ formId });
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found',
+        code: 'FORM_NOT_FOUND'
+      });
+    }
+
+    const isOwner = form.userId.toString() === req.user.id.toString();
+    if (!isOwner && !form.isReviewer(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not own or review this form',
+        code: 'FORM_ACCESS_DENIED'
+      });
+    }
+
+    req.form = form;
+    req.formRole = isOwner ? 'owner' : 'reviewer';
+    next();
+  } catch (error) {
+    console.error('[AUTH] Form membership check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Form authorization error',
+      code: 'FORM_AUTHZ_ERROR'
+    });
+  }
+};
+
 /**
  * Middleware to validate email template ownership
  */
@@ -502,12 +727,16 @@ const authErrorHandler = (err, req, res, next) => {
 
 module.exports = {
   authMiddleware,
+  applicantAuth,
   optionalAuth,
   adminAuth,
   checkResourceOwnership,
   validateFormAccess,
   authRateLimit,
   checkApplicationOwnership,
+  checkReviewerAssignment,
+  checkFormOwnership,
+  checkFormMembership,
   checkTemplateOwnership,
   logUserActivity,
   authErrorHandler
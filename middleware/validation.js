@@ -3,6 +3,14 @@
 
 // middleware/validation.js
 const { body } = require('express-validator');
+const { validateFieldDefinitions } = require('../utils/formFields');
+const { validateScheduleConfig } = require('../utils/formSchedule');
+const { validateEligibilityRules } = require('../utils/eligibility');
+const { validateDocumentSlots } = require('../utils/documentSlots');
+const { validateWorkflow } = require('../utils/workflow');
+const { validateRubric } = require('../utils/rubric');
+const { validateBlindReviewConfig } = require('../utils/blindReview');
+const { validateGrading } = require('../utils/grading');
 
 // Validation rules for application submission
 const validateApplicationSubmission = [
@@ -40,19 +48,9 @@ const validateApplicationSubmission = [
     .isISO8601()
     .withMessage('Invalid date format')
     .custom((value) => {
-      const today = new Date();
-      const birthDate = new Date(value);
-
-      // Calculate age more accurately
-      let age = today.getFullYear() - birthDate.getFullYear();
-      const monthDiff = today.getMonth() - birthDate.getMonth();
-
-      if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-        age--;
-      }
-
-      if (age < 18 || age > 65) {
-        throw new Error('Age must be between 18 and 65 years');
+      // Age limits are checked against the form's eligibility rules
+      if (new Date(value) >= new Date()) {
+        throw new Error('Date of birth must be in the past');
       }
       return true;
     }),
@@ -204,10 +202,12 @@ body('educationalQualifications.*.examPassed')
     .withMessage('Name declaration should contain only letters, spaces, and dots')
 ];
 
-// Validation for status update
+// Validation for status update (allowed values come from the form's workflow)
 const validateStatusUpdate = [
   body('status')
-    .isIn(['submitted', 'under_review', 'approved', 'rejected'])
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
     .withMessage('Invalid status value')
 ];
 
@@ -348,9 +348,88 @@ const validateExperience = (req, res, next) => {
   next();
 };
 
+// Validate form configuration updates (title, headings, field definitions, document slots, schedule, eligibility, grading, workflow, rubric, blind review)
+const validateFormConfig = (req, res, next) => {
+  const { title, description, customHeadings, fields } = req.body;
+  const errors = [];
+
+  if (title !== undefined) {
+    if (typeof title !== 'string') {
+      errors.push({ field: 'title', message: 'Title must be a string' });
+    } else if (title.length > 100) {
+      errors.push({ field: 'title', message: 'Title cannot exceed 100 characters' });
+    }
+  }
+
+  if (description !== undefined) {
+    if (typeof description !== 'string') {
+      errors.push({ field: 'description', message: 'Description must be a string' });
+    } else if (description.length > 500) {
+      errors.push({ field: 'description', message: 'Description cannot exceed 500 characters' });
+    }
+  }
+
+  if (customHeadings !== undefined) {
+    if (!Array.isArray(customHeadings)) {
+      errors.push({ field: 'customHeadings', message: 'Custom headings must be an array' });
+    } else {
+      customHeadings.forEach((heading, index) => {
+        if (typeof heading.text !== 'string' || heading.text.length > 200) {
+          errors.push({ field: `customHeadings[${index}].text`, message: 'Heading text cannot exceed 200 characters' });
+        }
+        if (heading.position && !['top', 'middle', 'bottom'].includes(heading.position)) {
+          errors.push({ field: `customHeadings[${index}].position`, message: 'Invalid heading position' });
+        }
+      });
+    }
+  }
+
+  if (fields !== undefined) {
+    errors.push(...validateFieldDefinitions(fields));
+  }
+
+  if (req.body.documentSlots !== undefined) {
+    errors.push(...validateDocumentSlots(req.body.documentSlots));
+  }
+
+  errors.push(...validateScheduleConfig(req.body));
+
+  if (req.body.eligibility !== undefined) {
+    errors.push(...validateEligibilityRules(req.body.eligibility));
+  }
+
+  if (req.body.grading !== undefined) {
+    errors.push(...validateGrading(req.body.grading));
+  }
+
+  if (req.body.workflow !== undefined) {
+    errors.push(...validateWorkflow(req.body.workflow));
+  }
+
+  if (req.body.rubric !== undefined) {
+    errors.push(...validateRubric(req.body.rubric));
+  }
+
+  if (req.body.blindReview !== undefined) {
+    errors.push(...validateBlindReviewConfig(req.body.blindReview));
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   validateApplicationSubmission,
   validateStatusUpdate,
   validateEducationalQualifications,
-  validateExperience
+  validateExperience,
+  validateFormConfig
 };
\ No newline at end of file
@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const {
+  DEFAULT_RESOLVED_WORKFLOW,
+  getStage,
+  checkTransition,
+  getWithdrawalStage
+} = require('../utils/workflow');
+const { DEFAULT_RESOLVED_RUBRIC, summariseReviews, calculateReviewTotal } = require('../utils/rubric');
+const { computeAttributes } = require('../utils/applicantAttributes');
+const { evaluateEligibility } = require('../utils/eligibility');
+const { GRADING_SCHEMES, normalizeQualifications } = require('../utils/grading');
+const { PUBLICATION_TYPES, INDEXING_SERVICES } = require('../utils/publications');
+const { DOCUMENT_TEXT_STATUSES, scheduleTextExtraction } = require('../utils/documentText');
+
+// Built-in fields are required unless the form marked them optional or
+// switched them off (see utils/formFields.js)
+const requiredUnlessOptional = (field) => function () {
+  return !(this.optionalFields || []).includes(field);
+};
 
 const ApplicationSchema = new mongoose.Schema({
   applicationId: {
@@ -20,6 +38,13 @@ const ApplicationSchema = new mongoose.Schema({
     index: true
   },
 
+  // Form (position) this application was submitted to
+  formId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Form',
+    index: true
+  },
+
   // Personal Information
   name: {
     type: String,
@@ -29,13 +54,13 @@ const ApplicationSchema = new mongoose.Schema({
   },
   address: {
     type: String,
-    required: [true, 'Address is required'],
+    required: [requiredUnlessOptional('address'), 'Address is required'],
     trim: true,
     maxlength: [500, 'Address cannot exceed 500 characters']
   },
   phone: {
     type: String,
-    required: [true, 'Phone number is required'],
+    required: [requiredUnlessOptional('phone'), 'Phone number is required'],
     validate: {
       validator: function (v) {
         return /^[0-9]{10}$/.test(v);
@@ -56,7 +81,7 @@ const ApplicationSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    required: [true, 'Category is required'],
+    required: [requiredUnlessOptional('category'), 'Category is required'],
     enum: {
       values: ['GENERAL', 'OBC', 'SC', 'ST', 'PwD', 'EWS'],
       message: 'Invalid category selected'
@@ -64,24 +89,18 @@ const ApplicationSchema = new mongoose.Schema({
   },
   dob: {
     type: Date,
-    required: [true, 'Date of birth is required'],
+    required: [requiredUnlessOptional('dob'), 'Date of birth is required'],
+    // Age limits are per-form eligibility rules (see utils/eligibility.js)
     validate: {
       validator: function (v) {
-        const today = new Date();
-        const birthDate = new Date(v);
-        let age = today.getFullYear() - birthDate.getFullYear();
-        const monthDiff = today.getMonth() - birthDate.getMonth();
-        if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-          age--;
-        }
-        return age >= 18 && age <= 65;
+        return !v || new Date(v) < new Date();
       },
-      message: 'Age must be between 18 and 65 years'
+      message: 'Date of birth must be in the past'
     }
   },
   gender: {
     type: String,
-    required: [true, 'Gender is required'],
+    required: [requiredUnlessOptional('gender'), 'Gender is required'],
     enum: {
       values: ['Male', 'Female'],
       message: 'Invalid gender selected'
@@ -136,6 +155,21 @@ const ApplicationSchema = new mongoose.Schema({
         message: 'Please enter a valid year of passing'
       }
     },
+    // Grade as entered under its scheme (utils/grading.js)
+    gradingScheme: {
+      type: String,
+      enum: {
+        values: GRADING_SCHEMES,
+        message: 'Invalid grading scheme selected'
+      },
+      default: 'percentage'
+    },
+    gradeValue: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Grade cannot exceed 50 characters']
+    },
+    // Normalized percentage, converted from the grade by the form's rules
     percentage: {
       type: Number,
       required: [true, 'Percentage/CGPA is required'],
@@ -192,13 +226,63 @@ const ApplicationSchema = new mongoose.Schema({
     }
   }],
 
-  // Publication Details
+  // Publication Details (free text; fallback to the structured list below)
   publicationDetails: {
     type: String,
     trim: true,
     maxlength: [2000, 'Publication details cannot exceed 2000 characters']
   },
 
+  // Structured publications, entered or parsed from BibTeX/RIS (see
+  // utils/publications.js)
+  publications: [{
+    type: {
+      type: String,
+      enum: {
+        values: PUBLICATION_TYPES,
+        message: 'Invalid publication type selected'
+      },
+      default: 'other'
+    },
+    title: {
+      type: String,
+      required: [true, 'Publication title is required'],
+      trim: true,
+      maxlength: [500, 'Publication title cannot exceed 500 characters']
+    },
+    authors: [{
+      type: String,
+      trim: true,
+      maxlength: [100, 'Author names cannot exceed 100 characters']
+    }],
+    venue: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Venue cannot exceed 300 characters']
+    },
+    year: {
+      type: Number,
+      default: null
+    },
+    doi: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'DOI cannot exceed 200 characters']
+    },
+    indexing: [{
+      type: String,
+      enum: {
+        values: INDEXING_SERVICES,
+        message: 'Invalid indexing service selected'
+      }
+    }],
+    // How the entry was entered: manual, bibtex or ris
+    source: {
+      type: String,
+      default: 'manual'
+    }
+  }],
+
   // Other exam details
   otherExamName: {
     type: String,
@@ -218,38 +302,57 @@ const ApplicationSchema = new mongoose.Schema({
     }
   },
 
-  // Publication Document Info
-  publicationDocument: {
-    filename: {
+  // Uploaded documents, one entry per file, grouped by the form's slots
+  documents: [{
+    documentId: {
       type: String,
-      default: null
+      required: true,
+      default: function () {
+        return 'DOC_' + Date.now() + '_' + Math.floor(Math.random() * 1000000);
+      }
     },
-    originalName: {
+    slot: {
       type: String,
-      default: null
-    },
-    size: {
-      type: Number,
-      default: null
+      required: true
     },
-    mimeType: {
+    filename: {
       type: String,
-      default: null
+      required: true
     },
+    originalName: String,
+    size: Number,
+    mimeType: String,
     uploadDate: {
       type: Date,
-      default: null
+      default: Date.now
     },
     path: {
       type: String,
-      default: null
+      required: true
+    },
+    // Extracted by the background step in utils/documentText.js
+    textExtraction: {
+      status: {
+        type: String,
+        enum: DOCUMENT_TEXT_STATUSES,
+        default: 'pending'
+      },
+      error: String,
+      pageCount: Number,
+      characters: Number,
+      truncated: Boolean,
+      extractedAt: Date
+    },
+    text: {
+      type: String,
+      select: false
     }
-  },
+  }],
 
   // Declaration Agreement
   declarationAgreed: {
     type: Boolean,
-    required: [true, 'Declaration agreement is required'],
+    required: [requiredUnlessOptional('declarationAgreed'), 'Declaration agreement is required'],
     validate: {
       validator: function (v) {
         return v === true;
@@ -261,38 +364,80 @@ const ApplicationSchema = new mongoose.Schema({
   // Application Declaration
   applicationDate: {
     type: Date,
-    required: [true, 'Application date is required']
+    required: [requiredUnlessOptional('applicationDate'), 'Application date is required']
   },
   applicationPlace: {
     type: String,
-    required: [true, 'Application place is required'],
+    required: [requiredUnlessOptional('applicationPlace'), 'Application place is required'],
     trim: true,
     maxlength: [100, 'Place name cannot exceed 100 characters']
   },
   nameDeclaration: {
     type: String,
-    required: [true, 'Name declaration is required'],
+    required: [requiredUnlessOptional('nameDeclaration'), 'Name declaration is required'],
     trim: true,
     maxlength: [100, 'Name declaration cannot exceed 100 characters']
   },
 
-  // Enhanced Status Management
+  // Answers to the form owner's custom fields, keyed by field key
+  responses: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Built-in fields the form did not require at submission time
+  optionalFields: [{
+    type: String
+  }],
+
+  // Eligibility verdict against the form's rules
+  eligibility: {
+    status: {
+      type: String,
+      enum: ['eligible', 'ineligible', 'not_evaluated'],
+      default: 'not_evaluated',
+      index: true
+    },
+    reasons: [{
+      _id: false,
+      rule: String,
+      message: String
+    }],
+    ageOnCutoff: {
+      type: Number,
+      default: null
+    },
+    evaluatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Unusual but possible experience and qualification chronology, found at
+  // submission for reviewers to look into (see utils/experienceTimeline.js)
+  timelineWarnings: [{
+    _id: false,
+    code: String,
+    field: String,
+    message: String
+  }],
+
+  // Enhanced Status Management (stage keys come from the form's workflow)
   status: {
     type: String,
-    enum: ['submitted', 'under_review', 'shortlisted', 'approved', 'rejected', 'interview_scheduled', 'on_hold'],
     default: 'submitted',
+    trim: true,
     index: true
   },
 
   // Status history for tracking changes
   statusHistory: [{
     previousStatus: {
-      type: String,
-      enum: ['submitted', 'under_review', 'shortlisted', 'approved', 'rejected', 'interview_scheduled', 'on_hold']
+      type: String
     },
     newStatus: {
-      type: String,
-      enum: ['submitted', 'under_review', 'shortlisted', 'approved', 'rejected', 'interview_scheduled', 'on_hold']
+      type: String
     },
     changedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -405,36 +550,153 @@ const ApplicationSchema = new mongoose.Schema({
     }
   },
 
-  // Application scoring/rating
-  rating: {
-    overall: {
+  // Reviewers the form owner assigned to this application
+  assignedReviewers: [{
+    _id: false,
+    reviewerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Independent reviewer scores against the form's rubric (utils/rubric.js)
+  reviews: [{
+    reviewerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reviewerName: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    scores: [{
+      _id: false,
+      criterion: {
+        type: String,
+        required: true
+      },
+      score: {
+        type: Number,
+        required: true
+      }
+    }],
+    // Weighted mean of the criterion scores
+    total: {
       type: Number,
-      min: 0,
-      max: 10,
       default: null
     },
-    technical: {
+    comments: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Review comments cannot exceed 2000 characters'],
+      default: ''
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Aggregate of the reviewers' totals, kept in sync with `reviews`
+  scoreSummary: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    mean: {
       type: Number,
-      min: 0,
-      max: 10,
       default: null
     },
-    communication: {
+    median: {
       type: Number,
-      min: 0,
-      max: 10,
       default: null
     },
-    experience: {
+    min: {
       type: Number,
-      min: 0,
-      max: 10,
       default: null
     },
-    notes: {
+    max: {
+      type: Number,
+      default: null
+    },
+    spread: {
+      type: Number,
+      default: null
+    },
+    stdDev: {
+      type: Number,
+      default: null
+    },
+    disagreement: {
+      type: Boolean,
+      default: false
+    },
+    criteria: [{
+      _id: false,
+      key: String,
+      mean: Number
+    }],
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Derived from the application's data and its form's eligibility rules on
+  // every save and when the rules change (see utils/applicantAttributes.js)
+  computed: {
+    ageOnCutoff: {
+      type: Number,
+      default: null
+    },
+    cutoffDate: {
+      type: Date,
+      default: null
+    },
+    experienceMonths: {
+      type: Number,
+      default: 0
+    },
+    relevantExperienceMonths: {
+      type: Number,
+      default: null
+    },
+    highestQualification: {
       type: String,
-      trim: true,
-      maxlength: [500, 'Rating notes cannot exceed 500 characters']
+      default: null
+    },
+    highestPercentage: {
+      type: Number,
+      default: null
+    },
+    publicationCount: {
+      type: Number,
+      default: 0
+    },
+    // Structured publications per type (journal, conference, ...)
+    publicationsByType: Object.fromEntries(PUBLICATION_TYPES.map(type => [type, { type: Number, default: 0 }])),
+    indexedPublicationCount: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: {
+      type: Date,
+      default: null
     }
   },
 
@@ -455,6 +717,11 @@ const ApplicationSchema = new mongoose.Schema({
     deviceInfo: {
       type: String,
       default: null
+    },
+    // Import batch of applications loaded from a spreadsheet (source 'import')
+    importBatchId: {
+      type: String,
+      default: null
     }
   },
 
@@ -462,7 +729,7 @@ const ApplicationSchema = new mongoose.Schema({
   interactions: [{
     type: {
       type: String,
-      enum: ['email_sent', 'email_opened', 'email_clicked', 'status_changed', 'note_added', 'interview_scheduled'],
+      enum: ['email_sent', 'email_opened', 'email_clicked', 'status_changed', 'note_added', 'interview_scheduled', 'applicant_updated', 'reviewer_assigned', 'reviewer_unassigned'],
       required: true
     },
     timestamp: {
@@ -500,9 +767,58 @@ ApplicationSchema.index({ status: 1 });
 ApplicationSchema.index({ userId: 1, status: 1 });
 ApplicationSchema.index({ userId: 1, submissionTime: -1 });
 ApplicationSchema.index({ userId: 1, priority: 1 });
+ApplicationSchema.index({ formId: 1, status: 1 });
+ApplicationSchema.index({ formId: 1, submissionTime: -1 });
+ApplicationSchema.index({ formId: 1, 'eligibility.status': 1 });
 ApplicationSchema.index({ 'interview.isScheduled': 1, 'interview.scheduledDate': 1 });
 ApplicationSchema.index({ tags: 1 });
-ApplicationSchema.index({ 'rating.overall': 1 });
+ApplicationSchema.index({ 'metadata.importBatchId': 1 });
+ApplicationSchema.index({ formId: 1, 'scoreSummary.mean': -1 });
+ApplicationSchema.index({ 'reviews.reviewerId': 1 });
+ApplicationSchema.index({ 'assignedReviewers.reviewerId': 1, formId: 1 });
+ApplicationSchema.index({ formId: 1, category: 1, gender: 1 });
+ApplicationSchema.index({ formId: 1, 'educationalQualifications.examPassed': 1, 'educationalQualifications.percentage': -1 });
+ApplicationSchema.index({ formId: 1, 'computed.experienceMonths': -1 });
+ApplicationSchema.index({ formId: 1, 'computed.ageOnCutoff': 1 });
+ApplicationSchema.index({ formId: 1, 'computed.highestQualification': 1, 'computed.highestPercentage': -1 });
+ApplicationSchema.index({ formId: 1, 'computed.publicationsByType.journal': -1 });
+ApplicationSchema.index({ formId: 1, dob: 1 });
+ApplicationSchema.index({ 'documents.textExtraction.status': 1 });
+
+// Full-text search (advanced search `text`). A collection has at most one
+// text index; userId is a prefix, so every text query is scoped to an owner.
+ApplicationSchema.index({
+  userId: 1,
+  name: 'text',
+  'educationalQualifications.institute': 'text',
+  'educationalQualifications.nameOfExamination': 'text',
+  'educationalQualifications.subjects': 'text',
+  'experience.organization': 'text',
+  'experience.designation': 'text',
+  'experience.responsibilities': 'text',
+  publicationDetails: 'text',
+  'publications.title': 'text',
+  'publications.venue': 'text',
+  'documents.text': 'text'
+}, {
+  name: 'application_text_search',
+  weights: {
+    name: 10,
+    'educationalQualifications.institute': 5,
+    'experience.organization': 5,
+    'experience.designation': 5,
+    'educationalQualifications.subjects': 3,
+    'educationalQualifications.nameOfExamination': 3,
+    publicationDetails: 2,
+    'publications.title': 2,
+    'publications.venue': 1,
+    'experience.responsibilities': 1,
+    'documents.text': 1
+  },
+  default_language: 'english',
+  // Custom responses may have a `language` key; never read it as the text language
+  language_override: 'textSearchLanguage'
+});
 
 // Pre-save middleware to ensure data consistency
 ApplicationSchema.pre('save', function (next) {
@@ -526,34 +842,128 @@ ApplicationSchema.pre('save', function (next) {
   next();
 });
 
+// Fields the computed attributes are derived from
+const COMPUTED_SOURCE_FIELDS = [
+  'formId',
+  'dob',
+  'submissionTime',
+  'experience',
+  'educationalQualifications',
+  'publications',
+  'publicationDetails',
+  'documents'
+];
+
+// Computed attributes use the form's eligibility rules, so they are only
+// recomputed (and the form read) when their source fields change. Time
+// passing in current jobs is picked up by recomputeAttributesForForm.
+ApplicationSchema.pre('save', async function () {
+  if (!this.isNew && !COMPUTED_SOURCE_FIELDS.some(field => this.isModified(field))) {
+    return;
+  }
+
+  let rules = null;
+  if (this.formId) {
+    const Form = require('./Form');
+    const form = await Form.findById(this.formId).select('eligibility').lean();
+    rules = form ? form.eligibility : null;
+  }
+  this.computed = computeAttributes(this, { rules });
+});
+
+// New documents wait for text extraction, which runs in the background
+ApplicationSchema.post('save', function () {
+  if ((this.documents || []).some(doc => doc.textExtraction && doc.textExtraction.status === 'pending')) {
+    scheduleTextExtraction();
+  }
+});
+
 // Instance methods
 ApplicationSchema.methods.toJSON = function () {
-  const application = this.toObject();
+  // flattenMaps so custom field responses serialise as a plain object
+  const application = this.toObject({ flattenMaps: true });
   delete application.__v;
+  (application.documents || []).forEach(doc => {
+    delete doc.path;
+    delete doc.text;
+  });
   return application;
 };
 
+// Document metadata without the server-side path
+const toDocumentInfo = (doc) => ({
+  documentId: doc.documentId,
+  slot: doc.slot,
+  filename: doc.filename,
+  originalName: doc.originalName,
+  size: doc.size,
+  mimeType: doc.mimeType,
+  uploadDate: doc.uploadDate,
+  textExtraction: doc.textExtraction ? {
+    status: doc.textExtraction.status,
+    error: doc.textExtraction.error || null,
+    pageCount: doc.textExtraction.pageCount || null,
+    truncated: Boolean(doc.textExtraction.truncated),
+    extractedAt: doc.textExtraction.extractedAt || null
+  } : null
+});
+
+ApplicationSchema.methods.getDocument = function (documentId) {
+  return (this.documents || []).find(doc => doc.documentId === documentId) || null;
+};
+
+ApplicationSchema.methods.getDocumentsInfo = function () {
+  return (this.documents || []).map(toDocumentInfo);
+};
+
 ApplicationSchema.methods.hasPublicationDocument = function () {
-  return this.publicationDocument && this.publicationDocument.filename;
+  return (this.documents || []).some(doc => doc.slot === 'publicationDocument');
 };
 
 ApplicationSchema.methods.getPublicationDocumentInfo = function () {
-  if (!this.hasPublicationDocument()) {
-    return null;
+  const doc = (this.documents || []).find(d => d.slot === 'publicationDocument');
+  return doc ? toDocumentInfo(doc) : null;
+};
+
+// Workflow of the form this application belongs to
+ApplicationSchema.methods.getWorkflow = async function() {
+  if (!this.formId) {
+    return DEFAULT_RESOLVED_WORKFLOW;
   }
-  return {
-    filename: this.publicationDocument.filename,
-    originalName: this.publicationDocument.originalName,
-    size: this.publicationDocument.size,
-    uploadDate: this.publicationDocument.uploadDate
-  };
+  const Form = require('./Form');
+  const form = await Form.findById(this.formId).select('workflow');
+  return form ? form.getWorkflow() : DEFAULT_RESOLVED_WORKFLOW;
+};
+
+// Get the scoring rubric of the application's form
+ApplicationSchema.methods.getRubric = async function() {
+  if (!this.formId) {
+    return DEFAULT_RESOLVED_RUBRIC;
+  }
+  const Form = require('./Form');
+  const form = await Form.findById(this.formId).select('rubric');
+  return form ? form.getRubric() : DEFAULT_RESOLVED_RUBRIC;
 };
 
-// Method to update status with history tracking
-ApplicationSchema.methods.updateStatus = async function(newStatus, changedBy, remarks = '') {
+// Method to update status with history tracking. The change must be an
+// allowed transition of the form's workflow for the given actor; otherwise
+// an error with a `code` (INVALID_STATUS, INVALID_TRANSITION,
+// TERMINAL_STATUS, REMARKS_REQUIRED) is thrown. Bulk callers pass
+// updateStats: false and refresh the statistics once at the end.
+ApplicationSchema.methods.updateStatus = async function(newStatus, changedBy, remarks = '', { actor = 'owner', workflow = null, updateStats = true } = {}) {
+  const activeWorkflow = workflow || await this.getWorkflow();
+  const problem = checkTransition(activeWorkflow, this.status, newStatus, { remarks, actor });
+  if (problem) {
+    const error = new Error(problem.message);
+    error.code = problem.code;
+    throw error;
+  }
+
+  const previousStatus = this.status;
+
   // Add to history
   this.statusHistory.push({
-    previousStatus: this.status,
+    previousStatus: previousStatus,
     newStatus: newStatus,
     changedBy: changedBy,
     changedAt: new Date(),
@@ -567,18 +977,28 @@ ApplicationSchema.methods.updateStatus = async function(newStatus, changedBy, re
   // Add interaction
   this.interactions.push({
     type: 'status_changed',
-    details: `Status changed from ${this.status} to ${newStatus}`,
+    details: `Status changed from ${previousStatus} to ${newStatus}`,
     performedBy: changedBy
   });
   
   await this.save();
+
+  if (!updateStats) return;
   
-  // Update user stats
+  // Update user and form stats
   const User = require('./User');
   const user = await User.findById(this.userId);
   if (user) {
     await user.updateStats();
   }
+
+  if (this.formId) {
+    const Form = require('./Form');
+    const form = await Form.findById(this.formId);
+    if (form) {
+      await form.updateStats();
+    }
+  }
 };
 
 // Method to add email to history
@@ -612,9 +1032,12 @@ ApplicationSchema.methods.scheduleInterview = async function(interviewData, sche
     conductedBy: interviewData.conductedBy
   };
   
-  // Update status if not already interview_scheduled
+  // Move to interview_scheduled when the form's workflow allows it
   if (this.status !== 'interview_scheduled') {
-    await this.updateStatus('interview_scheduled', scheduledBy, 'Interview scheduled');
+    const workflow = await this.getWorkflow();
+    if (!checkTransition(workflow, this.status, 'interview_scheduled', { remarks: 'Interview scheduled' })) {
+      await this.updateStatus('interview_scheduled', scheduledBy, 'Interview scheduled', { workflow });
+    }
   }
   
   // Add interaction
@@ -627,40 +1050,154 @@ ApplicationSchema.methods.scheduleInterview = async function(interviewData, sche
   await this.save();
 };
 
-// Method to add rating
-ApplicationSchema.methods.addRating = function(ratingData, ratedBy) {
-  this.rating = {
-    overall: ratingData.overall,
-    technical: ratingData.technical,
-    communication: ratingData.communication,
-    experience: ratingData.experience,
-    notes: ratingData.notes
-  };
-  
+// Whether the application is assigned to a reviewer
+ApplicationSchema.methods.isAssignedTo = function(reviewerId) {
+  return this.assignedReviewers.some(assignment => String(assignment.reviewerId) === String(reviewerId));
+};
+
+// Method to assign a reviewer; returns false when already assigned
+ApplicationSchema.methods.assignReviewer = function(reviewer, assignedBy, strategy = 'manual') {
+  if (this.isAssignedTo(reviewer.id)) return false;
+
+  this.assignedReviewers.push({ reviewerId: reviewer.id, assignedBy });
+  this.interactions.push({
+    type: 'reviewer_assigned',
+    details: `Assigned to reviewer ${reviewer.name} (${strategy.replace('_', ' ')})`,
+    performedBy: assignedBy
+  });
+  return true;
+};
+
+// Method to unassign a reviewer; returns false when not assigned
+ApplicationSchema.methods.unassignReviewer = function(reviewer, performedBy) {
+  if (!this.isAssignedTo(reviewer.id)) return false;
+
+  this.assignedReviewers = this.assignedReviewers.filter(assignment =>
+    String(assignment.reviewerId) !== String(reviewer.id)
+  );
+  this.interactions.push({
+    type: 'reviewer_unassigned',
+    details: `Unassigned from reviewer ${reviewer.name}`,
+    performedBy
+  });
+  return true;
+};
+
+// Shape the application for an assigned reviewer: no owner-side tracking
+// and no other reviewer's scores, so reviews stay independent
+ApplicationSchema.methods.toReviewerJSON = function(reviewerId) {
+  const application = this.toJSON();
+  ['reviews', 'scoreSummary', 'assignedReviewers', 'interactions', 'statusHistory',
+    'priority', 'tags', 'ipAddress', 'metadata', 'userId', 'emailsSent', 'interview',
+    'currentRemarks'].forEach(key => {
+    delete application[key];
+  });
+  application.documents = this.getDocumentsInfo();
+  application.myReview = this.getReview(reviewerId);
+  return application;
+};
+
+// Get a reviewer's review of this application
+ApplicationSchema.methods.getReview = function(reviewerId) {
+  return this.reviews.find(review => String(review.reviewerId) === String(reviewerId)) || null;
+};
+
+// Method to add or replace a reviewer's scores; `scores` must already be
+// validated against the rubric (see validateReviewScores)
+ApplicationSchema.methods.upsertReview = function(rubric, reviewer, { scores, comments = '' }) {
+  const now = new Date();
+  const total = calculateReviewTotal(rubric, scores);
+  const existing = this.getReview(reviewer.id);
+
+  if (existing) {
+    existing.scores = scores;
+    existing.total = total;
+    existing.comments = comments;
+    existing.reviewerName = reviewer.name || existing.reviewerName;
+    existing.updatedAt = now;
+  } else {
+    this.reviews.push({
+      reviewerId: reviewer.id,
+      reviewerName: reviewer.name || '',
+      scores,
+      total,
+      comments,
+      submittedAt: now,
+      updatedAt: now
+    });
+  }
+
+  this.scoreSummary = summariseReviews(rubric, this.reviews);
+
+  this.interactions.push({
+    type: 'note_added',
+    details: `Review ${existing ? 'updated' : 'added'}: ${total}/${rubric.scale.max}`,
+    performedBy: reviewer.id
+  });
+
+  return this.getReview(reviewer.id);
+};
+
+// Method to remove a reviewer's review; returns false when there was none
+ApplicationSchema.methods.removeReview = function(rubric, reviewerId, removedBy = reviewerId) {
+  const existing = this.getReview(reviewerId);
+  if (!existing) return false;
+
+  this.reviews.pull(existing._id);
+  this.scoreSummary = summariseReviews(rubric, this.reviews);
+
   this.interactions.push({
     type: 'note_added',
-    details: `Rating added: Overall ${ratingData.overall}/10`,
-    performedBy: ratedBy
+    details: 'Review removed',
+    performedBy: removedBy
   });
+
+  return true;
+};
+
+// Recompute review totals and the summary, e.g. after rubric weights change
+ApplicationSchema.methods.recomputeScores = function(rubric) {
+  this.reviews.forEach(review => {
+    review.total = calculateReviewTotal(rubric, review.scores);
+  });
+  this.scoreSummary = summariseReviews(rubric, this.reviews);
 };
 
 // Method to get status color for UI
-ApplicationSchema.methods.getStatusColor = function() {
-  const colors = {
-    'submitted': '#6b7280',
-    'under_review': '#f59e0b',
-    'shortlisted': '#3b82f6',
-    'interview_scheduled': '#8b5cf6',
-    'approved': '#10b981',
-    'rejected': '#ef4444',
-    'on_hold': '#f97316'
-  };
-  return colors[this.status] || '#6b7280';
+ApplicationSchema.methods.getStatusColor = function(workflow = DEFAULT_RESOLVED_WORKFLOW) {
+  const stage = getStage(workflow, this.status);
+  return stage ? stage.color : '#6b7280';
+};
+
+// Method to check if the applicant can still edit
+ApplicationSchema.methods.canBeEdited = function(workflow = DEFAULT_RESOLVED_WORKFLOW) {
+  const stage = getStage(workflow, this.status);
+  return Boolean(stage && stage.applicantEditable);
 };
 
-// Method to check if can be edited
-ApplicationSchema.methods.canBeEdited = function() {
-  return ['submitted', 'under_review'].includes(this.status);
+// Method to check if the applicant can still withdraw
+ApplicationSchema.methods.canBeWithdrawn = function(workflow = DEFAULT_RESOLVED_WORKFLOW) {
+  return getWithdrawalStage(workflow, this.status) !== null;
+};
+
+// Status timeline for the applicant, built from statusHistory
+ApplicationSchema.methods.getStatusTimeline = function() {
+  const timeline = [{
+    status: this.statusHistory.length > 0 ? this.statusHistory[0].previousStatus : this.status,
+    date: this.submissionTime,
+    remarks: ''
+  }];
+
+  this.statusHistory.forEach(entry => {
+    timeline.push({
+      status: entry.newStatus,
+      previousStatus: entry.previousStatus,
+      date: entry.changedAt,
+      remarks: entry.remarks || ''
+    });
+  });
+
+  return timeline.sort((a, b) => new Date(a.date) - new Date(b.date));
 };
 
 // Method to get days since submission
@@ -678,6 +1215,10 @@ ApplicationSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+ApplicationSchema.statics.findAllByEmail = function (email) {
+  return this.find({ email: email.toLowerCase().trim() }).sort({ submissionTime: -1 });
+};
+
 ApplicationSchema.statics.getRecentApplications = function (limit = 10) {
   return this.find({}).sort({ submissionTime: -1 }).limit(limit);
 };
@@ -685,8 +1226,9 @@ ApplicationSchema.statics.getRecentApplications = function (limit = 10) {
 ApplicationSchema.statics.getApplicationsWithPublications = function () {
   return this.find({
     $or: [
-      { 'publicationDocument.filename': { $exists: true, $ne: null } },
-      { publicationDetails: { $exists: true, $ne: '', $ne: null } }
+      { 'documents.slot': 'publicationDocument' },
+      { publicationDetails: { $exists: true, $ne: '', $ne: null } },
+      { 'publications.0': { $exists: true } }
     ]
   });
 };
@@ -728,6 +1270,131 @@ ApplicationSchema.statics.findByUserWithFilters = function(userId, filters = {})
   return this.find(query).sort({ submissionTime: -1 });
 };
 
+// Get application statistics for a single form
+ApplicationSchema.statics.getStatsByForm = function(formId) {
+  return this.aggregate([
+    { $match: { formId: new mongoose.Types.ObjectId(formId) } },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
+// Recompute review totals and score summaries of a form's reviewed
+// applications after its rubric changed; resolves to the number updated
+ApplicationSchema.statics.recomputeScoresForForm = async function(formId, rubric) {
+  const cursor = this.find({ formId, 'reviews.0': { $exists: true } })
+    .select('reviews scoreSummary')
+    .cursor();
+
+  let updated = 0;
+  let operations = [];
+  for (let application = await cursor.next(); application; application = await cursor.next()) {
+    application.recomputeScores(rubric);
+    operations.push({
+      updateOne: {
+        filter: { _id: application._id },
+        update: { $set: { reviews: application.reviews, scoreSummary: application.scoreSummary } }
+      }
+    });
+    updated++;
+
+    if (operations.length === 500) {
+      await this.bulkWrite(operations);
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+
+  return updated;
+};
+
+// Recompute the computed attributes of every application on a form, e.g.
+// after its eligibility rules changed. Returns the number updated.
+ApplicationSchema.statics.recomputeAttributesForForm = async function(form) {
+  const now = new Date();
+  const cursor = this.find({ formId: form._id })
+    .select('dob experience educationalQualifications publicationDetails publications submissionTime')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let operations = [];
+  for (let application = await cursor.next(); application; application = await cursor.next()) {
+    operations.push({
+      updateOne: {
+        filter: { _id: application._id },
+        update: { $set: { computed: computeAttributes(application, { rules: form.eligibility, now }) } }
+      }
+    });
+    updated++;
+
+    if (operations.length === 500) {
+      await this.bulkWrite(operations);
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+
+  return updated;
+};
+
+// Convert the recorded grades of every application on a form again with the
+// form's grading rules (after they changed). Entries whose grade no longer
+// converts keep their percentage. Applications whose percentages changed are
+// checked against the form's eligibility rules again, since minimum
+// percentages may now be met or missed. Returns the number of applications
+// changed.
+ApplicationSchema.statics.renormalizeGradesForForm = async function(form) {
+  const grading = form.getGrading();
+  const now = new Date();
+  const cursor = this.find({ formId: form._id, 'educationalQualifications.0': { $exists: true } })
+    .select('category dob educationalQualifications professionalExam professionalExamValidity submissionTime')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let operations = [];
+  for (let application = await cursor.next(); application; application = await cursor.next()) {
+    const { qualifications } = normalizeQualifications(application.educationalQualifications, grading);
+    const changed = qualifications.some((q, index) => q.percentage !== application.educationalQualifications[index].percentage);
+    if (!changed) continue;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: application._id },
+        update: {
+          $set: {
+            educationalQualifications: qualifications,
+            eligibility: evaluateEligibility(form.eligibility, { ...application, educationalQualifications: qualifications }, { now })
+          }
+        }
+      }
+    });
+    updated++;
+
+    if (operations.length === 500) {
+      await this.bulkWrite(operations);
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+
+  return updated;
+};
+
 // Get application statistics for a user
 ApplicationSchema.statics.getStatsByUser = function(userId) {
   return this.aggregate([
@@ -736,7 +1403,7 @@ ApplicationSchema.statics.getStatsByUser = function(userId) {
       $group: {
         _id: '$status',
         count: { $sum: 1 },
-        avgRating: { $avg: '$rating.overall' }
+        avgScore: { $avg: '$scoreSummary.mean' }
       }
     }
   ]);
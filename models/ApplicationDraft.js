@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Days an untouched draft is kept before it expires
+const DRAFT_TTL_DAYS = parseInt(process.env.DRAFT_TTL_DAYS) || 14;
+
+// Days an expired draft record is kept before MongoDB removes it. Expired
+// drafts are normally deleted together with their files by the server's
+// sweep (sweepExpiredDrafts); the TTL index is a backstop that would leave
+// the files behind.
+const DRAFT_PURGE_GRACE_DAYS = 7;
+
+const ApplicationDraftSchema = new mongoose.Schema({
+  draftId: {
+    type: String,
+    unique: true,
+    required: true,
+    default: function() {
+      return 'DRAFT_' + Date.now() + '_' + Math.floor(Math.random() * 1000);
+    }
+  },
+
+  // Form the draft belongs to, and the form owner (for dashboard counts)
+  formId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Form',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // OTP-verified applicant email the draft is bound to
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+
+  // SHA-256 of the resume token; the token itself is only ever sent to the applicant
+  resumeTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  // Partial answers exactly as the form sent them
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Documents uploaded while drafting, keyed by the form's document slots
+  documents: [{
+    _id: false,
+    slot: String,
+    filename: String,
+    originalName: String,
+    size: Number,
+    mimeType: String,
+    uploadDate: Date,
+    path: String
+  }],
+
+  lastSavedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: function() {
+      return new Date(Date.now() + DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000);
+    }
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// MongoDB removes drafts left over a grace period after expiresAt
+ApplicationDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: DRAFT_PURGE_GRACE_DAYS * 24 * 60 * 60 });
+ApplicationDraftSchema.index({ formId: 1, email: 1 });
+
+// Instance methods
+ApplicationDraftSchema.methods.toJSON = function() {
+  const draft = this.toObject();
+  delete draft.__v;
+  delete draft.resumeTokenHash;
+  (draft.documents || []).forEach(doc => {
+    delete doc.path;
+  });
+  return draft;
+};
+
+// Push the expiry forward after each save
+ApplicationDraftSchema.methods.touch = function() {
+  this.lastSavedAt = new Date();
+  this.expiresAt = new Date(Date.now() + DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Static methods
+ApplicationDraftSchema.statics.hashResumeToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Create a new resume token; returns { token, hash }
+ApplicationDraftSchema.statics.generateResumeToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: this.hashResumeToken(token) };
+};
+
+// Find a live draft on a form by its resume token
+ApplicationDraftSchema.statics.findByResumeToken = function(token, formObjectId) {
+  if (!token || typeof token !== 'string') return Promise.resolve(null);
+
+  return this.findOne({
+    resumeTokenHash: this.hashResumeToken(token),
+    formId: formObjectId,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Count unfinished (unexpired) drafts, optionally for a single form
+ApplicationDraftSchema.statics.countActive = function(userId, formObjectId = null) {
+  const query = { userId, expiresAt: { $gt: new Date() } };
+  if (formObjectId) {
+    query.formId = formObjectId;
+  }
+  return this.countDocuments(query);
+};
+
+// Expired drafts with their uploaded documents, for the file sweep
+ApplicationDraftSchema.statics.findExpired = function(now = new Date()) {
+  return this.find({ expiresAt: { $lte: now } }).select('draftId documents.path').lean();
+};
+
+module.exports = mongoose.model('ApplicationDraft', ApplicationDraftSchema);
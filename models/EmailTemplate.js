@@ -14,6 +14,12 @@ const EmailTemplateSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Form this template belongs to (null = shared across all of the user's forms)
+  formId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Form',
+    default: null
+  },
   name: {
     type: String,
     required: [true, 'Template name is required'],
@@ -101,6 +107,7 @@ const EmailTemplateSchema = new mongoose.Schema({
 EmailTemplateSchema.index({ userId: 1, name: 1 });
 EmailTemplateSchema.index({ userId: 1, category: 1 });
 EmailTemplateSchema.index({ userId: 1, isActive: 1 });
+EmailTemplateSchema.index({ userId: 1, formId: 1 });
 EmailTemplateSchema.index({ templateId: 1 });
 
 // Pre-save middleware
@@ -0,0 +1,812 @@
+const mongoose = require('mongoose');
+const { FIELD_TYPES, resolveFormFields } = require('../utils/formFields');
+const { DEFAULT_TIMEZONE, isValidTimezone, getFormAvailability } = require('../utils/formSchedule');
+const { CATEGORIES, QUALIFICATION_LEVELS } = require('../utils/eligibility');
+const { STAGE_CATEGORIES, TRANSITION_ACTORS, resolveWorkflow, getStageCategory } = require('../utils/workflow');
+const { resolveRubric } = require('../utils/rubric');
+const { resolveGrading } = require('../utils/grading');
+const { BLIND_REVIEW_ACTIONS } = require('../utils/blindReview');
+const {
+  SUPPORTED_MIME_TYPES,
+  MAX_DOCUMENT_SIZE_MB,
+  MAX_DOCUMENTS_PER_SLOT,
+  LEGACY_SLOT_KEY,
+  buildLegacySlot
+} = require('../utils/documentSlots');
+
+const FormSchema = new mongoose.Schema({
+  formId: {
+    type: String,
+    unique: true,
+    required: true,
+    default: function() {
+      return 'FORM_' + Date.now() + '_' + Math.floor(Math.random() * 1000);
+    }
+  },
+
+  // Form owner
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // The form created for pre-existing single-form accounts
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  // Public Form Content
+  title: {
+    type: String,
+    default: 'Application Form',
+    trim: true,
+    maxlength: [100, 'Form title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    default: 'Please fill out this application form',
+    maxlength: [500, 'Form description cannot exceed 500 characters']
+  },
+  customHeadings: [{
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Custom heading cannot exceed 200 characters']
+    },
+    position: {
+      type: String,
+      enum: ['top', 'middle', 'bottom'],
+      default: 'top'
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  advertisement: {
+    filename: String,
+    originalName: String,
+    size: Number,
+    mimeType: String,
+    uploadDate: Date,
+    path: String
+  },
+
+  // Field definitions for the public form (empty = built-in default field set)
+  fields: [{
+    key: {
+      type: String,
+      required: [true, 'Field key is required'],
+      trim: true,
+      maxlength: [50, 'Field key cannot exceed 50 characters']
+    },
+    label: {
+      type: String,
+      required: [true, 'Field label is required'],
+      trim: true,
+      maxlength: [200, 'Field label cannot exceed 200 characters']
+    },
+    type: {
+      type: String,
+      enum: FIELD_TYPES,
+      default: 'text'
+    },
+    builtIn: {
+      type: Boolean,
+      default: false
+    },
+    required: {
+      type: Boolean,
+      default: false
+    },
+    options: [{
+      type: String,
+      trim: true,
+      maxlength: [200, 'Option cannot exceed 200 characters']
+    }],
+    min: {
+      type: Number,
+      default: null
+    },
+    max: {
+      type: Number,
+      default: null
+    },
+    regex: {
+      type: String,
+      default: null,
+      maxlength: [200, 'Regex cannot exceed 200 characters']
+    },
+    helpText: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Help text cannot exceed 500 characters'],
+      default: ''
+    },
+    order: {
+      type: Number,
+      default: 0
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+
+  // Document upload slots (empty = the single publication document field)
+  documentSlots: [{
+    _id: false,
+    key: {
+      type: String,
+      required: [true, 'Slot key is required'],
+      trim: true,
+      maxlength: [50, 'Slot key cannot exceed 50 characters']
+    },
+    label: {
+      type: String,
+      required: [true, 'Slot label is required'],
+      trim: true,
+      maxlength: [200, 'Slot label cannot exceed 200 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Slot description cannot exceed 500 characters'],
+      default: ''
+    },
+    required: {
+      type: Boolean,
+      default: false
+    },
+    allowedTypes: {
+      type: [{
+        type: String,
+        enum: SUPPORTED_MIME_TYPES
+      }],
+      default: ['application/pdf']
+    },
+    maxSizeMB: {
+      type: Number,
+      min: [0.1, 'Size limit must be at least 0.1 MB'],
+      max: [MAX_DOCUMENT_SIZE_MB, `Size limit cannot exceed ${MAX_DOCUMENT_SIZE_MB} MB`],
+      default: 5
+    },
+    maxCount: {
+      type: Number,
+      min: [1, 'File count must be at least 1'],
+      max: [MAX_DOCUMENTS_PER_SLOT, `File count cannot exceed ${MAX_DOCUMENTS_PER_SLOT}`],
+      default: 1
+    },
+    order: {
+      type: Number,
+      default: 0
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+
+  // Review workflow (no stages = the default workflow in utils/workflow.js)
+  workflow: {
+    initialStage: {
+      type: String,
+      default: null
+    },
+    stages: [{
+      _id: false,
+      key: {
+        type: String,
+        required: [true, 'Stage key is required'],
+        trim: true,
+        maxlength: [50, 'Stage key cannot exceed 50 characters']
+      },
+      label: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Stage label cannot exceed 100 characters']
+      },
+      color: {
+        type: String,
+        default: '#6b7280'
+      },
+      category: {
+        type: String,
+        enum: STAGE_CATEGORIES,
+        default: 'pending'
+      },
+      terminal: {
+        type: Boolean,
+        default: false
+      },
+      applicantEditable: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    transitions: [{
+      _id: false,
+      from: {
+        type: String,
+        required: true
+      },
+      to: {
+        type: String,
+        required: true
+      },
+      label: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Transition label cannot exceed 100 characters'],
+        default: ''
+      },
+      requiresRemarks: {
+        type: Boolean,
+        default: false
+      },
+      actor: {
+        type: String,
+        enum: TRANSITION_ACTORS,
+        default: 'owner'
+      }
+    }]
+  },
+
+  // Users the owner invited to review this form's applications
+  reviewers: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+
+  // Position of the next reviewer for round-robin assignment
+  assignmentCursor: {
+    type: Number,
+    default: 0
+  },
+
+  // Blind review hides applicant identities from reviewers until the owner
+  // unblinds; every change is kept in the audit log
+  blindReview: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Extra field keys to hide on top of utils/blindReview.js IDENTITY_FIELDS
+    hiddenFields: [{
+      type: String,
+      trim: true
+    }],
+    // Document slots to hide (none listed = photo/signature slots)
+    hiddenSlots: [{
+      type: String,
+      trim: true
+    }],
+    unblinded: {
+      type: Boolean,
+      default: false
+    },
+    unblindedAt: {
+      type: Date,
+      default: null
+    },
+    unblindedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    auditLog: [{
+      _id: false,
+      action: {
+        type: String,
+        enum: BLIND_REVIEW_ACTIONS,
+        required: true
+      },
+      performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      remarks: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Remarks cannot exceed 500 characters'],
+        default: ''
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+
+  // Scoring rubric for reviewers (no criteria = the default rubric in utils/rubric.js)
+  rubric: {
+    scale: {
+      min: {
+        type: Number,
+        default: 0
+      },
+      max: {
+        type: Number,
+        default: 10
+      }
+    },
+    criteria: [{
+      _id: false,
+      key: {
+        type: String,
+        required: [true, 'Criterion key is required'],
+        trim: true,
+        maxlength: [50, 'Criterion key cannot exceed 50 characters']
+      },
+      label: {
+        type: String,
+        required: [true, 'Criterion label is required'],
+        trim: true,
+        maxlength: [100, 'Criterion label cannot exceed 100 characters']
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Criterion description cannot exceed 500 characters'],
+        default: ''
+      },
+      weight: {
+        type: Number,
+        min: 0,
+        default: 1
+      }
+    }],
+    disagreementThreshold: {
+      type: Number,
+      default: null
+    }
+  },
+
+  // Eligibility rules applied to every submission
+  eligibility: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // flag = store the verdict only, reject = refuse ineligible submissions
+    enforcement: {
+      type: String,
+      enum: ['flag', 'reject'],
+      default: 'flag'
+    },
+    age: {
+      min: {
+        type: Number,
+        default: null
+      },
+      max: {
+        type: Number,
+        default: null
+      },
+      // Date on which age is calculated (null = submission date)
+      cutoffDate: {
+        type: Date,
+        default: null
+      }
+    },
+    ageRelaxation: [{
+      _id: false,
+      category: {
+        type: String,
+        enum: CATEGORIES
+      },
+      years: {
+        type: Number,
+        min: [0, 'Relaxation cannot be negative']
+      }
+    }],
+    minimumPercentages: [{
+      _id: false,
+      examPassed: {
+        type: String,
+        enum: QUALIFICATION_LEVELS
+      },
+      minimum: {
+        type: Number,
+        min: [0, 'Minimum percentage cannot be negative'],
+        max: [100, 'Minimum percentage cannot exceed 100']
+      }
+    }],
+    requiredQualifications: [{
+      type: String,
+      enum: QUALIFICATION_LEVELS
+    }],
+    professionalExam: {
+      required: {
+        type: Boolean,
+        default: false
+      },
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Professional exam name cannot exceed 200 characters'],
+        default: ''
+      },
+      // Date the exam must still be valid on (null = age cut-off date)
+      validOn: {
+        type: Date,
+        default: null
+      }
+    },
+    experience: {
+      // Experience entries mentioning one of these (designation,
+      // organization or responsibilities) count as relevant experience
+      relevantKeywords: [{
+        type: String,
+        trim: true,
+        maxlength: [50, 'Keywords cannot exceed 50 characters']
+      }]
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Conversion of CGPA and division grades to percentages (unset = the
+  // defaults in utils/grading.js)
+  grading: {
+    conversions: {
+      cgpa_10: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Conversion formula cannot exceed 500 characters'],
+        default: null
+      },
+      cgpa_4: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Conversion formula cannot exceed 500 characters'],
+        default: null
+      }
+    },
+    divisionPercentages: {
+      distinction: {
+        type: Number,
+        min: [0, 'Division percentage cannot be negative'],
+        max: [100, 'Division percentage cannot exceed 100'],
+        default: null
+      },
+      first: {
+        type: Number,
+        min: [0, 'Division percentage cannot be negative'],
+        max: [100, 'Division percentage cannot exceed 100'],
+        default: null
+      },
+      second: {
+        type: Number,
+        min: [0, 'Division percentage cannot be negative'],
+        max: [100, 'Division percentage cannot exceed 100'],
+        default: null
+      },
+      third: {
+        type: Number,
+        min: [0, 'Division percentage cannot be negative'],
+        max: [100, 'Division percentage cannot exceed 100'],
+        default: null
+      }
+    }
+  },
+
+  // Availability
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  acceptingApplications: {
+    type: Boolean,
+    default: true
+  },
+
+  // Submission window (instants; timezone is used for input and display)
+  schedule: {
+    opensAt: {
+      type: Date,
+      default: null
+    },
+    closesAt: {
+      type: Date,
+      default: null
+    },
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimezone,
+        message: 'Invalid timezone'
+      }
+    }
+  },
+
+  // Optional cap on the number of submissions (null = unlimited)
+  maxSubmissions: {
+    type: Number,
+    default: null,
+    min: [1, 'Maximum submissions must be at least 1']
+  },
+  // Submissions received so far, reserved atomically before each save
+  submissionCount: {
+    type: Number,
+    default: 0
+  },
+  // When and why the form stopped accepting applications
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closedReason: {
+    type: String,
+    enum: ['manual', 'capacity', null],
+    default: null
+  },
+
+  // Statistics
+  stats: {
+    totalApplications: {
+      type: Number,
+      default: 0
+    },
+    pendingApplications: {
+      type: Number,
+      default: 0
+    },
+    approvedApplications: {
+      type: Number,
+      default: 0
+    },
+    rejectedApplications: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+FormSchema.index({ userId: 1, isActive: 1 });
+FormSchema.index({ 'reviewers.userId': 1 });
+FormSchema.index({ userId: 1, isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+// Instance methods
+FormSchema.methods.toJSON = function() {
+  const form = this.toObject();
+  delete form.__v;
+  if (form.advertisement) {
+    delete form.advertisement.path;
+  }
+  return form;
+};
+
+// Generate public form link
+FormSchema.methods.getFormLink = function() {
+  return `/form/${this.formId}`;
+};
+
+// Get the effective field definitions (built-in defaults when not configured)
+FormSchema.methods.getFormFields = function() {
+  return resolveFormFields(this.fields);
+};
+
+// Get the active document slots. Forms without configured slots keep the
+// single publication document upload of the field builder.
+FormSchema.methods.getDocumentSlots = function() {
+  if (this.documentSlots && this.documentSlots.length > 0) {
+    return this.documentSlots
+      .filter(slot => slot.isActive !== false)
+      .map(slot => (typeof slot.toObject === 'function' ? slot.toObject() : slot))
+      .sort((a, b) => (a.order || 0) - (b.order || 0));
+  }
+
+  const field = this.getFormFields().find(f => f.key === LEGACY_SLOT_KEY);
+  return field && field.isActive !== false ? [buildLegacySlot(field)] : [];
+};
+
+// Get the effective review workflow (the default one when not configured)
+FormSchema.methods.getWorkflow = function() {
+  return resolveWorkflow(this.workflow);
+};
+
+// Get the effective scoring rubric (the default one when not configured)
+FormSchema.methods.getRubric = function() {
+  return resolveRubric(this.rubric);
+};
+
+// Get the effective grade conversion rules (defaults where not configured)
+FormSchema.methods.getGrading = function() {
+  return resolveGrading(this.grading);
+};
+
+// Whether a user is an active reviewer of this form
+FormSchema.methods.isReviewer = function(userId) {
+  return this.reviewers.some(reviewer => reviewer.isActive && String(reviewer.userId) === String(userId));
+};
+
+// IDs of the active reviewers, in the order they were added
+FormSchema.methods.getActiveReviewerIds = function() {
+  return this.reviewers
+    .filter(reviewer => reviewer.isActive)
+    .map(reviewer => String(reviewer.userId));
+};
+
+// Record a blind review change in the audit log
+FormSchema.methods.logBlindReviewAction = function(action, performedBy, remarks = '') {
+  this.blindReview.auditLog.push({ action, performedBy, remarks });
+};
+
+// Current open/closed state, taking the schedule and cap into account
+FormSchema.methods.getAvailability = function(now = new Date()) {
+  return getFormAvailability(this, now);
+};
+
+// Check if form can accept applications
+FormSchema.methods.canAcceptApplications = function(now = new Date()) {
+  return this.getAvailability(now).status === 'open';
+};
+
+// Reopening a form clears the recorded closure; closing it records one
+FormSchema.pre('save', function(next) {
+  if (this.isModified('acceptingApplications')) {
+    if (this.acceptingApplications) {
+      this.closedAt = null;
+      this.closedReason = null;
+    } else if (!this.closedAt) {
+      this.closedAt = new Date();
+      this.closedReason = 'manual';
+    }
+  }
+
+  // Raising the cap reopens a form that was closed for capacity
+  if (this.isModified('maxSubmissions') && this.closedReason === 'capacity' &&
+      (!this.maxSubmissions || this.submissionCount < this.maxSubmissions)) {
+    this.closedAt = null;
+    this.closedReason = null;
+  }
+  next();
+});
+
+// Update statistics for this form
+FormSchema.methods.updateStats = async function() {
+  const Application = require('./Application');
+
+  const stats = await Application.aggregate([
+    { $match: { formId: this._id } },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  this.stats.totalApplications = 0;
+  this.stats.pendingApplications = 0;
+  this.stats.approvedApplications = 0;
+  this.stats.rejectedApplications = 0;
+
+  const workflow = this.getWorkflow();
+
+  stats.forEach(stat => {
+    switch (getStageCategory(workflow, stat._id)) {
+      case 'pending':
+        this.stats.pendingApplications += stat.count;
+        break;
+      case 'approved':
+        this.stats.approvedApplications += stat.count;
+        break;
+      case 'rejected':
+        this.stats.rejectedApplications += stat.count;
+        break;
+    }
+    this.stats.totalApplications += stat.count;
+  });
+
+  await this.save();
+};
+
+// Static methods
+
+// Atomically reserve a submission slot. Returns the updated form, or null
+// when the form has reached its cap in the meantime.
+FormSchema.statics.reserveSubmission = async function(formObjectId) {
+  const form = await this.findOneAndUpdate(
+    {
+      _id: formObjectId,
+      $or: [
+        { maxSubmissions: null },
+        { $expr: { $lt: ['$submissionCount', '$maxSubmissions'] } }
+      ]
+    },
+    { $inc: { submissionCount: 1 } },
+    { new: true }
+  );
+
+  // Record the automatic closure once the last slot is taken
+  if (form && form.maxSubmissions && form.submissionCount >= form.maxSubmissions && !form.closedAt) {
+    form.closedAt = new Date();
+    form.closedReason = 'capacity';
+    await this.updateOne({ _id: form._id, closedAt: null }, { closedAt: form.closedAt, closedReason: 'capacity' });
+    console.log(`[FORM] Form closed automatically (capacity reached): ${form.formId}`);
+  }
+
+  return form;
+};
+
+// Give back a slot when the submission could not be saved
+FormSchema.statics.releaseSubmission = async function(formObjectId) {
+  await this.updateOne(
+    { _id: formObjectId, submissionCount: { $gt: 0 } },
+    [{
+      $set: {
+        submissionCount: { $subtract: ['$submissionCount', 1] },
+        closedAt: { $cond: [{ $eq: ['$closedReason', 'capacity'] }, null, '$closedAt'] },
+        closedReason: { $cond: [{ $eq: ['$closedReason', 'capacity'] }, null, '$closedReason'] }
+      }
+    }]
+  );
+};
+
+FormSchema.statics.findByFormId = function(formId) {
+  return this.findOne({ formId, isActive: true });
+};
+
+// Find a form by its public formId, scoped to the owner
+FormSchema.statics.findOwnedForm = function(formId, userId) {
+  return this.findOne({ formId, userId });
+};
+
+// Get the owner's default form, creating it from the legacy
+// User.formConfig block the first time it is needed
+FormSchema.statics.getOrCreateDefault = async function(userId) {
+  const existing = await this.findOne({ userId, isDefault: true });
+  if (existing) return existing;
+
+  const User = require('./User');
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const legacyConfig = user.formConfig || {};
+
+  const form = new this({
+    userId: user._id,
+    isDefault: true,
+    title: legacyConfig.title,
+    description: legacyConfig.description,
+    customHeadings: legacyConfig.customHeadings || [],
+    advertisement: legacyConfig.advertisement,
+    fields: legacyConfig.fields || [],
+    isActive: legacyConfig.isActive !== false,
+    acceptingApplications: legacyConfig.acceptingApplications !== false
+  });
+
+  await form.save();
+  console.log(`[FORM] Default form created for user ${user.username}: ${form.formId}`);
+
+  return form;
+};
+
+module.exports = mongoose.model('Form', FormSchema);
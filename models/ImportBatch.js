@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One spreadsheet import into a form. Imported applications carry the
+// batchId in metadata.importBatchId so the whole batch can be rolled back.
+const ImportBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    unique: true,
+    required: true,
+    default: function() {
+      return 'IMPORT_' + Date.now() + '_' + Math.floor(Math.random() * 1000);
+    }
+  },
+  formId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Form',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String,
+    default: ''
+  },
+  fileType: {
+    type: String,
+    enum: ['csv', 'xlsx']
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'rolled_back'],
+    default: 'completed'
+  },
+  // Column header -> import target used for the batch
+  mapping: [{
+    _id: false,
+    header: String,
+    target: String
+  }],
+  counts: {
+    rows: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    rolledBack: { type: Number, default: 0 }
+  },
+  // Problems with rows that were not imported, one per field (first 500)
+  failures: [{
+    _id: false,
+    row: Number,
+    field: String,
+    message: String
+  }],
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rolledBackAt: {
+    type: Date,
+    default: null
+  },
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ImportBatchSchema.index({ formId: 1, createdAt: -1 });
+
+ImportBatchSchema.methods.toJSON = function() {
+  const batch = this.toObject();
+  delete batch.__v;
+  return batch;
+};
+
+module.exports = mongoose.model('ImportBatch', ImportBatchSchema);
@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { CATEGORIES } = require('../utils/eligibility');
+const { RANKING_SOURCES, TIE_BREAKERS } = require('../utils/meritList');
+
+// One candidate on a merit list or waitlist (a snapshot taken at generation)
+const MeritEntrySchema = new mongoose.Schema({
+  applicationRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  applicationId: {
+    type: String,
+    required: true
+  },
+  name: String,
+  category: {
+    type: String,
+    enum: CATEGORIES
+  },
+  score: Number,
+  meritRank: Number,
+  categoryRank: Number,
+  // Category of the post filled (or waited for)
+  seatCategory: {
+    type: String,
+    enum: CATEGORIES
+  },
+  // Reserved-category candidate selected on merit for an open post
+  migrated: {
+    type: Boolean,
+    default: false
+  },
+  // Waitlist position within the seat category
+  position: Number
+}, { _id: false });
+
+const MeritListSchema = new mongoose.Schema({
+  meritListId: {
+    type: String,
+    unique: true,
+    required: true,
+    default: function() {
+      return 'MERIT_' + Date.now() + '_' + Math.floor(Math.random() * 1000);
+    }
+  },
+  formId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Form',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Versions count up per form
+  version: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters'],
+    default: ''
+  },
+  // Lists are frozen when generated; publishing one supersedes the
+  // previously published version
+  status: {
+    type: String,
+    enum: ['frozen', 'published', 'superseded'],
+    default: 'frozen'
+  },
+
+  // Settings the list was generated with
+  config: {
+    seats: [{
+      _id: false,
+      category: {
+        type: String,
+        enum: CATEGORIES
+      },
+      posts: Number
+    }],
+    ranking: {
+      source: {
+        type: String,
+        enum: RANKING_SOURCES
+      },
+      formula: {
+        type: String,
+        default: null
+      }
+    },
+    tieBreakers: [{
+      type: String,
+      enum: TIE_BREAKERS
+    }],
+    migrateToOpen: Boolean,
+    waitlistSize: Number,
+    minimumScore: {
+      type: Number,
+      default: null
+    },
+    statuses: [String]
+  },
+
+  selected: [MeritEntrySchema],
+  waitlist: [MeritEntrySchema],
+  seats: [{
+    _id: false,
+    category: String,
+    posts: Number,
+    filled: Number,
+    vacant: Number
+  }],
+  counts: {
+    considered: Number,
+    ranked: Number,
+    unscored: Number
+  },
+
+  // SHA-256 of the list contents, to show a published list was not altered
+  checksum: {
+    type: String,
+    required: true
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+MeritListSchema.index({ formId: 1, version: -1 }, { unique: true });
+MeritListSchema.index({ formId: 1, status: 1 });
+
+// JSON with sorted object keys, so the checksum does not depend on the
+// order MongoDB returns fields in
+const canonicalJSON = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Checksum over everything that makes up the list
+MeritListSchema.methods.computeChecksum = function() {
+  const list = this.toObject({ depopulate: true });
+  const content = canonicalJSON({
+    formId: String(list.formId),
+    version: list.version,
+    config: list.config,
+    selected: list.selected,
+    waitlist: list.waitlist
+  });
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+// Lists are frozen: only the publication state may change after creation
+MeritListSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    this.checksum = this.computeChecksum();
+    return next();
+  }
+
+  const frozenPaths = ['config', 'selected', 'waitlist', 'seats', 'counts', 'version', 'formId', 'checksum'];
+  if (frozenPaths.some(path => this.isModified(path))) {
+    return next(new Error('A generated merit list is frozen and cannot be changed; generate a new version instead'));
+  }
+  next();
+});
+
+// Public view of a published list: application IDs and positions only
+MeritListSchema.methods.toPublicJSON = function() {
+  const toPublicEntry = (entry) => ({
+    applicationId: entry.applicationId,
+    category: entry.category,
+    seatCategory: entry.seatCategory,
+    meritRank: entry.meritRank,
+    ...(entry.position !== undefined && { position: entry.position })
+  });
+
+  return {
+    version: this.version,
+    title: this.title,
+    publishedAt: this.publishedAt,
+    seats: this.seats,
+    selected: this.selected.map(toPublicEntry),
+    waitlist: this.waitlist.map(toPublicEntry),
+    checksum: this.checksum
+  };
+};
+
+MeritListSchema.methods.toJSON = function() {
+  const list = this.toObject();
+  delete list.__v;
+  return list;
+};
+
+module.exports = mongoose.model('MeritList', MeritListSchema);
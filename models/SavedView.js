@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// A named application list view of a form: list filters (including advanced
+// search text and conditions), sort order and export columns. Views are
+// private to their creator unless shared with everyone working on the form
+// (its owner and reviewers). Each user may mark one visible view per form as
+// their default.
+const SavedViewSchema = new mongoose.Schema({
+  viewId: {
+    type: String,
+    unique: true,
+    required: true,
+    default: function() {
+      return 'VIEW_' + Date.now() + '_' + Math.floor(Math.random() * 1000);
+    }
+  },
+  formId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Form',
+    required: true
+  },
+  // Owner of the form, so a user's views can be found across their forms
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [100, 'View name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  // List filter parameters (see utils/savedViews.js)
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sort: {
+    sortBy: {
+      type: String,
+      default: null
+    },
+    sortOrder: {
+      type: String,
+      enum: ['asc', 'desc'],
+      default: 'desc'
+    }
+  },
+  // Visible/exported columns (utils/applicationExport.js column keys)
+  columns: [{
+    type: String
+  }],
+  shared: {
+    type: Boolean,
+    default: false
+  },
+  // Users who picked this view as their default for the form
+  defaultFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+SavedViewSchema.index({ formId: 1, createdBy: 1, name: 1 }, { unique: true });
+SavedViewSchema.index({ formId: 1, shared: 1 });
+
+// Whether a user may see and apply the view
+SavedViewSchema.methods.isVisibleTo = function(userId) {
+  return this.shared || String(this.createdBy) === String(userId);
+};
+
+// The view as seen by a user
+SavedViewSchema.methods.toPublicJSON = function(userId) {
+  return {
+    viewId: this.viewId,
+    name: this.name,
+    description: this.description,
+    filters: this.filters,
+    sort: {
+      sortBy: this.sort.sortBy,
+      sortOrder: this.sort.sortOrder
+    },
+    columns: this.columns,
+    shared: this.shared,
+    isDefault: this.defaultFor.some(id => String(id) === String(userId)),
+    isMine: String(this.createdBy) === String(userId),
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('SavedView', SavedViewSchema);
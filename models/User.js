@@ -56,7 +56,8 @@ const UserSchema = new mongoose.Schema({
     maxlength: [100, 'Organization name cannot exceed 100 characters']
   },
   
-  // Form Configuration
+  // Legacy single-form configuration (superseded by the Form model,
+  // kept as the source for each account's default form)
   formConfig: {
     title: {
       type: String,
@@ -176,17 +177,23 @@ UserSchema.methods.getFullName = function() {
 // Update statistics
 UserSchema.methods.updateStats = async function() {
   const Application = require('./Application');
+  const Form = require('./Form');
+  const { DEFAULT_RESOLVED_WORKFLOW, getStageCategory } = require('../utils/workflow');
   
   const stats = await Application.aggregate([
     { $match: { userId: this._id } },
     {
       $group: {
-        _id: '$status',
+        _id: { formId: '$formId', status: '$status' },
         count: { $sum: 1 }
       }
     }
   ]);
 
+  // Each form may name and group its stages differently
+  const forms = await Form.find({ userId: this._id }).select('workflow');
+  const workflows = new Map(forms.map(form => [String(form._id), form.getWorkflow()]));
+
   // Reset stats
   this.stats.totalApplications = 0;
   this.stats.pendingApplications = 0;
@@ -195,11 +202,10 @@ UserSchema.methods.updateStats = async function() {
 
   // Update stats based on aggregation
   stats.forEach(stat => {
-    switch (stat._id) {
-      case 'submitted':
-      case 'under_review':
-      case 'shortlisted':
-      case 'interview_scheduled':
+    const workflow = workflows.get(String(stat._id.formId)) || DEFAULT_RESOLVED_WORKFLOW;
+
+    switch (getStageCategory(workflow, stat._id.status)) {
+      case 'pending':
         this.stats.pendingApplications += stat.count;
         break;
       case 'approved':
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const {
+  getMyApplications,
+  getMyApplication,
+  updateMyApplication,
+  downloadMyDocument,
+  downloadMyAcknowledgement,
+  withdrawMyApplication
+} = require('../controllers/applicantController');
+
+const {
+  applicantAuth,
+  logUserActivity
+} = require('../middleware/authMiddleware');
+
+// Rate limiters
+const portalLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 portal requests per 15 minutes
+  message: {
+    success: false,
+    error: 'Too many requests, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const updateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each IP to 20 edits/withdrawals per 15 minutes
+  message: {
+    success: false,
+    error: 'Too many updates, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// All applicant routes require an OTP session (applicantToken from /api/verify-otp)
+router.use(applicantAuth);
+
+// @route   GET /api/applicant/applications
+// @desc    List the applicant's applications across all forms
+// @access  Applicant
+router.get('/applications',
+  portalLimiter,
+  logUserActivity('Applicant List Applications'),
+  getMyApplications
+);
+
+// @route   GET /api/applicant/applications/:applicationId
+// @desc    Get an application with its status timeline
+// @access  Applicant
+router.get('/applications/:applicationId',
+  portalLimiter,
+  logUserActivity('Applicant Get Application'),
+  getMyApplication
+);
+
+// @route   PUT /api/applicant/applications/:applicationId
+// @desc    Edit an application while it is still editable
+// @access  Applicant
+router.put('/applications/:applicationId',
+  updateLimiter,
+  logUserActivity('Applicant Update Application'),
+  updateMyApplication
+);
+
+// @route   GET /api/applicant/applications/:applicationId/documents/:documentId
+// @desc    Download one of the applicant's uploaded documents
+// @access  Applicant
+router.get('/applications/:applicationId/documents/:documentId',
+  portalLimiter,
+  logUserActivity('Applicant Download Document'),
+  downloadMyDocument
+);
+
+// @route   GET /api/applicant/applications/:applicationId/acknowledgement
+// @desc    Download the acknowledgement receipt (PDF) of an application
+// @access  Applicant
+router.get('/applications/:applicationId/acknowledgement',
+  portalLimiter,
+  logUserActivity('Applicant Download Acknowledgement'),
+  downloadMyAcknowledgement
+);
+
+// @route   POST /api/applicant/applications/:applicationId/withdraw
+// @desc    Withdraw an application
+// @access  Applicant
+router.post('/applications/:applicationId/withdraw',
+  updateLimiter,
+  logUserActivity('Applicant Withdraw Application'),
+  withdrawMyApplication
+);
+
+module.exports = router;
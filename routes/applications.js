@@ -4,15 +4,52 @@ const rateLimit = require('express-rate-limit');
 const { 
   submitApplication,
   getApplicationById,
+  getApplicationDocuments,
+  downloadDocument,
   downloadPublicationDocument,
+  verifyAcknowledgement,
   getAllApplications,
   updateApplicationStatus,
+  getApplicationWorkflow,
   getApplicationStats,
   deleteApplication,
   getApplicationsWithPublications,
+  parsePublicationCitations,
+  getDocumentTextReport,
+  retryDocumentTextExtraction,
   cleanupOrphanedFiles
 } = require('../controllers/applicationController');
 
+const {
+  saveDraft,
+  getDraft,
+  submitDraft,
+  deleteDraft
+} = require('../controllers/draftController');
+
+const { bulkUpdateApplications } = require('../controllers/bulkController');
+
+const {
+  getApplicationReviews,
+  submitReview,
+  deleteReview
+} = require('../controllers/reviewController');
+
+const { unassignApplication } = require('../controllers/reviewerController');
+
+const { getPublishedMeritList } = require('../controllers/meritListController');
+
+const { exportApplications } = require('../controllers/exportController');
+
+const { searchApplications } = require('../controllers/searchController');
+
+const { downloadDocumentsArchive } = require('../controllers/archiveController');
+
+const {
+  downloadApplicationPdf,
+  downloadApplicationsPdf
+} = require('../controllers/pdfController');
+
 const { 
   authMiddleware,
   adminAuth,
@@ -21,6 +58,8 @@ const {
   logUserActivity
 } = require('../middleware/authMiddleware');
 
+const { SCHEME_LABELS } = require('../utils/grading');
+
 // Rate limiters
 const submitLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -34,6 +73,18 @@ const submitLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+const draftLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // Drafts are autosaved, so allow more writes than final submissions
+  message: {
+    success: false,
+    error: 'Too many draft saves, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 const getLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 GET requests per 15 minutes
@@ -56,6 +107,18 @@ const downloadLimiter = rateLimit({
   }
 });
 
+const bulkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Each request may cover up to 1000 applications
+  message: {
+    success: false,
+    error: 'Too many bulk requests, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 const adminLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 200, // Higher limit for admin operations
@@ -66,20 +129,19 @@ const adminLimiter = rateLimit({
   }
 });
 
-// Input validation middleware for status updates
+// Input validation middleware for status updates. Which statuses are valid
+// and which need remarks depends on the form's workflow (see
+// updateApplicationStatus).
 const validateStatusUpdate = (req, res, next) => {
   const { status, remarks } = req.body;
   const errors = [];
 
-  // Status validation
-  const validStatuses = ['submitted', 'under_review', 'shortlisted', 'approved', 'rejected', 'interview_scheduled', 'on_hold'];
   if (!status) {
     errors.push({ field: 'status', message: 'Status is required' });
-  } else if (!validStatuses.includes(status)) {
-    errors.push({ field: 'status', message: `Status must be one of: ${validStatuses.join(', ')}` });
+  } else if (typeof status !== 'string' || status.length > 50) {
+    errors.push({ field: 'status', message: 'Status must be a workflow stage key' });
   }
 
-  // Remarks validation (optional but recommended for certain statuses)
   if (remarks !== undefined) {
     if (typeof remarks !== 'string') {
       errors.push({ field: 'remarks', message: 'Remarks must be a string' });
@@ -88,11 +150,6 @@ const validateStatusUpdate = (req, res, next) => {
     }
   }
 
-  // Require remarks for rejection
-  if (status === 'rejected' && (!remarks || remarks.trim().length === 0)) {
-    errors.push({ field: 'remarks', message: 'Remarks are required when rejecting an application' });
-  }
-
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -107,39 +164,97 @@ const validateStatusUpdate = (req, res, next) => {
 
 // Public Routes (Form submission and viewing)
 
-// @route   POST /api/applications/form/:userId
-// @desc    Submit new application to a specific user's form
+// @route   POST /api/applications/form/:formId
+// @desc    Submit new application to a specific form
 // @access  Public
-router.post('/form/:userId', 
+router.post('/form/:formId', 
   submitLimiter,
   validateFormAccess,
   logUserActivity('Application Submission'),
   submitApplication
 );
 
-// @route   GET /api/applications/form/:userId/config
+// @route   POST /api/applications/form/:formId/draft
+// @desc    Save partial answers as a draft (returns a resume token on creation)
+// @access  Public
+router.post('/form/:formId/draft',
+  draftLimiter,
+  validateFormAccess,
+  logUserActivity('Save Application Draft'),
+  saveDraft
+);
+
+// @route   GET /api/applications/form/:formId/draft
+// @desc    Load a draft by resume token
+// @access  Public
+router.get('/form/:formId/draft',
+  getLimiter,
+  validateFormAccess,
+  logUserActivity('Get Application Draft'),
+  getDraft
+);
+
+// @route   POST /api/applications/form/:formId/draft/submit
+// @desc    Submit a draft as the final application
+// @access  Public
+router.post('/form/:formId/draft/submit',
+  submitLimiter,
+  validateFormAccess,
+  logUserActivity('Submit Application Draft'),
+  submitDraft
+);
+
+// @route   DELETE /api/applications/form/:formId/draft
+// @desc    Discard a draft
+// @access  Public
+router.delete('/form/:formId/draft',
+  draftLimiter,
+  validateFormAccess,
+  logUserActivity('Delete Application Draft'),
+  deleteDraft
+);
+
+// @route   POST /api/applications/form/:formId/publications/parse
+// @desc    Parse pasted BibTeX or RIS citations into publication entries
+// @access  Public
+router.post('/form/:formId/publications/parse',
+  draftLimiter,
+  validateFormAccess,
+  logUserActivity('Parse Publication Citations'),
+  parsePublicationCitations
+);
+
+// @route   GET /api/applications/form/:formId/config
 // @desc    Get form configuration for public form
 // @access  Public
-router.get('/form/:userId/config',
+router.get('/form/:formId/config',
   getLimiter,
   validateFormAccess,
   logUserActivity('Get Form Config'),
   async (req, res) => {
     try {
-      const formOwner = req.formOwner;
+      const { form, formOwner } = req;
       
       res.status(200).json({
         success: true,
         formConfig: {
-          title: formOwner.formConfig.title || 'Application Form',
-          description: formOwner.formConfig.description || 'Please fill out this application form completely.',
-          customHeadings: formOwner.formConfig.customHeadings || [],
+          formId: form.formId,
+          title: form.title || 'Application Form',
+          description: form.description || 'Please fill out this application form completely.',
+          customHeadings: form.customHeadings || [],
           ownerInfo: {
             name: formOwner.getFullName(),
             organization: formOwner.organization || ''
           },
-          advertisement: formOwner.formConfig.advertisement || null,
-          isActive: formOwner.formConfig.isActive
+          advertisement: form.toJSON().advertisement || null,
+          isActive: form.isActive,
+          acceptingApplications: form.canAcceptApplications(),
+          availability: form.getAvailability(),
+          eligibility: form.eligibility && form.eligibility.enabled ? form.toJSON().eligibility : null,
+          fields: form.getFormFields(),
+          documentSlots: form.getDocumentSlots(),
+          grading: { schemes: SCHEME_LABELS, ...form.getGrading() },
+          stages: form.getWorkflow().stages.map(({ key, label, color, terminal }) => ({ key, label, color, terminal }))
         }
       });
       
@@ -154,18 +269,36 @@ router.get('/form/:userId/config',
   }
 );
 
-// @route   GET /api/applications/form/:userId/advertisement
+// @route   GET /api/applications/form/:formId/merit-list
+// @desc    Get the published merit list of a form
+// @access  Public
+router.get('/form/:formId/merit-list',
+  getLimiter,
+  logUserActivity('Get Merit List'),
+  getPublishedMeritList
+);
+
+// @route   GET /api/applications/verify/:applicationId
+// @desc    Verify an acknowledgement receipt (code from the receipt's QR code)
+// @access  Public
+router.get('/verify/:applicationId',
+  getLimiter,
+  logUserActivity('Verify Acknowledgement'),
+  verifyAcknowledgement
+);
+
+// @route   GET /api/applications/form/:formId/advertisement
 // @desc    Download form advertisement file
 // @access  Public
-router.get('/form/:userId/advertisement',
+router.get('/form/:formId/advertisement',
   downloadLimiter,
   validateFormAccess,
   logUserActivity('Download Advertisement'),
   async (req, res) => {
     try {
-      const formOwner = req.formOwner;
+      const form = req.form;
       
-      if (!formOwner.formConfig.advertisement || !formOwner.formConfig.advertisement.path) {
+      if (!form.advertisement || !form.advertisement.path) {
         return res.status(404).json({
           success: false,
           message: 'Advertisement file not found',
@@ -173,11 +306,11 @@ router.get('/form/:userId/advertisement',
         });
       }
 
-      const filePath = formOwner.formConfig.advertisement.path;
-      const fileName = formOwner.formConfig.advertisement.originalName;
+      const filePath = form.advertisement.path;
+      const fileName = form.advertisement.originalName;
 
       res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
-      res.setHeader('Content-Type', formOwner.formConfig.advertisement.mimeType);
+      res.setHeader('Content-Type', form.advertisement.mimeType);
       
       res.sendFile(filePath, (err) => {
         if (err) {
@@ -203,7 +336,7 @@ router.get('/form/:userId/advertisement',
 );
 
 // @route   GET /api/applications/:applicationId
-// @desc    Get application by ID (public for applicant verification)
+// @desc    Get application status by ID (minimal public lookup)
 // @access  Public
 router.get('/:applicationId', 
   getLimiter,
@@ -223,6 +356,26 @@ router.get('/user/list',
   getAllApplications
 );
 
+// @route   POST /api/applications/user/search
+// @desc    Full-text and condition search over the user's applications
+// @access  Private
+router.post('/user/search',
+  getLimiter,
+  authMiddleware,
+  logUserActivity('Search Applications'),
+  searchApplications
+);
+
+// @route   GET /api/applications/user/export
+// @desc    Export filtered applications as CSV or XLSX
+// @access  Private
+router.get('/user/export',
+  downloadLimiter,
+  authMiddleware,
+  logUserActivity('Export Applications'),
+  exportApplications
+);
+
 // @route   GET /api/applications/user/stats
 // @desc    Get application statistics for authenticated user
 // @access  Private
@@ -243,6 +396,56 @@ router.get('/user/with-publications',
   getApplicationsWithPublications
 );
 
+// @route   GET /api/applications/user/document-text
+// @desc    Text extraction status of uploaded documents and its failures
+// @access  Private
+router.get('/user/document-text',
+  getLimiter,
+  authMiddleware,
+  logUserActivity('Get Document Text Report'),
+  getDocumentTextReport
+);
+
+// @route   POST /api/applications/user/document-text/retry
+// @desc    Queue failed document text extractions again
+// @access  Private
+router.post('/user/document-text/retry',
+  bulkLimiter,
+  authMiddleware,
+  logUserActivity('Retry Document Text Extraction'),
+  retryDocumentTextExtraction
+);
+
+// @route   POST /api/applications/bulk
+// @desc    Change status, priority or tags of, or delete, many applications
+// @access  Private
+router.post('/bulk',
+  bulkLimiter,
+  authMiddleware,
+  logUserActivity('Bulk Update Applications'),
+  bulkUpdateApplications
+);
+
+// @route   POST /api/applications/documents/archive
+// @desc    Download documents of many applications as a ZIP with an index
+// @access  Private
+router.post('/documents/archive',
+  downloadLimiter,
+  authMiddleware,
+  logUserActivity('Download Documents Archive'),
+  downloadDocumentsArchive
+);
+
+// @route   POST /api/applications/pdf/batch
+// @desc    Download many applications merged into one printable PDF
+// @access  Private
+router.post('/pdf/batch',
+  downloadLimiter,
+  authMiddleware,
+  logUserActivity('Download Applications PDF'),
+  downloadApplicationsPdf
+);
+
 // @route   PUT /api/applications/:applicationId/status
 // @desc    Update application status (user must own the form)
 // @access  Private
@@ -255,6 +458,17 @@ router.put('/:applicationId/status',
   updateApplicationStatus
 );
 
+// @route   GET /api/applications/:applicationId/workflow
+// @desc    Get workflow stages and allowed next actions (user must own the form)
+// @access  Private
+router.get('/:applicationId/workflow',
+  getLimiter,
+  authMiddleware,
+  checkApplicationOwnership,
+  logUserActivity('Get Application Workflow'),
+  getApplicationWorkflow
+);
+
 // @route   PUT /api/applications/:applicationId/priority
 // @desc    Update application priority
 // @access  Private
@@ -426,69 +640,92 @@ router.post('/:applicationId/schedule-interview',
   }
 );
 
+// @route   GET /api/applications/:applicationId/reviews
+// @desc    Get all reviewer scores and the aggregate score
+// @access  Private
+router.get('/:applicationId/reviews',
+  getLimiter,
+  authMiddleware,
+  checkApplicationOwnership,
+  logUserActivity('View Application Reviews'),
+  getApplicationReviews
+);
+
+// @route   PUT /api/applications/:applicationId/review
+// @desc    Add/update the current user's rubric scores
+// @access  Private
+router.put('/:applicationId/review',
+  getLimiter,
+  authMiddleware,
+  checkApplicationOwnership,
+  logUserActivity('Submit Application Review'),
+  submitReview
+);
+
+// @route   DELETE /api/applications/:applicationId/review
+// @desc    Remove the current user's review
+// @access  Private
+router.delete('/:applicationId/review',
+  getLimiter,
+  authMiddleware,
+  checkApplicationOwnership,
+  logUserActivity('Delete Application Review'),
+  deleteReview
+);
+
+// @route   DELETE /api/applications/:applicationId/reviewers/:reviewerId
+// @desc    Unassign a reviewer from the application
+// @access  Private
+router.delete('/:applicationId/reviewers/:reviewerId',
+  getLimiter,
+  authMiddleware,
+  checkApplicationOwnership,
+  logUserActivity('Unassign Reviewer'),
+  unassignApplication
+);
+
 // @route   PUT /api/applications/:applicationId/rating
-// @desc    Add/update application rating
+// @desc    Legacy rating endpoint; scores are saved as the current user's review
 // @access  Private
 router.put('/:applicationId/rating',
   getLimiter,
   authMiddleware,
   checkApplicationOwnership,
   logUserActivity('Update Application Rating'),
-  async (req, res) => {
-    try {
-      const { overall, technical, communication, experience, notes } = req.body;
-      const errors = [];
-
-      // Validate ratings (0-10)
-      const ratings = { overall, technical, communication, experience };
-      Object.keys(ratings).forEach(key => {
-        const value = ratings[key];
-        if (value !== undefined && value !== null) {
-          if (typeof value !== 'number' || value < 0 || value > 10) {
-            errors.push({ field: key, message: `${key} rating must be a number between 0 and 10` });
-          }
-        }
-      });
-
-      if (notes !== undefined && (typeof notes !== 'string' || notes.length > 500)) {
-        errors.push({ field: 'notes', message: 'Notes must be a string with max 500 characters' });
-      }
+  submitReview
+);
 
-      if (errors.length > 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed',
-          errors,
-          code: 'VALIDATION_ERROR'
-        });
-      }
+// @route   GET /api/applications/:applicationId/pdf
+// @desc    Download a printable PDF copy of an application (user must own the form)
+// @access  Private
+router.get('/:applicationId/pdf',
+  downloadLimiter,
+  authMiddleware,
+  checkApplicationOwnership,
+  logUserActivity('Download Application PDF'),
+  downloadApplicationPdf
+);
 
-      const application = req.application;
-      
-      application.addRating({
-        overall,
-        technical,
-        communication,
-        experience,
-        notes: notes || ''
-      }, req.user.id);
-      
-      await application.save();
+// @route   GET /api/applications/:applicationId/documents
+// @desc    List an application's uploaded documents (user must own the form)
+// @access  Private
+router.get('/:applicationId/documents',
+  getLimiter,
+  authMiddleware,
+  checkApplicationOwnership,
+  logUserActivity('List Application Documents'),
+  getApplicationDocuments
+);
 
-      res.status(200).json({
-        success: true,
-        message: 'Application rating updated successfully',
-        rating: application.rating
-      });
-    } catch (error) {
-      console.error('[APP] Update rating error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        code: 'INTERNAL_ERROR'
-      });
-    }
-  }
+// @route   GET /api/applications/:applicationId/documents/:documentId
+// @desc    Download one uploaded document (user must own the form)
+// @access  Private
+router.get('/:applicationId/documents/:documentId',
+  downloadLimiter,
+  authMiddleware,
+  checkApplicationOwnership,
+  logUserActivity('Download Application Document'),
+  downloadDocument
 );
 
 // @route   GET /api/applications/:applicationId/publication-document
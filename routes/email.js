@@ -119,7 +119,7 @@ const validateTemplateData = (req, res, next) => {
 };
 
 const validateBulkEmailData = (req, res, next) => {
-  const { templateId, applicationIds, customVariables } = req.body;
+  const { templateId, applicationIds, viewId, customVariables } = req.body;
   const errors = [];
 
   // Template ID validation
@@ -127,8 +127,15 @@ const validateBulkEmailData = (req, res, next) => {
     errors.push({ field: 'templateId', message: 'Template ID is required' });
   }
 
-  // Application IDs validation
-  if (!applicationIds || !Array.isArray(applicationIds)) {
+  // Recipients: application IDs or a saved view
+  if (viewId !== undefined) {
+    if (typeof viewId !== 'string' || !viewId.trim()) {
+      errors.push({ field: 'viewId', message: 'View ID must be a string' });
+    }
+    if (applicationIds !== undefined) {
+      errors.push({ field: 'applicationIds', message: 'Provide either application IDs or a saved view, not both' });
+    }
+  } else if (!applicationIds || !Array.isArray(applicationIds)) {
     errors.push({ field: 'applicationIds', message: 'Application IDs must be an array' });
   } else if (applicationIds.length === 0) {
     errors.push({ field: 'applicationIds', message: 'At least one application ID is required' });
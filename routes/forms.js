@@ -0,0 +1,425 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const {
+  createForm,
+  getForms,
+  getForm,
+  updateForm,
+  deleteForm,
+  getFormStats,
+  reevaluateEligibility,
+  uploadAdvertisement,
+  deleteAdvertisement
+} = require('../controllers/formController');
+
+const {
+  getFormReviewers,
+  addFormReviewer,
+  removeFormReviewer,
+  assignApplications,
+  getBlindReview,
+  unblindReview,
+  reblindReview,
+  exportScores
+} = require('../controllers/reviewerController');
+
+const {
+  generateMeritList,
+  getMeritLists,
+  getMeritList,
+  publishMeritList
+} = require('../controllers/meritListController');
+
+const {
+  importApplications,
+  getImportBatches,
+  getImportBatch,
+  rollbackImportBatch
+} = require('../controllers/importController');
+
+const {
+  getSavedViews,
+  createSavedView,
+  getSavedView,
+  updateSavedView,
+  setDefaultView,
+  deleteSavedView
+} = require('../controllers/savedViewController');
+
+const {
+  authMiddleware,
+  checkFormOwnership,
+  checkFormMembership,
+  logUserActivity
+} = require('../middleware/authMiddleware');
+
+const { validateFormConfig } = require('../middleware/validation');
+
+// Rate limiters for different endpoints
+const generalLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs for general endpoints
+  message: {
+    success: false,
+    error: 'Too many requests, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const uploadLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Limit file uploads per hour
+  message: {
+    success: false,
+    error: 'Too many file uploads, please try again later.',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// All form routes require authentication
+router.use(authMiddleware);
+
+// @route   GET /api/forms
+// @desc    List the authenticated user's forms
+// @access  Private
+router.get('/',
+  generalLimiter,
+  logUserActivity('List Forms'),
+  getForms
+);
+
+// @route   POST /api/forms
+// @desc    Create a new form (position)
+// @access  Private
+router.post('/',
+  generalLimiter,
+  validateFormConfig,
+  logUserActivity('Create Form'),
+  createForm
+);
+
+// @route   GET /api/forms/:formId
+// @desc    Get a single form
+// @access  Private
+router.get('/:formId',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Get Form'),
+  getForm
+);
+
+// @route   PUT /api/forms/:formId
+// @desc    Update form configuration
+// @access  Private
+router.put('/:formId',
+  generalLimiter,
+  checkFormOwnership,
+  validateFormConfig,
+  logUserActivity('Update Form'),
+  updateForm
+);
+
+// @route   DELETE /api/forms/:formId
+// @desc    Archive a form
+// @access  Private
+router.delete('/:formId',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Delete Form'),
+  deleteForm
+);
+
+// @route   GET /api/forms/:formId/stats
+// @desc    Get statistics for a form
+// @access  Private
+router.get('/:formId/stats',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Get Form Stats'),
+  getFormStats
+);
+
+// @route   POST /api/forms/:formId/eligibility/re-evaluate
+// @desc    Re-evaluate all applications after the eligibility rules change
+// @access  Private
+router.post('/:formId/eligibility/re-evaluate',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Re-evaluate Eligibility'),
+  reevaluateEligibility
+);
+
+// @route   GET /api/forms/:formId/reviewers
+// @desc    List the form's reviewers and their assignment load
+// @access  Private
+router.get('/:formId/reviewers',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('List Form Reviewers'),
+  getFormReviewers
+);
+
+// @route   POST /api/forms/:formId/reviewers
+// @desc    Invite a registered user to review the form's applications
+// @access  Private
+router.post('/:formId/reviewers',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Add Form Reviewer'),
+  addFormReviewer
+);
+
+// @route   DELETE /api/forms/:formId/reviewers/:reviewerId
+// @desc    Remove a reviewer and withdraw their assignments
+// @access  Private
+router.delete('/:formId/reviewers/:reviewerId',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Remove Form Reviewer'),
+  removeFormReviewer
+);
+
+// @route   POST /api/forms/:formId/assignments
+// @desc    Assign applications to reviewers (manual, round_robin, load_balanced)
+// @access  Private
+router.post('/:formId/assignments',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Assign Applications'),
+  assignApplications
+);
+
+// @route   GET /api/forms/:formId/blind-review
+// @desc    Get the blind review state and its audit log
+// @access  Private
+router.get('/:formId/blind-review',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Get Blind Review'),
+  getBlindReview
+);
+
+// @route   POST /api/forms/:formId/blind-review/unblind
+// @desc    Reveal applicant identities to reviewers (audited)
+// @access  Private
+router.post('/:formId/blind-review/unblind',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Unblind Review'),
+  unblindReview
+);
+
+// @route   POST /api/forms/:formId/blind-review/reblind
+// @desc    Hide applicant identities from reviewers again (audited)
+// @access  Private
+router.post('/:formId/blind-review/reblind',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Reblind Review'),
+  reblindReview
+);
+
+// @route   GET /api/forms/:formId/scores/export
+// @desc    Export all reviewer scores as CSV keyed by blind code
+// @access  Private
+router.get('/:formId/scores/export',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Export Scores'),
+  exportScores
+);
+
+// @route   GET /api/forms/:formId/merit-lists
+// @desc    List merit list versions of a form
+// @access  Private
+router.get('/:formId/merit-lists',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Get Merit Lists'),
+  getMeritLists
+);
+
+// @route   POST /api/forms/:formId/merit-lists
+// @desc    Generate a new frozen merit list version
+// @access  Private
+router.post('/:formId/merit-lists',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Generate Merit List'),
+  generateMeritList
+);
+
+// @route   GET /api/forms/:formId/merit-lists/:version
+// @desc    Get a merit list version with its entries
+// @access  Private
+router.get('/:formId/merit-lists/:version',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Get Merit List'),
+  getMeritList
+);
+
+// @route   POST /api/forms/:formId/merit-lists/:version/publish
+// @desc    Publish a merit list version
+// @access  Private
+router.post('/:formId/merit-lists/:version/publish',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Publish Merit List'),
+  publishMeritList
+);
+
+// @route   GET /api/forms/:formId/imports
+// @desc    List spreadsheet import batches of a form
+// @access  Private
+router.get('/:formId/imports',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Get Import Batches'),
+  getImportBatches
+);
+
+// @route   POST /api/forms/:formId/imports
+// @desc    Import applications from CSV/XLSX (dry run unless dryRun=false)
+// @access  Private
+router.post('/:formId/imports',
+  uploadLimiter,
+  checkFormOwnership,
+  logUserActivity('Import Applications'),
+  importApplications
+);
+
+// @route   GET /api/forms/:formId/imports/:batchId
+// @desc    Get an import batch with its failed rows
+// @access  Private
+router.get('/:formId/imports/:batchId',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Get Import Batch'),
+  getImportBatch
+);
+
+// @route   DELETE /api/forms/:formId/imports/:batchId
+// @desc    Roll back an import batch
+// @access  Private
+router.delete('/:formId/imports/:batchId',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Rollback Import'),
+  rollbackImportBatch
+);
+
+// @route   GET /api/forms/:formId/views
+// @desc    List saved views visible to the current user
+// @access  Private (form owner or reviewer)
+router.get('/:formId/views',
+  generalLimiter,
+  checkFormMembership,
+  logUserActivity('Get Saved Views'),
+  getSavedViews
+);
+
+// @route   POST /api/forms/:formId/views
+// @desc    Save a named view (filters, sort, columns)
+// @access  Private (form owner or reviewer)
+router.post('/:formId/views',
+  generalLimiter,
+  checkFormMembership,
+  logUserActivity('Create Saved View'),
+  createSavedView
+);
+
+// @route   GET /api/forms/:formId/views/:viewId
+// @desc    Get a saved view
+// @access  Private (form owner or reviewer)
+router.get('/:formId/views/:viewId',
+  generalLimiter,
+  checkFormMembership,
+  logUserActivity('Get Saved View'),
+  getSavedView
+);
+
+// @route   PUT /api/forms/:formId/views/:viewId
+// @desc    Update a saved view
+// @access  Private (form owner or reviewer)
+router.put('/:formId/views/:viewId',
+  generalLimiter,
+  checkFormMembership,
+  logUserActivity('Update Saved View'),
+  updateSavedView
+);
+
+// @route   PUT /api/forms/:formId/views/:viewId/default
+// @desc    Mark or unmark a view as the current user's default
+// @access  Private (form owner or reviewer)
+router.put('/:formId/views/:viewId/default',
+  generalLimiter,
+  checkFormMembership,
+  logUserActivity('Set Default View'),
+  setDefaultView
+);
+
+// @route   DELETE /api/forms/:formId/views/:viewId
+// @desc    Delete a saved view
+// @access  Private (form owner or reviewer)
+router.delete('/:formId/views/:viewId',
+  generalLimiter,
+  checkFormMembership,
+  logUserActivity('Delete Saved View'),
+  deleteSavedView
+);
+
+// @route   POST /api/forms/:formId/advertisement
+// @desc    Upload advertisement file for a form
+// @access  Private
+router.post('/:formId/advertisement',
+  uploadLimiter,
+  checkFormOwnership,
+  logUserActivity('Upload Form Advertisement'),
+  uploadAdvertisement
+);
+
+// @route   DELETE /api/forms/:formId/advertisement
+// @desc    Delete advertisement file for a form
+// @access  Private
+router.delete('/:formId/advertisement',
+  generalLimiter,
+  checkFormOwnership,
+  logUserActivity('Delete Form Advertisement'),
+  deleteAdvertisement
+);
+
+// Error handling middleware specific to form routes
+router.use((err, req, res, next) => {
+  console.error('[FORM ROUTES] Error:', err);
+
+  // Handle multer errors (file upload)
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({
+      success: false,
+      message: 'File too large. Maximum size is 5MB.',
+      code: 'FILE_TOO_LARGE'
+    });
+  }
+
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return res.status(400).json({
+      success: false,
+      message: 'Unexpected field name for file upload.',
+      code: 'UNEXPECTED_FIELD'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    code: 'INTERNAL_ERROR'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const {
+  getReviewerForms,
+  getReviewQueue,
+  getAssignedApplication,
+  downloadAssignedDocument
+} = require('../controllers/reviewerController');
+
+const { submitReview, deleteReview } = require('../controllers/reviewController');
+
+const {
+  authMiddleware,
+  checkReviewerAssignment,
+  logUserActivity
+} = require('../middleware/authMiddleware');
+
+// Rate limiters
+const reviewerLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 200, // Reviewers page through their queue, so allow more reads
+  message: {
+    success: false,
+    error: 'Too many requests, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Reviewers are regular user accounts invited to a form by its owner. They
+// can read and score their assigned applications but not change their status
+// or delete them.
+router.use(authMiddleware);
+
+// @route   GET /api/reviewer/forms
+// @desc    List the forms the current user reviews
+// @access  Reviewer
+router.get('/forms',
+  reviewerLimiter,
+  logUserActivity('Reviewer List Forms'),
+  getReviewerForms
+);
+
+// @route   GET /api/reviewer/applications
+// @desc    List the applications assigned to the current user
+// @access  Reviewer
+router.get('/applications',
+  reviewerLimiter,
+  logUserActivity('Reviewer List Queue'),
+  getReviewQueue
+);
+
+// @route   GET /api/reviewer/applications/:applicationId
+// @desc    Get an assigned application with the scoring rubric
+// @access  Reviewer
+router.get('/applications/:applicationId',
+  reviewerLimiter,
+  checkReviewerAssignment,
+  logUserActivity('Reviewer Get Application'),
+  getAssignedApplication
+);
+
+// @route   GET /api/reviewer/applications/:applicationId/documents/:documentId
+// @desc    Download a document of an assigned application
+// @access  Reviewer
+router.get('/applications/:applicationId/documents/:documentId',
+  reviewerLimiter,
+  checkReviewerAssignment,
+  logUserActivity('Reviewer Download Document'),
+  downloadAssignedDocument
+);
+
+// @route   PUT /api/reviewer/applications/:applicationId/review
+// @desc    Add/update the current user's scores and comments
+// @access  Reviewer
+router.put('/applications/:applicationId/review',
+  reviewerLimiter,
+  checkReviewerAssignment,
+  logUserActivity('Reviewer Submit Review'),
+  submitReview
+);
+
+// @route   DELETE /api/reviewer/applications/:applicationId/review
+// @desc    Remove the current user's review
+// @access  Reviewer
+router.delete('/applications/:applicationId/review',
+  reviewerLimiter,
+  checkReviewerAssignment,
+  logUserActivity('Reviewer Delete Review'),
+  deleteReview
+);
+
+module.exports = router;
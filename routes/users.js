@@ -20,6 +20,8 @@ const {
   logUserActivity 
 } = require('../middleware/authMiddleware');
 
+const { validateFormConfig } = require('../middleware/validation');
+
 // Rate limiters for different endpoints
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -144,53 +146,6 @@ const validateLogin = (req, res, next) => {
   next();
 };
 
-const validateFormConfig = (req, res, next) => {
-  const { title, description, customHeadings } = req.body;
-  const errors = [];
-
-  if (title !== undefined) {
-    if (typeof title !== 'string') {
-      errors.push({ field: 'title', message: 'Title must be a string' });
-    } else if (title.length > 100) {
-      errors.push({ field: 'title', message: 'Title cannot exceed 100 characters' });
-    }
-  }
-
-  if (description !== undefined) {
-    if (typeof description !== 'string') {
-      errors.push({ field: 'description', message: 'Description must be a string' });
-    } else if (description.length > 500) {
-      errors.push({ field: 'description', message: 'Description cannot exceed 500 characters' });
-    }
-  }
-
-  if (customHeadings !== undefined) {
-    if (!Array.isArray(customHeadings)) {
-      errors.push({ field: 'customHeadings', message: 'Custom headings must be an array' });
-    } else {
-      customHeadings.forEach((heading, index) => {
-        if (typeof heading.text !== 'string' || heading.text.length > 200) {
-          errors.push({ field: `customHeadings[${index}].text`, message: 'Heading text cannot exceed 200 characters' });
-        }
-        if (heading.position && !['top', 'middle', 'bottom'].includes(heading.position)) {
-          errors.push({ field: `customHeadings[${index}].position`, message: 'Invalid heading position' });
-        }
-      });
-    }
-  }
-
-  if (errors.length > 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors,
-      code: 'VALIDATION_ERROR'
-    });
-  }
-
-  next();
-};
-
 // Public routes (no authentication required)
 
 // @route   POST /api/users/register
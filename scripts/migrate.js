@@ -0,0 +1,170 @@
+// scripts/migrate.js
+// Moves single-form accounts onto the Form model: creates each user's
+// default form from the legacy formConfig, links existing applications to it
+// and seeds each form's submission counter. Also moves single publication
+// documents into the per-slot document lists and turns the single legacy
+// rating into a rubric review by the form owner, recomputes the stored
+// attributes (age on cut-off, experience, highest qualification, ...) of
+// every application, queues documents uploaded before text extraction
+// existed, rebuilds an outdated text search index and gives the draft
+// expiry index its grace period.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Form = require('../models/Form');
+const Application = require('../models/Application');
+const ApplicationDraft = require('../models/ApplicationDraft');
+const { DEFAULT_RESOLVED_RUBRIC, calculateReviewTotal, summariseReviews } = require('../utils/rubric');
+
+const migrate = async () => {
+  await mongoose.connect(
+    process.env.MONGODB_URI || 'mongodb://localhost:27017/iit_patna_rnd_multiuser'
+  );
+
+  console.log('[MIGRATE] Connected to database');
+
+  const users = await User.find({}).select('_id username');
+  let formsCreated = 0;
+  let applicationsLinked = 0;
+
+  for (const user of users) {
+    const hadDefault = await Form.exists({ userId: user._id, isDefault: true });
+    const form = await Form.getOrCreateDefault(user._id);
+
+    if (!hadDefault) formsCreated++;
+
+    const result = await Application.updateMany(
+      { userId: user._id, formId: null },
+      { $set: { formId: form._id } }
+    );
+    applicationsLinked += result.modifiedCount;
+
+    // Submission caps count applications received before the cap existed
+    form.submissionCount = await Application.countDocuments({ formId: form._id });
+    await form.updateStats();
+  }
+
+  // publicationDocument is no longer in the schemas, so work on the raw collections
+  let documentsMoved = 0;
+  for (const Model of [Application, ApplicationDraft]) {
+    const legacy = await Model.collection.find({
+      'publicationDocument.filename': { $exists: true, $ne: null }
+    }).toArray();
+
+    for (const record of legacy) {
+      const { filename, originalName, size, mimeType, uploadDate, path } = record.publicationDocument;
+      const document = { slot: 'publicationDocument', filename, originalName, size, mimeType, uploadDate, path };
+
+      if (Model === Application) {
+        document._id = new mongoose.Types.ObjectId();
+        document.documentId = 'DOC_' + Date.now() + '_' + Math.floor(Math.random() * 1000000);
+      }
+
+      await Model.collection.updateOne(
+        { _id: record._id },
+        {
+          $push: { documents: document },
+          $unset: { publicationDocument: '' }
+        }
+      );
+      documentsMoved++;
+    }
+
+    // Drop empty legacy sub-documents left by the old schema defaults
+    await Model.collection.updateMany(
+      { publicationDocument: { $exists: true } },
+      { $unset: { publicationDocument: '' } }
+    );
+  }
+
+  // rating is no longer in the schema either; it used the default rubric's criteria
+  let ratingsMoved = 0;
+  const usernames = new Map(users.map(user => [String(user._id), user.username]));
+  const rated = await Application.collection.find({ rating: { $exists: true } }).toArray();
+
+  for (const record of rated) {
+    const scores = DEFAULT_RESOLVED_RUBRIC.criteria
+      .filter(criterion => typeof record.rating[criterion.key] === 'number')
+      .map(criterion => ({ criterion: criterion.key, score: record.rating[criterion.key] }));
+    const update = { $unset: { rating: '' } };
+
+    if (scores.length > 0 && !(record.reviews && record.reviews.length > 0)) {
+      const ratedAt = record.updatedAt || new Date();
+      const review = {
+        _id: new mongoose.Types.ObjectId(),
+        reviewerId: record.userId,
+        reviewerName: usernames.get(String(record.userId)) || '',
+        scores,
+        total: calculateReviewTotal(DEFAULT_RESOLVED_RUBRIC, scores),
+        comments: record.rating.notes || '',
+        submittedAt: ratedAt,
+        updatedAt: ratedAt
+      };
+      update.$set = {
+        reviews: [review],
+        scoreSummary: summariseReviews(DEFAULT_RESOLVED_RUBRIC, [review])
+      };
+      ratingsMoved++;
+    }
+
+    await Application.collection.updateOne({ _id: record._id }, update);
+  }
+
+  // Recomputed for every form, since the cut-off date and relevant
+  // experience keywords come from the form's eligibility rules
+  let attributesComputed = 0;
+  const allForms = await Form.find().select('eligibility').lean();
+  for (const form of allForms) {
+    attributesComputed += await Application.recomputeAttributesForForm(form);
+  }
+
+  // The server extracts the text of pending documents in the background
+  const extractionQueued = await Application.collection.updateMany(
+    { documents: { $elemMatch: { textExtraction: { $exists: false } } } },
+    { $set: { 'documents.$[doc].textExtraction': { status: 'pending' } } },
+    { arrayFilters: [{ 'doc.textExtraction': { $exists: false } }] }
+  );
+
+  // A collection has one text index, so one built before structured
+  // publications or document text is replaced rather than added to
+  const textIndex = (await Application.collection.indexes())
+    .find(index => index.name === 'application_text_search');
+  const textIndexRebuilt = Boolean(textIndex && !(textIndex.weights || {})['documents.text']);
+  if (textIndexRebuilt) {
+    await Application.collection.dropIndex('application_text_search');
+    await Application.createIndexes();
+  }
+
+  // Expired drafts are kept for a grace period so the server's sweep can
+  // delete their files; an index built without it is updated in place
+  const [, draftTtlOptions] = ApplicationDraft.schema.indexes()
+    .find(([fields]) => fields.expiresAt !== undefined);
+  const draftTtlIndex = (await ApplicationDraft.collection.indexes())
+    .find(index => index.key.expiresAt !== undefined);
+  const draftTtlUpdated = Boolean(draftTtlIndex && draftTtlIndex.expireAfterSeconds !== draftTtlOptions.expireAfterSeconds);
+  if (draftTtlUpdated) {
+    await mongoose.connection.db.command({
+      collMod: ApplicationDraft.collection.collectionName,
+      index: { keyPattern: { expiresAt: 1 }, expireAfterSeconds: draftTtlOptions.expireAfterSeconds }
+    });
+  }
+
+  console.log(`[MIGRATE] Users processed: ${users.length}`);
+  console.log(`[MIGRATE] Default forms created: ${formsCreated}`);
+  console.log(`[MIGRATE] Applications linked to forms: ${applicationsLinked}`);
+  console.log(`[MIGRATE] Publication documents moved to document lists: ${documentsMoved}`);
+  console.log(`[MIGRATE] Ratings moved to reviews: ${ratingsMoved}`);
+  console.log(`[MIGRATE] Applications with computed attributes recomputed: ${attributesComputed}`);
+  console.log(`[MIGRATE] Applications with documents queued for text extraction: ${extractionQueued.modifiedCount}`);
+  console.log(`[MIGRATE] Text search index rebuilt: ${textIndexRebuilt ? 'yes' : 'no'}`);
+  console.log(`[MIGRATE] Draft expiry index updated: ${draftTtlUpdated ? 'yes' : 'no'}`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('[MIGRATE] Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
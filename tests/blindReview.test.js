@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const { redactApplication } = require('../utils/blindReview');
+
+const form = {
+  blindReview: { enabled: true, unblinded: false },
+  getFormFields: () => [],
+  getDocumentSlots: () => []
+};
+
+describe('redactApplication', () => {
+  it('removes author lists and citation sources from publications', () => {
+    const data = {
+      applicationId: 'RND1',
+      name: 'ASHA VERMA',
+      publications: [{
+        type: 'journal',
+        title: 'Federated learning for medical imaging',
+        authors: ['Verma, Asha', 'Rao, K.'],
+        venue: 'IEEE Access',
+        year: 2023,
+        doi: '10.1109/ACCESS.2023.000001',
+        indexing: ['SCIE'],
+        source: 'bibtex'
+      }],
+      publicationCitations: '@article{verma2023, author = {Verma, Asha}}'
+    };
+
+    const redacted = redactApplication(data, form, 'BR-12345678');
+
+    expect(redacted.name).toBeUndefined();
+    expect(redacted.publicationCitations).toBeUndefined();
+    expect(redacted.publications).toEqual([{
+      type: 'journal',
+      title: 'Federated learning for medical imaging',
+      venue: 'IEEE Access',
+      year: 2023,
+      doi: '10.1109/ACCESS.2023.000001',
+      indexing: ['SCIE']
+    }]);
+    // The stored application is untouched
+    expect(data.publications[0].authors).toEqual(['Verma, Asha', 'Rao, K.']);
+  });
+
+  it('leaves applications without publications alone', () => {
+    const redacted = redactApplication({ applicationId: 'RND2', name: 'X' }, form, 'BR-1');
+
+    expect(redacted.publications).toBeUndefined();
+    expect(redacted.blindCode).toBe('BR-1');
+  });
+
+  it('leaves no owner-side email or interview records in the reviewer view', () => {
+    const application = new Application({
+      applicationId: 'RND3',
+      name: 'ASHA VERMA',
+      email: 'asha@example.com',
+      currentRemarks: 'Called Asha about her thesis',
+      emailsSent: [{
+        templateId: 'TPL_1',
+        templateName: 'Shortlist',
+        subject: 'Asha Verma, you are shortlisted',
+        sentAt: new Date('2026-03-01')
+      }],
+      interview: { isScheduled: true, scheduledDate: new Date('2026-04-01'), venue: 'Room 101' }
+    });
+
+    const redacted = redactApplication(application.toReviewerJSON(new mongoose.Types.ObjectId()), form, 'BR-3');
+
+    ['emailsSent', 'interview', 'currentRemarks', 'name', 'email'].forEach(key => {
+      expect(redacted).not.toHaveProperty(key);
+    });
+    expect(JSON.stringify(redacted)).not.toMatch(/asha/i);
+  });
+});
@@ -0,0 +1,46 @@
+jest.mock('../models/ApplicationDraft', () => ({ findExpired: jest.fn(), deleteOne: jest.fn() }));
+jest.mock('../models/Application', () => ({}));
+jest.mock('../models/User', () => ({}));
+jest.mock('../models/Form', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApplicationDraft = require('../models/ApplicationDraft');
+const { sweepExpiredDrafts } = require('../controllers/draftController');
+
+describe('expired draft sweep', () => {
+  let uploadDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'draft-sweep-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  it('deletes expired drafts and their files', async () => {
+    const expiredFile = path.join(uploadDir, 'expired.pdf');
+    const removedFile = path.join(uploadDir, 'removed.pdf');
+    [expiredFile, removedFile].forEach(file => fs.writeFileSync(file, 'content'));
+
+    ApplicationDraft.findExpired.mockResolvedValue([
+      { _id: 'draft-1', documents: [{ path: expiredFile }] },
+      { _id: 'draft-2', documents: [{ path: removedFile }] }
+    ]);
+    // The second draft was already removed by another server process
+    ApplicationDraft.deleteOne.mockImplementation(async ({ _id }) => ({ deletedCount: _id === 'draft-1' ? 1 : 0 }));
+
+    const removed = await sweepExpiredDrafts();
+
+    expect(removed).toBe(1);
+    expect(ApplicationDraft.deleteOne).toHaveBeenCalledWith({ _id: 'draft-1', expiresAt: { $lte: expect.any(Date) } });
+    expect(fs.existsSync(expiredFile)).toBe(false);
+    // Left to the process that removed it
+    expect(fs.existsSync(removedFile)).toBe(true);
+  });
+});
@@ -0,0 +1,71 @@
+const { validateFieldDefinitions, validateFormAnswers, hasNestedQuantifier } = require('../utils/formFields');
+
+const withCustomField = (field) => [
+  { key: 'name', label: 'Full Name', type: 'text', builtIn: true, required: true },
+  { key: 'email', label: 'Email Address', type: 'email', builtIn: true, required: true },
+  { key: 'employeeCode', label: 'Employee Code', type: 'text', required: true, ...field }
+];
+
+describe('custom field format patterns', () => {
+  it.each(['(a+)+$', '^(\\w+\\s?)*$', '(a|b*){2,}', '((ab)*c)+', '(?:x+y?)*'])('rejects the nested quantifier in %s', (regex) => {
+    expect(hasNestedQuantifier(regex)).toBe(true);
+
+    const errors = validateFieldDefinitions(withCustomField({ regex }));
+    expect(errors).toEqual([{ field: 'fields[2].regex', message: 'Regex cannot repeat a group that already repeats, e.g. (a+)+' }]);
+  });
+
+  it.each(['^[A-Z]{3}-\\d{4}$', '^(\\d{3}-)?\\d{7}$', '^[(+*)]+$', '^(ab)+$', '^\\(\\d+\\)*$'])('accepts %s', (regex) => {
+    expect(hasNestedQuantifier(regex)).toBe(false);
+    expect(validateFieldDefinitions(withCustomField({ regex }))).toEqual([]);
+  });
+
+  it('still rejects invalid patterns', () => {
+    expect(validateFieldDefinitions(withCustomField({ regex: '([A-Z' }))).toEqual([
+      { field: 'fields[2].regex', message: 'Regex is not a valid regular expression' }
+    ]);
+  });
+
+  it('checks answers against the pattern and limits their length', () => {
+    const fields = withCustomField({ regex: '^[A-Z]{3}-\\d{4}$' });
+    const answer = (employeeCode) => validateFormAnswers(fields, { name: 'A', email: 'a@b.co', responses: { employeeCode } });
+
+    expect(answer('ABC-1234').errors).toEqual([]);
+    expect(answer('abc').errors).toEqual([{ field: 'employeeCode', message: 'Employee Code is not in the expected format' }]);
+    expect(answer('A'.repeat(5000)).errors).toEqual([{ field: 'employeeCode', message: 'Employee Code cannot exceed 1000 characters' }]);
+  });
+
+  it.each([
+    ['^(\\w|\\d)*$', `${'1'.repeat(28)}!`],
+    ['^(a|a)*$', `${'a'.repeat(28)}!`]
+  ])('stops matching %s when it backtracks too long', (regex, employeeCode) => {
+    const fields = withCustomField({ regex });
+    const started = Date.now();
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const result = validateFormAnswers(fields, { name: 'A', email: 'a@b.co', responses: { employeeCode } });
+    console.warn.mockRestore();
+
+    expect(result.errors).toEqual([{ field: 'employeeCode', message: 'Employee Code could not be checked against the expected format' }]);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it('still matches answers with overlapping alternatives normally', () => {
+    const answer = (regex, employeeCode) => validateFormAnswers(withCustomField({ regex }), { name: 'A', email: 'a@b.co', responses: { employeeCode } });
+    const notInFormat = [{ field: 'employeeCode', message: 'Employee Code is not in the expected format' }];
+
+    expect(answer('^(a|ab)*c$', 'aababc').errors).toEqual([]);
+    expect(answer('^(a|ab)*c$', `${'ab'.repeat(400)}!`).errors).toEqual(notInFormat);
+    expect(answer('^(\\w|\\d)*$', 'abc_123').errors).toEqual([]);
+    expect(answer('^(\\w|\\d)*$', 'abc-123').errors).toEqual(notInFormat);
+  });
+
+  it('does not run an unsafe pattern stored before such patterns were rejected', () => {
+    const fields = withCustomField({ regex: '^(a+)+$' });
+    const started = Date.now();
+
+    const result = validateFormAnswers(fields, { name: 'A', email: 'a@b.co', responses: { employeeCode: `${'a'.repeat(40)}!` } });
+
+    expect(result.errors).toEqual([]);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,28 @@
+const { normalizeQualifications, resolveGrading } = require('../utils/grading');
+
+const level = 'Bachelors (B.Sc/B.Tech/B.E/BCA)';
+const divisionError = {
+  field: 'educationalQualifications[0].gradeValue',
+  message: 'Division must be one of: distinction, first, second, third'
+};
+
+describe('division grades', () => {
+  it('converts known divisions', () => {
+    const { qualifications, errors } = normalizeQualifications(
+      [{ examPassed: level, gradingScheme: 'division', gradeValue: 'First Division' }],
+      resolveGrading()
+    );
+
+    expect(errors).toEqual([]);
+    expect(qualifications[0]).toMatchObject({ gradeValue: 'first', percentage: 60 });
+  });
+
+  it.each(['constructor', '__proto__', 'fourth'])('rejects %s', (gradeValue) => {
+    const { errors } = normalizeQualifications(
+      [{ examPassed: level, gradingScheme: 'division', gradeValue }],
+      resolveGrading()
+    );
+
+    expect(errors).toEqual([divisionError]);
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../models/Application', () => ({ find: jest.fn(), deleteMany: jest.fn() }));
+jest.mock('../models/ImportBatch', () => ({ findOne: jest.fn() }));
+jest.mock('../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../models/Form', () => ({}));
+jest.mock('../models/ApplicationDraft', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Application = require('../models/Application');
+const ImportBatch = require('../models/ImportBatch');
+const User = require('../models/User');
+const { rollbackImportBatch } = require('../controllers/importController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('import rollback', () => {
+  let uploadDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-rollback-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  it('deletes the files of the removed applications after the records', async () => {
+    const files = ['resume.pdf', 'photo.jpg'].map(name => path.join(uploadDir, name));
+    files.forEach(file => fs.writeFileSync(file, 'content'));
+
+    const batch = { batchId: 'IMP_1', status: 'completed', counts: {}, save: jest.fn() };
+    ImportBatch.findOne.mockResolvedValue(batch);
+    Application.find.mockReturnValue({
+      select: () => ({
+        lean: () => Promise.resolve([
+          { documents: [{ path: files[0] }, { path: files[1] }] },
+          { documents: [] }
+        ])
+      })
+    });
+    Application.deleteMany.mockImplementation(async () => {
+      // Files are still there while the records are deleted
+      expect(files.every(file => fs.existsSync(file))).toBe(true);
+      return { deletedCount: 2 };
+    });
+    User.findById.mockResolvedValue(null);
+
+    const form = { _id: 'form-id', userId: 'owner-id', updateStats: jest.fn() };
+    const res = mockResponse();
+    await rollbackImportBatch({ form, params: { batchId: 'IMP_1' }, user: { id: 'owner-id', username: 'owner' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Application.deleteMany).toHaveBeenCalledWith({
+      formId: 'form-id',
+      'metadata.source': 'import',
+      'metadata.importBatchId': 'IMP_1'
+    });
+    expect(files.some(file => fs.existsSync(file))).toBe(false);
+    expect(batch.status).toBe('rolled_back');
+    expect(batch.counts.rolledBack).toBe(2);
+  });
+});
@@ -0,0 +1,44 @@
+const { buildCandidate, getFormulaVariables } = require('../utils/meritList');
+const { compileFormula } = require('../utils/formula');
+
+const rubric = { criteria: [] };
+const ranking = { source: 'formula' };
+const now = new Date('2026-06-01');
+
+const application = {
+  applicationId: 'APP_1',
+  name: 'Candidate',
+  category: 'GENERAL',
+  dob: new Date('1996-03-15'),
+  submissionTime: new Date('2026-02-01'),
+  educationalQualifications: [],
+  experience: [
+    // Two years in a job held alongside a one-year part-time role
+    { startDate: new Date('2022-01-01'), endDate: new Date('2024-01-01') },
+    { startDate: new Date('2022-06-01'), endDate: new Date('2023-06-01') }
+  ],
+  scoreSummary: { mean: 8, median: 8, count: 1 }
+};
+
+const evaluate = (expression, rules) => buildCandidate(application, {
+  ranking,
+  formula: compileFormula(expression, getFormulaVariables(rubric)),
+  rules,
+  now
+});
+
+describe('merit list candidates', () => {
+  it('counts overlapping jobs once', () => {
+    const candidate = evaluate('experience_years');
+
+    expect(candidate.experienceYears).toBe(2);
+    expect(candidate.score).toBe(2);
+  });
+
+  it('takes the age on the form cut-off date', () => {
+    expect(evaluate('age', { age: { cutoffDate: new Date('2026-01-01') } }).score).toBe(29);
+    // Without a cut-off date, on the submission date
+    expect(evaluate('age', null).score).toBe(29);
+    expect(evaluate('age', { age: { cutoffDate: new Date('2026-05-01') } }).score).toBe(30);
+  });
+});
@@ -0,0 +1,34 @@
+const { readSubmittedPublications } = require('../utils/publications');
+
+const entry = (fields) => ({ type: 'journal', title: 'Sparse attention', venue: 'JMLR', year: 2024, ...fields });
+
+describe('submitted publications', () => {
+  it('splits authors on semicolons and "and"', () => {
+    const { publications, errors } = readSubmittedPublications({
+      publications: [entry({ authors: 'Jane  Doe;Richard Roe\n and   Ann Lee' })]
+    });
+
+    expect(errors).toEqual([]);
+    expect(publications[0].authors).toEqual(['Jane Doe', 'Richard Roe', 'Ann Lee']);
+  });
+
+  it('rejects oversized text fields before normalising them', () => {
+    const started = Date.now();
+
+    const { publications, errors } = readSubmittedPublications({
+      publications: JSON.stringify([entry({ authors: `a${' '.repeat(100000)}b` })])
+    });
+
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(publications).toEqual([]);
+    expect(errors).toEqual([{ field: 'publications[0].authors', message: 'Cannot exceed 5000 characters' }]);
+  });
+
+  it('checks author lists and other fields too', () => {
+    const { errors } = readSubmittedPublications({
+      publications: [entry({ authors: Array(2000).fill('Jane Doe'), venue: 'v'.repeat(6000) })]
+    });
+
+    expect(errors.map(error => error.field)).toEqual(['publications[0].authors', 'publications[0].venue']);
+  });
+});
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const { resolveGrading } = require('../utils/grading');
+
+const masters = 'Masters (M.Sc/M.Tech/M.E/MCA/MA)';
+
+// Lean cursor over the given applications
+const mockApplications = (applications) => {
+  jest.spyOn(Application, 'find').mockReturnValue({
+    select: () => ({ lean: () => ({ cursor: () => {
+      const remaining = [...applications];
+      return { next: async () => remaining.shift() || null };
+    } }) })
+  });
+};
+
+describe('grade renormalization', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('re-runs eligibility for applications whose percentages changed', async () => {
+    const changedId = new mongoose.Types.ObjectId();
+    mockApplications([
+      {
+        _id: changedId,
+        category: 'GENERAL',
+        dob: new Date('1998-01-01'),
+        submissionTime: new Date('2026-01-10'),
+        educationalQualifications: [{ examPassed: masters, gradingScheme: 'cgpa_10', gradeValue: 6.5, percentage: 65 }]
+      },
+      {
+        _id: new mongoose.Types.ObjectId(),
+        educationalQualifications: [{ examPassed: masters, gradingScheme: 'percentage', gradeValue: 72, percentage: 72 }]
+      }
+    ]);
+    const bulkWrite = jest.spyOn(Application, 'bulkWrite').mockResolvedValue({});
+
+    const form = {
+      _id: new mongoose.Types.ObjectId(),
+      eligibility: { enabled: true, minimumPercentages: [{ examPassed: masters, minimum: 60 }] },
+      // CGPA now converts with the (cgpa - 0.75) * 10 rule
+      getGrading: () => resolveGrading({ conversions: { cgpa_10: '(cgpa - 0.75) * 10' } })
+    };
+
+    const updated = await Application.renormalizeGradesForForm(form);
+
+    expect(updated).toBe(1);
+    const [[operations]] = bulkWrite.mock.calls;
+    expect(operations).toHaveLength(1);
+    expect(operations[0].updateOne.filter).toEqual({ _id: changedId });
+
+    const { $set } = operations[0].updateOne.update;
+    expect($set.educationalQualifications[0].percentage).toBe(57.5);
+    expect($set.eligibility.status).toBe('ineligible');
+    expect($set.eligibility.reasons).toEqual([
+      { rule: 'percentage', message: `${masters} requires at least 60% (applicant has 57.5%)` }
+    ]);
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('../models/Application', () => ({ countDocuments: jest.fn() }));
+jest.mock('../models/Form', () => ({ find: jest.fn(), findOwnedForm: jest.fn() }));
+jest.mock('../models/SavedView', () => ({ find: jest.fn() }));
+jest.mock('../models/User', () => ({}));
+
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const Form = require('../models/Form');
+const SavedView = require('../models/SavedView');
+const { validateSavedView, getBlindReviewFilterErrors, getSavedViewCounts } = require('../utils/savedViews');
+
+const ownerId = new mongoose.Types.ObjectId();
+const reviewerId = new mongoose.Types.ObjectId();
+
+const blindForm = {
+  _id: new mongoose.Types.ObjectId(),
+  formId: 'FORM_BLIND',
+  title: 'Research Associate',
+  userId: ownerId,
+  blindReview: { enabled: true, unblinded: false }
+};
+
+const makeView = (filters) => ({
+  viewId: 'VIEW_1',
+  name: 'Shortlist',
+  formId: blindForm._id,
+  filters,
+  sort: {},
+  columns: [],
+  toPublicJSON: () => ({ viewId: 'VIEW_1', name: 'Shortlist' })
+});
+
+// Model query chains used by getSavedViewCounts
+const mockCounts = (view) => {
+  Form.find.mockReturnValue({ select: () => Promise.resolve([blindForm]) });
+  Form.findOwnedForm.mockResolvedValue(blindForm);
+  SavedView.find.mockReturnValue({ sort: () => ({ limit: () => Promise.resolve([view]) }) });
+  Application.countDocuments.mockResolvedValue(3);
+};
+
+describe('saved views under blind review', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it.each([
+    { field: 'category', eq: 'OBC' },
+    { field: 'gender', eq: 'Female' },
+    { field: 'dob', lte: '2000-01-01' },
+    { field: 'age', lte: 30 },
+    { field: 'ageOnCutoff', lte: 30 }
+  ])('rejects a reviewer view filtering on $field', (condition) => {
+    const errors = validateSavedView(
+      { name: 'Probe', filters: { where: [condition] } },
+      { blindReview: true }
+    );
+
+    expect(errors).toEqual([{
+      field: 'filters.where',
+      message: `Conditions on ${condition.field} cannot be used while blind review is on`
+    }]);
+  });
+
+  it('finds identity conditions nested in any and not groups', () => {
+    const errors = getBlindReviewFilterErrors({
+      where: { all: [{ field: 'experienceYears', gte: 2 }, { any: [{ not: { field: 'documentText', contains: 'federated learning' } }] }] }
+    });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toMatch(/documentText/);
+  });
+
+  it('rejects name and text searches', () => {
+    const errors = getBlindReviewFilterErrors({ search: 'kumar', text: 'machine learning' });
+
+    expect(errors.map(error => error.field)).toEqual(['filters.search', 'filters.text']);
+  });
+
+  it('allows the same conditions without blind review and merit conditions with it', () => {
+    expect(validateSavedView({ name: 'Owner view', filters: { where: [{ field: 'category', eq: 'OBC' }] } })).toEqual([]);
+    expect(validateSavedView(
+      { name: 'Experienced', filters: { where: [{ field: 'experienceYears', gte: 2 }, { field: 'score', gte: 7 }] } },
+      { blindReview: true }
+    )).toEqual([]);
+  });
+
+  it('does not count a reviewer view that filters by identity', async () => {
+    mockCounts(makeView({ where: [{ field: 'gender', eq: 'Female' }] }));
+
+    const [entry] = await getSavedViewCounts(reviewerId);
+
+    expect(entry.count).toBeNull();
+    expect(entry.error).toMatch(/blind review/);
+    expect(Application.countDocuments).not.toHaveBeenCalled();
+  });
+
+  it('counts a reviewer view on merit conditions within the assignments', async () => {
+    mockCounts(makeView({ where: [{ field: 'experienceYears', gte: 2 }] }));
+
+    const [entry] = await getSavedViewCounts(reviewerId);
+
+    expect(entry.count).toBe(3);
+    expect(Application.countDocuments).toHaveBeenCalledWith(expect.objectContaining({
+      'assignedReviewers.reviewerId': reviewerId
+    }));
+  });
+
+  it('still counts identity views for the form owner', async () => {
+    mockCounts(makeView({ where: [{ field: 'gender', eq: 'Female' }] }));
+
+    const [entry] = await getSavedViewCounts(ownerId);
+
+    expect(entry.count).toBe(3);
+  });
+});
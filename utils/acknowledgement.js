@@ -0,0 +1,152 @@
+// Acknowledgement receipts: a one-page PDF confirming a submission, with a
+// verification code and a QR code linking to the public verification
+// endpoint. Like blind review codes, the verification code is an HMAC over
+// the submission facts (application, form, submission time, applicant email
+// and the uploaded documents), so nothing is stored and a receipt stops
+// verifying once the documents it lists are replaced.
+const crypto = require('crypto');
+const moment = require('moment');
+const { createApplicationPdf } = require('./applicationPdf');
+
+const IST_OFFSET_MINUTES = 330;
+
+const getSecret = () => process.env.RECEIPT_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+// Base URL printed in the QR code, e.g. https://apply.example.org
+const getPublicBaseUrl = () => (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+const getDocumentSummary = (application) => (application.documents || []).map(doc => ({
+  slot: doc.slot,
+  name: doc.originalName || doc.filename,
+  size: doc.size || 0
+}));
+
+// Verification code, e.g. "7F3A-09C2-B1D4-5E88"
+const getReceiptCode = (application) => {
+  const documents = getDocumentSummary(application)
+    .map(doc => `${doc.slot}:${doc.name}:${doc.size}`)
+    .sort();
+  const content = [
+    application.applicationId,
+    String(application.formId || ''),
+    new Date(application.submissionTime).toISOString(),
+    String(application.email || '').toLowerCase(),
+    ...documents
+  ].join('\n');
+
+  const digest = crypto.createHmac('sha256', getSecret()).update(content).digest('hex').slice(0, 16).toUpperCase();
+  return digest.match(/.{4}/g).join('-');
+};
+
+// Compare a submitted code with the application's current one
+const isValidReceiptCode = (application, code) => {
+  const expected = Buffer.from(getReceiptCode(application));
+  const given = Buffer.from(String(code || '').trim().toUpperCase());
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const getVerificationUrl = (application) =>
+  `${getPublicBaseUrl()}/api/applications/verify/${encodeURIComponent(application.applicationId)}?code=${getReceiptCode(application)}`;
+
+// "Jane Doe" -> "J*** D**": enough to recognise a receipt, not to identify
+const maskName = (name) => String(name || '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(part => part[0] + '*'.repeat(Math.max(part.length - 1, 2)))
+  .join(' ');
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Render the receipt; resolves to the PDF as a Buffer (it is small and is
+// both mailed as an attachment and downloaded)
+const renderAcknowledgement = async (application, form) => {
+  // Loaded on demand: only receipts need it
+  const QRCode = require('qrcode');
+
+  const code = getReceiptCode(application);
+  const verificationUrl = getVerificationUrl(application);
+  const qrImage = await QRCode.toBuffer(verificationUrl, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+
+  const doc = createApplicationPdf({ title: `Acknowledgement ${application.applicationId}` });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  doc.addPage();
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  ((form && form.customHeadings) || [])
+    .filter(heading => heading.isActive !== false && heading.text && (heading.position || 'top') === 'top')
+    .forEach(heading => doc.font('Helvetica-Bold').fontSize(11).text(heading.text, { align: 'center' }));
+
+  doc.font('Helvetica-Bold').fontSize(16).text((form && form.title) || 'Application Form', { align: 'center' });
+  doc.moveDown(0.3);
+  doc.font('Helvetica-Bold').fontSize(13).text('Acknowledgement of Application', { align: 'center' });
+  doc.moveDown(1.5);
+
+  const rows = [
+    ['Application ID', application.applicationId],
+    ['Applicant', application.name],
+    ['Email', application.email],
+    ['Submitted', moment(application.submissionTime).utcOffset(IST_OFFSET_MINUTES).format('DD-MM-YYYY HH:mm:ss [IST]')],
+    ['Form', form ? `${form.title} (${form.formId})` : '']
+  ];
+  const qrSize = 120;
+  const top = doc.y;
+  rows.filter(([, value]) => value).forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text(label, left, y, { width: 110 });
+    doc.font('Helvetica').fontSize(10).text(value, left + 110, y, { width: width - 110 - qrSize - 20 });
+    doc.y = Math.max(doc.y, y + 16);
+  });
+  doc.image(qrImage, left + width - qrSize, top, { width: qrSize });
+  doc.y = Math.max(doc.y, top + qrSize) + 20;
+
+  doc.font('Helvetica-Bold').fontSize(12).text('Documents Uploaded', left);
+  doc.moveDown(0.4);
+  const documents = getDocumentSummary(application);
+  if (documents.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(10).text('No documents were uploaded.');
+  } else {
+    documents.forEach((d, index) => {
+      doc.font('Helvetica').fontSize(10)
+        .text(`${index + 1}. ${d.slot}: ${d.name}${d.size ? ` (${formatBytes(d.size)})` : ''}`, left, doc.y, { width });
+    });
+  }
+
+  doc.moveDown(1.5);
+  doc.font('Helvetica-Bold').fontSize(12).text('Verification', left);
+  doc.moveDown(0.4);
+  doc.font('Helvetica').fontSize(10)
+    .text(`Verification code: ${code}`)
+    .text('Scan the QR code or open the link below to confirm this receipt matches our records:')
+    .fillColor('#1a56db').text(verificationUrl, { link: verificationUrl })
+    .fillColor('black');
+
+  doc.moveDown(2);
+  doc.font('Helvetica-Oblique').fontSize(9).fillColor('#555555').text(
+    'This is a computer-generated acknowledgement and does not require a signature. ' +
+    'It confirms receipt of the application only and does not imply eligibility or selection.',
+    { align: 'center' }
+  ).fillColor('black');
+
+  doc.flushPages();
+  doc.end();
+  return finished;
+};
+
+module.exports = {
+  getReceiptCode,
+  isValidReceiptCode,
+  getVerificationUrl,
+  maskName,
+  renderAcknowledgement
+};
@@ -0,0 +1,123 @@
+// Attributes derived from an application's own data and stored on it
+// (`computed`) so they can be filtered, sorted, indexed and exported like
+// ordinary fields. Recomputed by the Application pre-save hook and for a
+// whole form when its eligibility rules change (age cut-off date, relevant
+// experience keywords).
+const { QUALIFICATION_LEVELS, calculateAge } = require('./eligibility');
+const { countPublicationsByType } = require('./publications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Average month length, so 12 months make a 365.25-day year
+const MONTH_DAYS = 365.25 / 12;
+
+// Named levels rank by their position; Others ranks below all of them
+const getLevelRank = (level) => (level === 'Others' ? 0 : QUALIFICATION_LEVELS.indexOf(level) + 1);
+
+// Date ranges of the experience entries, sorted by start; current jobs run
+// up to `asOf`. Entries without a usable range are left out.
+const getExperiencePeriods = (experience = [], asOf = new Date()) => experience
+  .map(entry => {
+    const start = entry.startDate ? new Date(entry.startDate) : null;
+    const end = entry.isCurrentlyWorking ? new Date(asOf) : (entry.endDate ? new Date(entry.endDate) : null);
+    return { start, end };
+  })
+  .filter(({ start, end }) => start && end && !isNaN(start.getTime()) && !isNaN(end.getTime()) && end > start)
+  .sort((a, b) => a.start - b.start);
+
+// Merge overlapping or touching periods so parallel jobs count once
+const mergePeriods = (periods) => periods.reduce((merged, period) => {
+  const last = merged[merged.length - 1];
+  if (last && period.start <= last.end) {
+    if (period.end > last.end) last.end = period.end;
+  } else {
+    merged.push({ start: period.start, end: period.end });
+  }
+  return merged;
+}, []);
+
+// Total experience in months (one decimal)
+const getExperienceMonths = (experience, asOf = new Date()) => {
+  const days = mergePeriods(getExperiencePeriods(experience, asOf))
+    .reduce((total, { start, end }) => total + (end - start) / DAY_MS, 0);
+  return Math.round((days / MONTH_DAYS) * 10) / 10;
+};
+
+// An entry is relevant when its designation, organization or
+// responsibilities mention one of the form's keywords
+const isRelevantExperience = (entry, keywords) => {
+  const text = [entry.designation, entry.organization, entry.responsibilities]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return keywords.some(keyword => text.includes(String(keyword).toLowerCase()));
+};
+
+// Highest qualification level and the best percentage at that level
+const getHighestQualification = (qualifications = []) => {
+  let best = { level: null, percentage: null };
+  let bestRank = -1;
+
+  qualifications.forEach(q => {
+    const rank = getLevelRank(q.examPassed);
+    const percentage = typeof q.percentage === 'number' && Number.isFinite(q.percentage) ? q.percentage : null;
+
+    if (rank > bestRank) {
+      best = { level: q.examPassed, percentage };
+      bestRank = rank;
+    } else if (rank === bestRank && percentage !== null && (best.percentage === null || percentage > best.percentage)) {
+      best.percentage = percentage;
+    }
+  });
+
+  return best;
+};
+
+// Structured publications when listed, otherwise the free-text details
+// counted one per non-empty line
+const countPublications = (application) => {
+  if (application.publications && application.publications.length > 0) {
+    return application.publications.length;
+  }
+  return String(application.publicationDetails || '')
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .length;
+};
+
+// Values for the `computed` sub-document of an application. `rules` are the
+// form's eligibility rules (or null).
+const computeAttributes = (application, { rules = null, now = new Date() } = {}) => {
+  const experience = application.experience || [];
+  const cutoffDate = (rules && rules.age && rules.age.cutoffDate) || application.submissionTime || now;
+  const keywords = (rules && rules.experience && rules.experience.relevantKeywords) || [];
+  const highest = getHighestQualification(application.educationalQualifications || []);
+  const publications = countPublicationsByType(application.publications || []);
+
+  return {
+    ageOnCutoff: application.dob ? calculateAge(application.dob, cutoffDate) : null,
+    cutoffDate: new Date(cutoffDate),
+    experienceMonths: getExperienceMonths(experience, now),
+    // null when the form names no relevant experience keywords
+    relevantExperienceMonths: keywords.length > 0
+      ? getExperienceMonths(experience.filter(entry => isRelevantExperience(entry, keywords)), now)
+      : null,
+    highestQualification: highest.level,
+    highestPercentage: highest.percentage,
+    publicationCount: countPublications(application),
+    publicationsByType: publications.byType,
+    indexedPublicationCount: publications.indexed,
+    updatedAt: now
+  };
+};
+
+module.exports = {
+  getLevelRank,
+  getExperiencePeriods,
+  mergePeriods,
+  getExperienceMonths,
+  isRelevantExperience,
+  getHighestQualification,
+  countPublications,
+  computeAttributes
+};
@@ -0,0 +1,223 @@
+// Column definitions for application exports (CSV/XLSX).
+//
+// An export is a list of columns, each with a header and a function turning
+// an application (a lean document) into a cell value. Repeated data
+// (educational qualifications, experience) is flattened into numbered
+// columns, sized by the most entries any exported application has.
+const moment = require('moment');
+const { countPublicationsByType, formatPublication } = require('./publications');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const DATE_FORMATS = ['iso', 'ist'];
+
+// India Standard Time, UTC+05:30
+const IST_OFFSET_MINUTES = 330;
+
+// One column per field (and computed attribute); `type` marks dates for formatting
+const BASE_COLUMNS = [
+  { key: 'applicationId', header: 'Application ID', value: app => app.applicationId },
+  { key: 'formId', header: 'Form ID', value: (app, ctx) => ctx.getForm(app).formId },
+  { key: 'formTitle', header: 'Form Title', value: (app, ctx) => ctx.getForm(app).title },
+  { key: 'name', header: 'Name', value: app => app.name },
+  { key: 'email', header: 'Email', value: app => app.email },
+  { key: 'phone', header: 'Phone', value: app => app.phone },
+  { key: 'address', header: 'Address', value: app => app.address },
+  { key: 'category', header: 'Category', value: app => app.category },
+  { key: 'gender', header: 'Gender', value: app => app.gender },
+  { key: 'dob', header: 'Date of Birth', type: 'date', value: app => app.dob },
+  { key: 'professionalExam', header: 'Professional Exam', value: app => app.professionalExam },
+  { key: 'professionalExamValidity', header: 'Professional Exam Validity', type: 'date', value: app => app.professionalExamValidity },
+  { key: 'publicationDetails', header: 'Publication Details', value: app => app.publicationDetails },
+  { key: 'publications', header: 'Publication List', value: app => (app.publications || []).map(formatPublication).join('\n') },
+  { key: 'applicationDate', header: 'Application Date', type: 'date', value: app => app.applicationDate },
+  { key: 'applicationPlace', header: 'Application Place', value: app => app.applicationPlace },
+  { key: 'status', header: 'Status', value: app => app.status },
+  { key: 'priority', header: 'Priority', value: app => app.priority },
+  { key: 'eligibility', header: 'Eligibility', value: app => app.eligibility && app.eligibility.status },
+  { key: 'submissionTime', header: 'Submitted At', type: 'datetime', value: app => app.submissionTime },
+  { key: 'ageOnCutoff', header: 'Age on Cut-off Date', value: app => app.computed && app.computed.ageOnCutoff },
+  { key: 'experienceMonths', header: 'Total Experience (Months)', value: app => app.computed && app.computed.experienceMonths },
+  { key: 'relevantExperienceMonths', header: 'Relevant Experience (Months)', value: app => app.computed && app.computed.relevantExperienceMonths },
+  { key: 'highestQualification', header: 'Highest Qualification', value: app => app.computed && app.computed.highestQualification },
+  { key: 'highestPercentage', header: 'Highest Qualification Percentage', value: app => app.computed && app.computed.highestPercentage },
+  { key: 'publicationCount', header: 'Publications', value: app => app.computed && app.computed.publicationCount },
+  { key: 'journalPublications', header: 'Journal Publications', value: app => countPublicationsByType(app.publications).byType.journal },
+  { key: 'conferencePublications', header: 'Conference Publications', value: app => countPublicationsByType(app.publications).byType.conference },
+  { key: 'indexedPublications', header: 'Indexed Publications', value: app => countPublicationsByType(app.publications).indexed },
+  { key: 'timelineWarnings', header: 'Timeline Warnings', value: app => (app.timelineWarnings || []).map(warning => warning.message).join('; ') }
+];
+
+const QUALIFICATION_PARTS = [
+  { key: 'examPassed', header: 'Exam Passed' },
+  { key: 'nameOfExamination', header: 'Examination' },
+  { key: 'institute', header: 'Institute' },
+  { key: 'yearOfPassing', header: 'Year of Passing' },
+  { key: 'gradingScheme', header: 'Grading Scheme' },
+  { key: 'gradeValue', header: 'Grade' },
+  { key: 'percentage', header: 'Percentage' },
+  { key: 'subjects', header: 'Subjects' }
+];
+
+const EXPERIENCE_PARTS = [
+  { key: 'organization', header: 'Organization' },
+  { key: 'designation', header: 'Designation' },
+  { key: 'startDate', header: 'Start Date', type: 'date' },
+  { key: 'endDate', header: 'End Date', type: 'date' },
+  { key: 'isCurrentlyWorking', header: 'Currently Working' },
+  { key: 'salary', header: 'Salary' },
+  { key: 'responsibilities', header: 'Responsibilities' }
+];
+
+const SCORE_COLUMNS = [
+  { key: 'scoreMean', header: 'Score (Mean)', value: app => app.scoreSummary && app.scoreSummary.mean },
+  { key: 'scoreMedian', header: 'Score (Median)', value: app => app.scoreSummary && app.scoreSummary.median },
+  { key: 'scoreSpread', header: 'Score Spread', value: app => app.scoreSummary && app.scoreSummary.spread },
+  { key: 'reviewCount', header: 'Reviews', value: app => (app.scoreSummary && app.scoreSummary.count) || 0 }
+];
+
+// Remarks of the most recent status change, or the current remarks
+const getLatestRemarks = (app) => {
+  const history = app.statusHistory || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].remarks) return history[i].remarks;
+  }
+  return app.currentRemarks || '';
+};
+
+// Column groups that can be selected by name alongside the base columns
+const COLUMN_GROUPS = ['qualifications', 'experience', 'responses', 'scores', 'tags', 'remarks'];
+
+const DEFAULT_COLUMNS = [...BASE_COLUMNS.map(column => column.key), 'qualifications', 'experience', 'responses'];
+
+const SELECTABLE_COLUMNS = [...BASE_COLUMNS.map(column => column.key), ...COLUMN_GROUPS];
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+// Validate export query parameters. Returns { errors, options } where
+// options is { format, dateFormat, columns } with the optional groups
+// (scores, tags, remarks) added when their include flag is set.
+const validateExportOptions = (query = {}) => {
+  const errors = [];
+  const format = (query.format || 'csv').toLowerCase();
+  const dateFormat = (query.dateFormat || 'iso').toLowerCase();
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    errors.push({ field: 'format', message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    errors.push({ field: 'dateFormat', message: `Date format must be one of: ${DATE_FORMATS.join(', ')}` });
+  }
+
+  const requested = toList(query.columns);
+  const unknown = requested.filter(key => !SELECTABLE_COLUMNS.includes(key));
+  if (unknown.length > 0) {
+    errors.push({
+      field: 'columns',
+      message: `Unknown column(s): ${unknown.join(', ')}. Columns must be from: ${SELECTABLE_COLUMNS.join(', ')}`
+    });
+  }
+
+  const columns = new Set(requested.length > 0 ? requested : DEFAULT_COLUMNS);
+  if (isTrue(query.includeScores)) columns.add('scores');
+  if (isTrue(query.includeTags)) columns.add('tags');
+  if (isTrue(query.includeRemarks)) columns.add('remarks');
+
+  return { errors, options: { format, dateFormat, columns } };
+};
+
+const formatDate = (value, type, dateFormat) => {
+  if (!value) return null;
+  const date = moment(value);
+  if (!date.isValid()) return String(value);
+
+  if (dateFormat === 'ist') {
+    const ist = date.utcOffset(IST_OFFSET_MINUTES);
+    return type === 'date' ? ist.format('DD-MM-YYYY') : ist.format('DD-MM-YYYY HH:mm:ss [IST]');
+  }
+  return type === 'date' ? date.utc().format('YYYY-MM-DD') : date.toISOString();
+};
+
+const formatValue = (value, type, dateFormat) => {
+  if (value === undefined || value === null) return null;
+  if (type) return formatDate(value, type, dateFormat);
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (value instanceof Date) return formatDate(value, 'datetime', 'iso');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// Build the ordered column list for an export.
+//   options          - from validateExportOptions
+//   customFields     - the form's active custom fields (when one form is exported)
+//   maxQualifications / maxExperience - entries to make room for
+const buildExportColumns = (options, { customFields = [], maxQualifications = 0, maxExperience = 0 } = {}) => {
+  const selected = options.columns;
+  const columns = BASE_COLUMNS.filter(column => selected.has(column.key));
+
+  if (selected.has('qualifications')) {
+    for (let i = 0; i < maxQualifications; i++) {
+      QUALIFICATION_PARTS.forEach(part => columns.push({
+        key: `qualification${i + 1}_${part.key}`,
+        header: `Qualification ${i + 1} - ${part.header}`,
+        type: part.type,
+        value: app => (app.educationalQualifications || [])[i] && app.educationalQualifications[i][part.key]
+      }));
+    }
+  }
+
+  if (selected.has('experience')) {
+    for (let i = 0; i < maxExperience; i++) {
+      EXPERIENCE_PARTS.forEach(part => columns.push({
+        key: `experience${i + 1}_${part.key}`,
+        header: `Experience ${i + 1} - ${part.header}`,
+        type: part.type,
+        value: app => (app.experience || [])[i] && app.experience[i][part.key]
+      }));
+    }
+  }
+
+  if (selected.has('responses')) {
+    customFields.forEach(field => columns.push({
+      key: `responses.${field.key}`,
+      header: field.label || field.key,
+      type: field.type === 'date' ? 'date' : undefined,
+      value: app => app.responses && app.responses[field.key]
+    }));
+  }
+
+  if (selected.has('scores')) {
+    columns.push(...SCORE_COLUMNS);
+  }
+  if (selected.has('tags')) {
+    columns.push({ key: 'tags', header: 'Tags', value: app => app.tags || [] });
+  }
+  if (selected.has('remarks')) {
+    columns.push({ key: 'latestRemarks', header: 'Latest Remarks', value: getLatestRemarks });
+  }
+
+  return columns;
+};
+
+// One row of formatted cell values for an application
+const toExportRow = (app, columns, context) => columns.map(column =>
+  formatValue(column.value(app, context), column.type, context.dateFormat)
+);
+
+module.exports = {
+  EXPORT_FORMATS,
+  DATE_FORMATS,
+  SELECTABLE_COLUMNS,
+  BASE_COLUMNS,
+  QUALIFICATION_PARTS,
+  EXPERIENCE_PARTS,
+  validateExportOptions,
+  buildExportColumns,
+  toExportRow
+};
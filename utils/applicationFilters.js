@@ -0,0 +1,166 @@
+// Turns list/bulk filter parameters into a MongoDB filter over the
+// authenticated user's applications. Shared by the application lists and the
+// bulk operations endpoint so both select applications the same way.
+const Form = require('../models/Form');
+const User = require('../models/User');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Short sortBy names for the aggregate review scores and computed attributes
+const SORT_ALIASES = {
+  score: 'scoreSummary.mean',
+  scoreMean: 'scoreSummary.mean',
+  scoreMedian: 'scoreSummary.median',
+  scoreSpread: 'scoreSummary.spread',
+  reviewCount: 'scoreSummary.count',
+  experienceYears: 'computed.experienceMonths',
+  experienceMonths: 'computed.experienceMonths',
+  relevantExperienceMonths: 'computed.relevantExperienceMonths',
+  ageOnCutoff: 'computed.ageOnCutoff',
+  highestPercentage: 'computed.highestPercentage',
+  publicationCount: 'computed.publicationCount',
+  journalPublications: 'computed.publicationsByType.journal',
+  conferencePublications: 'computed.publicationsByType.conference',
+  indexedPublications: 'computed.indexedPublicationCount'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest relative window (submittedWithinDays / statusChangedWithinDays)
+const MAX_WINDOW_DAYS = 366;
+
+// Resolve a sortBy query value to the field to sort on
+const resolveSortField = (sortBy) => SORT_ALIASES[sortBy] || sortBy || 'submissionTime';
+
+// Escape user input before using it inside a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept a single value, a comma-separated string or an array
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(item => item && item !== 'all');
+};
+
+// Parameters:
+//   formId          - scope to one of the user's forms
+//   status          - workflow stage key(s)
+//   priority        - low | medium | high | urgent (one or more)
+//   eligibility     - eligible | ineligible | not_evaluated
+//   tags            - applications carrying all of the given tags
+//   assignedTo      - reviewer user ID, or 'none' for unassigned applications
+//   disagreement    - true/false: reviewers' totals differ beyond the rubric threshold
+//   search          - name, email or application ID contains the text
+//   submittedFrom / submittedTo - submission time range
+//   submittedWithinDays      - submitted in the last N days
+//   statusChangedWithinDays  - had a status change in the last N days
+//
+// The relative windows keep their meaning when stored in a saved view.
+//
+// Resolves to { filter, form } or { error: { status, message, code } }.
+const buildApplicationFilter = async (userId, params = {}) => {
+  const filter = { userId };
+  let form = null;
+
+  if (params.formId) {
+    form = await Form.findOwnedForm(params.formId, userId);
+    if (!form) {
+      return {
+        error: { status: 404, message: 'Form not found', code: 'FORM_NOT_FOUND' }
+      };
+    }
+    filter.formId = form._id;
+  }
+
+  const statuses = toList(params.status);
+  if (statuses.length > 0) {
+    filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+
+  const priorities = toList(params.priority);
+  if (priorities.some(priority => !PRIORITIES.includes(priority))) {
+    return {
+      error: { status: 400, message: `Priority must be one of: ${PRIORITIES.join(', ')}`, code: 'INVALID_PRIORITY' }
+    };
+  }
+  if (priorities.length > 0) {
+    filter.priority = priorities.length === 1 ? priorities[0] : { $in: priorities };
+  }
+
+  if (params.eligibility && params.eligibility !== 'all') {
+    filter['eligibility.status'] = params.eligibility;
+  }
+
+  if (params.assignedTo === 'none') {
+    filter['assignedReviewers.0'] = { $exists: false };
+  } else if (params.assignedTo) {
+    const reviewer = await User.findOne({ userId: params.assignedTo }).select('_id');
+    if (!reviewer) {
+      return {
+        error: { status: 404, message: 'Reviewer not found', code: 'REVIEWER_NOT_FOUND' }
+      };
+    }
+    filter['assignedReviewers.reviewerId'] = reviewer._id;
+  }
+
+  if (params.disagreement === true || params.disagreement === 'true') {
+    filter['scoreSummary.disagreement'] = true;
+  } else if (params.disagreement === false || params.disagreement === 'false') {
+    filter['scoreSummary.disagreement'] = { $ne: true };
+  }
+
+  const tags = toList(params.tags);
+  if (tags.length > 0) {
+    filter.tags = { $all: tags };
+  }
+
+  if (params.search) {
+    const pattern = escapeRegex(params.search);
+    filter.$or = [
+      { name: { $regex: pattern, $options: 'i' } },
+      { email: { $regex: pattern, $options: 'i' } },
+      { applicationId: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+
+  if (params.submittedFrom || params.submittedTo) {
+    const from = params.submittedFrom ? new Date(params.submittedFrom) : null;
+    const to = params.submittedTo ? new Date(params.submittedTo) : null;
+
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return {
+        error: { status: 400, message: 'Invalid submission date range', code: 'INVALID_DATE_RANGE' }
+      };
+    }
+
+    filter.submissionTime = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    };
+  }
+
+  for (const [param, path] of [['submittedWithinDays', 'submissionTime'], ['statusChangedWithinDays', 'statusHistory.changedAt']]) {
+    if (params[param] === undefined || params[param] === null || params[param] === '') continue;
+
+    const days = Number(params[param]);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_WINDOW_DAYS) {
+      return {
+        error: { status: 400, message: `${param} must be a whole number from 1 to ${MAX_WINDOW_DAYS}`, code: 'INVALID_DATE_RANGE' }
+      };
+    }
+
+    const since = new Date(Date.now() - days * DAY_MS);
+    const current = filter[path] && filter[path].$gte;
+    filter[path] = { ...filter[path], $gte: current && current > since ? current : since };
+  }
+
+  return { filter, form };
+};
+
+module.exports = {
+  PRIORITIES,
+  SORT_ALIASES,
+  escapeRegex,
+  resolveSortField,
+  buildApplicationFilter
+};
@@ -0,0 +1,319 @@
+// Spreadsheet import of applications (walk-in paper submissions, earlier
+// cycles kept in spreadsheets).
+//
+// Columns are mapped onto import targets: built-in fields by key or label,
+// custom fields as `responses.<key>`, repeated qualifications and experience
+// as `qualification<n>_<part>` / `experience<n>_<part>`, plus submissionTime,
+// status, priority and tags for legacy records. Headers written by the
+// export endpoint (utils/applicationExport.js) map back automatically, so an
+// export can be re-imported into another form.
+const moment = require('moment');
+const { PRIORITIES } = require('./applicationFilters');
+const { BASE_COLUMNS, QUALIFICATION_PARTS, EXPERIENCE_PARTS } = require('./applicationExport');
+
+const IMPORT_FILE_TYPES = {
+  '.csv': 'csv',
+  '.xlsx': 'xlsx'
+};
+
+// Most data rows a single import may contain
+const MAX_IMPORT_ROWS = 2000;
+
+const IST_OFFSET_MINUTES = 330;
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD-MM-YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD'];
+
+// Record-keeping targets that are not form fields
+const RECORD_TARGETS = ['submissionTime', 'status', 'priority', 'tags'];
+
+const REPEATED_TARGET_PATTERN = /^(qualification|experience)(\d{1,2})_([a-zA-Z]+)$/;
+
+// Built-in fields that are not single spreadsheet cells
+const STRUCTURED_FIELDS = ['educationalQualifications', 'experience'];
+
+// Compare headers ignoring case, spaces and punctuation
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Plain text or value of an ExcelJS cell
+const toCellValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return value.text;
+  if (value.result !== undefined) return toCellValue(value.result);
+  return null;
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// qualification<n>_<part> / experience<n>_<part>
+const isRepeatedTarget = (target) => {
+  const match = REPEATED_TARGET_PATTERN.exec(target);
+  if (!match || Number(match[2]) < 1) return false;
+  const parts = match[1] === 'qualification' ? QUALIFICATION_PARTS : EXPERIENCE_PARTS;
+  return parts.some(part => part.key === match[3]);
+};
+
+// Import targets of a form with the header aliases that map onto them
+const getImportTargets = (form) => {
+  const targets = new Map();
+  const add = (target, ...aliases) => {
+    const entry = targets.get(target) || { target, aliases: new Set() };
+    aliases.filter(Boolean).forEach(alias => entry.aliases.add(normalizeHeader(alias)));
+    targets.set(target, entry);
+  };
+
+  form.getFormFields()
+    .filter(field => field.isActive !== false && field.type !== 'file' && !STRUCTURED_FIELDS.includes(field.key))
+    .forEach(field => {
+      if (field.builtIn) {
+        add(field.key, field.key, field.label);
+      } else {
+        add(`responses.${field.key}`, field.key, field.label, `responses.${field.key}`);
+      }
+    });
+
+  BASE_COLUMNS
+    .filter(column => targets.has(column.key) || RECORD_TARGETS.includes(column.key))
+    .forEach(column => add(column.key, column.key, column.header));
+  add('tags', 'tags');
+
+  return targets;
+};
+
+// Whether a target (mapping value or defaults key) exists for the form
+const isImportTarget = (target, form, targets = getImportTargets(form)) =>
+  typeof target === 'string' && (targets.has(target) || isRepeatedTarget(target));
+
+// Resolve the column mapping. `explicit` maps header text to a target (or
+// null to ignore the column); other headers are matched automatically.
+// Returns { columns: [{ index, header, target }], unmapped, errors }.
+const resolveColumnMapping = (headers, form, explicit = {}) => {
+  const targets = getImportTargets(form);
+  const byAlias = new Map();
+  targets.forEach(entry => entry.aliases.forEach(alias => {
+    if (!byAlias.has(alias)) byAlias.set(alias, entry.target);
+  }));
+
+  // "Qualification 1 - Exam Passed" and qualification1_examPassed
+  const matchRepeated = (header) => {
+    const normalized = normalizeHeader(header);
+    for (const [group, parts] of [['qualification', QUALIFICATION_PARTS], ['experience', EXPERIENCE_PARTS]]) {
+      const match = new RegExp(`^${group}(\\d{1,2})(.+)$`).exec(normalized);
+      if (!match || Number(match[1]) < 1) continue;
+      const part = parts.find(p => normalizeHeader(p.key) === match[2] || normalizeHeader(p.header) === match[2]);
+      if (part) return `${group}${Number(match[1])}_${part.key}`;
+    }
+    return null;
+  };
+
+  const errors = [];
+  const columns = [];
+  const unmapped = [];
+  const used = new Map();
+
+  headers.forEach((header, index) => {
+    if (isBlank(header)) return;
+    const text = String(header).trim();
+
+    let target;
+    if (Object.prototype.hasOwnProperty.call(explicit, text)) {
+      target = explicit[text];
+      if (target === null || target === '') return;
+      if (!isImportTarget(target, form, targets)) {
+        errors.push({ field: `mapping.${text}`, message: `Unknown import target '${target}'` });
+        return;
+      }
+    } else {
+      target = byAlias.get(normalizeHeader(text)) || matchRepeated(text);
+      if (!target) {
+        unmapped.push(text);
+        return;
+      }
+    }
+
+    if (used.has(target)) {
+      errors.push({ field: `mapping.${text}`, message: `Columns '${used.get(target)}' and '${text}' both map to ${target}` });
+      return;
+    }
+    used.set(target, text);
+    columns.push({ index, header: text, target });
+  });
+
+  Object.keys(explicit).forEach(header => {
+    if (!headers.some(h => !isBlank(h) && String(h).trim() === header)) {
+      errors.push({ field: `mapping.${header}`, message: `Column '${header}' is not in the file` });
+    }
+  });
+
+  if (!used.has('name') || !used.has('email')) {
+    errors.push({ field: 'mapping', message: 'The file must have name and email columns' });
+  }
+
+  return { columns, unmapped, errors };
+};
+
+// Parse a date cell. Accepts dates, ISO strings, DD-MM-YYYY style dates and
+// the IST timestamps written by exports. Returns a Date or null.
+const parseDate = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  const text = String(value).trim();
+
+  const ist = moment.utc(text, 'DD-MM-YYYY HH:mm:ss [IST]', true);
+  if (ist.isValid()) return ist.subtract(IST_OFFSET_MINUTES, 'minutes').toDate();
+
+  const date = moment.utc(text, DATE_FORMATS, true);
+  if (date.isValid()) return date.toDate();
+
+  const iso = moment(text, moment.ISO_8601, true);
+  return iso.isValid() ? iso.toDate() : null;
+};
+
+const toDateString = (date) => moment.utc(date).format('YYYY-MM-DD');
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['yes', 'y', 'true', '1'].includes(text)) return true;
+  if (['no', 'n', 'false', '0'].includes(text)) return false;
+  return null;
+};
+
+const parseNumber = (value) => {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isFinite(number) ? number : null;
+};
+
+const toList = (value) => String(value).split(/[;,]/).map(item => item.trim()).filter(Boolean);
+
+// Turn one spreadsheet row into a submission body (as posted by the public
+// form) plus record fields. Returns { body, record, errors }.
+//   values   - cell values by column index
+//   defaults - target -> value used when the cell is empty
+const rowToSubmission = (values, columns, form, defaults = {}) => {
+  const fields = new Map(form.getFormFields().map(field => [field.builtIn ? field.key : `responses.${field.key}`, field]));
+  const workflow = form.getWorkflow();
+  const body = { responses: {} };
+  const record = {};
+  const errors = [];
+  const repeated = { qualification: [], experience: [] };
+
+  const cells = columns.map(column => ({ ...column, value: toCellValue(values[column.index]) }));
+  Object.entries(defaults).forEach(([target, value]) => {
+    const cell = cells.find(c => c.target === target);
+    if (cell && isBlank(cell.value)) {
+      cell.value = value;
+    } else if (!cell) {
+      cells.push({ header: target, target, value });
+    }
+  });
+
+  cells.forEach(({ header, target, value }) => {
+    if (isBlank(value)) return;
+
+    const repeatedMatch = REPEATED_TARGET_PATTERN.exec(target);
+    if (repeatedMatch) {
+      const [, group, number, part] = repeatedMatch;
+      const entries = repeated[group];
+      const index = Number(number) - 1;
+      entries[index] = entries[index] || {};
+      const parts = group === 'qualification' ? QUALIFICATION_PARTS : EXPERIENCE_PARTS;
+      const definition = parts.find(p => p.key === part);
+
+      if (definition.type === 'date') {
+        const date = parseDate(value);
+        if (!date) errors.push({ field: header, message: `${header} must be a date` });
+        else entries[index][part] = date;
+      } else if (part === 'percentage' || part === 'salary') {
+        const number = parseNumber(value);
+        if (number === null) errors.push({ field: header, message: `${header} must be a number` });
+        else entries[index][part] = number;
+      } else if (part === 'isCurrentlyWorking') {
+        entries[index][part] = parseBoolean(value) === true;
+      } else {
+        entries[index][part] = String(value).trim();
+      }
+      return;
+    }
+
+    switch (target) {
+      case 'submissionTime': {
+        const date = parseDate(value);
+        if (!date) errors.push({ field: header, message: `${header} must be a date` });
+        else record.submissionTime = date;
+        return;
+      }
+      case 'status': {
+        const text = String(value).trim();
+        const stage = workflow.stages.find(s => s.key === text || s.label.toLowerCase() === text.toLowerCase());
+        if (!stage) errors.push({ field: header, message: `'${text}' is not a stage of this form's workflow` });
+        else record.status = stage.key;
+        return;
+      }
+      case 'priority': {
+        const text = String(value).trim().toLowerCase();
+        if (!PRIORITIES.includes(text)) errors.push({ field: header, message: `Priority must be one of: ${PRIORITIES.join(', ')}` });
+        else record.priority = text;
+        return;
+      }
+      case 'tags':
+        record.tags = toList(value).filter(tag => tag.length <= 50);
+        return;
+    }
+
+    const field = fields.get(target);
+    const key = target.startsWith('responses.') ? target.slice('responses.'.length) : target;
+    let converted;
+
+    switch (field && field.type) {
+      case 'date': {
+        const date = parseDate(value);
+        if (!date) {
+          errors.push({ field: header, message: `${header} must be a date` });
+          return;
+        }
+        converted = toDateString(date);
+        break;
+      }
+      case 'checkbox': {
+        const flag = parseBoolean(value);
+        if (flag === null) {
+          errors.push({ field: header, message: `${header} must be yes or no` });
+          return;
+        }
+        converted = flag;
+        break;
+      }
+      case 'multiselect':
+        converted = Array.isArray(value) ? value : toList(value);
+        break;
+      case 'number':
+        converted = value;
+        break;
+      default:
+        converted = value instanceof Date ? toDateString(value) : String(value).trim();
+    }
+
+    if (target.startsWith('responses.')) {
+      body.responses[key] = converted;
+    } else {
+      body[key] = converted;
+    }
+  });
+
+  body.educationalQualifications = repeated.qualification.filter(Boolean);
+  body.experience = repeated.experience.filter(Boolean);
+
+  return { body, record, errors };
+};
+
+module.exports = {
+  IMPORT_FILE_TYPES,
+  MAX_IMPORT_ROWS,
+  normalizeHeader,
+  toCellValue,
+  getImportTargets,
+  isImportTarget,
+  resolveColumnMapping,
+  rowToSubmission
+};
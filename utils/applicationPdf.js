@@ -0,0 +1,292 @@
+// Printable application copies rendered with PDFKit.
+//
+// renderApplication() draws one application onto a PDFKit document, starting
+// on a fresh page, so the single and batch endpoints share the layout:
+// custom headings, form title, personal details and custom answers, the
+// education and experience tables, publication text, the declaration and
+// the status history, followed by space for committee signatures.
+const moment = require('moment');
+const { getStage } = require('./workflow');
+const { formatGrade } = require('./grading');
+const { formatPublication } = require('./publications');
+
+const IST_OFFSET_MINUTES = 330;
+
+const PAGE_MARGIN = 50;
+const LABEL_WIDTH = 160;
+const CELL_PADDING = 4;
+
+const formatDate = (value) => (value ? moment(value).utcOffset(IST_OFFSET_MINUTES).format('DD-MM-YYYY') : '');
+const formatDateTime = (value) => (value ? moment(value).utcOffset(IST_OFFSET_MINUTES).format('DD-MM-YYYY HH:mm [IST]') : '');
+
+const formatAnswer = (value) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (value instanceof Date) return formatDate(value);
+  return String(value);
+};
+
+// Create a document for application copies; pages are added per application
+const createApplicationPdf = (info = {}) => {
+  // Loaded on demand: only PDF endpoints need it
+  const PDFDocument = require('pdfkit');
+  return new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    autoFirstPage: false,
+    // Pages are buffered per application for the page footers, then flushed
+    bufferPages: true,
+    info: {
+      Title: info.title || 'Application',
+      Creator: 'Multi-User Application Form API'
+    }
+  });
+};
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+const pageBottom = (doc) => doc.page.height - doc.page.margins.bottom;
+
+// Start a new page when fewer than `height` points are left
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > pageBottom(doc)) {
+    doc.addPage();
+  }
+};
+
+const drawHeadings = (doc, headings) => {
+  headings.forEach(heading => {
+    doc.font('Helvetica-Bold').fontSize(11).text(heading.text, { align: 'center' });
+  });
+  if (headings.length > 0) doc.moveDown(0.5);
+};
+
+const drawSectionTitle = (doc, title) => {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(12).text(title, doc.page.margins.left);
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.margins.left + contentWidth(doc), y)
+    .lineWidth(0.5)
+    .stroke();
+  doc.moveDown(0.5);
+};
+
+// Label/value pairs, one per line
+const drawDetails = (doc, rows) => {
+  const left = doc.page.margins.left;
+  const valueWidth = contentWidth(doc) - LABEL_WIDTH;
+
+  rows.filter(([, value]) => value !== '').forEach(([label, value]) => {
+    doc.font('Helvetica').fontSize(10);
+    const height = Math.max(doc.heightOfString(value, { width: valueWidth }), doc.heightOfString(label, { width: LABEL_WIDTH - 10 }));
+    ensureSpace(doc, height + 4);
+
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text(label, left, y, { width: LABEL_WIDTH - 10 });
+    doc.font('Helvetica').text(value, left + LABEL_WIDTH, y, { width: valueWidth });
+    doc.x = left;
+    doc.y = y + height + 4;
+  });
+};
+
+// A bordered table; columns are { header, width (fraction), value(row) }.
+// The header row is repeated when the table continues on a new page.
+const drawTable = (doc, columns, rows, emptyText = 'None') => {
+  const left = doc.page.margins.left;
+  const totalWidth = contentWidth(doc);
+  const widths = columns.map(column => column.width * totalWidth);
+
+  if (rows.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(10).text(emptyText, left);
+    return;
+  }
+
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const height = Math.max(...cells.map((cell, i) =>
+      doc.heightOfString(cell, { width: widths[i] - CELL_PADDING * 2 })
+    )) + CELL_PADDING * 2;
+
+    const y = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.rect(x, y, widths[i], height).lineWidth(0.5).stroke();
+      doc.text(cell, x + CELL_PADDING, y + CELL_PADDING, { width: widths[i] - CELL_PADDING * 2 });
+      x += widths[i];
+    });
+    doc.x = left;
+    doc.y = y + height;
+    return height;
+  };
+
+  const headers = columns.map(column => column.header);
+  const measureRow = (cells) => {
+    doc.font('Helvetica').fontSize(9);
+    return Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: widths[i] - CELL_PADDING * 2 }))) + CELL_PADDING * 2;
+  };
+
+  ensureSpace(doc, measureRow(headers) * 2);
+  drawRow(headers, 'Helvetica-Bold');
+
+  rows.forEach(row => {
+    const cells = columns.map(column => formatAnswer(column.value(row)));
+    if (doc.y + measureRow(cells) > pageBottom(doc)) {
+      doc.addPage();
+      drawRow(headers, 'Helvetica-Bold');
+    }
+    drawRow(cells, 'Helvetica');
+  });
+};
+
+const EDUCATION_COLUMNS = [
+  { header: 'Exam Passed', width: 0.2, value: q => q.examPassed },
+  { header: 'Examination', width: 0.15, value: q => q.nameOfExamination },
+  { header: 'Institute', width: 0.25, value: q => q.institute },
+  { header: 'Year', width: 0.08, value: q => q.yearOfPassing },
+  { header: 'Grade (%)', width: 0.12, value: q => (q.gradingScheme && q.gradingScheme !== 'percentage' ? `${formatGrade(q)} (${q.percentage}%)` : q.percentage) },
+  { header: 'Subjects', width: 0.2, value: q => q.subjects }
+];
+
+const EXPERIENCE_COLUMNS = [
+  { header: 'Organization', width: 0.22, value: e => e.organization },
+  { header: 'Designation', width: 0.18, value: e => e.designation },
+  { header: 'From', width: 0.12, value: e => formatDate(e.startDate) },
+  { header: 'To', width: 0.12, value: e => (e.isCurrentlyWorking ? 'Present' : formatDate(e.endDate)) },
+  { header: 'Responsibilities', width: 0.36, value: e => e.responsibilities }
+];
+
+const drawSignatures = (doc) => {
+  ensureSpace(doc, 90);
+  doc.moveDown(3);
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc) / 3;
+  const y = doc.y;
+
+  ['Member', 'Member', 'Chairperson'].forEach((role, i) => {
+    const x = left + i * width;
+    doc.moveTo(x + 10, y).lineTo(x + width - 10, y).lineWidth(0.5).stroke();
+    doc.font('Helvetica').fontSize(9).text(`Signature (${role})`, x + 10, y + 4, { width: width - 20, align: 'center' });
+  });
+  doc.x = left;
+};
+
+// Draw one application, starting on a new page.
+//   form      - the application's form (title, headings, fields, workflow), or null
+//   changedBy - map of user id to display name for the status history
+const renderApplication = (doc, application, form, { changedBy = new Map() } = {}) => {
+  const headings = ((form && form.customHeadings) || []).filter(heading => heading.isActive !== false && heading.text);
+  const headingsAt = (position) => headings.filter(heading => (heading.position || 'top') === position);
+  const workflow = form ? form.getWorkflow() : null;
+  const stageLabel = (key) => {
+    const stage = workflow && key ? getStage(workflow, key) : null;
+    return stage ? stage.label : (key || '');
+  };
+
+  doc.addPage();
+  const startPage = doc.bufferedPageRange().start + doc.bufferedPageRange().count - 1;
+
+  drawHeadings(doc, headingsAt('top'));
+  doc.font('Helvetica-Bold').fontSize(16).text((form && form.title) || 'Application Form', { align: 'center' });
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(10)
+    .text(`Application ID: ${application.applicationId}`, { align: 'center' })
+    .text(`Submitted: ${formatDateTime(application.submissionTime)}    Status: ${stageLabel(application.status)}`, { align: 'center' });
+
+  drawSectionTitle(doc, 'Personal Details');
+  drawDetails(doc, [
+    ['Name', application.name],
+    ['Email', application.email],
+    ['Phone', application.phone],
+    ['Address', application.address],
+    ['Category', application.category],
+    ['Date of Birth', formatDate(application.dob)],
+    ['Gender', application.gender],
+    ['Professional Exam', application.professionalExam],
+    ['Exam Validity', formatDate(application.professionalExamValidity)]
+  ].map(([label, value]) => [label, formatAnswer(value)]));
+
+  const customFields = form ? form.getFormFields().filter(field => !field.builtIn && field.isActive !== false) : [];
+  const responses = application.responses instanceof Map
+    ? Object.fromEntries(application.responses)
+    : (application.responses || {});
+  if (customFields.some(field => formatAnswer(responses[field.key]) !== '')) {
+    drawSectionTitle(doc, 'Additional Information');
+    drawDetails(doc, customFields.map(field => [field.label || field.key, formatAnswer(responses[field.key])]));
+  }
+
+  drawHeadings(doc, headingsAt('middle'));
+
+  drawSectionTitle(doc, 'Educational Qualifications');
+  drawTable(doc, EDUCATION_COLUMNS, application.educationalQualifications || []);
+
+  drawSectionTitle(doc, 'Work Experience');
+  drawTable(doc, EXPERIENCE_COLUMNS, application.experience || []);
+
+  const publications = application.publications || [];
+  if (publications.length > 0) {
+    drawSectionTitle(doc, 'Publications');
+    publications.forEach((entry, index) => {
+      doc.font('Helvetica').fontSize(10).text(`${index + 1}. ${formatPublication(entry)}`, { align: 'left' });
+    });
+  }
+
+  if (application.publicationDetails) {
+    drawSectionTitle(doc, 'Publication Details');
+    doc.font('Helvetica').fontSize(10).text(application.publicationDetails, { align: 'justify' });
+  }
+
+  const documents = application.documents || [];
+  if (documents.length > 0) {
+    drawSectionTitle(doc, 'Documents Submitted');
+    drawDetails(doc, documents.map(d => [d.slot, d.originalName || d.filename]));
+  }
+
+  drawSectionTitle(doc, 'Declaration');
+  doc.font('Helvetica').fontSize(10).text(
+    'I hereby declare that the information furnished above is true to the best of my knowledge and belief.'
+  );
+  doc.moveDown(0.5);
+  drawDetails(doc, [
+    ['Agreed', application.declarationAgreed ? 'Yes' : 'No'],
+    ['Place', formatAnswer(application.applicationPlace)],
+    ['Date', formatDate(application.applicationDate)],
+    ['Name', formatAnswer(application.nameDeclaration)]
+  ]);
+
+  drawSectionTitle(doc, 'Status History');
+  drawTable(doc, [
+    { header: 'Date', width: 0.2, value: h => formatDateTime(h.changedAt) },
+    { header: 'From', width: 0.17, value: h => stageLabel(h.previousStatus) },
+    { header: 'To', width: 0.17, value: h => stageLabel(h.newStatus) },
+    { header: 'By', width: 0.16, value: h => (h.changedBy && changedBy.get(String(h.changedBy))) || '' },
+    { header: 'Remarks', width: 0.3, value: h => h.remarks }
+  ], application.statusHistory || [], 'No status changes');
+
+  drawHeadings(doc, headingsAt('bottom'));
+  drawSignatures(doc);
+
+  // Footer on every page of this application
+  const range = doc.bufferedPageRange();
+  const endPage = range.start + range.count - 1;
+  for (let page = startPage; page <= endPage; page++) {
+    doc.switchToPage(page);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).text(
+      `${application.applicationId} - page ${page - startPage + 1} of ${endPage - startPage + 1} - printed ${formatDateTime(new Date())}`,
+      doc.page.margins.left,
+      doc.page.height - bottomMargin + 15,
+      { width: contentWidth(doc), align: 'center' }
+    );
+    doc.page.margins.bottom = bottomMargin;
+  }
+  doc.switchToPage(endPage);
+  doc.flushPages();
+};
+
+module.exports = {
+  createApplicationPdf,
+  renderApplication
+};
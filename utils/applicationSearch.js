@@ -0,0 +1,333 @@
+// Advanced application search: full-text over qualifications, experience and
+// publications plus a tree of field conditions combined with all / any / not.
+//
+//   {
+//     "text": "machine learning -android",
+//     "where": {
+//       "all": [
+//         { "field": "percentage", "level": "masters", "gte": 75 },
+//         { "field": "experienceYears", "gte": 2 },
+//         { "field": "hasPublications", "eq": true },
+//         { "field": "documentText", "contains": "federated learning" },
+//         { "any": [{ "field": "category", "in": ["OBC", "SC"] }, { "not": { "field": "gender", "eq": "Male" } }] }
+//       ]
+//     }
+//   }
+//
+// `text` uses MongoDB text search (words are stemmed, "quoted phrases" must
+// match exactly, -word excludes), backed by the application text index.
+// Conditions compile to indexed equality/range predicates. The one
+// exception is documentText, a case-insensitive phrase match that scans the
+// text extracted from uploaded PDFs (utils/documentText.js); `text` covers
+// that text too, through the index.
+const { CATEGORIES, QUALIFICATION_LEVELS, ELIGIBILITY_STATUSES } = require('./eligibility');
+const { PRIORITIES, escapeRegex } = require('./applicationFilters');
+const { TIMELINE_WARNINGS } = require('./experienceTimeline');
+const { PUBLICATION_TYPES, INDEXING_SERVICES } = require('./publications');
+const { DOCUMENT_TEXT_STATUSES } = require('./documentText');
+
+const GENDERS = ['Male', 'Female'];
+
+// Short names accepted for the qualification levels
+const EXAM_LEVEL_ALIASES = {
+  '10th': '10th Class',
+  '12th': '12th Class',
+  bachelors: 'Bachelors (B.Sc/B.Tech/B.E/BCA)',
+  masters: 'Masters (M.Sc/M.Tech/M.E/MCA/MA)',
+  others: 'Others'
+};
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_CONDITIONS = 50;
+const MAX_DEPTH = 5;
+
+// Operators per field type:
+//   value   - eq, ne, in, nin (over `values` when given)
+//   number  - eq, gte, gt, lte, lt
+//   age     - eq, gte, gt, lte, lt in completed years (today)
+//   date    - gte, gt, lte, lt
+//   boolean - eq
+//   phrase  - contains
+const OPERATORS = {
+  value: ['eq', 'ne', 'in', 'nin'],
+  number: ['eq', 'gte', 'gt', 'lte', 'lt'],
+  age: ['eq', 'gte', 'gt', 'lte', 'lt'],
+  date: ['gte', 'gt', 'lte', 'lt'],
+  boolean: ['eq'],
+  phrase: ['contains']
+};
+
+const SEARCH_FIELDS = {
+  category: { type: 'value', path: 'category', values: CATEGORIES },
+  gender: { type: 'value', path: 'gender', values: GENDERS },
+  status: { type: 'value', path: 'status' },
+  priority: { type: 'value', path: 'priority', values: PRIORITIES },
+  eligibility: { type: 'value', path: 'eligibility.status', values: ELIGIBILITY_STATUSES },
+  examLevel: { type: 'value', path: 'educationalQualifications.examPassed', values: QUALIFICATION_LEVELS, aliases: EXAM_LEVEL_ALIASES },
+  tags: { type: 'value', path: 'tags' },
+  // Kinds of timeline warning found at submission (utils/experienceTimeline.js)
+  timelineWarning: { type: 'value', path: 'timelineWarnings.code', values: TIMELINE_WARNINGS },
+  // Optional `level` restricts the range to qualifications of that level
+  percentage: { type: 'number', path: 'educationalQualifications.percentage' },
+  // Computed attributes (utils/applicantAttributes.js)
+  experienceYears: { type: 'number', path: 'computed.experienceMonths', scale: 12 },
+  experienceMonths: { type: 'number', path: 'computed.experienceMonths' },
+  relevantExperienceYears: { type: 'number', path: 'computed.relevantExperienceMonths', scale: 12 },
+  relevantExperienceMonths: { type: 'number', path: 'computed.relevantExperienceMonths' },
+  ageOnCutoff: { type: 'number', path: 'computed.ageOnCutoff' },
+  highestQualification: { type: 'value', path: 'computed.highestQualification', values: QUALIFICATION_LEVELS, aliases: EXAM_LEVEL_ALIASES },
+  highestPercentage: { type: 'number', path: 'computed.highestPercentage' },
+  publicationCount: { type: 'number', path: 'computed.publicationCount' },
+  journalPublications: { type: 'number', path: 'computed.publicationsByType.journal' },
+  conferencePublications: { type: 'number', path: 'computed.publicationsByType.conference' },
+  indexedPublications: { type: 'number', path: 'computed.indexedPublicationCount' },
+  publicationType: { type: 'value', path: 'publications.type', values: PUBLICATION_TYPES },
+  publicationIndexing: { type: 'value', path: 'publications.indexing', values: INDEXING_SERVICES },
+  // Age today; ageOnCutoff is the age on the form's cut-off date
+  age: { type: 'age', path: 'dob' },
+  score: { type: 'number', path: 'scoreSummary.mean' },
+  reviewCount: { type: 'number', path: 'scoreSummary.count' },
+  submissionTime: { type: 'date', path: 'submissionTime' },
+  dob: { type: 'date', path: 'dob' },
+  // Publications listed or described, or a publication document uploaded
+  hasPublications: { type: 'boolean' },
+  // Text of uploaded PDFs and how its extraction went
+  documentText: { type: 'phrase', path: 'documents.text' },
+  documentTextStatus: { type: 'value', path: 'documents.textExtraction.status', values: DOCUMENT_TEXT_STATUSES }
+};
+
+const MONGO_OPERATORS = { eq: '$eq', ne: '$ne', in: '$in', nin: '$nin', gte: '$gte', gt: '$gt', lte: '$lte', lt: '$lt' };
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toNumber = (value) => {
+  const number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Date `years` years before `date`
+const yearsBefore = (date, years) => {
+  const result = new Date(date);
+  result.setFullYear(result.getFullYear() - years);
+  return result;
+};
+
+const HAS_PUBLICATIONS = [
+  { publicationDetails: { $nin: [null, ''] } },
+  { 'publications.0': { $exists: true } },
+  { 'documents.slot': 'publicationDocument' }
+];
+
+// Compile one field condition. Pushes problems onto `errors`.
+const compileLeaf = (node, at, errors, state) => {
+  const definition = SEARCH_FIELDS[node.field];
+  if (!definition) {
+    errors.push({ field: `${at}.field`, message: `Unknown search field '${node.field}'. Fields: ${Object.keys(SEARCH_FIELDS).join(', ')}` });
+    return null;
+  }
+
+  const allowed = OPERATORS[definition.type];
+  const extra = node.field === 'percentage' ? ['field', 'level'] : ['field'];
+  const operators = Object.keys(node).filter(key => !extra.includes(key));
+  const unknown = operators.filter(op => !allowed.includes(op));
+  if (unknown.length > 0) {
+    errors.push({ field: at, message: `${node.field} supports: ${allowed.join(', ')} (got ${unknown.join(', ')})` });
+    return null;
+  }
+  if (operators.length === 0) {
+    errors.push({ field: at, message: `Condition on ${node.field} needs one of: ${allowed.join(', ')}` });
+    return null;
+  }
+
+  const problem = (op, message) => {
+    errors.push({ field: `${at}.${op}`, message });
+    return null;
+  };
+
+  if (definition.type === 'boolean') {
+    if (typeof node.eq !== 'boolean') return problem('eq', `${node.field} must be true or false`);
+    return node.eq ? { $or: HAS_PUBLICATIONS } : { $nor: HAS_PUBLICATIONS };
+  }
+
+  if (definition.type === 'phrase') {
+    const phrase = typeof node.contains === 'string' ? node.contains.trim() : '';
+    if (!phrase) return problem('contains', `${node.field} contains must be non-empty text`);
+    if (phrase.length > MAX_TEXT_LENGTH) return problem('contains', `${node.field} contains cannot exceed ${MAX_TEXT_LENGTH} characters`);
+    // Phrases inside `not` exclude applications, so there is nothing to highlight
+    if (state.negated === 0) state.phrases.push(phrase);
+    const pattern = phrase.split(/\s+/).map(escapeRegex).join('\\s+');
+    return { [definition.path]: { $regex: pattern, $options: 'i' } };
+  }
+
+  if (definition.type === 'value') {
+    const resolve = (value) => {
+      const text = String(value);
+      const resolved = (definition.aliases && definition.aliases[text.toLowerCase()]) || text;
+      return !definition.values || definition.values.includes(resolved) ? resolved : null;
+    };
+    const condition = {};
+    for (const op of operators) {
+      const many = op === 'in' || op === 'nin';
+      const given = many ? node[op] : [node[op]];
+      if (!Array.isArray(given) || given.length === 0 || given.some(value => value === null || typeof value === 'object')) {
+        return problem(op, many ? `${op} must be a non-empty list of values` : `${op} must be a single value`);
+      }
+      const resolved = given.map(resolve);
+      if (resolved.includes(null)) {
+        return problem(op, `${node.field} must be one of: ${definition.values.join(', ')}`);
+      }
+      condition[MONGO_OPERATORS[op]] = many ? resolved : resolved[0];
+    }
+    return { [definition.path]: condition };
+  }
+
+  if (definition.type === 'date') {
+    const condition = {};
+    for (const op of operators) {
+      const date = node[op] ? new Date(node[op]) : null;
+      if (!date || isNaN(date.getTime())) return problem(op, `${op} must be a date`);
+      condition[MONGO_OPERATORS[op]] = date;
+    }
+    return { [definition.path]: condition };
+  }
+
+  if (definition.type === 'age') {
+    // Completed years: age >= a means born on or before today minus a years
+    let min = null;
+    let max = null;
+    for (const op of operators) {
+      const years = toNumber(node[op]);
+      if (years === null || !Number.isInteger(years) || years < 0) return problem(op, `${op} must be a whole number of years`);
+      if (op === 'eq' || op === 'gte') min = Math.max(min === null ? 0 : min, years);
+      if (op === 'gt') min = Math.max(min === null ? 0 : min, years + 1);
+      if (op === 'eq' || op === 'lte') max = max === null ? years : Math.min(max, years);
+      if (op === 'lt') max = max === null ? years - 1 : Math.min(max, years - 1);
+    }
+    return {
+      [definition.path]: {
+        ...(min !== null && { $lte: yearsBefore(state.now, min) }),
+        ...(max !== null && { $gt: yearsBefore(state.now, max + 1) })
+      }
+    };
+  }
+
+  // number
+  const condition = {};
+  for (const op of operators) {
+    const number = toNumber(node[op]);
+    if (number === null) return problem(op, `${op} must be a number`);
+    condition[MONGO_OPERATORS[op]] = definition.scale ? number * definition.scale : number;
+  }
+
+  // Range and level must hold for the same qualification entry
+  if (node.field === 'percentage') {
+    const match = { percentage: condition };
+    if (node.level !== undefined) {
+      const level = EXAM_LEVEL_ALIASES[String(node.level).toLowerCase()] || String(node.level);
+      if (!QUALIFICATION_LEVELS.includes(level)) {
+        return problem('level', `level must be one of: ${Object.keys(EXAM_LEVEL_ALIASES).join(', ')} or a full qualification level`);
+      }
+      match.examPassed = level;
+    }
+    return { educationalQualifications: { $elemMatch: match } };
+  }
+
+  return { [definition.path]: condition };
+};
+
+// Compile a condition tree node (leaf, all, any or not)
+const compileNode = (node, at, errors, state, depth) => {
+  if (!isPlainObject(node)) {
+    errors.push({ field: at, message: 'Each condition must be an object' });
+    return null;
+  }
+  if (depth > MAX_DEPTH) {
+    errors.push({ field: at, message: `Conditions can be nested at most ${MAX_DEPTH} levels deep` });
+    return null;
+  }
+
+  const groups = ['all', 'any', 'not'].filter(key => node[key] !== undefined);
+  if (groups.length > 0) {
+    if (groups.length > 1 || Object.keys(node).length > 1) {
+      errors.push({ field: at, message: 'A group must have exactly one of all, any or not' });
+      return null;
+    }
+    const key = groups[0];
+
+    if (key === 'not') {
+      state.negated++;
+      const inner = compileNode(node.not, `${at}.not`, errors, state, depth + 1);
+      state.negated--;
+      return inner && { $nor: [inner] };
+    }
+
+    if (!Array.isArray(node[key]) || node[key].length === 0) {
+      errors.push({ field: `${at}.${key}`, message: `${key} must be a non-empty list of conditions` });
+      return null;
+    }
+    const children = node[key].map((child, index) => compileNode(child, `${at}.${key}[${index}]`, errors, state, depth + 1));
+    if (children.includes(null)) return null;
+    return key === 'all' ? { $and: children } : { $or: children };
+  }
+
+  state.conditions++;
+  if (state.conditions > MAX_CONDITIONS) {
+    if (state.conditions === MAX_CONDITIONS + 1) {
+      errors.push({ field: 'where', message: `A search can have at most ${MAX_CONDITIONS} conditions` });
+    }
+    return null;
+  }
+  return compileLeaf(node, at, errors, state);
+};
+
+// Validate and compile { text, where }. A list for `where` means all of it.
+// Returns { errors, text, phrases, filter } where filter holds the $text and
+// $and clauses to merge into the owner's application filter and phrases are
+// the documentText phrases searched for (for highlighting).
+const compileSearchQuery = ({ text, where } = {}, { now = new Date() } = {}) => {
+  const errors = [];
+  const filter = {};
+  const state = { conditions: 0, negated: 0, phrases: [], now };
+  let searchText = null;
+
+  if (text !== undefined && text !== null && text !== '') {
+    if (typeof text !== 'string' || !text.trim()) {
+      errors.push({ field: 'text', message: 'Search text must be a non-empty string' });
+    } else if (text.length > MAX_TEXT_LENGTH) {
+      errors.push({ field: 'text', message: `Search text cannot exceed ${MAX_TEXT_LENGTH} characters` });
+    } else {
+      searchText = text.trim();
+      filter.$text = { $search: searchText };
+    }
+  }
+
+  if (where !== undefined && where !== null) {
+    const root = Array.isArray(where) ? { all: where } : where;
+    const compiled = compileNode(root, 'where', errors, state, 1);
+    if (compiled) {
+      filter.$and = [compiled];
+    }
+  }
+
+  return { errors, text: searchText, phrases: state.phrases, filter };
+};
+
+// Field names of the conditions in a `where` tree, groups included.
+// Malformed nodes are skipped; compileSearchQuery reports them.
+const getConditionFields = (where) => {
+  if (Array.isArray(where)) return where.flatMap(getConditionFields);
+  if (!isPlainObject(where)) return [];
+  if (where.not !== undefined) return getConditionFields(where.not);
+  if (where.all !== undefined || where.any !== undefined) {
+    return getConditionFields(where.all || where.any);
+  }
+  return typeof where.field === 'string' ? [where.field] : [];
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  EXAM_LEVEL_ALIASES,
+  MAX_CONDITIONS,
+  compileSearchQuery,
+  getConditionFields
+};
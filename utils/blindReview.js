@@ -0,0 +1,152 @@
+// Blind review: while a form's blind review is in effect, reviewer-facing
+// responses carry a pseudonymous code in place of the applicant's identity.
+// The code is an HMAC of the application ID, so it is stable across requests
+// and exports without being stored, and cannot be reversed without the secret.
+const crypto = require('crypto');
+
+// Built-in fields that identify the applicant
+const IDENTITY_FIELDS = ['name', 'nameDeclaration', 'gender', 'category', 'dob', 'phone', 'email', 'address'];
+
+// Saved view filters that match on names or free text
+const IDENTIFYING_VIEW_FILTERS = ['search', 'text'];
+
+// Search conditions (utils/applicationSearch.js) that single out applicants
+// by identity fields or by the text of their documents
+const IDENTIFYING_SEARCH_FIELDS = ['category', 'gender', 'dob', 'age', 'ageOnCutoff', 'documentText'];
+
+// Custom field types that identify the applicant
+const IDENTITY_FIELD_TYPES = ['email', 'phone'];
+
+// Document slots hidden by default (photos, signatures)
+const IDENTITY_SLOT_PATTERN = /photo|signature|picture|selfie/i;
+
+const BLIND_REVIEW_ACTIONS = ['enabled', 'disabled', 'unblinded', 'reblinded'];
+
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/;
+
+const getSecret = () => process.env.BLIND_REVIEW_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+// Stable pseudonymous code for an application, e.g. "BR-4F09A1C2"
+const getBlindCode = (application) => {
+  const digest = crypto.createHmac('sha256', getSecret())
+    .update(String(application.applicationId))
+    .digest('hex');
+  return `BR-${digest.slice(0, 8).toUpperCase()}`;
+};
+
+// Whether reviewer-facing responses of the form must hide identities
+const isBlindReviewActive = (form) => {
+  const blind = form && form.blindReview;
+  return Boolean(blind && blind.enabled && !blind.unblinded);
+};
+
+// Field keys hidden from reviewers: identity fields, identity-typed custom
+// fields and any extra keys the owner listed
+const getHiddenFields = (form) => {
+  const hidden = new Set(IDENTITY_FIELDS);
+  form.getFormFields()
+    .filter(field => IDENTITY_FIELD_TYPES.includes(field.type))
+    .forEach(field => hidden.add(field.key));
+  ((form.blindReview && form.blindReview.hiddenFields) || []).forEach(key => hidden.add(key));
+  return hidden;
+};
+
+// Document slot keys hidden from reviewers
+const getHiddenSlots = (form) => {
+  const configured = form.blindReview && form.blindReview.hiddenSlots;
+  if (configured && configured.length > 0) {
+    return new Set(configured);
+  }
+  return new Set(form.getDocumentSlots()
+    .filter(slot => IDENTITY_SLOT_PATTERN.test(slot.key) || IDENTITY_SLOT_PATTERN.test(slot.label || ''))
+    .map(slot => slot.key));
+};
+
+// File names often contain the applicant's name
+const getBlindFileName = (doc, index = 0) => {
+  const extension = (doc.originalName || doc.filename || '').match(/\.[a-zA-Z0-9]{1,8}$/);
+  return `${doc.slot}-${index + 1}${extension ? extension[0].toLowerCase() : ''}`;
+};
+
+// Remove identifying data from a reviewer view of an application (as built
+// by Application#toReviewerJSON)
+const redactApplication = (data, form, code) => {
+  const hiddenFields = getHiddenFields(form);
+  const hiddenSlots = getHiddenSlots(form);
+  const redacted = { ...data, blindCode: code };
+
+  hiddenFields.forEach(key => {
+    delete redacted[key];
+  });
+
+  if (redacted.responses) {
+    redacted.responses = Object.fromEntries(
+      Object.entries(redacted.responses).filter(([key]) => !hiddenFields.has(key))
+    );
+  }
+
+  redacted.documents = (data.documents || [])
+    .filter(doc => !hiddenSlots.has(doc.slot))
+    .map((doc, index) => ({ ...doc, originalName: getBlindFileName(doc, index) }));
+
+  // Author lists name the applicant; drop them along with the citation
+  // format and any raw citation text
+  if (redacted.publications) {
+    redacted.publications = redacted.publications.map(({ authors, source, ...publication }) => publication);
+  }
+  delete redacted.publicationCitations;
+
+  // Age relaxation reasons would reveal the category
+  if (redacted.eligibility) {
+    redacted.eligibility = { status: redacted.eligibility.status };
+  }
+
+  // Age on the cut-off date is derived from the date of birth
+  if (redacted.computed) {
+    redacted.computed = { ...redacted.computed, ageOnCutoff: null };
+  }
+
+  return redacted;
+};
+
+// Validate the blindReview section of a form configuration body
+const validateBlindReviewConfig = (config) => {
+  const errors = [];
+
+  if (config === null) return errors;
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    return [{ field: 'blindReview', message: 'Blind review settings must be an object' }];
+  }
+
+  if (config.enabled !== undefined && typeof config.enabled !== 'boolean') {
+    errors.push({ field: 'blindReview.enabled', message: 'enabled must be true or false' });
+  }
+
+  ['hiddenFields', 'hiddenSlots'].forEach(key => {
+    const value = config[key];
+    if (value === undefined) return;
+    if (!Array.isArray(value) || value.length > 50 || !value.every(item => typeof item === 'string' && FIELD_KEY_PATTERN.test(item))) {
+      errors.push({ field: `blindReview.${key}`, message: `${key} must be a list of field keys` });
+    }
+  });
+
+  if (config.unblinded !== undefined) {
+    errors.push({ field: 'blindReview.unblinded', message: 'Use the unblind endpoint to reveal identities' });
+  }
+
+  return errors;
+};
+
+module.exports = {
+  IDENTITY_FIELDS,
+  IDENTIFYING_VIEW_FILTERS,
+  IDENTIFYING_SEARCH_FIELDS,
+  BLIND_REVIEW_ACTIONS,
+  getBlindCode,
+  isBlindReviewActive,
+  getHiddenFields,
+  getHiddenSlots,
+  getBlindFileName,
+  redactApplication,
+  validateBlindReviewConfig
+};
@@ -0,0 +1,22 @@
+// Minimal CSV writing shared by the export endpoints.
+
+// Quote a value when needed. Values that a spreadsheet would run as a
+// formula are prefixed with an apostrophe.
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with the trailing CRLF) from a list of values
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow
+};
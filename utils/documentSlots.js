@@ -0,0 +1,180 @@
+// Per-form document slots (CV, marksheets, category certificate, NOC,
+// photo, ...). Each slot is uploaded as its own multipart field named after
+// the slot key and carries its own required flag, allowed types, size limit
+// and file count.
+
+// File types an applicant may upload into any slot
+const DOCUMENT_TYPES = {
+  'application/pdf': 'PDF',
+  'image/jpeg': 'JPEG',
+  'image/png': 'PNG'
+};
+
+const SUPPORTED_MIME_TYPES = Object.keys(DOCUMENT_TYPES);
+
+// Hard limits applied by the upload middleware before per-slot checks
+const MAX_DOCUMENT_SIZE_MB = 10;
+const MAX_DOCUMENTS_PER_SLOT = 10;
+const MAX_DOCUMENT_SLOTS = 20;
+
+const SLOT_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/;
+
+// The single slot used before slots were configurable
+const LEGACY_SLOT_KEY = 'publicationDocument';
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Slot standing in for the publication document field on forms that have
+// not configured their own slots
+const buildLegacySlot = (field) => ({
+  key: LEGACY_SLOT_KEY,
+  label: field.label || 'Publication Document (PDF)',
+  description: '',
+  required: Boolean(field.required),
+  allowedTypes: ['application/pdf'],
+  maxSizeMB: 5,
+  maxCount: 1,
+  isActive: true
+});
+
+// Validate a documentSlots array from a form configuration body
+const validateDocumentSlots = (slots) => {
+  const errors = [];
+
+  if (slots === null) return errors;
+  if (!Array.isArray(slots)) {
+    return [{ field: 'documentSlots', message: 'Document slots must be an array' }];
+  }
+  if (slots.length > MAX_DOCUMENT_SLOTS) {
+    return [{ field: 'documentSlots', message: `A form can have at most ${MAX_DOCUMENT_SLOTS} document slots` }];
+  }
+
+  const seenKeys = new Set();
+
+  slots.forEach((slot, index) => {
+    const prefix = `documentSlots[${index}]`;
+
+    if (!slot || typeof slot !== 'object') {
+      errors.push({ field: prefix, message: 'Invalid document slot' });
+      return;
+    }
+
+    if (typeof slot.key !== 'string' || !SLOT_KEY_PATTERN.test(slot.key)) {
+      errors.push({ field: `${prefix}.key`, message: 'Slot key must start with a letter and contain only letters, numbers and underscores' });
+    } else if (seenKeys.has(slot.key)) {
+      errors.push({ field: `${prefix}.key`, message: `Duplicate slot key: ${slot.key}` });
+    } else {
+      seenKeys.add(slot.key);
+    }
+
+    if (typeof slot.label !== 'string' || slot.label.trim().length === 0 || slot.label.length > 200) {
+      errors.push({ field: `${prefix}.label`, message: 'Slot label is required and cannot exceed 200 characters' });
+    }
+
+    if (slot.description !== undefined && (typeof slot.description !== 'string' || slot.description.length > 500)) {
+      errors.push({ field: `${prefix}.description`, message: 'Slot description cannot exceed 500 characters' });
+    }
+
+    if (slot.allowedTypes !== undefined) {
+      if (!Array.isArray(slot.allowedTypes) || slot.allowedTypes.length === 0) {
+        errors.push({ field: `${prefix}.allowedTypes`, message: 'Allowed types must be a non-empty array' });
+      } else {
+        slot.allowedTypes.forEach(type => {
+          if (!SUPPORTED_MIME_TYPES.includes(type)) {
+            errors.push({ field: `${prefix}.allowedTypes`, message: `Unsupported file type: ${type}` });
+          }
+        });
+      }
+    }
+
+    if (slot.maxSizeMB !== undefined && (!isNumber(slot.maxSizeMB) || slot.maxSizeMB <= 0 || slot.maxSizeMB > MAX_DOCUMENT_SIZE_MB)) {
+      errors.push({ field: `${prefix}.maxSizeMB`, message: `Size limit must be between 0 and ${MAX_DOCUMENT_SIZE_MB} MB` });
+    }
+
+    if (slot.maxCount !== undefined && (!Number.isInteger(slot.maxCount) || slot.maxCount < 1 || slot.maxCount > MAX_DOCUMENTS_PER_SLOT)) {
+      errors.push({ field: `${prefix}.maxCount`, message: `File count must be between 1 and ${MAX_DOCUMENTS_PER_SLOT}` });
+    }
+  });
+
+  return errors;
+};
+
+// Shape uploaded multer files (or stored documents) as document entries
+const toDocuments = (files = []) => {
+  return files.map(file => ({
+    ...(file.documentId && { documentId: file.documentId }),
+    slot: file.slot || file.fieldname,
+    filename: file.filename,
+    originalName: file.originalname || file.originalName,
+    size: file.size,
+    mimeType: file.mimetype || file.mimeType,
+    uploadDate: file.uploadDate || new Date(),
+    path: file.path
+  }));
+};
+
+// Replace the documents of every slot that received new uploads
+const mergeDocuments = (existing = [], uploaded = []) => {
+  const replacedSlots = new Set(uploaded.map(doc => doc.slot));
+
+  return {
+    documents: [
+      ...existing.filter(doc => !replacedSlots.has(doc.slot)),
+      ...uploaded
+    ],
+    replaced: existing.filter(doc => replacedSlots.has(doc.slot))
+  };
+};
+
+// Check documents against a form's active slots.
+// Returns { errors, documents, discarded } where documents are the ones kept
+// and discarded are those uploaded into slots the form does not have.
+const checkDocuments = (slots, documents = []) => {
+  const errors = [];
+  const slotsByKey = new Map(slots.map(slot => [slot.key, slot]));
+  const kept = documents.filter(doc => slotsByKey.has(doc.slot));
+  const discarded = documents.filter(doc => !slotsByKey.has(doc.slot));
+
+  slots.forEach(slot => {
+    const slotDocuments = kept.filter(doc => doc.slot === slot.key);
+    const allowedTypes = slot.allowedTypes && slot.allowedTypes.length > 0 ? slot.allowedTypes : SUPPORTED_MIME_TYPES;
+    const maxCount = slot.maxCount || 1;
+
+    if (slotDocuments.length === 0) {
+      if (slot.required) {
+        errors.push({ field: slot.key, message: `${slot.label} is required` });
+      }
+      return;
+    }
+
+    if (slotDocuments.length > maxCount) {
+      errors.push({ field: slot.key, message: `${slot.label} accepts at most ${maxCount} file${maxCount === 1 ? '' : 's'}` });
+    }
+
+    slotDocuments.forEach(doc => {
+      if (!allowedTypes.includes(doc.mimeType)) {
+        const names = allowedTypes.map(type => DOCUMENT_TYPES[type] || type).join(', ');
+        errors.push({ field: slot.key, message: `${slot.label} must be ${names} (${doc.originalName})` });
+      }
+      if (slot.maxSizeMB && doc.size > slot.maxSizeMB * 1024 * 1024) {
+        errors.push({ field: slot.key, message: `${slot.label} must not exceed ${slot.maxSizeMB} MB (${doc.originalName})` });
+      }
+    });
+  });
+
+  return { errors, documents: kept, discarded };
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  SUPPORTED_MIME_TYPES,
+  MAX_DOCUMENT_SIZE_MB,
+  MAX_DOCUMENTS_PER_SLOT,
+  MAX_DOCUMENT_SLOTS,
+  LEGACY_SLOT_KEY,
+  buildLegacySlot,
+  validateDocumentSlots,
+  toDocuments,
+  mergeDocuments,
+  checkDocuments
+};
@@ -0,0 +1,282 @@
+// Text of uploaded PDF documents, so search can look inside papers and
+// certificates. Documents are saved with textExtraction.status 'pending';
+// a background step in the server process reads each pending PDF and
+// stores its text on the document (documents.text, not selected by
+// default) with the outcome:
+//
+//   completed   - text stored (searchable)
+//   no_text     - the PDF has no text layer, e.g. a scanned document
+//   failed      - the file is missing, damaged or password protected
+//   unsupported - not a PDF (photos, scanned JPEG/PNG)
+//
+// Search results show where the search words occur in the text as
+// highlighted snippets (buildHighlights).
+const fs = require('fs');
+const pdfParse = require('pdf-parse');
+
+const DOCUMENT_TEXT_STATUSES = ['pending', 'completed', 'no_text', 'failed', 'unsupported'];
+
+// Statuses reported as extraction failures
+const FAILED_STATUSES = ['no_text', 'failed'];
+
+// Text kept per document; the rest is dropped (and `truncated` set)
+const MAX_DOCUMENT_TEXT_LENGTH = 100000;
+
+// Fewer characters than this counts as no text layer (page numbers,
+// a stamped header on a scanned page)
+const MIN_TEXT_CHARACTERS = 50;
+
+const SNIPPET_CONTEXT = 80;
+const MAX_SNIPPETS_PER_DOCUMENT = 3;
+
+// Words MongoDB text search ignores; not worth highlighting
+const STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Join words hyphenated across lines and collapse whitespace
+const normalizeText = (text) => String(text || '')
+  .replace(/(\w)-\s*\n\s*(\w)/g, '$1$2')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Extract the text of a PDF file. Resolves to the stored outcome:
+// { status, text, pageCount, characters, truncated, error }.
+const extractPdfText = async (filePath) => {
+  let buffer;
+  try {
+    buffer = await fs.promises.readFile(filePath);
+  } catch (error) {
+    return {
+      status: 'failed',
+      error: error.code === 'ENOENT' ? 'File not found on the server' : `File could not be read (${error.code || error.message})`
+    };
+  }
+
+  let parsed;
+  try {
+    // pdf.js reads from the start of the underlying memory, which small
+    // (pooled) buffers share with others, so it gets a copy of its own
+    parsed = await pdfParse(new Uint8Array(buffer));
+  } catch (error) {
+    const message = /password/i.test(error.message || '') ? 'PDF is password protected' : `PDF could not be read (${error.message})`;
+    return { status: 'failed', error: message };
+  }
+
+  const text = normalizeText(parsed.text);
+  if (text.replace(/\s/g, '').length < MIN_TEXT_CHARACTERS) {
+    return {
+      status: 'no_text',
+      pageCount: parsed.numpages,
+      characters: 0,
+      error: 'No text layer found; the PDF may be scanned images'
+    };
+  }
+
+  return {
+    status: 'completed',
+    text: text.slice(0, MAX_DOCUMENT_TEXT_LENGTH),
+    pageCount: parsed.numpages,
+    characters: text.length,
+    truncated: text.length > MAX_DOCUMENT_TEXT_LENGTH
+  };
+};
+
+// Extract the text of every pending document, one application at a time.
+// Resolves to the number of documents processed.
+const processPendingDocuments = async () => {
+  const Application = require('../models/Application');
+  let processed = 0;
+
+  for (;;) {
+    const application = await Application.findOne({ 'documents.textExtraction.status': 'pending' })
+      .select('applicationId documents.documentId documents.mimeType documents.path documents.textExtraction')
+      .lean();
+    if (!application) return processed;
+
+    const pending = application.documents.filter(doc => doc.textExtraction && doc.textExtraction.status === 'pending');
+    for (const doc of pending) {
+      const result = doc.mimeType === 'application/pdf'
+        ? await extractPdfText(doc.path)
+        : { status: 'unsupported', error: 'Text is only extracted from PDF documents' };
+
+      // Only while still pending: the applicant may have replaced the file meanwhile
+      await Application.updateOne(
+        { _id: application._id },
+        {
+          $set: {
+            'documents.$[doc].text': result.text || '',
+            'documents.$[doc].textExtraction': {
+              status: result.status,
+              error: result.error || '',
+              pageCount: result.pageCount || null,
+              characters: result.characters || 0,
+              truncated: Boolean(result.truncated),
+              extractedAt: new Date()
+            }
+          }
+        },
+        { arrayFilters: [{ 'doc.documentId': doc.documentId, 'doc.textExtraction.status': 'pending' }] }
+      );
+      processed++;
+
+      if (FAILED_STATUSES.includes(result.status)) {
+        console.warn(`[APP] Text extraction ${result.status} for ${application.applicationId}/${doc.documentId}: ${result.error}`);
+      }
+    }
+  }
+};
+
+let running = false;
+let rerun = false;
+
+// Start the background extraction unless it is already running, in which
+// case it takes another pass once done. Called after applications are
+// saved with new documents and when the server starts.
+const scheduleTextExtraction = () => {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+
+  setImmediate(async () => {
+    try {
+      do {
+        rerun = false;
+        const processed = await processPendingDocuments();
+        if (processed > 0) {
+          console.log(`[APP] Extracted text of ${processed} document(s)`);
+        }
+      } while (rerun);
+    } catch (error) {
+      console.error('[APP] Document text extraction error:', error);
+    } finally {
+      running = false;
+    }
+  });
+};
+
+// Words and "quoted phrases" of a text search; -excluded words are left out
+const parseSearchTerms = (text) => {
+  const terms = [];
+  const source = String(text || '');
+  const pattern = /(-?)"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    if (match[2] !== undefined) {
+      if (!match[1] && match[2].trim()) terms.push({ phrase: match[2].trim() });
+      continue;
+    }
+    const word = match[3];
+    if (word.startsWith('-')) continue;
+    const cleaned = word.replace(/^\W+|\W+$/g, '').toLowerCase();
+    if (cleaned && !STOP_WORDS.has(cleaned)) terms.push({ word: cleaned });
+  }
+
+  return terms;
+};
+
+// Regular expression matching any of the terms. Words match by their stem
+// the way text search does ("learning" finds "learned"); phrases exactly,
+// across any whitespace.
+const buildTermPattern = (terms) => {
+  const parts = terms.map(term => {
+    if (term.phrase) {
+      return term.phrase.split(/\s+/).map(escapeRegex).join('\\s+');
+    }
+    const stem = term.word.replace(/(ing|ed|es|s)$/, '');
+    return `${escapeRegex(stem.length >= 3 ? stem : term.word)}\\w*`;
+  });
+  return parts.length > 0 ? new RegExp(`\\b(?:${parts.join('|')})`, 'gi') : null;
+};
+
+// Escape a piece of text and wrap the matches in <mark>
+const markMatches = (text, pattern) => {
+  const matcher = new RegExp(pattern.source, pattern.flags);
+  let result = '';
+  let last = 0;
+  let match;
+
+  while ((match = matcher.exec(text))) {
+    if (match[0].length === 0) {
+      matcher.lastIndex++;
+      continue;
+    }
+    result += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return result + escapeHtml(text.slice(last));
+};
+
+// Up to MAX_SNIPPETS_PER_DOCUMENT non-overlapping windows around matches
+const buildSnippets = (text, pattern) => {
+  const matcher = new RegExp(pattern.source, pattern.flags);
+  const snippets = [];
+  let covered = 0;
+  let match;
+
+  while (snippets.length < MAX_SNIPPETS_PER_DOCUMENT && (match = matcher.exec(text))) {
+    if (match[0].length === 0) {
+      matcher.lastIndex++;
+      continue;
+    }
+
+    let start = Math.max(match.index - SNIPPET_CONTEXT, covered);
+    let end = Math.min(match.index + match[0].length + SNIPPET_CONTEXT, text.length);
+    // Do not cut words at the edges
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < match.index) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > match.index + match[0].length) end = space;
+    }
+
+    snippets.push(`${start > 0 ? '…' : ''}${markMatches(text.slice(start, end), pattern)}${end < text.length ? '…' : ''}`);
+    covered = end;
+    matcher.lastIndex = end;
+  }
+
+  return snippets;
+};
+
+// Highlighted snippets of the documents matching a search. `text` is the
+// advanced search text, `phrases` the documentText conditions. Snippets are
+// HTML-escaped with the matches in <mark>.
+// Returns [{ documentId, slot, originalName, snippets }] for documents with a match.
+const buildHighlights = (documents = [], { text = null, phrases = [] } = {}) => {
+  const pattern = buildTermPattern([
+    ...parseSearchTerms(text),
+    ...phrases.map(phrase => ({ phrase }))
+  ]);
+  if (!pattern) return [];
+
+  return documents
+    .filter(doc => doc.text)
+    .map(doc => ({
+      documentId: doc.documentId,
+      slot: doc.slot,
+      originalName: doc.originalName,
+      snippets: buildSnippets(doc.text, pattern)
+    }))
+    .filter(doc => doc.snippets.length > 0);
+};
+
+module.exports = {
+  DOCUMENT_TEXT_STATUSES,
+  FAILED_STATUSES,
+  MAX_DOCUMENT_TEXT_LENGTH,
+  extractPdfText,
+  scheduleTextExtraction,
+  parseSearchTerms,
+  buildHighlights
+};
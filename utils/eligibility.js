@@ -0,0 +1,224 @@
+// Per-form eligibility rules and their evaluation against an application.
+// Rules cover an age window on a cut-off date (with category-wise relaxation
+// as used in Government of India recruitment), minimum percentages per
+// qualification level, required qualification levels and a valid
+// professional exam. The keywords marking relevant experience live here too;
+// they feed the computed attributes (utils/applicantAttributes.js).
+
+const CATEGORIES = ['GENERAL', 'OBC', 'SC', 'ST', 'PwD', 'EWS'];
+
+const QUALIFICATION_LEVELS = [
+  '10th Class',
+  '12th Class',
+  'Bachelors (B.Sc/B.Tech/B.E/BCA)',
+  'Masters (M.Sc/M.Tech/M.E/MCA/MA)',
+  'Others'
+];
+
+const ELIGIBILITY_STATUSES = ['eligible', 'ineligible', 'not_evaluated'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Completed years between two dates
+const calculateAge = (dob, onDate) => {
+  const birthDate = new Date(dob);
+  const reference = new Date(onDate);
+  let age = reference.getFullYear() - birthDate.getFullYear();
+  const monthDiff = reference.getMonth() - birthDate.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && reference.getDate() < birthDate.getDate())) {
+    age--;
+  }
+  return age;
+};
+
+// Validate an eligibility rule set from a form configuration body
+const validateEligibilityRules = (rules) => {
+  const errors = [];
+
+  if (rules === null) return errors;
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    return [{ field: 'eligibility', message: 'Eligibility rules must be an object' }];
+  }
+
+  if (rules.enforcement !== undefined && !['flag', 'reject'].includes(rules.enforcement)) {
+    errors.push({ field: 'eligibility.enforcement', message: 'Enforcement must be flag or reject' });
+  }
+
+  const age = rules.age || {};
+  ['min', 'max'].forEach(key => {
+    if (age[key] !== undefined && age[key] !== null && (!isNumber(age[key]) || age[key] < 0 || age[key] > 100)) {
+      errors.push({ field: `eligibility.age.${key}`, message: 'Age limits must be numbers between 0 and 100' });
+    }
+  });
+  if (isNumber(age.min) && isNumber(age.max) && age.min > age.max) {
+    errors.push({ field: 'eligibility.age.max', message: 'Maximum age must not be below minimum age' });
+  }
+  if (age.cutoffDate && isNaN(new Date(age.cutoffDate).getTime())) {
+    errors.push({ field: 'eligibility.age.cutoffDate', message: 'Invalid age cut-off date' });
+  }
+
+  if (rules.ageRelaxation !== undefined) {
+    if (!Array.isArray(rules.ageRelaxation)) {
+      errors.push({ field: 'eligibility.ageRelaxation', message: 'Age relaxation must be an array' });
+    } else {
+      const seen = new Set();
+      rules.ageRelaxation.forEach((entry, index) => {
+        if (!entry || !CATEGORIES.includes(entry.category)) {
+          errors.push({ field: `eligibility.ageRelaxation[${index}].category`, message: 'Invalid category' });
+        } else if (seen.has(entry.category)) {
+          errors.push({ field: `eligibility.ageRelaxation[${index}].category`, message: `Duplicate relaxation for ${entry.category}` });
+        } else {
+          seen.add(entry.category);
+        }
+        if (!entry || !isNumber(entry.years) || entry.years < 0 || entry.years > 20) {
+          errors.push({ field: `eligibility.ageRelaxation[${index}].years`, message: 'Relaxation must be between 0 and 20 years' });
+        }
+      });
+    }
+  }
+
+  if (rules.minimumPercentages !== undefined) {
+    if (!Array.isArray(rules.minimumPercentages)) {
+      errors.push({ field: 'eligibility.minimumPercentages', message: 'Minimum percentages must be an array' });
+    } else {
+      rules.minimumPercentages.forEach((entry, index) => {
+        if (!entry || !QUALIFICATION_LEVELS.includes(entry.examPassed)) {
+          errors.push({ field: `eligibility.minimumPercentages[${index}].examPassed`, message: 'Invalid qualification level' });
+        }
+        if (!entry || !isNumber(entry.minimum) || entry.minimum < 0 || entry.minimum > 100) {
+          errors.push({ field: `eligibility.minimumPercentages[${index}].minimum`, message: 'Minimum percentage must be between 0 and 100' });
+        }
+      });
+    }
+  }
+
+  if (rules.requiredQualifications !== undefined) {
+    if (!Array.isArray(rules.requiredQualifications)) {
+      errors.push({ field: 'eligibility.requiredQualifications', message: 'Required qualifications must be an array' });
+    } else {
+      rules.requiredQualifications.forEach((level, index) => {
+        if (!QUALIFICATION_LEVELS.includes(level)) {
+          errors.push({ field: `eligibility.requiredQualifications[${index}]`, message: 'Invalid qualification level' });
+        }
+      });
+    }
+  }
+
+  const exam = rules.professionalExam || {};
+  if (exam.name !== undefined && exam.name !== null && (typeof exam.name !== 'string' || exam.name.length > 200)) {
+    errors.push({ field: 'eligibility.professionalExam.name', message: 'Professional exam name cannot exceed 200 characters' });
+  }
+  if (exam.validOn && isNaN(new Date(exam.validOn).getTime())) {
+    errors.push({ field: 'eligibility.professionalExam.validOn', message: 'Invalid professional exam validity date' });
+  }
+
+  const experience = rules.experience || {};
+  if (experience.relevantKeywords !== undefined) {
+    if (!Array.isArray(experience.relevantKeywords) || experience.relevantKeywords.length > 20) {
+      errors.push({ field: 'eligibility.experience.relevantKeywords', message: 'Relevant experience keywords must be an array of at most 20 keywords' });
+    } else {
+      experience.relevantKeywords.forEach((keyword, index) => {
+        if (typeof keyword !== 'string' || !keyword.trim() || keyword.length > 50) {
+          errors.push({ field: `eligibility.experience.relevantKeywords[${index}]`, message: 'Keywords must be text of at most 50 characters' });
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+// Evaluate an application (document or plain object) against a form's rules.
+// Returns { status, reasons: [{ rule, message }], ageOnCutoff, evaluatedAt }.
+const evaluateEligibility = (rules, application, { now = new Date() } = {}) => {
+  const result = {
+    status: 'not_evaluated',
+    reasons: [],
+    ageOnCutoff: null,
+    evaluatedAt: now
+  };
+
+  if (!rules || !rules.enabled) {
+    return result;
+  }
+
+  const fail = (rule, message) => result.reasons.push({ rule, message });
+  const category = application.category;
+  const qualifications = application.educationalQualifications || [];
+
+  // Age window on the cut-off date, widened by the category relaxation
+  const age = rules.age || {};
+  const cutoffDate = age.cutoffDate || application.submissionTime || now;
+  if (isNumber(age.min) || isNumber(age.max)) {
+    if (!application.dob) {
+      fail('age', 'Date of birth is required to check the age limit');
+    } else {
+      const ageOnCutoff = calculateAge(application.dob, cutoffDate);
+      result.ageOnCutoff = ageOnCutoff;
+
+      const relaxation = (rules.ageRelaxation || []).find(entry => entry.category === category);
+      const relaxationYears = relaxation ? relaxation.years : 0;
+      const cutoffLabel = new Date(cutoffDate).toISOString().slice(0, 10);
+
+      if (isNumber(age.min) && ageOnCutoff < age.min) {
+        fail('age', `Minimum age is ${age.min} years on ${cutoffLabel} (applicant is ${ageOnCutoff})`);
+      }
+      if (isNumber(age.max) && ageOnCutoff > age.max + relaxationYears) {
+        const limit = relaxationYears
+          ? `${age.max + relaxationYears} years (${age.max} + ${relaxationYears} for ${category})`
+          : `${age.max} years`;
+        fail('age', `Maximum age is ${limit} on ${cutoffLabel} (applicant is ${ageOnCutoff})`);
+      }
+    }
+  }
+
+  // Required qualification levels
+  (rules.requiredQualifications || []).forEach(level => {
+    if (!qualifications.some(q => q.examPassed === level)) {
+      fail('qualification', `${level} qualification is required`);
+    }
+  });
+
+  // Minimum percentage per level (best entry at that level counts)
+  (rules.minimumPercentages || []).forEach(({ examPassed, minimum }) => {
+    const scores = qualifications
+      .filter(q => q.examPassed === examPassed && q.percentage !== null && q.percentage !== undefined && q.percentage !== '')
+      .filter(q => isNumber(Number(q.percentage)))
+      .map(q => Number(q.percentage));
+
+    if (scores.length === 0) {
+      fail('percentage', `${examPassed} with at least ${minimum}% is required`);
+    } else if (Math.max(...scores) < minimum) {
+      fail('percentage', `${examPassed} requires at least ${minimum}% (applicant has ${Math.max(...scores)}%)`);
+    }
+  });
+
+  // Professional exam, valid on the given date (or the cut-off date)
+  const exam = rules.professionalExam || {};
+  if (exam.required) {
+    const validOn = exam.validOn || cutoffDate;
+    const examName = application.professionalExam && String(application.professionalExam).trim();
+
+    if (!examName) {
+      fail('professionalExam', `${exam.name || 'A professional exam'} is required`);
+    } else if (exam.name && !examName.toLowerCase().includes(String(exam.name).toLowerCase())) {
+      fail('professionalExam', `${exam.name} is required`);
+    } else if (!application.professionalExamValidity) {
+      fail('professionalExam', 'Professional exam validity date is required');
+    } else if (new Date(application.professionalExamValidity) < new Date(validOn)) {
+      fail('professionalExam', `Professional exam must be valid on ${new Date(validOn).toISOString().slice(0, 10)}`);
+    }
+  }
+
+  result.status = result.reasons.length === 0 ? 'eligible' : 'ineligible';
+  return result;
+};
+
+module.exports = {
+  CATEGORIES,
+  QUALIFICATION_LEVELS,
+  ELIGIBILITY_STATUSES,
+  calculateAge,
+  validateEligibilityRules,
+  evaluateEligibility
+};
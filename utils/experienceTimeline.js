@@ -0,0 +1,163 @@
+// Consistency checks across an application's experience and educational
+// qualifications. Errors are chronologies that cannot be true (a job before
+// the applicant was born or in the future) and block submission. Warnings
+// are unusual but possible (overlapping or parallel jobs, long gaps, a job
+// before the 10th class) and are stored on the application for reviewers.
+const { calculateAge } = require('./eligibility');
+const { getLevelRank, mergePeriods } = require('./applicantAttributes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_DAYS = 365.25 / 12;
+
+// Youngest age at which a job can start
+const MIN_WORKING_AGE = 14;
+
+// Jobs may overlap this long (notice periods, joining formalities)
+const OVERLAP_TOLERANCE_DAYS = 31;
+
+// Breaks between jobs longer than this are reported
+const GAP_WARNING_MONTHS = 6;
+
+const TIMELINE_WARNINGS = [
+  'overlapping_experience',
+  'experience_gap',
+  'multiple_current_jobs',
+  'experience_before_schooling',
+  'qualification_order'
+];
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const toMonths = (ms) => Math.round((ms / DAY_MS) / MONTH_DAYS);
+
+const formatMonth = (date) => date.toISOString().slice(0, 7);
+
+// Check `experience`, `educationalQualifications` and `dob` of submitted
+// answers. Returns { errors: [{ field, message }], warnings: [{ code, field, message }] }.
+// Entries with missing or invalid dates are left to the field validation.
+const checkTimeline = ({ dob, experience = [], educationalQualifications = [] } = {}, { now = new Date() } = {}) => {
+  const errors = [];
+  const warnings = [];
+  const birthDate = toDate(dob);
+
+  const entries = (experience || []).map((entry, index) => {
+    const current = entry.isCurrentlyWorking === true || entry.isCurrentlyWorking === 'true';
+    return {
+      index,
+      current,
+      start: toDate(entry.startDate),
+      end: current ? now : toDate(entry.endDate)
+    };
+  });
+
+  entries.forEach(({ index, current, start, end }) => {
+    const field = `experience[${index}]`;
+    if (!start) return;
+
+    if (start > now) {
+      errors.push({ field: `${field}.startDate`, message: `Experience ${index + 1} starts in the future` });
+    } else if (!current && end && end > now) {
+      errors.push({ field: `${field}.endDate`, message: `Experience ${index + 1} ends in the future; mark it as current instead` });
+    }
+
+    if (birthDate) {
+      if (start < birthDate) {
+        errors.push({ field: `${field}.startDate`, message: `Experience ${index + 1} starts before the date of birth` });
+      } else if (calculateAge(birthDate, start) < MIN_WORKING_AGE) {
+        errors.push({ field: `${field}.startDate`, message: `Experience ${index + 1} starts before the age of ${MIN_WORKING_AGE}` });
+      }
+    }
+  });
+
+  // Qualifications: year of passing against the birth year and each other
+  const qualifications = (educationalQualifications || [])
+    .map((q, index) => ({ index, level: q.examPassed, rank: getLevelRank(q.examPassed), year: parseInt(q.yearOfPassing) }))
+    .filter(q => Number.isInteger(q.year));
+
+  if (birthDate) {
+    qualifications
+      .filter(q => q.year <= birthDate.getFullYear())
+      .forEach(q => {
+        errors.push({
+          field: `educationalQualifications[${q.index}].yearOfPassing`,
+          message: `Year of passing of ${q.level || 'the qualification'} is before the year of birth`
+        });
+      });
+  }
+
+  // A higher level (12th over 10th, masters over bachelors) passed earlier
+  const ranked = qualifications.filter(q => q.rank > 0);
+  ranked.forEach(higher => {
+    const lower = ranked.find(q => q.rank < higher.rank && q.year > higher.year);
+    if (lower) {
+      warnings.push({
+        code: 'qualification_order',
+        field: `educationalQualifications[${higher.index}].yearOfPassing`,
+        message: `${higher.level} (${higher.year}) was passed before ${lower.level} (${lower.year})`
+      });
+    }
+  });
+
+  const tenth = qualifications.find(q => q.level === '10th Class');
+  if (tenth) {
+    entries
+      .filter(entry => entry.start && entry.start.getFullYear() < tenth.year)
+      .forEach(({ index }) => {
+        warnings.push({
+          code: 'experience_before_schooling',
+          field: `experience[${index}].startDate`,
+          message: `Experience ${index + 1} starts before the 10th class was passed (${tenth.year})`
+        });
+      });
+  }
+
+  const current = entries.filter(entry => entry.current);
+  if (current.length > 1) {
+    warnings.push({
+      code: 'multiple_current_jobs',
+      field: 'experience',
+      message: `${current.length} experience entries are marked as current (${current.map(entry => entry.index + 1).join(', ')})`
+    });
+  }
+
+  // Pairwise overlaps beyond the tolerance
+  const dated = entries.filter(entry => entry.start && entry.end && entry.end > entry.start);
+  dated.forEach((a, i) => {
+    dated.slice(i + 1).forEach(b => {
+      const overlap = Math.min(a.end, b.end) - Math.max(a.start, b.start);
+      if (overlap > OVERLAP_TOLERANCE_DAYS * DAY_MS) {
+        warnings.push({
+          code: 'overlapping_experience',
+          field: `experience[${b.index}]`,
+          message: `Experience ${a.index + 1} and experience ${b.index + 1} overlap by about ${Math.max(toMonths(overlap), 1)} month(s)`
+        });
+      }
+    });
+  });
+
+  // Gaps between the (merged) working periods
+  const periods = mergePeriods([...dated].sort((a, b) => a.start - b.start));
+  periods.slice(1).forEach((period, i) => {
+    const gap = toMonths(period.start - periods[i].end);
+    if (gap > GAP_WARNING_MONTHS) {
+      warnings.push({
+        code: 'experience_gap',
+        field: 'experience',
+        message: `No experience listed for about ${gap} months between ${formatMonth(periods[i].end)} and ${formatMonth(period.start)}`
+      });
+    }
+  });
+
+  return { errors, warnings };
+};
+
+module.exports = {
+  MIN_WORKING_AGE,
+  GAP_WARNING_MONTHS,
+  TIMELINE_WARNINGS,
+  checkTimeline
+};
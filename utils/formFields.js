@@ -0,0 +1,460 @@
+// Form field definitions used by the public application form.
+// Each form owner can rearrange, relabel or switch off the built-in fields
+// (which map onto Application schema paths) and add custom fields whose
+// answers are stored in Application.responses.
+const vm = require('vm');
+
+const FIELD_TYPES = [
+  'text',
+  'textarea',
+  'number',
+  'email',
+  'phone',
+  'url',
+  'date',
+  'select',
+  'multiselect',
+  'checkbox',
+  'education',
+  'experience',
+  'file'
+];
+
+// Types that only built-in fields may use (they map onto structured schema paths)
+const BUILT_IN_ONLY_TYPES = ['education', 'experience', 'file'];
+
+// Fields that every form must collect (used for OTP, confirmation mail and listings)
+const CORE_FIELD_KEYS = ['name', 'email'];
+
+const DEFAULT_FORM_FIELDS = [
+  { key: 'name', label: 'Full Name', type: 'text', required: true, max: 100 },
+  { key: 'address', label: 'Address', type: 'textarea', required: true, max: 500 },
+  { key: 'phone', label: 'Phone Number', type: 'phone', required: true },
+  { key: 'email', label: 'Email Address', type: 'email', required: true },
+  {
+    key: 'category',
+    label: 'Category',
+    type: 'select',
+    required: true,
+    options: ['GENERAL', 'OBC', 'SC', 'ST', 'PwD', 'EWS']
+  },
+  { key: 'dob', label: 'Date of Birth', type: 'date', required: true },
+  { key: 'gender', label: 'Gender', type: 'select', required: true, options: ['Male', 'Female'] },
+  { key: 'professionalExam', label: 'Professional Exam (NET/GATE etc.)', type: 'text', required: false, max: 200 },
+  { key: 'professionalExamValidity', label: 'Professional Exam Validity', type: 'date', required: false },
+  { key: 'educationalQualifications', label: 'Educational Qualifications', type: 'education', required: false },
+  { key: 'experience', label: 'Work Experience', type: 'experience', required: false },
+  { key: 'publicationDetails', label: 'Publication Details', type: 'textarea', required: false, max: 2000 },
+  { key: 'publicationDocument', label: 'Publication Document (PDF)', type: 'file', required: false },
+  { key: 'declarationAgreed', label: 'I agree to the declaration', type: 'checkbox', required: true },
+  { key: 'applicationDate', label: 'Date', type: 'date', required: true },
+  { key: 'applicationPlace', label: 'Place', type: 'text', required: true, max: 100 },
+  { key: 'nameDeclaration', label: 'Name (Declaration)', type: 'text', required: true, max: 100 }
+].map((field, index) => ({
+  options: [],
+  helpText: '',
+  ...field,
+  builtIn: true,
+  isActive: true,
+  order: index
+}));
+
+const BUILT_IN_FIELD_KEYS = DEFAULT_FORM_FIELDS.map(field => field.key);
+
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[0-9]{10}$/;
+const URL_PATTERN = /^https?:\/\/[^\s]+$/i;
+
+// Owner-written format patterns run against public input on the single
+// request thread, so answers longer than this are not matched against them
+const MAX_REGEX_INPUT_LENGTH = 1000;
+
+// Owner-written patterns can backtrack exponentially in ways no static
+// check fully rules out (e.g. ^(a|ab)*c$), so answers are matched in a
+// separate context that is stopped after this many milliseconds
+const REGEX_MATCH_TIMEOUT_MS = 50;
+const regexContext = vm.createContext(Object.create(null));
+const regexMatchScript = new vm.Script('pattern.test(value)');
+
+// Compiled format patterns by source; forms are validated and answered
+// far more often than their patterns change
+const MAX_COMPILED_PATTERNS = 500;
+const compiledPatterns = new Map();
+
+// Length of the quantifier starting at source[i] (0 if none) and whether
+// it repeats a variable number of times
+const readQuantifier = (source, i) => {
+  const char = source[i];
+  if (char === '*' || char === '+' || char === '?') return { length: 1, variable: true };
+  if (char !== '{') return { length: 0, variable: false };
+  const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+  if (!match) return { length: 0, variable: false };
+  return { length: match[0].length, variable: Boolean(match[2]) && match[3] !== match[1] };
+};
+
+// Whether a pattern repeats a group that itself contains a repetition,
+// e.g. (a+)+ or (\w+\s?)* - the shape that backtracks catastrophically
+const hasNestedQuantifier = (source) => {
+  const groups = [{ repeats: false }];
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Character class: quantifier characters inside are literal
+      i++;
+      while (i < source.length && source[i] !== ']') {
+        if (source[i] === '\\') i++;
+        i++;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false });
+      // Skip the ? of (?: (?= (?! (?<name>
+      if (source[i + 1] === '?') i++;
+    } else if (char === ')') {
+      const group = groups.length > 1 ? groups.pop() : { repeats: false };
+      const quantifier = readQuantifier(source, i + 1);
+      if (group.repeats && quantifier.length > 0 && source[i + 1] !== '?') return true;
+      if (group.repeats || quantifier.variable) groups[groups.length - 1].repeats = true;
+      i += quantifier.length;
+    } else {
+      const quantifier = readQuantifier(source, i);
+      if (quantifier.variable) groups[groups.length - 1].repeats = true;
+      i += Math.max(quantifier.length - 1, 0);
+    }
+  }
+
+  return false;
+};
+
+// Compiled format pattern of a field, or null for a pattern that is invalid
+// or unsafe (stored before such patterns were rejected; not applied)
+const compileFieldRegex = (source) => {
+  if (compiledPatterns.has(source)) return compiledPatterns.get(source);
+
+  let pattern = null;
+  if (!hasNestedQuantifier(source)) {
+    try {
+      pattern = new RegExp(source);
+    } catch (regexError) {
+      pattern = null;
+    }
+  }
+
+  if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) compiledPatterns.clear();
+  compiledPatterns.set(source, pattern);
+  return pattern;
+};
+
+// Check an answer against a field's format pattern. Returns an error message or null.
+const checkFieldFormat = (field, value) => {
+  if (!field.regex) return null;
+  const pattern = compileFieldRegex(field.regex);
+  if (!pattern) return null;
+  if (value.length > MAX_REGEX_INPUT_LENGTH) {
+    return `${field.label} cannot exceed ${MAX_REGEX_INPUT_LENGTH} characters`;
+  }
+
+  regexContext.pattern = pattern;
+  regexContext.value = value;
+  try {
+    return regexMatchScript.runInContext(regexContext, { timeout: REGEX_MATCH_TIMEOUT_MS })
+      ? null
+      : `${field.label} is not in the expected format`;
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+    console.warn(`[FORM] Format pattern for ${field.key} timed out on a ${value.length}-character answer`);
+    return `${field.label} could not be checked against the expected format`;
+  } finally {
+    regexContext.pattern = null;
+    regexContext.value = null;
+  }
+};
+
+const toPlainField = (field) => (field && typeof field.toObject === 'function' ? field.toObject() : { ...field });
+
+const isEmptyValue = (value) => {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim().length === 0;
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+};
+
+// Resolve the effective field list for a form.
+// Forms without a configured field list get the built-in default set.
+const resolveFormFields = (configuredFields) => {
+  if (!Array.isArray(configuredFields) || configuredFields.length === 0) {
+    return DEFAULT_FORM_FIELDS.map(field => ({ ...field, options: [...field.options] }));
+  }
+
+  const fields = configuredFields.map(field => {
+    const plain = toPlainField(field);
+    delete plain._id;
+
+    if (!plain.builtIn) return plain;
+
+    // Built-in fields keep their schema-bound type and options
+    const defaults = DEFAULT_FORM_FIELDS.find(def => def.key === plain.key);
+    return {
+      ...plain,
+      type: defaults.type,
+      options: [...defaults.options],
+      required: CORE_FIELD_KEYS.includes(plain.key) ? true : plain.required,
+      isActive: CORE_FIELD_KEYS.includes(plain.key) ? true : plain.isActive !== false
+    };
+  });
+
+  // Core fields can never be dropped from a form
+  CORE_FIELD_KEYS.forEach(key => {
+    if (!fields.some(field => field.builtIn && field.key === key)) {
+      const defaults = DEFAULT_FORM_FIELDS.find(def => def.key === key);
+      fields.push({ ...defaults, options: [] });
+    }
+  });
+
+  return fields.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+};
+
+// Validate a field definition list submitted by a form owner.
+// Returns an array of { field, message } errors (empty when valid).
+const validateFieldDefinitions = (fields) => {
+  const errors = [];
+
+  if (!Array.isArray(fields)) {
+    return [{ field: 'fields', message: 'Fields must be an array' }];
+  }
+
+  if (fields.length > 100) {
+    errors.push({ field: 'fields', message: 'A form cannot have more than 100 fields' });
+  }
+
+  const seenKeys = new Set();
+
+  fields.forEach((field, index) => {
+    const prefix = `fields[${index}]`;
+
+    if (!field || typeof field !== 'object') {
+      errors.push({ field: prefix, message: 'Field definition must be an object' });
+      return;
+    }
+
+    const { key, label, type, builtIn, options, min, max, regex, helpText } = field;
+
+    if (!key || typeof key !== 'string' || !FIELD_KEY_PATTERN.test(key)) {
+      errors.push({ field: `${prefix}.key`, message: 'Key must start with a letter and contain only letters, numbers and underscores (max 50)' });
+    } else if (seenKeys.has(key)) {
+      errors.push({ field: `${prefix}.key`, message: `Duplicate field key: ${key}` });
+    } else {
+      seenKeys.add(key);
+    }
+
+    if (builtIn) {
+      if (!BUILT_IN_FIELD_KEYS.includes(key)) {
+        errors.push({ field: `${prefix}.key`, message: `Unknown built-in field: ${key}` });
+      }
+    } else if (BUILT_IN_FIELD_KEYS.includes(key)) {
+      errors.push({ field: `${prefix}.key`, message: `Key ${key} is reserved for a built-in field` });
+    }
+
+    if (!label || typeof label !== 'string' || label.trim().length === 0) {
+      errors.push({ field: `${prefix}.label`, message: 'Label is required' });
+    } else if (label.length > 200) {
+      errors.push({ field: `${prefix}.label`, message: 'Label cannot exceed 200 characters' });
+    }
+
+    if (!builtIn) {
+      if (!FIELD_TYPES.includes(type) || BUILT_IN_ONLY_TYPES.includes(type)) {
+        const allowed = FIELD_TYPES.filter(t => !BUILT_IN_ONLY_TYPES.includes(t));
+        errors.push({ field: `${prefix}.type`, message: `Type must be one of: ${allowed.join(', ')}` });
+      }
+
+      if (['select', 'multiselect'].includes(type)) {
+        if (!Array.isArray(options) || options.length === 0) {
+          errors.push({ field: `${prefix}.options`, message: 'Options are required for select fields' });
+        } else if (options.some(option => typeof option !== 'string' || option.trim().length === 0 || option.length > 200)) {
+          errors.push({ field: `${prefix}.options`, message: 'Options must be non-empty strings with max 200 characters' });
+        }
+      }
+    }
+
+    if (min !== undefined && min !== null && typeof min !== 'number') {
+      errors.push({ field: `${prefix}.min`, message: 'Min must be a number' });
+    }
+    if (max !== undefined && max !== null && typeof max !== 'number') {
+      errors.push({ field: `${prefix}.max`, message: 'Max must be a number' });
+    }
+    if (typeof min === 'number' && typeof max === 'number' && min > max) {
+      errors.push({ field: `${prefix}.min`, message: 'Min cannot be greater than max' });
+    }
+
+    if (regex !== undefined && regex !== null && regex !== '') {
+      if (typeof regex !== 'string' || regex.length > 200) {
+        errors.push({ field: `${prefix}.regex`, message: 'Regex must be a string with max 200 characters' });
+      } else {
+        if (hasNestedQuantifier(regex)) {
+          errors.push({ field: `${prefix}.regex`, message: 'Regex cannot repeat a group that already repeats, e.g. (a+)+' });
+        } else if (!compileFieldRegex(regex)) {
+          errors.push({ field: `${prefix}.regex`, message: 'Regex is not a valid regular expression' });
+        }
+      }
+    }
+
+    if (helpText !== undefined && (typeof helpText !== 'string' || helpText.length > 500)) {
+      errors.push({ field: `${prefix}.helpText`, message: 'Help text must be a string with max 500 characters' });
+    }
+  });
+
+  return errors;
+};
+
+// Validate and normalise a single custom field answer.
+// Returns { value } on success or { error } with a message.
+const validateCustomValue = (field, rawValue) => {
+  const { type, min, max, options = [] } = field;
+  const hasMin = typeof min === 'number';
+  const hasMax = typeof max === 'number';
+
+  switch (type) {
+    case 'text':
+    case 'textarea':
+    case 'email':
+    case 'phone':
+    case 'url': {
+      if (typeof rawValue !== 'string' && typeof rawValue !== 'number') {
+        return { error: `${field.label} must be text` };
+      }
+      const value = String(rawValue).trim();
+      if (hasMin && value.length < min) return { error: `${field.label} must be at least ${min} characters` };
+      if (hasMax && value.length > max) return { error: `${field.label} cannot exceed ${max} characters` };
+      if (type === 'email' && !EMAIL_PATTERN.test(value)) return { error: `${field.label} must be a valid email address` };
+      if (type === 'phone' && !PHONE_PATTERN.test(value)) return { error: `${field.label} must be 10 digits` };
+      if (type === 'url' && !URL_PATTERN.test(value)) return { error: `${field.label} must be a valid URL` };
+      const formatError = checkFieldFormat(field, value);
+      if (formatError) return { error: formatError };
+      return { value };
+    }
+
+    case 'number': {
+      const value = typeof rawValue === 'number' ? rawValue : Number(String(rawValue).trim());
+      if (!Number.isFinite(value)) return { error: `${field.label} must be a number` };
+      if (hasMin && value < min) return { error: `${field.label} must be at least ${min}` };
+      if (hasMax && value > max) return { error: `${field.label} cannot exceed ${max}` };
+      const formatError = checkFieldFormat(field, String(rawValue));
+      if (formatError) return { error: formatError };
+      return { value };
+    }
+
+    case 'date': {
+      const value = new Date(rawValue);
+      if (Number.isNaN(value.getTime())) return { error: `${field.label} must be a valid date` };
+      return { value };
+    }
+
+    case 'select': {
+      const value = String(rawValue);
+      if (!options.includes(value)) return { error: `${field.label} must be one of: ${options.join(', ')}` };
+      return { value };
+    }
+
+    case 'multiselect': {
+      let value = rawValue;
+      if (typeof value === 'string') {
+        try {
+          value = JSON.parse(value);
+        } catch (parseError) {
+          value = value.split(',').map(option => option.trim()).filter(Boolean);
+        }
+      }
+      if (!Array.isArray(value)) return { error: `${field.label} must be a list of options` };
+      const invalid = value.filter(option => !options.includes(option));
+      if (invalid.length > 0) return { error: `${field.label} contains invalid options: ${invalid.join(', ')}` };
+      if (hasMin && value.length < min) return { error: `Select at least ${min} options for ${field.label}` };
+      if (hasMax && value.length > max) return { error: `Select at most ${max} options for ${field.label}` };
+      return { value };
+    }
+
+    case 'checkbox':
+      return { value: rawValue === true || rawValue === 'true' };
+
+    default:
+      return { error: `${field.label} has an unsupported field type` };
+  }
+};
+
+// Validate submitted answers against a resolved field list.
+// `answers` holds the request body (custom answers may be nested under
+// `responses`). File fields are checked against the form's document slots
+// (see utils/documentSlots.js), not here.
+//
+// Returns:
+//   errors          - [{ field, message }]
+//   responses       - normalised custom field answers keyed by field key
+//   optionalFields  - built-in keys this form does not require
+//   disabledFields  - built-in keys switched off for this form
+const validateFormAnswers = (fields, answers = {}) => {
+  const errors = [];
+  const responses = {};
+  const optionalFields = [];
+  const disabledFields = [];
+  const customAnswers = answers.responses && typeof answers.responses === 'object' ? answers.responses : {};
+
+  BUILT_IN_FIELD_KEYS.forEach(key => {
+    const field = fields.find(f => f.builtIn && f.key === key);
+
+    if (!field || field.isActive === false) {
+      disabledFields.push(key);
+      optionalFields.push(key);
+      return;
+    }
+
+    if (!field.required || field.type === 'file') {
+      optionalFields.push(key);
+      return;
+    }
+
+    const value = answers[key];
+    const missing = field.type === 'checkbox'
+      ? !(value === true || value === 'true')
+      : isEmptyValue(value);
+
+    if (missing) {
+      errors.push({ field: key, message: `${field.label} is required` });
+    }
+  });
+
+  fields
+    .filter(field => !field.builtIn && field.isActive !== false)
+    .forEach(field => {
+      const rawValue = customAnswers[field.key] !== undefined ? customAnswers[field.key] : answers[field.key];
+
+      if (isEmptyValue(rawValue) || (field.type === 'checkbox' && !(rawValue === true || rawValue === 'true'))) {
+        if (field.required) {
+          errors.push({ field: field.key, message: `${field.label} is required` });
+        }
+        return;
+      }
+
+      const { value, error } = validateCustomValue(field, rawValue);
+      if (error) {
+        errors.push({ field: field.key, message: error });
+      } else {
+        responses[field.key] = value;
+      }
+    });
+
+  return { errors, responses, optionalFields, disabledFields };
+};
+
+module.exports = {
+  FIELD_TYPES,
+  CORE_FIELD_KEYS,
+  BUILT_IN_FIELD_KEYS,
+  DEFAULT_FORM_FIELDS,
+  resolveFormFields,
+  validateFieldDefinitions,
+  validateFormAnswers,
+  hasNestedQuantifier
+};
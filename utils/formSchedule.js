@@ -0,0 +1,207 @@
+// Opening/closing windows and submission caps for forms.
+// Dates are stored as absolute instants; the form's timezone is used to
+// interpret wall-clock input ("2025-03-31T17:00") and to display dates back.
+
+const { convertSecondsToDuration } = require('./secToDuration');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Wall-clock date or date-time without an explicit offset
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Offset of the timezone from UTC (in ms) at the given instant
+const getTimezoneOffset = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  const asUTC = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+
+  return asUTC - (date.getTime() - date.getMilliseconds());
+};
+
+// Parse a schedule date. Values with an explicit offset (or Date objects) are
+// taken as-is; wall-clock values are interpreted in the form's timezone.
+// A bare date ("2025-03-31") means the start of that day, or the end of it
+// when endOfDay is set (used for closing dates).
+const parseScheduleDate = (value, timezone = DEFAULT_TIMEZONE, { endOfDay = false } = {}) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? undefined : value;
+  if (typeof value !== 'string') return undefined;
+
+  const match = value.trim().match(LOCAL_DATE_TIME_PATTERN);
+  if (!match) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+  }
+
+  const [, year, month, day, hour, minute, second] = match;
+  const hasTime = hour !== undefined;
+
+  const wallClock = Date.UTC(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    hasTime ? Number(hour) : (endOfDay ? 23 : 0),
+    hasTime ? Number(minute) : (endOfDay ? 59 : 0),
+    hasTime ? Number(second || 0) : (endOfDay ? 59 : 0),
+    !hasTime && endOfDay ? 999 : 0
+  );
+
+  // Correct twice so instants near a DST change land on the right offset
+  let instant = wallClock - getTimezoneOffset(new Date(wallClock), timezone);
+  instant = wallClock - getTimezoneOffset(new Date(instant), timezone);
+
+  return new Date(instant);
+};
+
+const formatInTimezone = (date, timezone = DEFAULT_TIMEZONE) => {
+  if (!date) return null;
+  return new Intl.DateTimeFormat('en-IN', {
+    timeZone: timezone,
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  }).format(date) + ` (${timezone})`;
+};
+
+// Validate the schedule-related part of a form configuration body
+const validateScheduleConfig = ({ schedule, maxSubmissions }) => {
+  const errors = [];
+
+  if (schedule !== undefined && schedule !== null) {
+    const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+
+    if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+      errors.push({ field: 'schedule', message: 'Schedule must be an object' });
+    } else if (!isValidTimezone(timezone)) {
+      errors.push({ field: 'schedule.timezone', message: 'Invalid timezone' });
+    } else {
+      const opensAt = parseScheduleDate(schedule.opensAt, timezone);
+      const closesAt = parseScheduleDate(schedule.closesAt, timezone, { endOfDay: true });
+
+      if (opensAt === undefined) {
+        errors.push({ field: 'schedule.opensAt', message: 'Invalid opening date' });
+      }
+      if (closesAt === undefined) {
+        errors.push({ field: 'schedule.closesAt', message: 'Invalid closing date' });
+      }
+      if (opensAt && closesAt && opensAt >= closesAt) {
+        errors.push({ field: 'schedule.closesAt', message: 'Closing date must be after the opening date' });
+      }
+    }
+  }
+
+  if (maxSubmissions !== undefined && maxSubmissions !== null && maxSubmissions !== '') {
+    const limit = Number(maxSubmissions);
+    if (!Number.isInteger(limit) || limit < 1) {
+      errors.push({ field: 'maxSubmissions', message: 'Maximum submissions must be a positive whole number' });
+    }
+  }
+
+  return errors;
+};
+
+// Work out whether a form is currently open, and why not if it isn't
+const getFormAvailability = (form, now = new Date()) => {
+  const schedule = form.schedule || {};
+  const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+  const opensAt = schedule.opensAt || null;
+  const closesAt = schedule.closesAt || null;
+  const maxSubmissions = form.maxSubmissions || null;
+  const submissionCount = form.submissionCount || 0;
+
+  const availability = {
+    status: 'open',
+    code: null,
+    message: 'This form is accepting applications',
+    timezone,
+    opensAt,
+    closesAt,
+    opensAtLocal: formatInTimezone(opensAt, timezone),
+    closesAtLocal: formatInTimezone(closesAt, timezone),
+    opensIn: null,
+    closesIn: null,
+    closedOn: null,
+    maxSubmissions,
+    remainingSlots: maxSubmissions ? Math.max(maxSubmissions - submissionCount, 0) : null
+  };
+
+  const close = (code, message, closedOn) => {
+    availability.status = 'closed';
+    availability.code = code;
+    availability.message = message;
+    availability.closedOn = closedOn || null;
+    availability.closedOnLocal = formatInTimezone(closedOn, timezone);
+    return availability;
+  };
+
+  if (!form.isActive) {
+    return close('FORM_INACTIVE', 'This form is no longer active', form.closedAt);
+  }
+
+  if (!form.acceptingApplications) {
+    return close('FORM_CLOSED', 'This form is not currently accepting applications', form.closedAt);
+  }
+
+  if (closesAt && now >= closesAt) {
+    return close('FORM_DEADLINE_PASSED', `Applications closed on ${formatInTimezone(closesAt, timezone)}`, closesAt);
+  }
+
+  if (maxSubmissions && submissionCount >= maxSubmissions) {
+    return close('FORM_CAPACITY_REACHED', 'This form has reached its maximum number of applications', form.closedAt);
+  }
+
+  if (opensAt && now < opensAt) {
+    const seconds = Math.ceil((opensAt - now) / 1000);
+    availability.status = 'not_yet_open';
+    availability.code = 'FORM_NOT_YET_OPEN';
+    availability.opensIn = convertSecondsToDuration(seconds);
+    availability.opensInSeconds = seconds;
+    availability.message = `Applications open on ${formatInTimezone(opensAt, timezone)}`;
+    return availability;
+  }
+
+  if (closesAt) {
+    const seconds = Math.floor((closesAt - now) / 1000);
+    availability.closesIn = convertSecondsToDuration(seconds);
+    availability.closesInSeconds = seconds;
+  }
+
+  return availability;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  parseScheduleDate,
+  formatInTimezone,
+  validateScheduleConfig,
+  getFormAvailability
+};
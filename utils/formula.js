@@ -0,0 +1,216 @@
+// Small arithmetic formula language for ranking scores, e.g.
+//   0.7 * score_mean + 0.3 * percent_masters / 10
+// Supports numbers, variables, + - * /, parentheses, unary minus and the
+// functions min, max, round, abs. Formulas are parsed into a tree and
+// evaluated directly; nothing is passed to eval or Function.
+
+const MAX_FORMULA_LENGTH = 500;
+
+const FUNCTIONS = {
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  round: (value, digits = 0) => {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  },
+  abs: (value) => Math.abs(value)
+};
+
+// Formula problems are thrown as errors with code INVALID_FORMULA
+const formulaError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_FORMULA';
+  return error;
+};
+
+const tokenize = (source) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([a-zA-Z_][a-zA-Z0-9_]*)|(.))/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: Number(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2] });
+    } else if (match[3] !== undefined) {
+      if (!'+-*/(),'.includes(match[3])) {
+        throw formulaError(`Unexpected character '${match[3]}'`);
+      }
+      tokens.push({ type: 'symbol', value: match[3] });
+    }
+  }
+
+  return tokens;
+};
+
+// Recursive-descent parser:
+//   expression := term (('+' | '-') term)*
+//   term       := factor (('*' | '/') factor)*
+//   factor     := '-' factor | number | name | name '(' args ')' | '(' expression ')'
+const parse = (tokens) => {
+  let position = 0;
+  const peek = () => tokens[position];
+  const isSymbol = (value) => peek() && peek().type === 'symbol' && peek().value === value;
+  const expect = (value) => {
+    if (!isSymbol(value)) {
+      throw formulaError(`Expected '${value}'`);
+    }
+    position++;
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isSymbol('+') || isSymbol('-')) {
+      const operator = tokens[position++].value;
+      node = { type: 'binary', operator, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseFactor();
+    while (isSymbol('*') || isSymbol('/')) {
+      const operator = tokens[position++].value;
+      node = { type: 'binary', operator, left: node, right: parseFactor() };
+    }
+    return node;
+  };
+
+  const parseFactor = () => {
+    const token = peek();
+    if (!token) {
+      throw formulaError('Unexpected end of formula');
+    }
+
+    if (isSymbol('-')) {
+      position++;
+      return { type: 'negate', operand: parseFactor() };
+    }
+    if (isSymbol('(')) {
+      position++;
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+    if (token.type === 'number') {
+      position++;
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === 'name') {
+      position++;
+      if (!isSymbol('(')) {
+        return { type: 'variable', name: token.value };
+      }
+      if (!FUNCTIONS[token.value]) {
+        throw formulaError(`Unknown function '${token.value}'`);
+      }
+      position++;
+      const args = [];
+      if (!isSymbol(')')) {
+        args.push(parseExpression());
+        while (isSymbol(',')) {
+          position++;
+          args.push(parseExpression());
+        }
+      }
+      expect(')');
+      return { type: 'call', name: token.value, args };
+    }
+
+    throw formulaError(`Unexpected '${token.value}'`);
+  };
+
+  const tree = parseExpression();
+  if (position < tokens.length) {
+    throw formulaError(`Unexpected '${tokens[position].value}'`);
+  }
+  return tree;
+};
+
+const collectVariables = (node, names = new Set()) => {
+  switch (node.type) {
+    case 'variable':
+      names.add(node.name);
+      break;
+    case 'binary':
+      collectVariables(node.left, names);
+      collectVariables(node.right, names);
+      break;
+    case 'negate':
+      collectVariables(node.operand, names);
+      break;
+    case 'call':
+      node.args.forEach(arg => collectVariables(arg, names));
+      break;
+  }
+  return names;
+};
+
+// Evaluate a parsed formula. Missing (null) variables make the result null.
+const evaluate = (node, variables) => {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'variable': {
+      const value = variables[node.name];
+      return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+    case 'negate': {
+      const value = evaluate(node.operand, variables);
+      return value === null ? null : -value;
+    }
+    case 'binary': {
+      const left = evaluate(node.left, variables);
+      const right = evaluate(node.right, variables);
+      if (left === null || right === null) return null;
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        default: return right === 0 ? null : left / right;
+      }
+    }
+    case 'call': {
+      const args = node.args.map(arg => evaluate(arg, variables));
+      if (args.some(arg => arg === null)) return null;
+      return FUNCTIONS[node.name](...args);
+    }
+    default:
+      return null;
+  }
+};
+
+// Parse a formula and check its variables against the allowed names.
+// Returns { evaluate(variables) => number | null, variables }; throws an
+// INVALID_FORMULA error when the formula is invalid.
+const compileFormula = (source, allowedVariables = null) => {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw formulaError('Formula is required');
+  }
+  if (source.length > MAX_FORMULA_LENGTH) {
+    throw formulaError(`Formula cannot exceed ${MAX_FORMULA_LENGTH} characters`);
+  }
+
+  const tree = parse(tokenize(source.trim()));
+  const variables = [...collectVariables(tree)];
+
+  if (allowedVariables) {
+    const unknown = variables.filter(name => !allowedVariables.includes(name));
+    if (unknown.length > 0) {
+      throw formulaError(`Unknown variable(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  return {
+    variables,
+    evaluate: (values) => {
+      const result = evaluate(tree, values);
+      return result === null || !Number.isFinite(result) ? null : result;
+    }
+  };
+};
+
+module.exports = {
+  compileFormula
+};
@@ -0,0 +1,240 @@
+// Grading schemes of educational qualifications. Applicants record the
+// scheme and the grade as printed on their mark sheet (8.2 on a 10-point
+// CGPA, "First" division); the form's conversion rules turn it into the
+// normalized percentage stored as `percentage`, which eligibility checks,
+// sorting, search, merit lists and exports use. CGPA conversions are
+// formulas (utils/formula.js) over `cgpa`, e.g. the common "cgpa * 9.5".
+const { compileFormula } = require('./formula');
+
+const GRADING_SCHEMES = ['percentage', 'cgpa_10', 'cgpa_4', 'division'];
+
+const SCHEME_LABELS = {
+  percentage: 'Percentage',
+  cgpa_10: 'CGPA (out of 10)',
+  cgpa_4: 'CGPA (out of 4)',
+  division: 'Division'
+};
+
+// Highest grade of each numeric scheme
+const SCHEME_MAXIMUMS = {
+  percentage: 100,
+  cgpa_10: 10,
+  cgpa_4: 4
+};
+
+const DIVISIONS = ['distinction', 'first', 'second', 'third'];
+
+const DIVISION_LABELS = {
+  distinction: 'First Division with Distinction',
+  first: 'First Division',
+  second: 'Second Division',
+  third: 'Third Division'
+};
+
+// Spellings accepted for the divisions
+const DIVISION_ALIASES = {
+  distinction: 'distinction',
+  'first with distinction': 'distinction',
+  'first division with distinction': 'distinction',
+  first: 'first',
+  '1st': 'first',
+  'first division': 'first',
+  second: 'second',
+  '2nd': 'second',
+  'second division': 'second',
+  third: 'third',
+  '3rd': 'third',
+  'third division': 'third'
+};
+
+const FORMULA_VARIABLES = ['cgpa'];
+
+const DEFAULT_GRADING = {
+  conversions: {
+    cgpa_10: 'cgpa * 10',
+    cgpa_4: 'cgpa * 25'
+  },
+  // Lowest percentage of each division
+  divisionPercentages: {
+    distinction: 75,
+    first: 60,
+    second: 45,
+    third: 33
+  }
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// The effective grading rules for a form's stored configuration
+const resolveGrading = (grading) => {
+  const plain = toPlain(grading) || {};
+  const conversions = plain.conversions || {};
+  const divisions = plain.divisionPercentages || {};
+
+  return {
+    conversions: Object.fromEntries(Object.keys(DEFAULT_GRADING.conversions).map(scheme => [
+      scheme,
+      typeof conversions[scheme] === 'string' && conversions[scheme].trim()
+        ? conversions[scheme].trim()
+        : DEFAULT_GRADING.conversions[scheme]
+    ])),
+    divisionPercentages: Object.fromEntries(DIVISIONS.map(division => [
+      division,
+      isNumber(divisions[division]) ? divisions[division] : DEFAULT_GRADING.divisionPercentages[division]
+    ]))
+  };
+};
+
+// Validate the grading section of a form configuration body
+const validateGrading = (grading) => {
+  const errors = [];
+
+  if (grading === null) return errors;
+  if (typeof grading !== 'object' || Array.isArray(grading)) {
+    return [{ field: 'grading', message: 'Grading must be an object' }];
+  }
+
+  const { conversions, divisionPercentages } = grading;
+
+  if (conversions !== undefined) {
+    if (conversions === null || typeof conversions !== 'object' || Array.isArray(conversions)) {
+      errors.push({ field: 'grading.conversions', message: 'Conversions must be an object of formulas by scheme' });
+    } else {
+      Object.keys(conversions).forEach(scheme => {
+        const field = `grading.conversions.${scheme}`;
+        if (!Object.keys(DEFAULT_GRADING.conversions).includes(scheme)) {
+          errors.push({ field, message: `Conversions can be set for: ${Object.keys(DEFAULT_GRADING.conversions).join(', ')}` });
+          return;
+        }
+        if (conversions[scheme] === null) return;
+        try {
+          const formula = compileFormula(conversions[scheme], FORMULA_VARIABLES);
+          // The best grade has to convert to a percentage
+          const best = formula.evaluate({ cgpa: SCHEME_MAXIMUMS[scheme] });
+          if (best === null) {
+            errors.push({ field, message: `Formula gives no result for a CGPA of ${SCHEME_MAXIMUMS[scheme]}` });
+          }
+        } catch (error) {
+          errors.push({ field, message: error.message });
+        }
+      });
+    }
+  }
+
+  if (divisionPercentages !== undefined) {
+    if (divisionPercentages === null || typeof divisionPercentages !== 'object' || Array.isArray(divisionPercentages)) {
+      errors.push({ field: 'grading.divisionPercentages', message: 'Division percentages must be an object' });
+    } else {
+      Object.keys(divisionPercentages).forEach(division => {
+        const field = `grading.divisionPercentages.${division}`;
+        const value = divisionPercentages[division];
+        if (!DIVISIONS.includes(division)) {
+          errors.push({ field, message: `Divisions must be from: ${DIVISIONS.join(', ')}` });
+        } else if (!isNumber(value) || value < 0 || value > 100) {
+          errors.push({ field, message: 'Division percentage must be between 0 and 100' });
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+const roundPercentage = (value) => Math.round(Math.min(Math.max(value, 0), 100) * 100) / 100;
+
+// Normalized percentage of one grade. Returns { grade, percentage } with
+// the grade as stored (divisions by their key) or { message } when the
+// grade does not fit the scheme.
+const toPercentage = (scheme, grade, grading) => {
+  if (scheme === 'division') {
+    const alias = String(grade).trim().toLowerCase();
+    // Own keys only, so 'constructor' and the like are not taken for divisions
+    const division = Object.prototype.hasOwnProperty.call(DIVISION_ALIASES, alias) ? DIVISION_ALIASES[alias] : null;
+    if (!division) {
+      return { message: `Division must be one of: ${DIVISIONS.join(', ')}` };
+    }
+    return { grade: division, percentage: grading.divisionPercentages[division] };
+  }
+
+  const value = typeof grade === 'number' ? grade : Number(String(grade).trim());
+  if (String(grade).trim() === '' || !Number.isFinite(value) || value < 0 || value > SCHEME_MAXIMUMS[scheme]) {
+    return { message: `${SCHEME_LABELS[scheme]} must be a number from 0 to ${SCHEME_MAXIMUMS[scheme]}` };
+  }
+  if (scheme === 'percentage') {
+    return { grade: String(value), percentage: roundPercentage(value) };
+  }
+
+  const result = compileFormula(grading.conversions[scheme], FORMULA_VARIABLES).evaluate({ cgpa: value });
+  if (result === null) {
+    return { message: `${SCHEME_LABELS[scheme]} ${value} cannot be converted to a percentage` };
+  }
+  return { grade: String(value), percentage: roundPercentage(result) };
+};
+
+// Set gradingScheme, gradeValue and the normalized percentage on submitted
+// qualifications. Entries without a scheme are percentages, as before
+// grading schemes existed. Returns { qualifications, errors }.
+const normalizeQualifications = (qualifications, grading) => {
+  const errors = [];
+  if (!Array.isArray(qualifications)) {
+    return { qualifications, errors };
+  }
+
+  const normalized = qualifications.map((qualification, index) => {
+    if (!qualification || typeof qualification !== 'object') return qualification;
+
+    const scheme = qualification.gradingScheme || 'percentage';
+    const hasGrade = qualification.gradeValue !== undefined && qualification.gradeValue !== null && qualification.gradeValue !== '';
+    const grade = hasGrade ? qualification.gradeValue : qualification.percentage;
+
+    if (!GRADING_SCHEMES.includes(scheme)) {
+      errors.push({
+        field: `educationalQualifications[${index}].gradingScheme`,
+        message: `Grading scheme must be one of: ${GRADING_SCHEMES.join(', ')}`
+      });
+      return qualification;
+    }
+    // A missing grade is reported by the percentage validation
+    if (grade === undefined || grade === null || grade === '') {
+      return { ...qualification, gradingScheme: scheme };
+    }
+
+    const converted = toPercentage(scheme, grade, grading);
+    if (converted.message) {
+      errors.push({ field: `educationalQualifications[${index}].gradeValue`, message: converted.message });
+      return qualification;
+    }
+
+    return {
+      ...qualification,
+      gradingScheme: scheme,
+      gradeValue: converted.grade,
+      percentage: converted.percentage
+    };
+  });
+
+  return { qualifications: normalized, errors };
+};
+
+// Grade as entered with its scheme, e.g. "8.2 CGPA (out of 10)"
+const formatGrade = (qualification) => {
+  const scheme = qualification.gradingScheme || 'percentage';
+  const grade = qualification.gradeValue || (isNumber(qualification.percentage) ? String(qualification.percentage) : '');
+  if (!grade) return '';
+  if (scheme === 'percentage') return `${grade}%`;
+  if (scheme === 'division') return DIVISION_LABELS[grade] || grade;
+  return SCHEME_LABELS[scheme] ? `${grade} ${SCHEME_LABELS[scheme]}` : grade;
+};
+
+module.exports = {
+  GRADING_SCHEMES,
+  SCHEME_LABELS,
+  DIVISIONS,
+  DEFAULT_GRADING,
+  resolveGrading,
+  validateGrading,
+  normalizeQualifications,
+  formatGrade
+};
@@ -0,0 +1,283 @@
+// Category-wise merit list generation.
+//
+// Candidates are ranked on one common merit list by their ranking score (the
+// rubric aggregate or a formula, see utils/formula.js) and the configured
+// tie-break rules. Open (GENERAL) posts are filled first, in merit order;
+// with migration enabled, reserved-category candidates who make it on merit
+// take open posts and leave their category's posts to the next candidates of
+// that category. Reserved posts are then filled from each category's
+// remaining candidates. Unfilled reserved posts stay vacant (no
+// de-reservation). Each seat category gets a waitlist of the next candidates
+// in merit order.
+const { CATEGORIES, QUALIFICATION_LEVELS } = require('./eligibility');
+const { compileFormula } = require('./formula');
+const { computeAttributes } = require('./applicantAttributes');
+
+const OPEN_CATEGORY = 'GENERAL';
+
+const RANKING_SOURCES = ['score_mean', 'score_median', 'formula'];
+
+const TIE_BREAKERS = [
+  'older_first',
+  'younger_first',
+  'higher_qualification_percentage',
+  'more_experience',
+  'earlier_submission'
+];
+
+const DEFAULT_TIE_BREAKERS = ['older_first', 'higher_qualification_percentage', 'earlier_submission'];
+
+const MAX_POSTS_PER_CATEGORY = 1000;
+const MAX_WAITLIST_SIZE = 100;
+
+// Qualification levels from highest to lowest ('Others' is not ranked)
+const RANKED_LEVELS = QUALIFICATION_LEVELS.filter(level => level !== 'Others').reverse();
+
+const LEVEL_VARIABLES = {
+  '10th Class': 'percent_10th',
+  '12th Class': 'percent_12th',
+  'Bachelors (B.Sc/B.Tech/B.E/BCA)': 'percent_bachelors',
+  'Masters (M.Sc/M.Tech/M.E/MCA/MA)': 'percent_masters'
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Variables a ranking formula may use for a form with the given rubric
+const getFormulaVariables = (rubric) => [
+  'score_mean',
+  'score_median',
+  'score_count',
+  ...Object.values(LEVEL_VARIABLES),
+  'percent_highest',
+  'experience_years',
+  'age',
+  ...rubric.criteria.map(criterion => `criterion_${criterion.key}`)
+];
+
+// Validate a merit list request body; returns a list of { field, message }
+const validateMeritListConfig = (config, rubric) => {
+  const errors = [];
+
+  if (config.title !== undefined && (typeof config.title !== 'string' || config.title.length > 200)) {
+    errors.push({ field: 'title', message: 'Title cannot exceed 200 characters' });
+  }
+
+  const seats = config.seats;
+  if (!seats || typeof seats !== 'object' || Array.isArray(seats)) {
+    errors.push({ field: 'seats', message: 'Seats must be an object of posts per category, e.g. { "GENERAL": 4, "OBC": 2 }' });
+  } else {
+    Object.keys(seats).forEach(category => {
+      if (!CATEGORIES.includes(category)) {
+        errors.push({ field: `seats.${category}`, message: `Category must be one of: ${CATEGORIES.join(', ')}` });
+      } else if (!Number.isInteger(seats[category]) || seats[category] < 0 || seats[category] > MAX_POSTS_PER_CATEGORY) {
+        errors.push({ field: `seats.${category}`, message: `Posts must be a whole number from 0 to ${MAX_POSTS_PER_CATEGORY}` });
+      }
+    });
+    if (errors.length === 0 && Object.values(seats).reduce((sum, posts) => sum + posts, 0) === 0) {
+      errors.push({ field: 'seats', message: 'At least one post is required' });
+    }
+  }
+
+  const ranking = config.ranking || {};
+  if (!RANKING_SOURCES.includes(ranking.source)) {
+    errors.push({ field: 'ranking.source', message: `Ranking source must be one of: ${RANKING_SOURCES.join(', ')}` });
+  } else if (ranking.source === 'formula') {
+    try {
+      compileFormula(ranking.formula, getFormulaVariables(rubric));
+    } catch (error) {
+      errors.push({ field: 'ranking.formula', message: error.message });
+    }
+  }
+
+  if (config.tieBreakers !== undefined) {
+    if (!Array.isArray(config.tieBreakers) || !config.tieBreakers.every(rule => TIE_BREAKERS.includes(rule))) {
+      errors.push({ field: 'tieBreakers', message: `Tie-breakers must be a list of: ${TIE_BREAKERS.join(', ')}` });
+    } else if (new Set(config.tieBreakers).size !== config.tieBreakers.length) {
+      errors.push({ field: 'tieBreakers', message: 'Tie-breakers cannot repeat' });
+    } else if (config.tieBreakers.includes('older_first') && config.tieBreakers.includes('younger_first')) {
+      errors.push({ field: 'tieBreakers', message: 'Use either older_first or younger_first' });
+    }
+  }
+
+  if (config.migrateToOpen !== undefined && typeof config.migrateToOpen !== 'boolean') {
+    errors.push({ field: 'migrateToOpen', message: 'migrateToOpen must be true or false' });
+  }
+
+  if (config.waitlistSize !== undefined &&
+    (!Number.isInteger(config.waitlistSize) || config.waitlistSize < 0 || config.waitlistSize > MAX_WAITLIST_SIZE)) {
+    errors.push({ field: 'waitlistSize', message: `Waitlist size must be a whole number from 0 to ${MAX_WAITLIST_SIZE}` });
+  }
+
+  if (config.minimumScore !== undefined && config.minimumScore !== null && !isNumber(config.minimumScore)) {
+    errors.push({ field: 'minimumScore', message: 'Minimum score must be a number' });
+  }
+
+  if (config.statuses !== undefined &&
+    (!Array.isArray(config.statuses) || !config.statuses.every(status => typeof status === 'string'))) {
+    errors.push({ field: 'statuses', message: 'Statuses must be a list of workflow stage keys' });
+  }
+
+  return errors;
+};
+
+// Best percentage per qualification level, and the percentage at the
+// highest level the candidate holds
+const getQualificationPercentages = (qualifications = []) => {
+  const byLevel = {};
+  qualifications.forEach(qualification => {
+    if (isNumber(qualification.percentage) &&
+      (!isNumber(byLevel[qualification.examPassed]) || qualification.percentage > byLevel[qualification.examPassed])) {
+      byLevel[qualification.examPassed] = qualification.percentage;
+    }
+  });
+
+  const highestLevel = RANKED_LEVELS.find(level => isNumber(byLevel[level]));
+  return { byLevel, highest: highestLevel ? byLevel[highestLevel] : null };
+};
+
+// Turn an application into a ranking candidate. Returns null when no
+// ranking score can be computed for it. Experience and age are the
+// application's computed attributes as of `now` under the form's
+// eligibility `rules`: overlapping jobs count once and age is taken on
+// the cut-off date.
+const buildCandidate = (application, { ranking, formula, rules = null, now = new Date() }) => {
+  const summary = application.scoreSummary || {};
+  const percentages = getQualificationPercentages(application.educationalQualifications);
+  const attributes = computeAttributes(application, { rules, now });
+  const experienceYears = Math.round((attributes.experienceMonths / 12) * 100) / 100;
+
+  let score;
+  if (ranking.source === 'formula') {
+    const variables = {
+      score_mean: summary.mean,
+      score_median: summary.median,
+      score_count: summary.count || 0,
+      percent_highest: percentages.highest,
+      experience_years: experienceYears,
+      age: attributes.ageOnCutoff
+    };
+    Object.entries(LEVEL_VARIABLES).forEach(([level, name]) => {
+      variables[name] = isNumber(percentages.byLevel[level]) ? percentages.byLevel[level] : null;
+    });
+    (summary.criteria || []).forEach(criterion => {
+      variables[`criterion_${criterion.key}`] = criterion.mean;
+    });
+    score = formula.evaluate(variables);
+  } else {
+    score = ranking.source === 'score_median' ? summary.median : summary.mean;
+  }
+
+  if (!isNumber(score)) return null;
+
+  return {
+    applicationRef: application._id,
+    applicationId: application.applicationId,
+    name: application.name,
+    category: CATEGORIES.includes(application.category) ? application.category : OPEN_CATEGORY,
+    score: Math.round(score * 10000) / 10000,
+    dob: application.dob || null,
+    qualificationPercentage: percentages.highest,
+    experienceYears,
+    submissionTime: application.submissionTime
+  };
+};
+
+// Compare two values where a missing value always ranks last
+const compareValues = (a, b, direction) => {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+  return direction * (a < b ? -1 : a > b ? 1 : 0);
+};
+
+const TIE_BREAK_COMPARATORS = {
+  older_first: (a, b) => compareValues(a.dob && new Date(a.dob).getTime(), b.dob && new Date(b.dob).getTime(), 1),
+  younger_first: (a, b) => compareValues(a.dob && new Date(a.dob).getTime(), b.dob && new Date(b.dob).getTime(), -1),
+  higher_qualification_percentage: (a, b) => compareValues(a.qualificationPercentage, b.qualificationPercentage, -1),
+  more_experience: (a, b) => compareValues(a.experienceYears, b.experienceYears, -1),
+  earlier_submission: (a, b) => compareValues(a.submissionTime && new Date(a.submissionTime).getTime(), b.submissionTime && new Date(b.submissionTime).getTime(), 1)
+};
+
+// Order candidates on the common merit list; the application ID settles
+// anything the tie-breakers leave equal so the order is reproducible
+const rankCandidates = (candidates, tieBreakers = DEFAULT_TIE_BREAKERS) => {
+  const ranked = [...candidates].sort((a, b) => {
+    if (a.score !== b.score) return b.score - a.score;
+    for (const rule of tieBreakers) {
+      const result = TIE_BREAK_COMPARATORS[rule](a, b);
+      if (result !== 0) return result;
+    }
+    return a.applicationId < b.applicationId ? -1 : 1;
+  });
+
+  return ranked.map((candidate, index) => ({ ...candidate, meritRank: index + 1 }));
+};
+
+// Fill posts from the ranked list. Returns { selected, waitlist, seats }
+// where seats summarises posts and fills per category.
+const allocateSeats = (ranked, { seats, migrateToOpen = true, waitlistSize = 0 }) => {
+  const selected = [];
+  const taken = new Set();
+  const categoryRanks = {};
+
+  ranked.forEach(candidate => {
+    categoryRanks[candidate.category] = (categoryRanks[candidate.category] || 0) + 1;
+    candidate.categoryRank = categoryRanks[candidate.category];
+  });
+
+  const openPosts = seats[OPEN_CATEGORY] || 0;
+  const openPool = ranked.filter(candidate => migrateToOpen || candidate.category === OPEN_CATEGORY);
+  openPool.slice(0, openPosts).forEach(candidate => {
+    selected.push({
+      ...candidate,
+      seatCategory: OPEN_CATEGORY,
+      migrated: candidate.category !== OPEN_CATEGORY
+    });
+    taken.add(candidate.applicationId);
+  });
+
+  CATEGORIES.filter(category => category !== OPEN_CATEGORY).forEach(category => {
+    ranked
+      .filter(candidate => candidate.category === category && !taken.has(candidate.applicationId))
+      .slice(0, seats[category] || 0)
+      .forEach(candidate => {
+        selected.push({ ...candidate, seatCategory: category, migrated: false });
+        taken.add(candidate.applicationId);
+      });
+  });
+
+  selected.sort((a, b) => a.meritRank - b.meritRank);
+
+  // A candidate may wait on both the open list and their own category's list
+  const waitlist = [];
+  Object.keys(seats).filter(category => seats[category] > 0).forEach(category => {
+    ranked
+      .filter(candidate => !taken.has(candidate.applicationId) &&
+        (category === OPEN_CATEGORY ? migrateToOpen || candidate.category === OPEN_CATEGORY : candidate.category === category))
+      .slice(0, waitlistSize)
+      .forEach((candidate, index) => {
+        waitlist.push({ ...candidate, seatCategory: category, position: index + 1 });
+      });
+  });
+
+  const seatSummary = CATEGORIES
+    .filter(category => seats[category] !== undefined)
+    .map(category => {
+      const filled = selected.filter(candidate => candidate.seatCategory === category).length;
+      return { category, posts: seats[category], filled, vacant: seats[category] - filled };
+    });
+
+  return { selected, waitlist, seats: seatSummary };
+};
+
+module.exports = {
+  OPEN_CATEGORY,
+  RANKING_SOURCES,
+  TIE_BREAKERS,
+  DEFAULT_TIE_BREAKERS,
+  getFormulaVariables,
+  validateMeritListConfig,
+  buildCandidate,
+  rankCandidates,
+  allocateSeats
+};
@@ -0,0 +1,471 @@
+// Structured publication records: validation of entries sent as JSON and
+// parsing of pasted BibTeX or RIS citations into the same shape. The free
+// text `publicationDetails` stays as a fallback for applicants who list
+// publications in prose.
+//
+// An entry is { type, title, authors: [..], venue, year, doi, indexing: [..] }.
+
+const PUBLICATION_TYPES = ['journal', 'conference', 'book', 'book_chapter', 'patent', 'preprint', 'thesis', 'other'];
+
+const INDEXING_SERVICES = ['SCI', 'SCIE', 'Scopus', 'Web of Science', 'UGC-CARE'];
+
+const MAX_PUBLICATIONS = 100;
+const MAX_AUTHORS = 50;
+const MAX_CITATION_TEXT_LENGTH = 100000;
+
+// Longest raw value of a submitted entry's text fields, checked before the
+// entry is normalised (which collapses whitespace and would hide the size)
+const MAX_RAW_FIELD_LENGTH = 5000;
+const RAW_TEXT_FIELDS = ['type', 'title', 'authors', 'venue', 'year', 'doi', 'indexing'];
+
+const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+// BibTeX entry types
+const BIBTEX_TYPES = {
+  article: 'journal',
+  inproceedings: 'conference',
+  conference: 'conference',
+  proceedings: 'conference',
+  book: 'book',
+  inbook: 'book_chapter',
+  incollection: 'book_chapter',
+  phdthesis: 'thesis',
+  mastersthesis: 'thesis',
+  thesis: 'thesis',
+  patent: 'patent',
+  unpublished: 'preprint'
+};
+
+// RIS reference types (TY)
+const RIS_TYPES = {
+  JOUR: 'journal',
+  JFULL: 'journal',
+  EJOUR: 'journal',
+  MGZN: 'journal',
+  CONF: 'conference',
+  CPAPER: 'conference',
+  BOOK: 'book',
+  EBOOK: 'book',
+  EDBOOK: 'book',
+  CHAP: 'book_chapter',
+  ECHAP: 'book_chapter',
+  THES: 'thesis',
+  PAT: 'patent',
+  UNPB: 'preprint',
+  MANSCPT: 'preprint'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const collapse = (value) => String(value).replace(/\s+/g, ' ').trim();
+
+// "Doe, Jane" -> "Jane Doe"
+const toDisplayName = (name) => {
+  const parts = collapse(name).split(',').map(part => part.trim()).filter(Boolean);
+  return parts.length === 2 ? `${parts[1]} ${parts[0]}` : parts.join(' ');
+};
+
+const toAuthorList = (authors) => {
+  // Whitespace is collapsed first so the split scans single spaces only
+  const list = Array.isArray(authors) ? authors : collapse(authors || '').split(/;| and /i);
+  return list.map(author => collapse(author)).filter(Boolean);
+};
+
+const toDoi = (value) => collapse(value || '')
+  .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')
+  .replace(/^doi:\s*/i, '');
+
+const toYear = (value) => {
+  const match = /\d{4}/.exec(String(value || ''));
+  return match ? Number(match[0]) : null;
+};
+
+// Indexing services named in free text, e.g. "Scopus; SCIE"
+const toIndexing = (value) => {
+  const names = Array.isArray(value) ? value : String(value || '').split(/[,;/]/);
+  const found = new Set();
+  names.forEach(name => {
+    const service = INDEXING_SERVICES.find(s => s.toLowerCase() === collapse(name).toLowerCase());
+    if (service) found.add(service);
+  });
+  return [...found];
+};
+
+// Normalise a publication entry from a request body or a parser
+const normalizePublication = (entry) => ({
+  type: PUBLICATION_TYPES.includes(entry.type) ? entry.type : (entry.type ? String(entry.type) : 'other'),
+  title: collapse(entry.title || ''),
+  authors: toAuthorList(entry.authors),
+  venue: collapse(entry.venue || ''),
+  year: entry.year === undefined || entry.year === null || entry.year === '' ? null : Number(entry.year),
+  doi: toDoi(entry.doi),
+  indexing: Array.isArray(entry.indexing) ? entry.indexing.map(String) : toIndexing(entry.indexing),
+  source: ['bibtex', 'ris'].includes(entry.source) ? entry.source : 'manual'
+});
+
+// Validate normalised entries. Returns [{ field, message }].
+const validatePublications = (publications, { now = new Date() } = {}) => {
+  const errors = [];
+
+  if (publications.length > MAX_PUBLICATIONS) {
+    return [{ field: 'publications', message: `At most ${MAX_PUBLICATIONS} publications can be listed` }];
+  }
+
+  publications.forEach((entry, index) => {
+    const field = `publications[${index}]`;
+
+    if (!PUBLICATION_TYPES.includes(entry.type)) {
+      errors.push({ field: `${field}.type`, message: `Type must be one of: ${PUBLICATION_TYPES.join(', ')}` });
+    }
+    if (!entry.title) {
+      errors.push({ field: `${field}.title`, message: 'Publication title is required' });
+    } else if (entry.title.length > 500) {
+      errors.push({ field: `${field}.title`, message: 'Publication title cannot exceed 500 characters' });
+    }
+    if (entry.authors.length > MAX_AUTHORS || entry.authors.some(author => author.length > 100)) {
+      errors.push({ field: `${field}.authors`, message: `At most ${MAX_AUTHORS} authors of up to 100 characters each` });
+    }
+    if (entry.venue.length > 300) {
+      errors.push({ field: `${field}.venue`, message: 'Venue cannot exceed 300 characters' });
+    }
+    if (entry.year !== null && (!Number.isInteger(entry.year) || entry.year < 1900 || entry.year > now.getFullYear() + 1)) {
+      errors.push({ field: `${field}.year`, message: 'Please enter a valid publication year' });
+    }
+    if (entry.doi && !DOI_PATTERN.test(entry.doi)) {
+      errors.push({ field: `${field}.doi`, message: 'DOI must look like 10.1234/abcd' });
+    }
+    const unknown = entry.indexing.filter(service => !INDEXING_SERVICES.includes(service));
+    if (unknown.length > 0) {
+      errors.push({ field: `${field}.indexing`, message: `Indexing must be from: ${INDEXING_SERVICES.join(', ')}` });
+    }
+  });
+
+  return errors;
+};
+
+// Strip BibTeX markup: braces, accents and simple commands
+const cleanBibtexValue = (value) => collapse(value
+  .replace(/\\[&%$#_]/g, match => match[1])
+  .replace(/\\["'`^~=.]/g, '')
+  .replace(/\\[a-zA-Z]+\s*/g, '')
+  .replace(/[{}]/g, '')
+  .replace(/--/g, '-'));
+
+// Read one field value starting at `pos`: {braced}, "quoted" or a bare
+// word, joined with #. Returns { value, end }.
+const readBibtexValue = (body, pos) => {
+  let value = '';
+  let i = pos;
+
+  for (;;) {
+    while (/\s/.test(body[i] || '')) i++;
+
+    if (body[i] === '{' || body[i] === '"') {
+      const quoted = body[i] === '"';
+      let depth = 0;
+      const start = ++i;
+      for (; i < body.length; i++) {
+        const c = body[i];
+        if (c === '\\') {
+          i++;
+        } else if (c === '{') {
+          depth++;
+        } else if (c === '}') {
+          if (depth === 0 && !quoted) break;
+          depth--;
+        } else if (c === '"' && quoted && depth === 0) {
+          break;
+        }
+      }
+      value += body.slice(start, i);
+      i++;
+    } else {
+      const match = /^[^,#\s]*/.exec(body.slice(i));
+      value += match[0];
+      i += match[0].length;
+    }
+
+    while (/\s/.test(body[i] || '')) i++;
+    if (body[i] !== '#') break;
+    i++;
+  }
+
+  return { value, end: i };
+};
+
+const parseBibtexFields = (body) => {
+  const fields = {};
+  const comma = body.indexOf(',');
+  if (comma === -1) return { key: body.trim(), fields };
+
+  const key = body.slice(0, comma).trim();
+  let i = comma + 1;
+  const namePattern = /\s*([a-zA-Z][\w:-]*)\s*=/y;
+
+  while (i < body.length) {
+    namePattern.lastIndex = i;
+    const match = namePattern.exec(body);
+    if (!match) break;
+
+    const { value, end } = readBibtexValue(body, namePattern.lastIndex);
+    fields[match[1].toLowerCase()] = value;
+    i = end;
+    while (i < body.length && /[\s,]/.test(body[i])) i++;
+  }
+
+  return { key, fields };
+};
+
+const bibtexToPublication = (type, fields) => {
+  const isPreprint = /arxiv/i.test(`${fields.eprinttype || ''} ${fields.archiveprefix || ''} ${fields.journal || ''}`);
+
+  return {
+    type: isPreprint ? 'preprint' : (BIBTEX_TYPES[type] || 'other'),
+    title: cleanBibtexValue(fields.title || ''),
+    authors: fields.author
+      ? cleanBibtexValue(fields.author).split(/\s+and\s+/i).map(toDisplayName).filter(Boolean)
+      : [],
+    venue: cleanBibtexValue(fields.journal || fields.journaltitle || fields.booktitle ||
+      fields.school || fields.institution || fields.publisher || ''),
+    year: toYear(fields.year || fields.date),
+    doi: toDoi(cleanBibtexValue(fields.doi || '')),
+    indexing: toIndexing(cleanBibtexValue(fields.indexing || '')),
+    source: 'bibtex'
+  };
+};
+
+// Parse BibTeX. Returns { publications, errors } with errors as
+// [{ field, message }] naming the entry.
+const parseBibtex = (text) => {
+  const publications = [];
+  const errors = [];
+  const headerPattern = /@\s*([a-zA-Z]+)\s*([{(])/g;
+  let match;
+  let number = 0;
+
+  while ((match = headerPattern.exec(text)) !== null) {
+    const type = match[1].toLowerCase();
+    const open = match[2];
+    const start = headerPattern.lastIndex;
+    let depth = 0;
+    let end = -1;
+
+    for (let i = start; i < text.length; i++) {
+      const c = text[i];
+      if (c === '{') {
+        depth++;
+      } else if (c === '}') {
+        if (depth === 0 && open === '{') { end = i; break; }
+        depth--;
+      } else if (c === ')' && open === '(' && depth === 0) {
+        end = i;
+        break;
+      }
+    }
+
+    if (['comment', 'string', 'preamble'].includes(type)) {
+      if (end === -1) break;
+      headerPattern.lastIndex = end + 1;
+      continue;
+    }
+
+    number++;
+    if (end === -1) {
+      errors.push({ field: 'citations', message: `BibTeX entry ${number} is not closed` });
+      break;
+    }
+    headerPattern.lastIndex = end + 1;
+
+    const { key, fields } = parseBibtexFields(text.slice(start, end));
+    const publication = bibtexToPublication(type, fields);
+    if (!publication.title) {
+      errors.push({ field: 'citations', message: `BibTeX entry ${number}${key ? ` (${key})` : ''} has no title` });
+      continue;
+    }
+    publications.push(publication);
+  }
+
+  return { publications, errors };
+};
+
+const risToPublication = (tags) => {
+  const first = (...names) => {
+    const name = names.find(n => tags[n] && tags[n].length > 0);
+    return name ? tags[name][0] : '';
+  };
+
+  return {
+    type: RIS_TYPES[first('TY').toUpperCase()] || 'other',
+    title: collapse(first('TI', 'T1', 'CT')),
+    authors: [...(tags.AU || []), ...(tags.A1 || [])].map(toDisplayName).filter(Boolean),
+    venue: collapse(first('T2', 'JO', 'JF', 'JA', 'BT', 'PB')),
+    year: toYear(first('PY', 'Y1', 'DA')),
+    doi: toDoi(first('DO')),
+    indexing: [],
+    source: 'ris'
+  };
+};
+
+// Parse RIS ("TY  - JOUR" ... "ER  -"). Returns { publications, errors }.
+const parseRis = (text) => {
+  const publications = [];
+  const errors = [];
+  let tags = null;
+  let last = null;
+  let number = 0;
+
+  const finish = () => {
+    number++;
+    const publication = risToPublication(tags);
+    if (publication.title) {
+      publications.push(publication);
+    } else {
+      errors.push({ field: 'citations', message: `RIS record ${number} has no title` });
+    }
+    tags = null;
+  };
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = /^([A-Z][A-Z0-9])  -\s?(.*)$/.exec(line);
+    if (!match) {
+      // Continuation of a long value
+      if (tags && last && line.trim()) {
+        const values = tags[last];
+        values[values.length - 1] = `${values[values.length - 1]} ${line.trim()}`;
+      }
+      return;
+    }
+
+    const [, tag, value] = match;
+    if (tag === 'TY') {
+      if (tags) finish();
+      tags = {};
+    }
+    if (!tags) return;
+    if (tag === 'ER') {
+      finish();
+      return;
+    }
+
+    tags[tag] = tags[tag] || [];
+    tags[tag].push(value.trim());
+    last = tag;
+  });
+
+  if (tags) finish();
+
+  return { publications, errors };
+};
+
+// Parse pasted citations, detecting BibTeX or RIS.
+// Returns { format, publications, errors }.
+const parseCitations = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { format: null, publications: [], errors: [{ field: 'citations', message: 'Paste BibTeX or RIS citations' }] };
+  }
+  if (text.length > MAX_CITATION_TEXT_LENGTH) {
+    return {
+      format: null,
+      publications: [],
+      errors: [{ field: 'citations', message: `Citations cannot exceed ${MAX_CITATION_TEXT_LENGTH} characters` }]
+    };
+  }
+
+  if (/^TY  -/m.test(text)) {
+    return { format: 'ris', ...parseRis(text) };
+  }
+  if (/@\s*[a-zA-Z]+\s*[{(]/.test(text)) {
+    return { format: 'bibtex', ...parseBibtex(text) };
+  }
+  return {
+    format: null,
+    publications: [],
+    errors: [{ field: 'citations', message: 'Citations are neither BibTeX (@article{...}) nor RIS (TY  - JOUR)' }]
+  };
+};
+
+// Publications of a submission: the `publications` list (JSON or array)
+// plus any pasted `publicationCitations`. Returns { publications, errors }.
+const readSubmittedPublications = ({ publications, publicationCitations } = {}) => {
+  let list = publications;
+  if (typeof list === 'string') {
+    try {
+      list = list.trim() ? JSON.parse(list) : [];
+    } catch (parseError) {
+      return { publications: [], errors: [{ field: 'publications', message: 'Invalid JSON format' }] };
+    }
+  }
+  if (list === undefined || list === null) list = [];
+  if (!Array.isArray(list) || !list.every(isPlainObject)) {
+    return { publications: [], errors: [{ field: 'publications', message: 'Publications must be a list of entries' }] };
+  }
+
+  const oversized = [];
+  list.forEach((entry, index) => {
+    RAW_TEXT_FIELDS.forEach(key => {
+      const value = entry[key];
+      if (value === undefined || value === null) return;
+      const length = Array.isArray(value) ? value.join(';').length : String(value).length;
+      if (length > MAX_RAW_FIELD_LENGTH) {
+        oversized.push({ field: `publications[${index}].${key}`, message: `Cannot exceed ${MAX_RAW_FIELD_LENGTH} characters` });
+      }
+    });
+  });
+  if (oversized.length > 0) {
+    return { publications: [], errors: oversized };
+  }
+
+  const entries = list.map(normalizePublication);
+  const errors = [];
+
+  if (publicationCitations !== undefined && publicationCitations !== null && publicationCitations !== '') {
+    const parsed = parseCitations(publicationCitations);
+    parsed.errors.forEach(error => errors.push({ ...error, field: 'publicationCitations' }));
+    entries.push(...parsed.publications);
+  }
+
+  errors.push(...validatePublications(entries));
+  return { publications: entries, errors };
+};
+
+// Number of publications of each type, plus how many are indexed
+const countPublicationsByType = (publications = []) => {
+  const counts = Object.fromEntries(PUBLICATION_TYPES.map(type => [type, 0]));
+  publications.forEach(entry => {
+    counts[PUBLICATION_TYPES.includes(entry.type) ? entry.type : 'other']++;
+  });
+  return {
+    byType: counts,
+    indexed: publications.filter(entry => entry.indexing && entry.indexing.length > 0).length
+  };
+};
+
+// One-line citation: "J. Doe, R. Roe (2020). Title. Venue. doi:10.1/x [Scopus]"
+const formatPublication = (entry) => {
+  const head = [
+    entry.authors && entry.authors.length > 0 ? entry.authors.join(', ') : '',
+    entry.year ? `(${entry.year})` : ''
+  ].filter(Boolean).join(' ');
+
+  return [
+    head ? `${head}.` : '',
+    `${entry.title}.`,
+    entry.venue ? `${entry.venue}.` : '',
+    entry.doi ? `doi:${entry.doi}` : '',
+    entry.indexing && entry.indexing.length > 0 ? `[${entry.indexing.join(', ')}]` : ''
+  ].filter(Boolean).join(' ');
+};
+
+module.exports = {
+  PUBLICATION_TYPES,
+  INDEXING_SERVICES,
+  MAX_PUBLICATIONS,
+  normalizePublication,
+  validatePublications,
+  parseBibtex,
+  parseRis,
+  parseCitations,
+  readSubmittedPublications,
+  countPublicationsByType,
+  formatPublication
+};
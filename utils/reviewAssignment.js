@@ -0,0 +1,111 @@
+// Distribution of a form's applications among its invited reviewers.
+//   manual        - every given reviewer is assigned to every application
+//   round_robin   - reviewers take turns; the turn carries over between runs
+//                   through the form's assignment cursor
+//   load_balanced - each application goes to the reviewers with the fewest
+//                   applications still waiting for their review
+// Applications keep reviewers they already have; strategies only top them up
+// to `reviewersPerApplication`.
+
+const ASSIGNMENT_STRATEGIES = ['manual', 'round_robin', 'load_balanced'];
+
+// Most applications a single assignment request may touch
+const MAX_ASSIGNMENT_ITEMS = 1000;
+const MAX_REVIEWERS_PER_APPLICATION = 10;
+
+// Validate an assignment request body; returns a list of { field, message }
+const validateAssignmentRequest = (body) => {
+  const errors = [];
+  const { strategy, applicationIds, filter, reviewerIds, reviewersPerApplication } = body;
+
+  if (!ASSIGNMENT_STRATEGIES.includes(strategy)) {
+    errors.push({ field: 'strategy', message: `Strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}` });
+  }
+
+  if (applicationIds !== undefined && filter !== undefined) {
+    errors.push({ field: 'applicationIds', message: 'Provide either applicationIds or a filter, not both' });
+  } else if (applicationIds !== undefined) {
+    if (!Array.isArray(applicationIds) || applicationIds.length === 0 || !applicationIds.every(id => typeof id === 'string')) {
+      errors.push({ field: 'applicationIds', message: 'applicationIds must be a non-empty array of application IDs' });
+    } else if (applicationIds.length > MAX_ASSIGNMENT_ITEMS) {
+      errors.push({ field: 'applicationIds', message: `At most ${MAX_ASSIGNMENT_ITEMS} applications can be assigned at once` });
+    }
+  } else if (filter !== undefined && (!filter || typeof filter !== 'object' || Array.isArray(filter))) {
+    errors.push({ field: 'filter', message: 'Filter must be an object' });
+  } else if (filter === undefined && strategy === 'manual') {
+    errors.push({ field: 'applicationIds', message: 'Manual assignment needs applicationIds or a filter' });
+  }
+
+  if (reviewerIds !== undefined) {
+    if (!Array.isArray(reviewerIds) || reviewerIds.length === 0 || !reviewerIds.every(id => typeof id === 'string')) {
+      errors.push({ field: 'reviewerIds', message: 'reviewerIds must be a non-empty array of reviewer user IDs' });
+    }
+  } else if (strategy === 'manual') {
+    errors.push({ field: 'reviewerIds', message: 'Manual assignment needs reviewerIds' });
+  }
+
+  if (reviewersPerApplication !== undefined &&
+    (!Number.isInteger(reviewersPerApplication) || reviewersPerApplication < 1 || reviewersPerApplication > MAX_REVIEWERS_PER_APPLICATION)) {
+    errors.push({
+      field: 'reviewersPerApplication',
+      message: `reviewersPerApplication must be a whole number from 1 to ${MAX_REVIEWERS_PER_APPLICATION}`
+    });
+  }
+
+  return errors;
+};
+
+// Work out which reviewers to add to each application.
+//   applications - [{ id, assigned: [reviewerId] }] in assignment order
+//   reviewers    - candidate reviewer IDs (strings) in a stable order
+//   loads        - { reviewerId: open assignments } for load_balanced
+//   cursor       - round-robin position from the previous run
+// Returns { plan: [{ id, reviewerIds }], cursor }.
+const planAssignments = ({ strategy, applications, reviewers, perApplication = 1, loads = {}, cursor = 0 }) => {
+  const plan = [];
+  const openLoads = { ...loads };
+  let position = reviewers.length > 0 ? cursor % reviewers.length : 0;
+
+  applications.forEach(application => {
+    const assigned = new Set(application.assigned);
+    const available = reviewers.filter(id => !assigned.has(id));
+    let chosen = [];
+
+    if (strategy === 'manual') {
+      chosen = available;
+    } else {
+      const needed = Math.min(perApplication - assigned.size, available.length);
+
+      if (strategy === 'round_robin') {
+        for (let step = 0; step < reviewers.length && chosen.length < needed; step++) {
+          const candidate = reviewers[(position + step) % reviewers.length];
+          if (!assigned.has(candidate)) {
+            chosen.push(candidate);
+          }
+          if (chosen.length === needed) {
+            position = (position + step + 1) % reviewers.length;
+          }
+        }
+      } else {
+        chosen = [...available]
+          .sort((a, b) => (openLoads[a] || 0) - (openLoads[b] || 0) || reviewers.indexOf(a) - reviewers.indexOf(b))
+          .slice(0, Math.max(needed, 0));
+      }
+    }
+
+    chosen.forEach(id => {
+      openLoads[id] = (openLoads[id] || 0) + 1;
+    });
+    plan.push({ id: application.id, reviewerIds: chosen });
+  });
+
+  return { plan, cursor: position };
+};
+
+module.exports = {
+  ASSIGNMENT_STRATEGIES,
+  MAX_ASSIGNMENT_ITEMS,
+  MAX_REVIEWERS_PER_APPLICATION,
+  validateAssignmentRequest,
+  planAssignments
+};
@@ -0,0 +1,215 @@
+// Per-form scoring rubric and the aggregation of independent reviewer
+// scores. Each reviewer scores every criterion on the rubric's scale; a
+// review's total is the weighted mean of its criterion scores, and the
+// application's summary is taken over the reviewers' totals.
+
+const CRITERION_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/;
+const MAX_CRITERIA = 20;
+
+// The four criteria of the former single rating, on its 0-10 scale
+const DEFAULT_RUBRIC = {
+  scale: { min: 0, max: 10 },
+  criteria: [
+    { key: 'overall', label: 'Overall', description: '', weight: 1 },
+    { key: 'technical', label: 'Technical', description: '', weight: 1 },
+    { key: 'communication', label: 'Communication', description: '', weight: 1 },
+    { key: 'experience', label: 'Experience', description: '', weight: 1 }
+  ],
+  // Reviewers disagree when their totals differ by more than this many scale
+  // points; null means a quarter of the scale
+  disagreementThreshold: null
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// The effective rubric for a form's stored configuration
+const resolveRubric = (rubric) => {
+  const plain = toPlain(rubric);
+  const source = plain && Array.isArray(plain.criteria) && plain.criteria.length > 0 ? plain : DEFAULT_RUBRIC;
+  const scale = source.scale && isNumber(source.scale.min) && isNumber(source.scale.max)
+    ? { min: source.scale.min, max: source.scale.max }
+    : { ...DEFAULT_RUBRIC.scale };
+
+  return {
+    scale,
+    criteria: source.criteria.map(criterion => ({
+      key: criterion.key,
+      label: criterion.label || criterion.key,
+      description: criterion.description || '',
+      weight: isNumber(criterion.weight) ? criterion.weight : 1
+    })),
+    disagreementThreshold: isNumber(source.disagreementThreshold)
+      ? source.disagreementThreshold
+      : (scale.max - scale.min) / 4
+  };
+};
+
+const DEFAULT_RESOLVED_RUBRIC = resolveRubric(null);
+
+// Validate a rubric from a form configuration body
+const validateRubric = (rubric) => {
+  const errors = [];
+
+  if (rubric === null) return errors;
+  if (typeof rubric !== 'object' || Array.isArray(rubric)) {
+    return [{ field: 'rubric', message: 'Rubric must be an object' }];
+  }
+
+  const scale = rubric.scale || {};
+  if (!isNumber(scale.min) || !isNumber(scale.max) || scale.min >= scale.max) {
+    errors.push({ field: 'rubric.scale', message: 'Scale needs numeric min and max with min below max' });
+  } else if (scale.max - scale.min > 1000) {
+    errors.push({ field: 'rubric.scale', message: 'Scale range cannot exceed 1000 points' });
+  }
+
+  if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    errors.push({ field: 'rubric.criteria', message: 'Rubric must have at least one criterion' });
+  } else if (rubric.criteria.length > MAX_CRITERIA) {
+    errors.push({ field: 'rubric.criteria', message: `A rubric can have at most ${MAX_CRITERIA} criteria` });
+  } else {
+    const seen = new Set();
+    rubric.criteria.forEach((criterion, index) => {
+      const prefix = `rubric.criteria[${index}]`;
+
+      if (!criterion || typeof criterion.key !== 'string' || !CRITERION_KEY_PATTERN.test(criterion.key)) {
+        errors.push({ field: `${prefix}.key`, message: 'Criterion key must start with a letter and contain only letters, numbers and underscores' });
+        return;
+      }
+      if (seen.has(criterion.key)) {
+        errors.push({ field: `${prefix}.key`, message: `Duplicate criterion: ${criterion.key}` });
+      }
+      seen.add(criterion.key);
+
+      if (typeof criterion.label !== 'string' || !criterion.label.trim() || criterion.label.length > 100) {
+        errors.push({ field: `${prefix}.label`, message: 'Criterion label is required and cannot exceed 100 characters' });
+      }
+      if (criterion.description !== undefined && (typeof criterion.description !== 'string' || criterion.description.length > 500)) {
+        errors.push({ field: `${prefix}.description`, message: 'Criterion description cannot exceed 500 characters' });
+      }
+      if (criterion.weight !== undefined && (!isNumber(criterion.weight) || criterion.weight <= 0 || criterion.weight > 100)) {
+        errors.push({ field: `${prefix}.weight`, message: 'Weight must be a number above 0 and at most 100' });
+      }
+    });
+  }
+
+  if (rubric.disagreementThreshold !== undefined && rubric.disagreementThreshold !== null &&
+    (!isNumber(rubric.disagreementThreshold) || rubric.disagreementThreshold <= 0)) {
+    errors.push({ field: 'rubric.disagreementThreshold', message: 'Disagreement threshold must be a positive number' });
+  }
+
+  return errors;
+};
+
+// Weighted mean of a review's criterion scores, or null without scores
+const calculateReviewTotal = (rubric, scores) => {
+  let weighted = 0;
+  let weights = 0;
+
+  rubric.criteria.forEach(criterion => {
+    const entry = scores.find(score => score.criterion === criterion.key);
+    if (entry && isNumber(entry.score)) {
+      weighted += entry.score * criterion.weight;
+      weights += criterion.weight;
+    }
+  });
+
+  return weights > 0 ? round(weighted / weights) : null;
+};
+
+// Validate submitted scores ({ criterionKey: number }) against a rubric.
+// Returns { errors, scores: [{ criterion, score }], total }.
+const validateReviewScores = (rubric, submitted) => {
+  const errors = [];
+  const scores = [];
+
+  if (!submitted || typeof submitted !== 'object' || Array.isArray(submitted)) {
+    return { errors: [{ field: 'scores', message: 'Scores must be an object keyed by criterion' }], scores, total: null };
+  }
+
+  const keys = rubric.criteria.map(criterion => criterion.key);
+  Object.keys(submitted)
+    .filter(key => !keys.includes(key))
+    .forEach(key => errors.push({ field: `scores.${key}`, message: `Unknown criterion: ${key}` }));
+
+  rubric.criteria.forEach(criterion => {
+    const value = submitted[criterion.key];
+
+    if (value === undefined || value === null || value === '') {
+      errors.push({ field: `scores.${criterion.key}`, message: `${criterion.label} score is required` });
+    } else if (!isNumber(Number(value)) || Number(value) < rubric.scale.min || Number(value) > rubric.scale.max) {
+      errors.push({
+        field: `scores.${criterion.key}`,
+        message: `${criterion.label} score must be between ${rubric.scale.min} and ${rubric.scale.max}`
+      });
+    } else {
+      scores.push({ criterion: criterion.key, score: Number(value) });
+    }
+  });
+
+  return { errors, scores, total: errors.length === 0 ? calculateReviewTotal(rubric, scores) : null };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Aggregate the reviewers' totals for an application
+const summariseReviews = (rubric, reviews = []) => {
+  const totals = reviews.map(review => review.total).filter(isNumber);
+
+  if (totals.length === 0) {
+    return {
+      count: 0,
+      mean: null,
+      median: null,
+      min: null,
+      max: null,
+      spread: null,
+      stdDev: null,
+      disagreement: false,
+      criteria: [],
+      updatedAt: new Date()
+    };
+  }
+
+  const average = mean(totals);
+  const variance = mean(totals.map(total => (total - average) ** 2));
+  const spread = Math.max(...totals) - Math.min(...totals);
+
+  return {
+    count: totals.length,
+    mean: round(average),
+    median: round(median(totals)),
+    min: round(Math.min(...totals)),
+    max: round(Math.max(...totals)),
+    spread: round(spread),
+    stdDev: round(Math.sqrt(variance)),
+    disagreement: totals.length > 1 && spread > rubric.disagreementThreshold,
+    criteria: rubric.criteria.map(criterion => {
+      const values = reviews
+        .map(review => (review.scores || []).find(score => score.criterion === criterion.key))
+        .filter(entry => entry && isNumber(entry.score))
+        .map(entry => entry.score);
+      return { key: criterion.key, mean: values.length > 0 ? round(mean(values)) : null };
+    }),
+    updatedAt: new Date()
+  };
+};
+
+module.exports = {
+  DEFAULT_RUBRIC,
+  DEFAULT_RESOLVED_RUBRIC,
+  resolveRubric,
+  validateRubric,
+  validateReviewScores,
+  calculateReviewTotal,
+  summariseReviews
+};
@@ -0,0 +1,325 @@
+// Saved views: validation of view definitions and applying a view to the
+// list, export, bulk email and reviewer queue endpoints. A view is merged
+// underneath the request parameters, so anything given explicitly (a
+// different status, another sort order, extra columns) wins over the view.
+const Application = require('../models/Application');
+const Form = require('../models/Form');
+const SavedView = require('../models/SavedView');
+const { PRIORITIES, buildApplicationFilter } = require('./applicationFilters');
+const { compileSearchQuery, getConditionFields } = require('./applicationSearch');
+const { SELECTABLE_COLUMNS } = require('./applicationExport');
+const { ELIGIBILITY_STATUSES } = require('./eligibility');
+const { IDENTIFYING_VIEW_FILTERS, IDENTIFYING_SEARCH_FIELDS, isBlindReviewActive } = require('./blindReview');
+
+// Filter parameters a view can store: the list filters of
+// utils/applicationFilters.js plus advanced search `text` and `where`
+const VIEW_FILTER_KEYS = [
+  'status',
+  'priority',
+  'eligibility',
+  'tags',
+  'assignedTo',
+  'disagreement',
+  'search',
+  'submittedFrom',
+  'submittedTo',
+  'submittedWithinDays',
+  'statusChangedWithinDays',
+  'text',
+  'where'
+];
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+// Views one user may keep per form
+const MAX_VIEWS_PER_FORM = 50;
+
+// Views counted on the dashboard
+const MAX_DASHBOARD_VIEWS = 50;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isStringList = (value) => typeof value === 'string' ||
+  (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const validateFilters = (filters, errors) => {
+  if (!isPlainObject(filters)) {
+    errors.push({ field: 'filters', message: 'Filters must be an object' });
+    return;
+  }
+
+  Object.keys(filters).forEach(key => {
+    const value = filters[key];
+    const field = `filters.${key}`;
+
+    if (!VIEW_FILTER_KEYS.includes(key)) {
+      errors.push({ field, message: `Unknown filter. Filters must be from: ${VIEW_FILTER_KEYS.join(', ')}` });
+      return;
+    }
+
+    switch (key) {
+      case 'status':
+      case 'tags':
+      case 'assignedTo':
+      case 'search':
+        if (!isStringList(value)) errors.push({ field, message: `${key} must be text or a list of text` });
+        break;
+      case 'priority':
+        if (!isStringList(value) || toList(value).some(priority => !PRIORITIES.includes(priority))) {
+          errors.push({ field, message: `Priority must be one of: ${PRIORITIES.join(', ')}` });
+        }
+        break;
+      case 'eligibility':
+        if (!ELIGIBILITY_STATUSES.includes(value)) {
+          errors.push({ field, message: `Eligibility must be one of: ${ELIGIBILITY_STATUSES.join(', ')}` });
+        }
+        break;
+      case 'disagreement':
+        if (typeof value !== 'boolean') errors.push({ field, message: 'disagreement must be true or false' });
+        break;
+      case 'submittedFrom':
+      case 'submittedTo':
+        if (typeof value !== 'string' || isNaN(new Date(value).getTime())) {
+          errors.push({ field, message: `${key} must be a date` });
+        }
+        break;
+      case 'submittedWithinDays':
+      case 'statusChangedWithinDays':
+        if (!Number.isInteger(value) || value < 1 || value > 366) {
+          errors.push({ field, message: `${key} must be a whole number from 1 to 366` });
+        }
+        break;
+    }
+  });
+
+  const search = compileSearchQuery({ text: filters.text, where: filters.where });
+  search.errors.forEach(error => errors.push({ ...error, field: `filters.${error.field}` }));
+};
+
+// Filters a reviewer may not use while the form's blind review is on:
+// name and text searches, and conditions on identity fields or document
+// text, which narrow the list until a blind code points to one person
+const getBlindReviewFilterErrors = (filters) => {
+  if (!isPlainObject(filters)) return [];
+
+  const errors = IDENTIFYING_VIEW_FILTERS
+    .filter(key => filters[key])
+    .map(key => ({ field: `filters.${key}`, message: `${key} cannot be used while blind review is on` }));
+
+  const fields = new Set(getConditionFields(filters.where).filter(field => IDENTIFYING_SEARCH_FIELDS.includes(field)));
+  fields.forEach(field => {
+    errors.push({ field: 'filters.where', message: `Conditions on ${field} cannot be used while blind review is on` });
+  });
+
+  return errors;
+};
+
+// Validate a view from a request body. With `partial`, only the given
+// fields are checked (updates). With `blindReview`, filters that identify
+// applicants are rejected (a reviewer saving a view on a blind form).
+const validateSavedView = (body = {}, { partial = false, blindReview = false } = {}) => {
+  const errors = [];
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      errors.push({ field: 'name', message: 'View name is required' });
+    } else if (body.name.trim().length > 100) {
+      errors.push({ field: 'name', message: 'View name cannot exceed 100 characters' });
+    }
+  }
+
+  if (body.description !== undefined && (typeof body.description !== 'string' || body.description.length > 500)) {
+    errors.push({ field: 'description', message: 'Description must be text of at most 500 characters' });
+  }
+
+  if (body.filters !== undefined) {
+    validateFilters(body.filters, errors);
+    if (blindReview) errors.push(...getBlindReviewFilterErrors(body.filters));
+  }
+
+  if (body.sort !== undefined) {
+    if (!isPlainObject(body.sort)) {
+      errors.push({ field: 'sort', message: 'Sort must be an object with sortBy and sortOrder' });
+    } else {
+      if (body.sort.sortBy !== undefined && body.sort.sortBy !== null &&
+        (typeof body.sort.sortBy !== 'string' || !body.sort.sortBy.trim() || body.sort.sortBy.length > 100)) {
+        errors.push({ field: 'sort.sortBy', message: 'sortBy must be a field name' });
+      }
+      if (body.sort.sortOrder !== undefined && !SORT_ORDERS.includes(body.sort.sortOrder)) {
+        errors.push({ field: 'sort.sortOrder', message: `sortOrder must be one of: ${SORT_ORDERS.join(', ')}` });
+      }
+    }
+  }
+
+  if (body.columns !== undefined) {
+    if (!Array.isArray(body.columns)) {
+      errors.push({ field: 'columns', message: 'Columns must be a list' });
+    } else {
+      const unknown = body.columns.filter(column => !SELECTABLE_COLUMNS.includes(column));
+      if (unknown.length > 0) {
+        errors.push({
+          field: 'columns',
+          message: `Unknown column(s): ${unknown.join(', ')}. Columns must be from: ${SELECTABLE_COLUMNS.join(', ')}`
+        });
+      }
+    }
+  }
+
+  ['shared', 'isDefault'].forEach(field => {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      errors.push({ field, message: `${field} must be true or false` });
+    }
+  });
+
+  return errors;
+};
+
+// Load a view the user may apply: their own view or a shared one, of a
+// form they own (or, unless ownerOnly, review). viewId 'default' is the
+// user's default view of `formId`.
+// Resolves to { view, form } or { error: { status, message, code } }.
+const loadSavedView = async (viewId, userId, { formId = null, ownerOnly = false } = {}) => {
+  const notFound = { error: { status: 404, message: 'Saved view not found', code: 'VIEW_NOT_FOUND' } };
+
+  let view;
+  if (viewId === 'default') {
+    if (!formId) {
+      return { error: { status: 400, message: 'formId is required to use the default view', code: 'MISSING_FORM_ID' } };
+    }
+    const form = await Form.findOne({ formId });
+    view = form && await SavedView.findOne({ formId: form._id, defaultFor: userId });
+  } else {
+    view = await SavedView.findOne({ viewId: String(viewId) });
+  }
+
+  if (!view || !view.isVisibleTo(userId)) return notFound;
+
+  const form = await Form.findById(view.formId);
+  const isOwner = form && String(form.userId) === String(userId);
+  if (!form || !(isOwner || (!ownerOnly && form.isReviewer(userId)))) return notFound;
+
+  if (formId && formId !== form.formId) {
+    return { error: { status: 400, message: 'The saved view belongs to another form', code: 'VIEW_FORM_MISMATCH' } };
+  }
+
+  return { view, form };
+};
+
+// Request parameters with the view merged underneath. Explicit parameters
+// (other than viewId) override the view's filters, sort and columns.
+const mergeViewParams = (view, form, params = {}) => {
+  const explicit = {};
+  Object.keys(params).forEach(key => {
+    if (key !== 'viewId' && params[key] !== undefined) explicit[key] = params[key];
+  });
+
+  return {
+    ...view.filters,
+    ...(view.sort.sortBy && { sortBy: view.sort.sortBy }),
+    ...(view.sort.sortOrder && { sortOrder: view.sort.sortOrder }),
+    ...(view.columns.length > 0 && { columns: view.columns.join(',') }),
+    ...explicit,
+    formId: form.formId
+  };
+};
+
+// buildApplicationFilter plus the advanced search `text` and `where`.
+// Resolves to { filter, form, search } or { error: { status, message, code, errors } },
+// search being the searched { text, phrases } for highlighting.
+const buildSearchFilter = async (userId, params = {}) => {
+  const built = await buildApplicationFilter(userId, params);
+  if (built.error) return built;
+
+  const search = compileSearchQuery({ text: params.text, where: params.where });
+  if (search.errors.length > 0) {
+    return {
+      error: { status: 400, message: 'Invalid search query', code: 'VALIDATION_ERROR', errors: search.errors }
+    };
+  }
+
+  Object.assign(built.filter, search.filter);
+  return { ...built, search: { text: search.text, phrases: search.phrases } };
+};
+
+// Apply params.viewId (if any) for a form owner's endpoint.
+// Resolves to { params, view } or { error }.
+const applySavedView = async (userId, params = {}) => {
+  if (!params.viewId) {
+    return { params, view: null };
+  }
+
+  const loaded = await loadSavedView(params.viewId, userId, { formId: params.formId || null, ownerOnly: true });
+  if (loaded.error) return loaded;
+
+  return { params: mergeViewParams(loaded.view, loaded.form, params), view: loaded.view };
+};
+
+// Filter for a form owner's list-style endpoint, with params.viewId applied.
+// Resolves to { filter, form, search, params, view } or { error }.
+const buildFilterWithView = async (userId, requestParams = {}) => {
+  const applied = await applySavedView(userId, requestParams);
+  if (applied.error) return applied;
+
+  const built = await buildSearchFilter(userId, applied.params);
+  if (built.error) return built;
+
+  return { ...built, params: applied.params, view: applied.view };
+};
+
+// The views a user sees on the dashboard with the number of applications
+// each matches now: their own views and the shared views of forms they own
+// or review. For reviewers a view counts within their assignments.
+const getSavedViewCounts = async (userId) => {
+  const forms = await Form.find({
+    $or: [{ userId }, { reviewers: { $elemMatch: { userId, isActive: true } } }]
+  }).select('formId title userId blindReview');
+  const formsById = new Map(forms.map(form => [String(form._id), form]));
+
+  const views = await SavedView.find({
+    formId: { $in: forms.map(form => form._id) },
+    $or: [{ createdBy: userId }, { shared: true }]
+  }).sort({ name: 1 }).limit(MAX_DASHBOARD_VIEWS);
+
+  const counts = [];
+  for (const view of views) {
+    const form = formsById.get(String(view.formId));
+    const entry = {
+      ...view.toPublicJSON(userId),
+      form: { formId: form.formId, title: form.title },
+      count: null
+    };
+
+    const isReviewer = String(form.userId) !== String(userId);
+    const built = isReviewer && isBlindReviewActive(form) && getBlindReviewFilterErrors(view.filters).length > 0
+      ? { error: { message: 'This view filters by identity and cannot be counted while blind review is on' } }
+      : await buildSearchFilter(form.userId, mergeViewParams(view, form));
+    if (built.error) {
+      entry.error = built.error.message;
+    } else {
+      if (isReviewer) {
+        built.filter['assignedReviewers.reviewerId'] = userId;
+      }
+      entry.count = await Application.countDocuments(built.filter);
+    }
+    counts.push(entry);
+  }
+
+  return counts;
+};
+
+module.exports = {
+  VIEW_FILTER_KEYS,
+  MAX_VIEWS_PER_FORM,
+  validateSavedView,
+  getBlindReviewFilterErrors,
+  loadSavedView,
+  mergeViewParams,
+  buildSearchFilter,
+  applySavedView,
+  buildFilterWithView,
+  getSavedViewCounts
+};
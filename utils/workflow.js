@@ -0,0 +1,278 @@
+// Per-form application workflows: the stages an application moves through,
+// the transitions allowed between them, which transitions need remarks and
+// which stages are terminal. Forms without their own workflow use
+// DEFAULT_WORKFLOW, which mirrors the original fixed status list.
+
+// How a stage counts in form and dashboard statistics
+const STAGE_CATEGORIES = ['pending', 'on_hold', 'approved', 'rejected', 'withdrawn'];
+
+// Who may perform a transition
+const TRANSITION_ACTORS = ['owner', 'applicant'];
+
+const STAGE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const MAX_STAGES = 30;
+const MAX_TRANSITIONS = 200;
+
+const DEFAULT_WORKFLOW = {
+  initialStage: 'submitted',
+  stages: [
+    { key: 'submitted', label: 'Submitted', color: '#6b7280', category: 'pending', terminal: false, applicantEditable: true },
+    { key: 'under_review', label: 'Under Review', color: '#f59e0b', category: 'pending', terminal: false, applicantEditable: true },
+    { key: 'shortlisted', label: 'Shortlisted', color: '#3b82f6', category: 'pending', terminal: false, applicantEditable: false },
+    { key: 'interview_scheduled', label: 'Interview Scheduled', color: '#8b5cf6', category: 'pending', terminal: false, applicantEditable: false },
+    { key: 'on_hold', label: 'On Hold', color: '#f97316', category: 'on_hold', terminal: false, applicantEditable: false },
+    { key: 'approved', label: 'Approved', color: '#10b981', category: 'approved', terminal: true, applicantEditable: false },
+    { key: 'rejected', label: 'Rejected', color: '#ef4444', category: 'rejected', terminal: true, applicantEditable: false },
+    { key: 'withdrawn', label: 'Withdrawn', color: '#9ca3af', category: 'withdrawn', terminal: true, applicantEditable: false }
+  ],
+  transitions: [
+    { from: 'submitted', to: 'under_review', label: 'Start review' },
+    { from: 'submitted', to: 'shortlisted', label: 'Shortlist' },
+    { from: 'submitted', to: 'on_hold', label: 'Put on hold' },
+    { from: 'submitted', to: 'rejected', label: 'Reject', requiresRemarks: true },
+
+    { from: 'under_review', to: 'shortlisted', label: 'Shortlist' },
+    { from: 'under_review', to: 'interview_scheduled', label: 'Schedule interview' },
+    { from: 'under_review', to: 'approved', label: 'Approve' },
+    { from: 'under_review', to: 'on_hold', label: 'Put on hold' },
+    { from: 'under_review', to: 'rejected', label: 'Reject', requiresRemarks: true },
+
+    { from: 'shortlisted', to: 'interview_scheduled', label: 'Schedule interview' },
+    { from: 'shortlisted', to: 'approved', label: 'Approve' },
+    { from: 'shortlisted', to: 'on_hold', label: 'Put on hold' },
+    { from: 'shortlisted', to: 'rejected', label: 'Reject', requiresRemarks: true },
+
+    { from: 'interview_scheduled', to: 'shortlisted', label: 'Back to shortlist' },
+    { from: 'interview_scheduled', to: 'approved', label: 'Approve' },
+    { from: 'interview_scheduled', to: 'on_hold', label: 'Put on hold' },
+    { from: 'interview_scheduled', to: 'rejected', label: 'Reject', requiresRemarks: true },
+
+    { from: 'on_hold', to: 'under_review', label: 'Resume review' },
+    { from: 'on_hold', to: 'shortlisted', label: 'Shortlist' },
+    { from: 'on_hold', to: 'rejected', label: 'Reject', requiresRemarks: true },
+
+    { from: 'submitted', to: 'withdrawn', label: 'Withdraw', actor: 'applicant' },
+    { from: 'under_review', to: 'withdrawn', label: 'Withdraw', actor: 'applicant' },
+    { from: 'shortlisted', to: 'withdrawn', label: 'Withdraw', actor: 'applicant' },
+    { from: 'interview_scheduled', to: 'withdrawn', label: 'Withdraw', actor: 'applicant' },
+    { from: 'on_hold', to: 'withdrawn', label: 'Withdraw', actor: 'applicant' }
+  ]
+};
+
+// Turn a Mongoose sub-document (or plain object) into a plain object
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// Fill in defaults so callers can rely on every property being present
+const normaliseWorkflow = (workflow) => ({
+  initialStage: workflow.initialStage || workflow.stages[0].key,
+  stages: workflow.stages.map(stage => ({
+    key: stage.key,
+    label: stage.label || stage.key,
+    color: stage.color || '#6b7280',
+    category: stage.category || 'pending',
+    terminal: Boolean(stage.terminal),
+    applicantEditable: Boolean(stage.applicantEditable)
+  })),
+  transitions: workflow.transitions.map(transition => ({
+    from: transition.from,
+    to: transition.to,
+    label: transition.label || '',
+    requiresRemarks: Boolean(transition.requiresRemarks),
+    actor: transition.actor || 'owner'
+  }))
+});
+
+// The effective workflow for a form's stored configuration
+const resolveWorkflow = (workflow) => {
+  const plain = toPlain(workflow);
+  if (!plain || !Array.isArray(plain.stages) || plain.stages.length === 0) {
+    return normaliseWorkflow(DEFAULT_WORKFLOW);
+  }
+  return normaliseWorkflow({
+    ...plain,
+    transitions: plain.transitions || []
+  });
+};
+
+const DEFAULT_RESOLVED_WORKFLOW = resolveWorkflow(null);
+
+const getStage = (workflow, key) => {
+  return workflow.stages.find(stage => stage.key === key) || null;
+};
+
+// Transitions out of a stage that the given actor may perform
+const getAllowedTransitions = (workflow, fromStage, { actor = 'owner' } = {}) => {
+  const stage = getStage(workflow, fromStage);
+  if (stage && stage.terminal) return [];
+
+  return workflow.transitions
+    .filter(transition => transition.from === fromStage && transition.actor === actor)
+    .map(transition => {
+      const target = getStage(workflow, transition.to);
+      return {
+        to: transition.to,
+        label: transition.label || (target ? target.label : transition.to),
+        requiresRemarks: transition.requiresRemarks,
+        terminal: Boolean(target && target.terminal)
+      };
+    });
+};
+
+// Check a status change. Returns null when allowed, otherwise
+// { message, code }.
+const checkTransition = (workflow, fromStage, toStage, { remarks = '', actor = 'owner' } = {}) => {
+  if (!getStage(workflow, toStage)) {
+    return {
+      message: `Unknown status '${toStage}' for this form's workflow`,
+      code: 'INVALID_STATUS'
+    };
+  }
+
+  const current = getStage(workflow, fromStage);
+  if (current && current.terminal) {
+    return {
+      message: `'${current.label}' is a final status and cannot be changed`,
+      code: 'TERMINAL_STATUS'
+    };
+  }
+
+  const transition = workflow.transitions.find(t => t.from === fromStage && t.to === toStage && t.actor === actor);
+  if (!transition) {
+    return {
+      message: `Cannot move an application from '${fromStage}' to '${toStage}'`,
+      code: 'INVALID_TRANSITION'
+    };
+  }
+
+  if (transition.requiresRemarks && (!remarks || !String(remarks).trim())) {
+    return {
+      message: `Remarks are required to move an application to '${toStage}'`,
+      code: 'REMARKS_REQUIRED'
+    };
+  }
+
+  return null;
+};
+
+// Stage an applicant withdraws into from the given stage, or null when
+// withdrawal is not possible there
+const getWithdrawalStage = (workflow, fromStage) => {
+  const transition = getAllowedTransitions(workflow, fromStage, { actor: 'applicant' })
+    .find(t => getStageCategory(workflow, t.to) === 'withdrawn');
+  return transition ? transition.to : null;
+};
+
+// Statistics bucket for a stage; unknown stages only count towards the total
+const getStageCategory = (workflow, key) => {
+  const stage = getStage(workflow, key);
+  return stage ? stage.category : null;
+};
+
+// Validate a workflow from a form configuration body
+const validateWorkflow = (workflow) => {
+  const errors = [];
+
+  if (workflow === null) return errors;
+  if (typeof workflow !== 'object' || Array.isArray(workflow)) {
+    return [{ field: 'workflow', message: 'Workflow must be an object' }];
+  }
+
+  const { stages, transitions = [], initialStage } = workflow;
+
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return [{ field: 'workflow.stages', message: 'Workflow must define at least one stage' }];
+  }
+  if (stages.length > MAX_STAGES) {
+    return [{ field: 'workflow.stages', message: `A workflow can have at most ${MAX_STAGES} stages` }];
+  }
+  if (!Array.isArray(transitions)) {
+    return [{ field: 'workflow.transitions', message: 'Transitions must be an array' }];
+  }
+  if (transitions.length > MAX_TRANSITIONS) {
+    return [{ field: 'workflow.transitions', message: `A workflow can have at most ${MAX_TRANSITIONS} transitions` }];
+  }
+
+  const keys = new Set();
+  const terminalKeys = new Set();
+
+  stages.forEach((stage, index) => {
+    const prefix = `workflow.stages[${index}]`;
+
+    if (!stage || typeof stage.key !== 'string' || !STAGE_KEY_PATTERN.test(stage.key)) {
+      errors.push({ field: `${prefix}.key`, message: 'Stage key must be lowercase letters, numbers and underscores, starting with a letter' });
+      return;
+    }
+    if (keys.has(stage.key)) {
+      errors.push({ field: `${prefix}.key`, message: `Duplicate stage: ${stage.key}` });
+    }
+    keys.add(stage.key);
+    if (stage.terminal) terminalKeys.add(stage.key);
+
+    if (stage.label !== undefined && (typeof stage.label !== 'string' || stage.label.length > 100)) {
+      errors.push({ field: `${prefix}.label`, message: 'Stage label cannot exceed 100 characters' });
+    }
+    if (stage.color !== undefined && !COLOR_PATTERN.test(stage.color)) {
+      errors.push({ field: `${prefix}.color`, message: 'Stage color must be a hex color such as #3b82f6' });
+    }
+    if (stage.category !== undefined && !STAGE_CATEGORIES.includes(stage.category)) {
+      errors.push({ field: `${prefix}.category`, message: `Stage category must be one of: ${STAGE_CATEGORIES.join(', ')}` });
+    }
+  });
+
+  const initial = initialStage || (stages[0] && stages[0].key);
+  if (!keys.has(initial)) {
+    errors.push({ field: 'workflow.initialStage', message: 'Initial stage must be one of the workflow stages' });
+  } else if (terminalKeys.has(initial)) {
+    errors.push({ field: 'workflow.initialStage', message: 'Initial stage cannot be terminal' });
+  }
+
+  const seen = new Set();
+  transitions.forEach((transition, index) => {
+    const prefix = `workflow.transitions[${index}]`;
+
+    if (!transition || !keys.has(transition.from)) {
+      errors.push({ field: `${prefix}.from`, message: 'Transition must start from a workflow stage' });
+      return;
+    }
+    if (!keys.has(transition.to)) {
+      errors.push({ field: `${prefix}.to`, message: 'Transition must lead to a workflow stage' });
+      return;
+    }
+    if (transition.from === transition.to) {
+      errors.push({ field: prefix, message: 'A transition cannot lead back to the same stage' });
+    }
+    if (terminalKeys.has(transition.from)) {
+      errors.push({ field: `${prefix}.from`, message: `'${transition.from}' is terminal and cannot have outgoing transitions` });
+    }
+    if (transition.actor !== undefined && !TRANSITION_ACTORS.includes(transition.actor)) {
+      errors.push({ field: `${prefix}.actor`, message: `Actor must be one of: ${TRANSITION_ACTORS.join(', ')}` });
+    }
+    if (transition.label !== undefined && (typeof transition.label !== 'string' || transition.label.length > 100)) {
+      errors.push({ field: `${prefix}.label`, message: 'Transition label cannot exceed 100 characters' });
+    }
+
+    const id = `${transition.from}>${transition.to}>${transition.actor || 'owner'}`;
+    if (seen.has(id)) {
+      errors.push({ field: prefix, message: `Duplicate transition from '${transition.from}' to '${transition.to}'` });
+    }
+    seen.add(id);
+  });
+
+  return errors;
+};
+
+module.exports = {
+  STAGE_CATEGORIES,
+  TRANSITION_ACTORS,
+  DEFAULT_WORKFLOW,
+  DEFAULT_RESOLVED_WORKFLOW,
+  resolveWorkflow,
+  getStage,
+  getAllowedTransitions,
+  checkTransition,
+  getWithdrawalStage,
+  getStageCategory,
+  validateWorkflow
+};